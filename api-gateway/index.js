@@ -11,6 +11,8 @@ const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
 const BaseClient = require('../core/base-client');
+const WebhookDeliveryService = require('../core/webhooks/webhook-delivery');
+const PaymentEventStream = require('../core/webhooks/payment-event-stream');
 
 class APIGateway {
     constructor() {
@@ -21,6 +23,8 @@ class APIGateway {
         
         this.services = new Map();
         this.activeClients = new Map();
+        // Registration only; the unified gateway delivers (shared with it when WEBHOOK_DELIVERY_STORE=postgres)
+        this.webhookDelivery = new WebhookDeliveryService({ eventTypes: PaymentEventStream.TYPES });
         
         this.setupMiddleware();
         this.loadServices();
@@ -545,14 +549,43 @@ class APIGateway {
         res.json(examples);
     }
 
+    /**
+     * Register an outbound webhook endpoint for the tenant in X-Project-Scope.
+     * Body: { url, events?, description? }; the response carries the signing secret.
+     */
     async registerWebhook(req, res) {
-        // Placeholder for webhook registration
-        res.json({ message: 'Webhook registration not implemented yet' });
+        try {
+            const { serviceName } = req.params;
+            const tenantId = req.headers['x-project-scope'];
+            if (!tenantId) {
+                return res.status(400).json({ error: 'X-Project-Scope header is required' });
+            }
+
+            const { url, events, description } = req.body || {};
+            const endpoint = await this.webhookDelivery.registerEndpoint(tenantId, {
+                url,
+                events,
+                description: description || serviceName
+            });
+            res.status(201).json(endpoint);
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message, code: error.code });
+        }
     }
 
     async unregisterWebhook(req, res) {
-        // Placeholder for webhook unregistration
-        res.json({ message: 'Webhook unregistration not implemented yet' });
+        try {
+            const tenantId = req.headers['x-project-scope'];
+            const { endpointId } = req.body || {};
+            if (!tenantId || !endpointId) {
+                return res.status(400).json({ error: 'X-Project-Scope header and endpointId are required' });
+            }
+
+            await this.webhookDelivery.removeEndpoint(tenantId, endpointId);
+            res.json({ id: endpointId, removed: true });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message, code: error.code });
+        }
     }
 
     async receiveWebhook(req, res) {
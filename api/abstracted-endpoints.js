@@ -5,14 +5,21 @@
 
 const express = require('express');
 const VendorAbstractionLayer = require('../core/abstraction/vendor-abstraction');
+const IdempotencyManager = require('../core/idempotency/idempotency-manager');
+const { getTracer, SPAN_STATUS } = require('../core/tracing/tracer');
 
 class AbstractedAPIEndpoints {
   constructor(options = {}) {
     this.router = express.Router();
     this.abstraction = new VendorAbstractionLayer({
       adapterRegistry: options.adapterRegistry,
-      getAdapterRegistry: options.getAdapterRegistry
+      getAdapterRegistry: options.getAdapterRegistry,
+      metrics: options.metrics
     });
+    // Shared with gateway-execute when provided by the gateway.
+    this.idempotency = options.idempotency || new IdempotencyManager();
+    // Verified { tenantId, principalId } of the caller (routing tenant overrides, idempotency keys)
+    this.resolveCaller = typeof options.resolveCaller === 'function' ? options.resolveCaller : () => null;
     this.setupRoutes();
   }
 
@@ -23,6 +30,7 @@ class AbstractedAPIEndpoints {
       authorization: headers.authorization || headers.Authorization,
       apiKey: headers['x-api-key'] || headers['X-API-Key'],
       projectScope: headers['x-project-scope'] || headers['X-Project-Scope'],
+      ...this.resolveCaller(req),
       requestId: headers['x-request-id'] || headers['X-Request-ID'],
       sessionId: headers['x-session-id'] || headers['X-Session-ID']
     };
@@ -39,40 +47,138 @@ class AbstractedAPIEndpoints {
     return process.env.ABSTRACTION_EXPOSE_VENDOR === '1';
   }
 
+  shouldExposeVendorErrors() {
+    return process.env.ABSTRACTION_DEBUG_ERRORS === '1';
+  }
+
+  // Error type/retryable and per-field validation errors (JSON pointers) are safe to return
+  // to clients; the upstream vendor code is only included in debug mode.
+  getErrorDetails(error) {
+    if (!error) return {};
+    const details = {};
+    if (error.type) {
+      details.type = error.type;
+      details.retryable = error.retryable === true;
+    }
+    const meta = error.meta || {};
+    if (error.code === 'VALIDATION_FAILED' && meta.errors) {
+      details.errors = meta.errors;
+    }
+    if (this.shouldExposeVendorErrors() && meta.vendorError) {
+      details.vendorError = meta.vendorError;
+    }
+    return details;
+  }
+
+  // Failover attempts are always returned; which vendors served them (vendor,
+  // per-attempt vendor, routing) stays internal unless explicitly exposed.
+  getPublicMetadata(result) {
+    const metadata = (result && result.metadata) || {};
+    if (this.shouldExposeVendor()) return metadata;
+    const { vendor: _vendor, attempts, routing: _routing, ...rest } = metadata;
+    if (!Array.isArray(attempts)) return rest;
+    return {
+      ...rest,
+      attempts: attempts.map(({ vendor: _attemptVendor, ...attempt }) => attempt)
+    };
+  }
+
+  /**
+   * Wrap a JSON handler so an `Idempotency-Key` header replays the stored
+   * response instead of executing twice. Requests without the header run as-is.
+   * Server errors (5xx/429) are not stored, so the same key can be retried.
+   */
+  withIdempotency(handler) {
+    return async (req, res) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) return handler(req, res);
+
+      const sendJson = res.json.bind(res);
+      try {
+        const { replayed, response } = await this.idempotency.execute(
+          {
+            key,
+            payload: { method: req.method, path: `${req.baseUrl}${req.path}`, body: req.body || null },
+            context: this.buildContext(req)
+          },
+          () => new Promise((resolve, reject) => {
+            let captured = false;
+            res.json = (body) => {
+              captured = true;
+              resolve({ status: res.statusCode, body });
+              return res;
+            };
+            Promise.resolve(handler(req, res)).then(() => {
+              if (!captured) reject(new Error('Idempotent handler completed without a JSON response'));
+            }, reject);
+          }),
+          { cacheable: (response) => response.status < 500 && response.status !== 429 }
+        );
+
+        res.json = sendJson;
+        res.set('Idempotency-Key', key);
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(response.status);
+        return sendJson(response.body);
+      } catch (error) {
+        res.json = sendJson;
+        return res.status(this.getStatusCode(error)).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requestId: req.headers['x-request-id'] || this.generateRequestId()
+        });
+      }
+    };
+  }
+
+  /**
+   * Run a route handler in its own span, named after the matched route.
+   */
+  withTracing(handler) {
+    return (req, res) => getTracer().withSpan(`endpoint ${req.method} ${req.route ? req.route.path : req.path}`, {
+      attributes: { 'http.route': req.route ? req.route.path : undefined }
+    }, async (span) => {
+      await handler(req, res);
+      span.setAttribute('http.status_code', res.statusCode);
+      if (res.statusCode >= 500) span.setStatus(SPAN_STATUS.ERROR);
+    });
+  }
+
   setupRoutes() {
     // Specific payment endpoints (for convenience)
-    this.router.post('/api/v1/payments/initialize', this.handlePaymentInitialize.bind(this));
-    this.router.post('/api/v1/payments/verify', this.handlePaymentVerify.bind(this));
-    this.router.post('/api/v1/payments/customer', this.handleCreateCustomer.bind(this));
+    this.router.post('/api/v1/payments/initialize', this.withTracing(this.withIdempotency(this.handlePaymentInitialize.bind(this))));
+    this.router.post('/api/v1/payments/verify', this.withTracing(this.handlePaymentVerify.bind(this)));
+    this.router.post('/api/v1/payments/customer', this.withTracing(this.withIdempotency(this.handleCreateCustomer.bind(this))));
     
     // Banking endpoints
-    this.router.post('/api/v1/banking/balance', this.handleGetBalance.bind(this));
-    this.router.post('/api/v1/banking/transfer', this.handleTransfer.bind(this));
-    this.router.post('/api/v1/banking/verify-account', this.handleVerifyAccount.bind(this));
+    this.router.post('/api/v1/banking/balance', this.withTracing(this.handleGetBalance.bind(this)));
+    this.router.post('/api/v1/banking/transfer', this.withTracing(this.withIdempotency(this.handleTransfer.bind(this))));
+    this.router.post('/api/v1/banking/verify-account', this.withTracing(this.handleVerifyAccount.bind(this)));
     
     // Infrastructure endpoints
-    this.router.post('/api/v1/infrastructure/tunnel', this.handleCreateTunnel.bind(this));
-    this.router.get('/api/v1/infrastructure/tunnels', this.handleListTunnels.bind(this));
+    this.router.post('/api/v1/infrastructure/tunnel', this.withTracing(this.withIdempotency(this.handleCreateTunnel.bind(this))));
+    this.router.get('/api/v1/infrastructure/tunnels', this.withTracing(this.handleListTunnels.bind(this)));
     
     // Discovery endpoints
-    this.router.get('/api/v1/categories', this.handleGetCategories.bind(this));
-    this.router.get('/api/v1/categories/:category', this.handleGetCategoryInfo.bind(this));
-    this.router.get('/api/v1/categories/:category/schema/:operation', this.handleGetSchema.bind(this));
+    this.router.get('/api/v1/categories', this.withTracing(this.handleGetCategories.bind(this)));
+    this.router.get('/api/v1/categories/:category', this.withTracing(this.handleGetCategoryInfo.bind(this)));
+    this.router.get('/api/v1/categories/:category/schema/:operation', this.withTracing(this.handleGetSchema.bind(this)));
 
     // Internal service endpoints
-    this.router.post('/api/v1/auth/:operation', this.handleAuthOperation.bind(this));
-    this.router.post('/api/v1/ai/:operation', this.handleAIOperation.bind(this));
-    this.router.post('/api/v1/memory/:operation', this.handleMemoryOperation.bind(this));
+    this.router.post('/api/v1/auth/:operation', this.withTracing(this.handleAuthOperation.bind(this)));
+    this.router.post('/api/v1/ai/:operation', this.withTracing(this.handleAIOperation.bind(this)));
+    this.router.post('/api/v1/memory/:operation', this.withTracing(this.handleMemoryOperation.bind(this)));
     // Plural aliases — enterprise-mcp client uses /memories/* and /memories for create
-    this.router.get('/api/v1/memories/:operation', this.handleMemoryOperation.bind(this));
-    this.router.post('/api/v1/memories/:operation', this.handleMemoryOperation.bind(this));
-    this.router.post('/api/v1/memories', (req, res) => { req.params.operation = 'create'; this.handleMemoryOperation(req, res); });
-    this.router.post('/api/v1/intelligence/:operation', this.handleIntelligenceOperation.bind(this));
-    this.router.post('/api/v1/security/:operation', this.handleSecurityOperation.bind(this));
-    this.router.post('/api/v1/verification/:operation', this.handleVerificationOperation.bind(this));
+    this.router.get('/api/v1/memories/:operation', this.withTracing(this.handleMemoryOperation.bind(this)));
+    this.router.post('/api/v1/memories/:operation', this.withTracing(this.handleMemoryOperation.bind(this)));
+    this.router.post('/api/v1/memories', this.withTracing((req, res) => { req.params.operation = 'create'; return this.handleMemoryOperation(req, res); }));
+    this.router.post('/api/v1/intelligence/:operation', this.withTracing(this.handleIntelligenceOperation.bind(this)));
+    this.router.post('/api/v1/security/:operation', this.withTracing(this.handleSecurityOperation.bind(this)));
+    this.router.post('/api/v1/verification/:operation', this.withTracing(this.handleVerificationOperation.bind(this)));
 
     // Generic abstracted endpoint (catch-all): keep last so it doesn't shadow internal/specific routes
-    this.router.post('/api/v1/:category/:operation', this.handleAbstractedCall.bind(this));
+    this.router.post('/api/v1/:category/:operation', this.withTracing(this.withIdempotency(this.handleAbstractedCall.bind(this))));
   }
 
   async handleAbstractedCall(req, res) {
@@ -95,7 +201,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -112,6 +218,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         category: req.params.category,
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
@@ -147,6 +254,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -179,6 +287,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -211,6 +320,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -243,6 +353,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -275,6 +386,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -307,6 +419,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -339,6 +452,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -371,6 +485,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
     }
@@ -411,7 +526,13 @@ class AbstractedAPIEndpoints {
         schemas: operations.reduce((acc, op) => {
           acc[op] = this.abstraction.getClientSchema(category, op);
           return acc;
-        }, {})
+        }, {}),
+        // Canonical result shapes; operations without one return vendor-specific data.
+        responseSchemas: operations.reduce((acc, op) => {
+          acc[op] = this.abstraction.getClientResponseSchema(category, op);
+          return acc;
+        }, {}),
+        routingPolicy: this.abstraction.getRoutingPolicy(category)
       });
     } catch (error) {
       res.status(400).json({
@@ -424,7 +545,7 @@ class AbstractedAPIEndpoints {
   async handleGetSchema(req, res) {
     try {
       const { category, operation } = req.params;
-      const schema = this.abstraction.getClientSchema(category, operation);
+      const schema = this.abstraction.getClientJsonSchema(category, operation);
 
       if (!schema) {
         return res.status(404).json({
@@ -433,11 +554,27 @@ class AbstractedAPIEndpoints {
         });
       }
 
+      const responseSchema = this.abstraction.getClientResponseJsonSchema(category, operation);
+
+      // SDK generators can ask for the bare JSON Schema document (?part=response for the result shape).
+      if (req.accepts(['application/json', 'application/schema+json']) === 'application/schema+json') {
+        const document = req.query.part === 'response' ? responseSchema : schema;
+        if (!document) {
+          return res.status(404).json({
+            success: false,
+            error: `Response schema not found for ${category}/${operation}`
+          });
+        }
+        res.type('application/schema+json');
+        return res.send(JSON.stringify(document));
+      }
+
       res.json({
         success: true,
         category,
         operation,
-        schema
+        schema,
+        responseSchema
       });
     } catch (error) {
       res.status(400).json({
@@ -487,7 +624,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -497,6 +634,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -535,7 +673,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -545,6 +683,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -584,7 +723,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -594,6 +733,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -633,7 +773,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -643,6 +783,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -681,7 +822,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -691,6 +832,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -745,7 +887,7 @@ class AbstractedAPIEndpoints {
         operation,
         data: result.data,
         metadata: {
-          ...result.metadata,
+          ...this.getPublicMetadata(result),
           requestId: req.headers['x-request-id'] || this.generateRequestId(),
           timestamp: new Date().toISOString()
         }
@@ -755,6 +897,7 @@ class AbstractedAPIEndpoints {
         success: false,
         error: error.message,
         code: error.code,
+        ...this.getErrorDetails(error),
         operation: req.params.operation,
         requestId: req.headers['x-request-id'] || this.generateRequestId()
       });
@@ -0,0 +1,103 @@
+/**
+ * Approval Endpoints
+ * Admin API for the high-risk operation approval queue (core/approvals/approval-queue.js).
+ *
+ * GET  /api/v1/approvals?status=pending
+ * GET  /api/v1/approvals/:id
+ * POST /api/v1/approvals/:id/approve   { reason? }
+ * POST /api/v1/approvals/:id/reject    { reason? }
+ */
+
+const express = require('express');
+const ApprovalQueue = require('../core/approvals/approval-queue');
+
+class ApprovalEndpoints {
+  /**
+   * @param {object} options
+   * @param {ApprovalQueue} options.approvals
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, user?: object, principalId?: string }>} options.authorize
+   *   Resolves the approver from the request; approving requires admin access. `principalId` is the
+   *   approver's verified id, compared with the requester's to forbid self-approval.
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.approvals = options.approvals;
+    this.authorize = options.authorize;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.get('/api/v1/approvals', this.withApprover(this.handleList.bind(this)));
+    this.router.get('/api/v1/approvals/:id', this.withApprover(this.handleGet.bind(this)));
+    this.router.post('/api/v1/approvals/:id/approve', this.withApprover(this.handleApprove.bind(this)));
+    this.router.post('/api/v1/approvals/:id/reject', this.withApprover(this.handleReject.bind(this)));
+  }
+
+  withApprover(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        return await handler(req, res, this.buildApprover(req, auth));
+      } catch (error) {
+        const status = typeof error.status === 'number' ? error.status : 500;
+        return res.status(status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+    };
+  }
+
+  buildApprover(req, auth) {
+    const user = auth.user || {};
+    return {
+      id: auth.principalId || user.id || user.sub || user.email || user.user_id || null,
+      reason: req.body && typeof req.body.reason === 'string' ? req.body.reason : null
+    };
+  }
+
+  async handleList(req, res) {
+    const { status } = req.query;
+    if (status && !ApprovalQueue.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${ApprovalQueue.STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+    const approvals = await this.approvals.list({ status });
+    return res.json({ success: true, data: { approvals, count: approvals.length } });
+  }
+
+  async handleGet(req, res) {
+    const approval = await this.approvals.get(req.params.id);
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        error: `Approval not found: ${req.params.id}`,
+        code: 'APPROVAL_NOT_FOUND'
+      });
+    }
+    return res.json({ success: true, data: approval });
+  }
+
+  async handleApprove(req, res, approver) {
+    const approval = await this.approvals.approve(req.params.id, approver);
+    return res.json({ success: true, data: approval });
+  }
+
+  async handleReject(req, res, approver) {
+    const approval = await this.approvals.reject(req.params.id, approver);
+    return res.json({ success: true, data: approval });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = ApprovalEndpoints;
@@ -0,0 +1,118 @@
+/**
+ * Payment Event Endpoints
+ * App-facing access to canonical payment events (core/webhooks/payment-event-stream.js).
+ *
+ * GET /api/v1/payment-events?types=payment.succeeded,refund.processed&after=<event id>&limit=50
+ * GET /api/v1/payment-events/stream?types=payment.succeeded   Server-sent events; honours Last-Event-ID
+ *
+ * Callers only see their own tenant's events (event.tenantId; events without one
+ * belong to the gateway's project), and of those only the ones their tool scopes
+ * grant read access to, matched by provider adapter and category
+ * (`payment:read`, `banking:read`, `paystack`, ...).
+ */
+
+const express = require('express');
+const PaymentEventStream = require('../core/webhooks/payment-event-stream');
+const { isToolAllowed } = require('../core/security/tool-scopes');
+
+class PaymentEventEndpoints {
+  /**
+   * @param {object} options
+   * @param {PaymentEventStream} options.events
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, scopes?: string[], tenantId?: string }>} options.authorize
+   *   Verifies the caller and resolves its scopes (undefined scopes see every event of
+   *   its tenant) and tenant, from verified claims only.
+   * @param {string} options.defaultTenant Tenant of events, and callers, that name none
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.events = options.events;
+    this.authorize = options.authorize;
+    this.defaultTenant = options.defaultTenant;
+    this.keepAliveMs = options.keepAliveMs || 30000;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.get('/api/v1/payment-events', this.withCaller(this.handleList.bind(this)));
+    this.router.get('/api/v1/payment-events/stream', this.withCaller(this.handleStream.bind(this)));
+  }
+
+  withCaller(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      const types = this.parseTypes(req.query.types);
+      const unknown = types.filter((type) => !PaymentEventStream.TYPES.includes(type));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `types must be among: ${PaymentEventStream.TYPES.join(', ')}`,
+          code: 'INVALID_EVENT_TYPE'
+        });
+      }
+      const tenantId = auth.tenantId || this.defaultTenant;
+      return handler(req, res, { types, visible: (event) => this.isVisible(auth.scopes, tenantId, event) });
+    };
+  }
+
+  parseTypes(value) {
+    if (!value) return [];
+    return String(value).split(',').map((type) => type.trim()).filter(Boolean);
+  }
+
+  isVisible(scopes, tenantId, event) {
+    if ((event.tenantId || this.defaultTenant) !== tenantId) return false;
+    return isToolAllowed(scopes, {
+      adapterId: event.adapterId || event.provider,
+      toolName: event.type,
+      category: event.category,
+      access: 'read'
+    });
+  }
+
+  handleList(req, res, { types, visible }) {
+    const limit = parseInt(req.query.limit, 10);
+    const events = this.events
+      .list({ types, after: req.query.after })
+      .filter(visible);
+    const page = limit > 0 ? events.slice(-limit) : events;
+    return res.json({ success: true, data: { events: page, count: page.length } });
+  }
+
+  handleStream(req, res, { types, visible }) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const send = (event) => {
+      if (!visible(event)) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Catch up on what a reconnecting client missed
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      this.events.list({ types, after: lastEventId }).forEach(send);
+    }
+
+    const unsubscribe = this.events.subscribe(types.length > 0 ? types : '*', send);
+    const keepAlive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, this.keepAliveMs);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = PaymentEventEndpoints;
@@ -0,0 +1,129 @@
+/**
+ * Privacy Endpoints
+ * Admin API for GDPR data-subject requests (core/privacy/privacy-request-manager.js).
+ *
+ * POST /api/v1/privacy/requests                  { type: access|export|erasure, subject_id, subject_type? }
+ * GET  /api/v1/privacy/requests?status=failed
+ * GET  /api/v1/privacy/requests/:id
+ * POST /api/v1/privacy/requests/:id/retry
+ * GET  /api/v1/privacy/requests/:id/export       Downloadable export bundle (access/export)
+ * GET  /api/v1/privacy/requests/:id/certificate  Signed completion certificate
+ */
+
+const express = require('express');
+const PrivacyRequestManager = require('../core/privacy/privacy-request-manager');
+
+class PrivacyEndpoints {
+  /**
+   * @param {object} options
+   * @param {PrivacyRequestManager} options.privacy
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, user?: object }>} options.authorize
+   *   Resolves the operator from the request; privacy requests require admin access.
+   * @param {function(): Promise<void>} [options.ready] Resolves once adapters are loaded
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.privacy = options.privacy;
+    this.authorize = options.authorize;
+    this.ready = options.ready || (async () => {});
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.post('/api/v1/privacy/requests', this.withOperator(this.handleSubmit.bind(this)));
+    this.router.get('/api/v1/privacy/requests', this.withOperator(this.handleList.bind(this)));
+    this.router.get('/api/v1/privacy/requests/:id', this.withOperator(this.handleGet.bind(this)));
+    this.router.post('/api/v1/privacy/requests/:id/retry', this.withOperator(this.handleRetry.bind(this)));
+    this.router.get('/api/v1/privacy/requests/:id/export', this.withOperator(this.handleExport.bind(this)));
+    this.router.get('/api/v1/privacy/requests/:id/certificate', this.withOperator(this.handleCertificate.bind(this)));
+  }
+
+  withOperator(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        const user = auth.user || {};
+        return await handler(req, res, user.id || user.sub || user.email || user.user_id || null);
+      } catch (error) {
+        const status = typeof error.status === 'number' ? error.status : 500;
+        return res.status(status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+    };
+  }
+
+  // Hooks act with the adapters' service credentials; the operator's token is not forwarded.
+  buildContext(req) {
+    return {
+      requestId: req.id,
+      headers: req.id ? { 'X-Request-ID': req.id } : {}
+    };
+  }
+
+  async handleSubmit(req, res, operator) {
+    await this.ready();
+    const body = req.body || {};
+    const request = await this.privacy.submit({
+      type: body.type,
+      subjectId: body.subject_id,
+      subjectType: body.subject_type,
+      requestedBy: operator
+    }, this.buildContext(req));
+    return res.status(202).json({ success: true, data: request });
+  }
+
+  async handleList(req, res) {
+    const { status } = req.query;
+    if (status && !PrivacyRequestManager.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${PrivacyRequestManager.STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+    const requests = await this.privacy.list({ status });
+    return res.json({ success: true, data: { requests, count: requests.length } });
+  }
+
+  async handleGet(req, res) {
+    const request = await this.privacy.get(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: `Privacy request not found: ${req.params.id}`,
+        code: 'PRIVACY_REQUEST_NOT_FOUND'
+      });
+    }
+    return res.json({ success: true, data: request });
+  }
+
+  async handleRetry(req, res) {
+    await this.ready();
+    const request = await this.privacy.retry(req.params.id, this.buildContext(req));
+    return res.status(202).json({ success: true, data: request });
+  }
+
+  async handleExport(req, res) {
+    const bundle = await this.privacy.getBundle(req.params.id);
+    res.set('Content-Disposition', `attachment; filename="privacy-export-${bundle.requestId}.json"`);
+    res.set('Cache-Control', 'no-store');
+    return res.json(bundle);
+  }
+
+  async handleCertificate(req, res) {
+    const certificate = await this.privacy.getCertificate(req.params.id);
+    return res.json({ success: true, data: certificate });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = PrivacyEndpoints;
@@ -0,0 +1,127 @@
+/**
+ * Reconciliation Endpoints
+ * Admin API for settlement reconciliation (core/reconciliation/reconciliation-engine.js).
+ *
+ * POST /api/v1/reconciliation/runs                     { from, to, providers? } -> 202, runs in the background
+ * GET  /api/v1/reconciliation/runs?status=partial
+ * GET  /api/v1/reconciliation/runs/:id
+ * GET  /api/v1/reconciliation/runs/:id/report          Per-provider summary with its discrepancies
+ * GET  /api/v1/reconciliation/discrepancies?status=open&provider=paystack&type=amount_mismatch&runId=...
+ * POST /api/v1/reconciliation/discrepancies/:id/resolve { status?: resolved|ignored, notes? }
+ */
+
+const express = require('express');
+const ReconciliationEngine = require('../core/reconciliation/reconciliation-engine');
+
+class ReconciliationEndpoints {
+  /**
+   * @param {object} options
+   * @param {ReconciliationEngine} options.reconciliation
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, user?: object }>} options.authorize
+   *   Resolves the operator from the request; reconciliation requires admin access.
+   * @param {function(): Promise<void>} [options.ready] Resolves once adapters are loaded
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.reconciliation = options.reconciliation;
+    this.authorize = options.authorize;
+    this.ready = options.ready || (async () => {});
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.post('/api/v1/reconciliation/runs', this.withOperator(this.handleStart.bind(this)));
+    this.router.get('/api/v1/reconciliation/runs', this.withOperator(this.handleListRuns.bind(this)));
+    this.router.get('/api/v1/reconciliation/runs/:id', this.withOperator(this.handleGetRun.bind(this)));
+    this.router.get('/api/v1/reconciliation/runs/:id/report', this.withOperator(this.handleReport.bind(this)));
+    this.router.get('/api/v1/reconciliation/discrepancies', this.withOperator(this.handleListDiscrepancies.bind(this)));
+    this.router.post(
+      '/api/v1/reconciliation/discrepancies/:id/resolve',
+      this.withOperator(this.handleResolve.bind(this))
+    );
+  }
+
+  withOperator(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        const user = auth.user || {};
+        return await handler(req, res, user.id || user.sub || user.email || user.user_id || null);
+      } catch (error) {
+        const status = typeof error.status === 'number' ? error.status : 500;
+        return res.status(status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+    };
+  }
+
+  invalidFilter(res, field, allowed) {
+    return res.status(400).json({
+      success: false,
+      error: `${field} must be one of: ${allowed.join(', ')}`,
+      code: `INVALID_${field.toUpperCase()}`
+    });
+  }
+
+  async handleStart(req, res) {
+    await this.ready();
+    const { from, to, providers } = req.body || {};
+    const run = await this.reconciliation.start({
+      from,
+      to,
+      providers: typeof providers === 'string' ? providers.split(',').map((p) => p.trim()).filter(Boolean) : providers
+    });
+    return res.status(202).json({ success: true, data: run });
+  }
+
+  async handleListRuns(req, res) {
+    const { status } = req.query;
+    if (status && !ReconciliationEngine.STATUSES.includes(status)) {
+      return this.invalidFilter(res, 'status', ReconciliationEngine.STATUSES);
+    }
+    const runs = await this.reconciliation.listRuns({ status });
+    return res.json({ success: true, data: { runs, count: runs.length } });
+  }
+
+  async handleGetRun(req, res) {
+    return res.json({ success: true, data: await this.reconciliation.getRun(req.params.id) });
+  }
+
+  async handleReport(req, res) {
+    return res.json({ success: true, data: await this.reconciliation.getReport(req.params.id) });
+  }
+
+  async handleListDiscrepancies(req, res) {
+    const { status, provider, type, runId } = req.query;
+    if (status && !ReconciliationEngine.DISCREPANCY_STATUSES.includes(status)) {
+      return this.invalidFilter(res, 'status', ReconciliationEngine.DISCREPANCY_STATUSES);
+    }
+    if (type && !ReconciliationEngine.TYPES.includes(type)) {
+      return this.invalidFilter(res, 'type', ReconciliationEngine.TYPES);
+    }
+    const discrepancies = await this.reconciliation.listDiscrepancies({ status, provider, type, runId });
+    return res.json({ success: true, data: { discrepancies, count: discrepancies.length } });
+  }
+
+  async handleResolve(req, res, operator) {
+    const { status, notes } = req.body || {};
+    const discrepancy = await this.reconciliation.resolveDiscrepancy(req.params.id, {
+      status,
+      notes,
+      resolvedBy: operator
+    });
+    return res.json({ success: true, data: discrepancy });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = ReconciliationEndpoints;
@@ -0,0 +1,130 @@
+/**
+ * Version Endpoints
+ * Admin API for service version lifecycles (core/versioning/version-manager.js).
+ *
+ * GET    /api/v1/versions                                         Services and their versions
+ * GET    /api/v1/versions/:serviceId                              Versions and getVersionStats()
+ * GET    /api/v1/versions/:serviceId/compatibility                getCompatibilityMatrix()
+ * POST   /api/v1/versions/:serviceId/:version/deprecate           { reason }
+ * DELETE /api/v1/versions/:serviceId/:version?force=true          Remove after the deprecation window
+ * GET    /api/v1/versions/:serviceId/snapshots                    Migration snapshots
+ * DELETE /api/v1/versions/:serviceId/snapshots/:fromVersion/:toVersion
+ */
+
+const express = require('express');
+
+class VersionEndpoints {
+  /**
+   * @param {object} options
+   * @param {VersionManager} options.versions
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, user?: object }>} options.authorize
+   *   Resolves the operator from the request; version changes require admin access.
+   * @param {function(): Promise<void>} [options.ready] Resolves once persisted version state is restored
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.versions = options.versions;
+    this.authorize = options.authorize;
+    this.ready = options.ready || (async () => {});
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.get('/api/v1/versions', this.withOperator(this.handleList.bind(this)));
+    this.router.get('/api/v1/versions/:serviceId', this.withOperator(this.handleGet.bind(this)));
+    this.router.get('/api/v1/versions/:serviceId/compatibility', this.withOperator(this.handleCompatibility.bind(this)));
+    this.router.get('/api/v1/versions/:serviceId/snapshots', this.withOperator(this.handleSnapshots.bind(this)));
+    this.router.delete(
+      '/api/v1/versions/:serviceId/snapshots/:fromVersion/:toVersion',
+      this.withOperator(this.handleClearSnapshots.bind(this))
+    );
+    this.router.post('/api/v1/versions/:serviceId/:version/deprecate', this.withOperator(this.handleDeprecate.bind(this)));
+    this.router.delete('/api/v1/versions/:serviceId/:version', this.withOperator(this.handleRemove.bind(this)));
+  }
+
+  withOperator(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        await this.ready();
+        const user = auth.user || {};
+        return await handler(req, res, user.id || user.sub || user.email || user.user_id || null);
+      } catch (error) {
+        const status = typeof error.status === 'number' ? error.status : 500;
+        return res.status(status).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          ...(error.meta || {})
+        });
+      }
+    };
+  }
+
+  async handleList(req, res) {
+    const services = this.versions.getServiceIds().map((serviceId) => ({
+      serviceId,
+      versions: this.versions.listVersions(serviceId)
+    }));
+    return res.json({ success: true, data: { services, count: services.length } });
+  }
+
+  async handleGet(req, res) {
+    const { serviceId } = req.params;
+    const stats = this.versions.getVersionStats(serviceId);
+    return res.json({
+      success: true,
+      data: { serviceId, versions: this.versions.listVersions(serviceId), stats }
+    });
+  }
+
+  async handleCompatibility(req, res) {
+    const { serviceId } = req.params;
+    const matrix = this.versions.getCompatibilityMatrix(serviceId);
+    return res.json({ success: true, data: { serviceId, matrix } });
+  }
+
+  async handleDeprecate(req, res, operator) {
+    const { serviceId, version } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'reason is required', code: 'REASON_REQUIRED' });
+    }
+    this.versions.deprecateVersion(serviceId, version, reason, { actor: operator });
+    await this.versions.flush();
+    const summary = this.versions.listVersions(serviceId).find((entry) => entry.version === version);
+    return res.json({ success: true, data: { serviceId, ...summary } });
+  }
+
+  async handleRemove(req, res, operator) {
+    const { serviceId, version } = req.params;
+    this.versions.removeVersion(serviceId, version, {
+      force: req.query.force === 'true',
+      actor: operator
+    });
+    await this.versions.flush();
+    return res.json({ success: true, data: { serviceId, version, removed: true } });
+  }
+
+  async handleSnapshots(req, res) {
+    const { serviceId } = req.params;
+    const snapshots = this.versions.getSnapshots(serviceId);
+    return res.json({ success: true, data: { serviceId, snapshots, count: snapshots.length } });
+  }
+
+  async handleClearSnapshots(req, res, operator) {
+    const { serviceId, fromVersion, toVersion } = req.params;
+    const cleared = this.versions.clearSnapshots(serviceId, fromVersion, toVersion, { actor: operator });
+    await this.versions.flush();
+    return res.json({ success: true, data: { serviceId, fromVersion, toVersion, cleared } });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = VersionEndpoints;
@@ -0,0 +1,142 @@
+/**
+ * Webhook Delivery Endpoints
+ * Tenant API over outbound webhooks (core/webhooks/webhook-delivery.js). Every
+ * route is scoped to the caller's tenant; other tenants' endpoints and
+ * deliveries are reported as not found.
+ *
+ * POST   /api/v1/webhooks/endpoints                   { url, events?, description? } -> includes the signing secret
+ * GET    /api/v1/webhooks/endpoints
+ * GET    /api/v1/webhooks/endpoints/:id
+ * PATCH  /api/v1/webhooks/endpoints/:id               { url?, events?, description?, enabled? }
+ * DELETE /api/v1/webhooks/endpoints/:id
+ * POST   /api/v1/webhooks/endpoints/:id/rotate-secret
+ * GET    /api/v1/webhooks/deliveries?endpointId=...&status=pending
+ * GET    /api/v1/webhooks/deliveries/:id
+ * GET    /api/v1/webhooks/deliveries/:id/attempts     Delivery-attempt log
+ * GET    /api/v1/webhooks/dead-letters
+ * POST   /api/v1/webhooks/deliveries/:id/replay       Re-queue a dead-lettered delivery
+ */
+
+const express = require('express');
+const WebhookDeliveryService = require('../core/webhooks/webhook-delivery');
+
+class WebhookDeliveryEndpoints {
+  /**
+   * @param {object} options
+   * @param {WebhookDeliveryService} options.delivery
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string, tenantId?: string }>} options.authorize
+   *   Verifies the caller and resolves its tenant.
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.delivery = options.delivery;
+    this.authorize = options.authorize;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    const route = (handler) => this.withTenant(handler.bind(this));
+    this.router.post('/api/v1/webhooks/endpoints', route(this.handleRegister));
+    this.router.get('/api/v1/webhooks/endpoints', route(this.handleListEndpoints));
+    this.router.get('/api/v1/webhooks/endpoints/:id', route(this.handleGetEndpoint));
+    this.router.patch('/api/v1/webhooks/endpoints/:id', route(this.handleUpdateEndpoint));
+    this.router.delete('/api/v1/webhooks/endpoints/:id', route(this.handleRemoveEndpoint));
+    this.router.post('/api/v1/webhooks/endpoints/:id/rotate-secret', route(this.handleRotateSecret));
+    this.router.get('/api/v1/webhooks/deliveries', route(this.handleListDeliveries));
+    this.router.get('/api/v1/webhooks/deliveries/:id', route(this.handleGetDelivery));
+    this.router.get('/api/v1/webhooks/deliveries/:id/attempts', route(this.handleListAttempts));
+    this.router.post('/api/v1/webhooks/deliveries/:id/replay', route(this.handleReplay));
+    this.router.get('/api/v1/webhooks/dead-letters', route(this.handleListDeadLetters));
+  }
+
+  withTenant(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        return await handler(req, res, auth.tenantId);
+      } catch (error) {
+        return this.sendError(res, error);
+      }
+    };
+  }
+
+  sendError(res, error) {
+    const status = typeof error.status === 'number' ? error.status : 500;
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  async handleRegister(req, res, tenantId) {
+    const { url, events, description } = req.body || {};
+    const endpoint = await this.delivery.registerEndpoint(tenantId, { url, events, description });
+    return res.status(201).json({ success: true, data: endpoint });
+  }
+
+  async handleListEndpoints(req, res, tenantId) {
+    const endpoints = await this.delivery.listEndpoints(tenantId);
+    return res.json({ success: true, data: { endpoints, count: endpoints.length } });
+  }
+
+  async handleGetEndpoint(req, res, tenantId) {
+    return res.json({ success: true, data: await this.delivery.getEndpoint(tenantId, req.params.id) });
+  }
+
+  async handleUpdateEndpoint(req, res, tenantId) {
+    const { url, events, description, enabled } = req.body || {};
+    const endpoint = await this.delivery.updateEndpoint(tenantId, req.params.id, { url, events, description, enabled });
+    return res.json({ success: true, data: endpoint });
+  }
+
+  async handleRemoveEndpoint(req, res, tenantId) {
+    await this.delivery.removeEndpoint(tenantId, req.params.id);
+    return res.json({ success: true, data: { id: req.params.id, removed: true } });
+  }
+
+  async handleRotateSecret(req, res, tenantId) {
+    return res.json({ success: true, data: await this.delivery.rotateSecret(tenantId, req.params.id) });
+  }
+
+  async handleListDeliveries(req, res, tenantId) {
+    const { endpointId, status } = req.query;
+    if (status && !WebhookDeliveryService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${WebhookDeliveryService.STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+    const deliveries = await this.delivery.listDeliveries(tenantId, { endpointId, status });
+    return res.json({ success: true, data: { deliveries, count: deliveries.length } });
+  }
+
+  async handleGetDelivery(req, res, tenantId) {
+    return res.json({ success: true, data: await this.delivery.getDelivery(tenantId, req.params.id) });
+  }
+
+  async handleListAttempts(req, res, tenantId) {
+    const attempts = await this.delivery.listAttempts(tenantId, req.params.id);
+    return res.json({ success: true, data: { attempts, count: attempts.length } });
+  }
+
+  async handleListDeadLetters(req, res, tenantId) {
+    const deliveries = await this.delivery.listDeadLetters(tenantId);
+    return res.json({ success: true, data: { deliveries, count: deliveries.length } });
+  }
+
+  async handleReplay(req, res, tenantId) {
+    const delivery = await this.delivery.replay(tenantId, req.params.id);
+    return res.status(202).json({ success: true, data: delivery });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = WebhookDeliveryEndpoints;
@@ -0,0 +1,113 @@
+/**
+ * Webhook Endpoints
+ * Provider webhook ingress plus an admin API over received events
+ * (core/webhooks/webhook-ingress.js).
+ *
+ * POST /webhooks/:provider                        Provider deliveries; authenticated by signature only
+ * GET  /api/v1/webhooks/events?provider=paystack&status=failed
+ * GET  /api/v1/webhooks/events/:id
+ * POST /api/v1/webhooks/events/:id/retry          Process a failed event again
+ */
+
+const express = require('express');
+const WebhookIngress = require('../core/webhooks/webhook-ingress');
+
+class WebhookEndpoints {
+  /**
+   * @param {object} options
+   * @param {WebhookIngress} options.ingress
+   * @param {function(object): Promise<{ ok: boolean, status?: number, error?: string }>} options.authorize
+   *   Guards the admin routes; the ingress route is verified by provider signature instead.
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.ingress = options.ingress;
+    this.authorize = options.authorize;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Bodies the JSON parser skipped (no JSON content type) still arrive as raw bytes
+    this.router.post(
+      '/webhooks/:provider',
+      express.raw({ type: () => true, limit: '1mb' }),
+      this.handleDelivery.bind(this)
+    );
+    this.router.get('/api/v1/webhooks/events', this.withOperator(this.handleList.bind(this)));
+    this.router.get('/api/v1/webhooks/events/:id', this.withOperator(this.handleGet.bind(this)));
+    this.router.post('/api/v1/webhooks/events/:id/retry', this.withOperator(this.handleRetry.bind(this)));
+  }
+
+  withOperator(handler) {
+    return async (req, res) => {
+      const auth = await this.authorize(req);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+      try {
+        return await handler(req, res);
+      } catch (error) {
+        return this.sendError(res, error);
+      }
+    };
+  }
+
+  sendError(res, error) {
+    const status = typeof error.status === 'number' ? error.status : 500;
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  // Acknowledge as soon as the event is stored; the adapter processes it afterwards.
+  async handleDelivery(req, res) {
+    try {
+      const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : undefined);
+      const { duplicate, event } = await this.ingress.receive(req.params.provider, {
+        headers: req.headers,
+        rawBody
+      });
+      return res.json({ received: true, duplicate, id: event.id });
+    } catch (error) {
+      return this.sendError(res, error);
+    }
+  }
+
+  async handleList(req, res) {
+    const { provider, status } = req.query;
+    if (status && !WebhookIngress.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${WebhookIngress.STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+    const events = await this.ingress.list({ provider, status });
+    return res.json({ success: true, data: { events, count: events.length } });
+  }
+
+  async handleGet(req, res) {
+    const event = await this.ingress.get(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook event not found: ${req.params.id}`,
+        code: 'WEBHOOK_EVENT_NOT_FOUND'
+      });
+    }
+    return res.json({ success: true, data: event });
+  }
+
+  async handleRetry(req, res) {
+    const event = await this.ingress.retry(req.params.id);
+    return res.status(202).json({ success: true, data: event });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = WebhookEndpoints;
@@ -0,0 +1,121 @@
+/**
+ * Error Taxonomy
+ * Classifies vendor failures into stable, vendor-agnostic error types.
+ *
+ * Vendor configs may declare `errors: [{ type, codes, pattern, statuses, retryable }]`
+ * rules; those are consulted before the generic rules below.
+ */
+
+'use strict';
+
+const ERROR_TYPES = {
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  INVALID_ACCOUNT: 'invalid_account',
+  DUPLICATE_REFERENCE: 'duplicate_reference',
+  RATE_LIMITED: 'rate_limited',
+  VENDOR_UNAVAILABLE: 'vendor_unavailable',
+  AUTH_FAILED: 'auth_failed',
+  VALIDATION_FAILED: 'validation_failed'
+};
+
+// HTTP status returned to clients and whether retrying the same request later can succeed.
+// auth_failed is the gateway's vendor credentials, not the caller's, hence 502.
+const TYPE_DEFAULTS = {
+  insufficient_funds: { status: 402, retryable: false },
+  invalid_account: { status: 422, retryable: false },
+  duplicate_reference: { status: 409, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  vendor_unavailable: { status: 503, retryable: true },
+  auth_failed: { status: 502, retryable: false },
+  validation_failed: { status: 400, retryable: false }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Failures that are certain to have happened before the request reached the vendor.
+// A reset or timeout is not among them: the vendor may already have acted.
+const PRE_SEND_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'TOOL_NOT_FOUND', 'ADAPTER_NOT_EXECUTABLE'];
+
+const GENERIC_RULES = [
+  { type: ERROR_TYPES.INSUFFICIENT_FUNDS, codes: ['insufficient_funds'], pattern: /insufficient\s+(funds|balance)/i },
+  { type: ERROR_TYPES.DUPLICATE_REFERENCE, pattern: /duplicate\s+(transaction\s+)?reference|reference\s+already\s+exists/i },
+  { type: ERROR_TYPES.INVALID_ACCOUNT, pattern: /invalid\s+account|account\s+(not\s+found|does\s+not\s+exist)|could\s+not\s+resolve\s+account/i },
+  { type: ERROR_TYPES.AUTH_FAILED, pattern: /invalid\s+(api\s+|secret\s+)?key|unauthori[sz]ed|authentication\s+failed/i },
+  { type: ERROR_TYPES.RATE_LIMITED, pattern: /rate\s+limit|too\s+many\s+requests/i },
+  { type: ERROR_TYPES.VENDOR_UNAVAILABLE, codes: NETWORK_ERROR_CODES, pattern: /circuit\s+breaker\s+is\s+open|timeout|service\s+unavailable/i },
+  // Gateway-side mapping problems: the vendor is unusable, but retrying will not help.
+  { type: ERROR_TYPES.VENDOR_UNAVAILABLE, codes: ['TOOL_NOT_FOUND', 'ADAPTER_NOT_EXECUTABLE'], retryable: false }
+];
+
+const getStatus = (err) => (err && ((err.response && err.response.status) || err.statusCode)) || null;
+
+/**
+ * Vendor code/message as reported upstream (response body first, then the thrown error).
+ */
+const extractVendorDetails = (err) => {
+  const body = (err && err.response && err.response.data) || {};
+  const nested = body && typeof body.error === 'object' ? body.error : {};
+  const code = nested.decline_code || nested.code || body.code || (err && err.code) || null;
+  const message = nested.message || body.message || (typeof body.error === 'string' ? body.error : null) || (err && err.message) || null;
+  return {
+    code: code !== null ? String(code) : null,
+    message,
+    status: getStatus(err)
+  };
+};
+
+const matchesRule = (rule, details) => {
+  if (rule.statuses && !rule.statuses.includes(details.status)) return false;
+  if (rule.codes && details.code && rule.codes.includes(details.code)) return true;
+  if (rule.pattern && details.message && rule.pattern.test(details.message)) return true;
+  return !rule.codes && !rule.pattern && !!rule.statuses;
+};
+
+const isPreSendError = (err) => !!err && (
+  PRE_SEND_ERROR_CODES.includes(err.code) ||
+  (typeof err.message === 'string' && /circuit\s+breaker\s+is\s+open/i.test(err.message))
+);
+
+const classifyByStatus = (status) => {
+  if (status === 401 || status === 403) return ERROR_TYPES.AUTH_FAILED;
+  if (status === 409) return ERROR_TYPES.DUPLICATE_REFERENCE;
+  if (status === 429) return ERROR_TYPES.RATE_LIMITED;
+  if (status >= 500) return ERROR_TYPES.VENDOR_UNAVAILABLE;
+  if (status >= 400) return ERROR_TYPES.VALIDATION_FAILED;
+  return null;
+};
+
+/**
+ * Classify a vendor error.
+ *
+ * @param {Error} err Error thrown by the adapter call
+ * @param {Array<object>} [vendorRules] Vendor-specific rules from the vendor config
+ * `retryable` says whether the same request can succeed later; `preSend` says the
+ * vendor never received it, so another vendor can be tried whatever the operation.
+ *
+ * @returns {{ type: string, status: number, retryable: boolean, preSend: boolean, vendorCode: string|null, vendorMessage: string|null, vendorStatus: number|null }}
+ */
+const classifyVendorError = (err, vendorRules = []) => {
+  const details = extractVendorDetails(err);
+  const rule = [...vendorRules, ...GENERIC_RULES].find((candidate) => matchesRule(candidate, details));
+  // Unrecognized failures without an upstream status are treated as the vendor being unavailable.
+  const type = (rule && rule.type) || classifyByStatus(details.status) || ERROR_TYPES.VENDOR_UNAVAILABLE;
+
+  return {
+    type,
+    ...TYPE_DEFAULTS[type],
+    ...(rule && typeof rule.retryable === 'boolean' && { retryable: rule.retryable }),
+    preSend: isPreSendError(err),
+    vendorCode: details.code,
+    vendorMessage: details.message,
+    vendorStatus: details.status
+  };
+};
+
+module.exports = {
+  ERROR_TYPES,
+  TYPE_DEFAULTS,
+  classifyVendorError,
+  extractVendorDetails,
+  isPreSendError
+};
@@ -0,0 +1,140 @@
+/**
+ * Response Normalizers
+ * Canonical result shapes for abstracted operations and the helpers vendor
+ * `transformResponse` functions use to produce them.
+ */
+
+'use strict';
+
+// ISO 4217 currencies without a minor unit.
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG',
+  'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+
+const TRANSACTION_STATUSES = ['pending', 'succeeded', 'failed', 'abandoned', 'reversed'];
+
+const CANONICAL_SCHEMAS = {
+  paymentSession: {
+    type: 'object',
+    properties: {
+      reference: { type: 'string' },
+      status: { type: 'string', enum: TRANSACTION_STATUSES },
+      checkoutUrl: { type: ['string', 'null'], format: 'uri' },
+      accessCode: { type: ['string', 'null'] },
+      clientSecret: { type: ['string', 'null'] },
+      amount: { type: ['integer', 'null'], description: 'Amount in minor units' },
+      currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' }
+    },
+    required: ['reference', 'status', 'checkoutUrl']
+  },
+  transaction: {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'null'] },
+      reference: { type: 'string' },
+      status: { type: 'string', enum: TRANSACTION_STATUSES },
+      amount: { type: 'integer', description: 'Amount in minor units' },
+      currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+      paidAt: { type: ['string', 'null'], format: 'date-time' },
+      customer: {
+        type: 'object',
+        properties: {
+          email: { type: ['string', 'null'] },
+          name: { type: ['string', 'null'] },
+          phone: { type: ['string', 'null'] }
+        },
+        required: ['email']
+      }
+    },
+    required: ['reference', 'status', 'amount', 'currency', 'paidAt', 'customer']
+  },
+  customer: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      email: { type: ['string', 'null'] },
+      name: { type: ['string', 'null'] },
+      phone: { type: ['string', 'null'] }
+    },
+    required: ['id', 'email']
+  },
+  accountVerification: {
+    type: 'object',
+    properties: {
+      accountNumber: { type: 'string' },
+      accountName: { type: ['string', 'null'] },
+      bankCode: { type: 'string' },
+      verified: { type: 'boolean' }
+    },
+    required: ['accountNumber', 'accountName', 'bankCode', 'verified']
+  }
+};
+
+/**
+ * Strip vendor/edge envelopes: { status, message, data: {...} } (possibly nested).
+ */
+const unwrap = (payload) => {
+  let current = payload;
+  for (let depth = 0; depth < 3; depth++) {
+    if (current && typeof current === 'object' && current.data && typeof current.data === 'object' && !Array.isArray(current.data)) {
+      current = current.data;
+    } else {
+      break;
+    }
+  }
+  return current || {};
+};
+
+const normalizeCurrency = (currency) => (currency ? currency.toString().toUpperCase() : null);
+
+const toMinorUnits = (amount, currency) => {
+  if (amount === undefined || amount === null || amount === '') return null;
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return null;
+  return ZERO_DECIMAL_CURRENCIES.has(normalizeCurrency(currency)) ? Math.round(value) : Math.round(value * 100);
+};
+
+const toInteger = (amount) => {
+  if (amount === undefined || amount === null || amount === '') return null;
+  const value = Number(amount);
+  return Number.isFinite(value) ? Math.round(value) : null;
+};
+
+const toIsoDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  // Unix seconds (Stripe) vs ISO strings (Paystack/Flutterwave)
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const STATUS_ALIASES = {
+  success: 'succeeded',
+  successful: 'succeeded',
+  succeeded: 'succeeded',
+  completed: 'succeeded',
+  failed: 'failed',
+  error: 'failed',
+  declined: 'failed',
+  abandoned: 'abandoned',
+  cancelled: 'abandoned',
+  canceled: 'abandoned',
+  reversed: 'reversed',
+  refunded: 'reversed'
+};
+
+const mapStatus = (status) => STATUS_ALIASES[(status || '').toString().toLowerCase()] || 'pending';
+
+const nullable = (value) => (value === undefined || value === '' ? null : value);
+
+module.exports = {
+  CANONICAL_SCHEMAS,
+  TRANSACTION_STATUSES,
+  unwrap,
+  normalizeCurrency,
+  toMinorUnits,
+  toInteger,
+  toIsoDate,
+  mapStatus,
+  nullable
+};
@@ -0,0 +1,297 @@
+/**
+ * Routing Policy Engine
+ * Declarative vendor selection for abstraction categories (rules, weights, tenant overrides)
+ *
+ * Policy shape (per category):
+ * {
+ *   "weights": { "paystack": 80, "flutterwave": 20 },
+ *   "rules": [
+ *     { "name": "usd-to-stripe", "operations": ["initializeTransaction"],
+ *       "when": { "currency": ["USD"] }, "vendors": ["stripe"] }
+ *   ],
+ *   "operations": { "<operation>": { "weights": {...}, "rules": [...] } },
+ *   "tenants": { "<tenantId>": { "weights": {...}, "rules": [...], "operations": {...} } }
+ * }
+ *
+ * Rules are evaluated before weights; the first matching rule wins. Tenant-level
+ * entries are consulted before category-level ones, and operation-level entries
+ * before their enclosing scope.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const createPolicyError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_ROUTING_POLICY';
+  return err;
+};
+
+class RoutingPolicyEngine {
+  /**
+   * @param {object} [policies] category -> policy
+   * @param {object} [options]
+   * @param {function} [options.random] Random source in [0, 1) (injectable for tests)
+   */
+  constructor(policies = {}, options = {}) {
+    this.policies = new Map();
+    this.random = typeof options.random === 'function' ? options.random : Math.random;
+    this.source = null;
+
+    for (const [category, policy] of Object.entries(policies || {})) {
+      this.setPolicy(category, policy);
+    }
+  }
+
+  /**
+   * Load policies from a JSON file, replacing any previously loaded ones.
+   */
+  loadFromFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw createPolicyError(`Failed to read routing policies from ${filePath}: ${error.message}`);
+    }
+
+    const categories = parsed && typeof parsed.categories === 'object' ? parsed.categories : parsed;
+    this.policies.clear();
+    for (const [category, policy] of Object.entries(categories || {})) {
+      this.setPolicy(category, policy);
+    }
+    this.source = filePath;
+    return this;
+  }
+
+  setPolicy(category, policy) {
+    this.validatePolicy(category, policy);
+    this.policies.set(category, policy);
+  }
+
+  removePolicy(category) {
+    return this.policies.delete(category);
+  }
+
+  getPolicy(category) {
+    return this.policies.get(category) || null;
+  }
+
+  validatePolicy(category, policy, scope = category) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw createPolicyError(`Routing policy for ${scope} must be an object`);
+    }
+
+    if (policy.weights !== undefined) this.validateWeights(policy.weights, `${scope}.weights`);
+
+    if (policy.rules !== undefined) {
+      if (!Array.isArray(policy.rules)) {
+        throw createPolicyError(`${scope}.rules must be an array`);
+      }
+      policy.rules.forEach((rule, index) => this.validateRule(rule, `${scope}.rules[${index}]`));
+    }
+
+    if (policy.operations !== undefined) {
+      for (const [operation, opPolicy] of Object.entries(policy.operations)) {
+        if (opPolicy && (opPolicy.tenants || opPolicy.operations)) {
+          throw createPolicyError(`${scope}.operations.${operation} cannot nest tenants or operations`);
+        }
+        this.validatePolicy(category, opPolicy, `${scope}.operations.${operation}`);
+      }
+    }
+
+    if (policy.tenants !== undefined) {
+      if (scope !== category) {
+        throw createPolicyError(`${scope}.tenants is only allowed at category level`);
+      }
+      for (const [tenant, tenantPolicy] of Object.entries(policy.tenants)) {
+        if (tenantPolicy && tenantPolicy.tenants) {
+          throw createPolicyError(`${scope}.tenants.${tenant} cannot nest tenants`);
+        }
+        this.validatePolicy(category, tenantPolicy, `${scope}.tenants.${tenant}`);
+      }
+    }
+  }
+
+  validateWeights(weights, scope) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw createPolicyError(`${scope} must map vendor names to numbers`);
+    }
+    for (const [vendor, weight] of Object.entries(weights)) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw createPolicyError(`${scope}.${vendor} must be a non-negative number`);
+      }
+    }
+  }
+
+  validateRule(rule, scope) {
+    if (!rule || typeof rule !== 'object') {
+      throw createPolicyError(`${scope} must be an object`);
+    }
+    if (!Array.isArray(rule.vendors) && !rule.weights) {
+      throw createPolicyError(`${scope} must declare vendors or weights`);
+    }
+    if (rule.vendors !== undefined && (!Array.isArray(rule.vendors) || rule.vendors.length === 0)) {
+      throw createPolicyError(`${scope}.vendors must be a non-empty array`);
+    }
+    if (rule.weights !== undefined) this.validateWeights(rule.weights, `${scope}.weights`);
+
+    const when = rule.when || {};
+    if (when.amount !== undefined) {
+      const { min, max } = when.amount || {};
+      if ((min !== undefined && typeof min !== 'number') || (max !== undefined && typeof max !== 'number')) {
+        throw createPolicyError(`${scope}.when.amount min/max must be numbers`);
+      }
+    }
+  }
+
+  /**
+   * Every vendor name referenced by a category policy (used to reject typos).
+   */
+  listReferencedVendors(category) {
+    const policy = this.policies.get(category);
+    const names = new Set();
+    const collect = (scope) => {
+      if (!scope) return;
+      Object.keys(scope.weights || {}).forEach((vendor) => names.add(vendor));
+      (scope.rules || []).forEach((rule) => {
+        (rule.vendors || []).forEach((vendor) => names.add(vendor));
+        Object.keys(rule.weights || {}).forEach((vendor) => names.add(vendor));
+      });
+      Object.values(scope.operations || {}).forEach(collect);
+      Object.values(scope.tenants || {}).forEach(collect);
+    };
+    collect(policy);
+    return Array.from(names);
+  }
+
+  matchesRule(rule, operation, input = {}, context = {}) {
+    if (Array.isArray(rule.operations) && !rule.operations.includes(operation)) return false;
+
+    const when = rule.when || {};
+
+    if (when.currency !== undefined) {
+      const currency = (input.currency || '').toString().toUpperCase();
+      const allowed = toList(when.currency).map((c) => c.toString().toUpperCase());
+      if (!allowed.includes(currency)) return false;
+    }
+
+    if (when.country !== undefined) {
+      const country = (input.country || context.country || '').toString().toUpperCase();
+      const allowed = toList(when.country).map((c) => c.toString().toUpperCase());
+      if (!allowed.includes(country)) return false;
+    }
+
+    if (when.amount !== undefined) {
+      const amount = input.amount;
+      if (typeof amount !== 'number') return false;
+      if (when.amount.min !== undefined && amount < when.amount.min) return false;
+      if (when.amount.max !== undefined && amount > when.amount.max) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Order vendors by weighted random draws without replacement.
+   * Vendors with weight 0 (or missing) are left out.
+   */
+  orderByWeight(weights, candidates) {
+    const pool = candidates
+      .filter((vendor) => (weights[vendor] || 0) > 0)
+      .map((vendor) => ({ vendor, weight: weights[vendor] }));
+    const ordered = [];
+
+    while (pool.length > 0) {
+      const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+      let draw = this.random() * total;
+      let index = pool.findIndex((entry) => {
+        draw -= entry.weight;
+        return draw < 0;
+      });
+      if (index === -1) index = pool.length - 1;
+      ordered.push(pool[index].vendor);
+      pool.splice(index, 1);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Scopes to consult, most specific first.
+   */
+  getScopes(category, operation, tenantId) {
+    const policy = this.policies.get(category);
+    if (!policy) return [];
+
+    const tenantPolicy = tenantId && policy.tenants ? policy.tenants[tenantId] : null;
+    const scopes = [];
+    if (tenantPolicy) {
+      if (tenantPolicy.operations && tenantPolicy.operations[operation]) {
+        scopes.push({ level: `tenant:${tenantId}:${operation}`, policy: tenantPolicy.operations[operation] });
+      }
+      scopes.push({ level: `tenant:${tenantId}`, policy: tenantPolicy });
+    }
+    if (policy.operations && policy.operations[operation]) {
+      scopes.push({ level: `operation:${operation}`, policy: policy.operations[operation] });
+    }
+    scopes.push({ level: 'category', policy });
+    return scopes;
+  }
+
+  /**
+   * Decide vendor order for a call.
+   *
+   * @param {string} category
+   * @param {string} operation
+   * @param {string[]} candidates Vendors that map the operation, in registration order
+   * @param {object} [input] Validated client input (currency/amount/country predicates)
+   * @param {object} [context] Request context (tenantId from verified claims, country)
+   * @returns {{ vendors: string[], strategy: string, rule: string|null, scope: string|null }}
+   */
+  selectVendors(category, operation, candidates, input = {}, context = {}) {
+    // Never the client's X-Project-Scope header: tenant overrides follow verified identity only.
+    const tenantId = context.tenantId || null;
+    const scopes = this.getScopes(category, operation, tenantId);
+    const withFallback = (primary, fallback) => (
+      fallback ? [...primary, ...candidates.filter((vendor) => !primary.includes(vendor))] : primary
+    );
+
+    for (const { level, policy } of scopes) {
+      for (const [index, rule] of (policy.rules || []).entries()) {
+        if (!this.matchesRule(rule, operation, input, context)) continue;
+
+        const primary = rule.vendors
+          ? rule.vendors.filter((vendor) => candidates.includes(vendor))
+          : this.orderByWeight(rule.weights, candidates);
+        return {
+          vendors: withFallback(primary, rule.fallback === true),
+          strategy: 'rule',
+          rule: rule.name || `${level}#${index}`,
+          scope: level
+        };
+      }
+    }
+
+    for (const { level, policy } of scopes) {
+      if (!policy.weights) continue;
+      return {
+        vendors: withFallback(this.orderByWeight(policy.weights, candidates), policy.fallback !== false),
+        strategy: 'weighted',
+        rule: null,
+        scope: level
+      };
+    }
+
+    return { vendors: candidates, strategy: 'default', rule: null, scope: null };
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.policies);
+  }
+}
+
+module.exports = RoutingPolicyEngine;
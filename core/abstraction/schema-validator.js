@@ -0,0 +1,149 @@
+/**
+ * Schema Validator
+ * JSON Schema (draft 2020-12) validation for abstraction client schemas
+ */
+
+'use strict';
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// "/messages/0/role" -> "messages[0].role" (matches the legacy error wording)
+const pointerToFieldPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((acc, segment) => (
+    /^\d+$/.test(segment) ? `${acc}[${segment}]` : (acc ? `${acc}.${segment}` : segment)
+  ), '');
+
+const getAtPointer = (data, pointer) => pointer
+  .split('/')
+  .slice(1)
+  .reduce((acc, segment) => (acc == null ? acc : acc[segment.replace(/~1/g, '/').replace(/~0/g, '~')]), data);
+
+/**
+ * Convert a legacy field-map schema ({ field: { type, required, default } })
+ * into an object JSON Schema. Schemas that already declare
+ * `type: 'object'` with `properties` are returned unchanged.
+ */
+const toJsonSchema = (schema) => {
+  if (!isPlainObject(schema)) {
+    return { type: 'object', properties: {} };
+  }
+  if (schema.type === 'object' && isPlainObject(schema.properties)) {
+    return schema;
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [field, rules] of Object.entries(schema)) {
+    const { required: isRequired, ...rest } = isPlainObject(rules) ? rules : {};
+    if (isRequired === true) required.push(field);
+    properties[field] = rest;
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required })
+  };
+};
+
+class SchemaValidator {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.strict] Reject unknown keywords/formats (default true). Disable for
+   *   third-party schemas such as adapter tool inputSchemas.
+   */
+  constructor(options = {}) {
+    const strict = options.strict !== false;
+    this.ajv = new Ajv2020({
+      allErrors: true,
+      useDefaults: true,
+      strict,
+      strictRequired: false,
+      ...(!strict && { logger: false })
+    });
+    addFormats(this.ajv);
+    this.compiled = new Map();
+  }
+
+  /**
+   * Compile (and cache) a schema under a stable key.
+   */
+  compile(key, schema) {
+    const cached = this.compiled.get(key);
+    if (cached && cached.schema === schema) return cached.validate;
+
+    const validate = this.ajv.compile(schema);
+    this.compiled.set(key, { schema, validate });
+    return validate;
+  }
+
+  /**
+   * Validate data in place (defaults are applied to `data`).
+   *
+   * @returns {{ valid: boolean, errors: Array<{ pointer: string, field: string, keyword: string, message: string, params: object }> }}
+   */
+  validate(key, schema, data) {
+    const validate = this.compile(key, schema);
+    const valid = validate(data);
+    if (valid) return { valid: true, errors: [] };
+
+    return {
+      valid: false,
+      errors: (validate.errors || []).map((error) => this.formatError(error, data))
+    };
+  }
+
+  formatError(error, data) {
+    let pointer = error.instancePath || '';
+    if (error.keyword === 'required') {
+      pointer = `${pointer}/${error.params.missingProperty.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+
+    const field = pointerToFieldPath(pointer) || '(root)';
+    let message;
+    switch (error.keyword) {
+      case 'required':
+        message = `Required field missing: ${field}`;
+        break;
+      case 'type':
+        message = `Invalid type for field ${field}: expected ${error.params.type}, got ${describeType(getAtPointer(data, pointer))}`;
+        break;
+      case 'enum':
+        message = `Invalid value for field ${field}: must be one of ${error.params.allowedValues.join(', ')}`;
+        break;
+      case 'format':
+        message = `Invalid format for field ${field}: expected ${error.params.format}`;
+        break;
+      default:
+        message = `Invalid value for field ${field}: ${error.message}`;
+    }
+
+    return {
+      pointer,
+      field,
+      keyword: error.keyword,
+      message,
+      params: error.params
+    };
+  }
+}
+
+SchemaValidator.JSON_SCHEMA_DIALECT = JSON_SCHEMA_DIALECT;
+SchemaValidator.toJsonSchema = toJsonSchema;
+
+module.exports = SchemaValidator;
@@ -3,21 +3,58 @@
  * Ensures complete separation between client requests and vendor implementations
  */
 
+const RoutingPolicyEngine = require('./routing-policy');
+const SchemaValidator = require('./schema-validator');
+const { ERROR_TYPES, classifyVendorError } = require('./error-taxonomy');
+const { getTracer } = require('../tracing/tracer');
+const {
+  CANONICAL_SCHEMAS,
+  unwrap,
+  normalizeCurrency,
+  toMinorUnits,
+  toInteger,
+  toIsoDate,
+  mapStatus,
+  nullable
+} = require('./response-normalizers');
+
 class VendorAbstractionLayer {
   /**
    * @param {object} [options]
    * @param {object} [options.adapterRegistry] AdapterRegistry instance (preferred)
    * @param {function} [options.getAdapterRegistry] Lazy provider for AdapterRegistry
+   * @param {object} [options.routingPolicies] category -> routing policy (see routing-policy.js)
+   * @param {string} [options.routingPolicyPath] JSON file with routing policies
+   * @param {function} [options.random] Random source for weighted routing (tests)
+   * @param {object} [options.metrics] MetricsCollector; records the vendor each call was served by
    */
   constructor(options = {}) {
     this.vendorMappings = new Map();
     this.clientSchemas = new Map();
     this.vendorConfigs = new Map();
     this.adapterRegistry = options.adapterRegistry || null;
+    this.metrics = options.metrics || null;
     this.getAdapterRegistry = typeof options.getAdapterRegistry === 'function'
       ? options.getAdapterRegistry
       : null;
+    // Ordered failover to the next vendor mapped for the same operation.
+    this.failoverEnabled = options.failover !== undefined
+      ? options.failover !== false
+      : process.env.ABSTRACTION_FAILOVER !== '0';
+    // vendor -> { healthy, checkedAt, error } as reported by health checks
+    this.vendorHealth = new Map();
+    this.healthTtlMs = options.healthTtlMs || 60000;
+    this.schemaValidator = new SchemaValidator();
     this.initializeAbstractions();
+
+    this.routingPolicies = new RoutingPolicyEngine({}, { random: options.random });
+    const policyPath = options.routingPolicyPath || process.env.ABSTRACTION_ROUTING_POLICY_PATH;
+    if (policyPath) {
+      this.loadRoutingPolicies(policyPath);
+    }
+    for (const [category, policy] of Object.entries(options.routingPolicies || {})) {
+      this.setRoutingPolicy(category, policy);
+    }
   }
 
   initializeAbstractions() {
@@ -26,43 +63,70 @@ class VendorAbstractionLayer {
       client: {
         initializeTransaction: {
           schema: {
-            amount: { type: 'number', required: true },
-            currency: { type: 'string', default: 'NGN' },
-            email: { type: 'string', required: true },
-            reference: { type: 'string', required: false },
-            metadata: { type: 'object', required: false }
-          }
+            type: 'object',
+            properties: {
+              amount: { type: 'number', exclusiveMinimum: 0 },
+              currency: { type: 'string', default: 'NGN', pattern: '^[A-Z]{3}$' },
+              email: { type: 'string', format: 'email' },
+              reference: { type: 'string' },
+              metadata: { type: 'object' }
+            },
+            required: ['amount', 'email']
+          },
+          response: CANONICAL_SCHEMAS.paymentSession
         },
         verifyTransaction: {
           schema: {
-            reference: { type: 'string', required: true }
-          }
+            type: 'object',
+            properties: {
+              reference: { type: 'string' }
+            },
+            required: ['reference']
+          },
+          response: CANONICAL_SCHEMAS.transaction
         },
         createCustomer: {
           schema: {
-            email: { type: 'string', required: true },
-            firstName: { type: 'string', required: false },
-            lastName: { type: 'string', required: false },
-            phone: { type: 'string', required: false }
-          }
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              phone: { type: 'string' }
+            },
+            required: ['email']
+          },
+          response: CANONICAL_SCHEMAS.customer
         },
         purchaseAirtime: {
           schema: {
-            phone: { type: 'string', required: true },
-            amount: { type: 'number', required: true },
-            network: { type: 'string', required: true },
-            reference: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              phone: { type: 'string' },
+              amount: { type: 'number', exclusiveMinimum: 0 },
+              network: { type: 'string' },
+              reference: { type: 'string' }
+            },
+            required: ['phone', 'amount', 'network']
           }
         },
         getTransaction: {
           schema: {
-            transactionId: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              transactionId: { type: 'string' }
+            },
+            required: ['transactionId']
           }
         }
       },
       vendors: {
         'paystack': {
           adapter: 'paystack',
+          errors: [
+            { type: 'insufficient_funds', pattern: /balance is not enough/i },
+            { type: 'invalid_account', pattern: /invalid (account number|bank code)|unknown bank code/i }
+          ],
           mappings: {
             initializeTransaction: {
               tool: 'initialize-transaction',
@@ -73,16 +137,50 @@ class VendorAbstractionLayer {
                 currency: input.currency,
                 reference: input.reference || `ref_${Date.now()}`,
                 callback_url: process.env.CALLBACK_URL
-              })
+              }),
+              transformResponse: (payload, { clientInput, vendorInput }) => {
+                const data = unwrap(payload);
+                return {
+                  reference: data.reference || vendorInput.reference,
+                  status: 'pending',
+                  checkoutUrl: nullable(data.authorization_url) || null,
+                  accessCode: nullable(data.access_code) || null,
+                  clientSecret: null,
+                  amount: toMinorUnits(clientInput.amount, clientInput.currency),
+                  currency: normalizeCurrency(clientInput.currency)
+                };
+              }
             },
             verifyTransaction: {
               tool: 'verify-transaction',
-              transform: (input) => ({ reference: input.reference })
+              transform: (input) => ({ reference: input.reference }),
+              // Paystack reports amounts in kobo/cents already.
+              transformResponse: (payload, { clientInput }) => {
+                const data = unwrap(payload);
+                const customer = data.customer || {};
+                return {
+                  id: data.id !== undefined && data.id !== null ? String(data.id) : null,
+                  reference: data.reference || clientInput.reference,
+                  status: mapStatus(data.status),
+                  amount: toInteger(data.amount),
+                  currency: normalizeCurrency(data.currency),
+                  paidAt: toIsoDate(data.paid_at || data.paidAt),
+                  customer: {
+                    email: nullable(customer.email) || null,
+                    name: [customer.first_name, customer.last_name].filter(Boolean).join(' ') || null,
+                    phone: nullable(customer.phone) || null
+                  }
+                };
+              }
             }
           }
         },
         'flutterwave': {
           adapter: 'flutterwave-v3',
+          errors: [
+            { type: 'duplicate_reference', pattern: /(tx_ref|reference).*(already|duplicate)|duplicate (transfer|tx_ref)/i },
+            { type: 'invalid_account', pattern: /account (number )?(is )?invalid|invalid (beneficiary|account_bank)/i }
+          ],
           mappings: {
             initializeTransaction: {
               tool: 'initiate-payment',
@@ -91,7 +189,19 @@ class VendorAbstractionLayer {
                 currency: input.currency,
                 tx_ref: input.reference || `fw_${Date.now()}`,
                 customer: { email: input.email }
-              })
+              }),
+              transformResponse: (payload, { clientInput, vendorInput }) => {
+                const data = unwrap(payload);
+                return {
+                  reference: vendorInput.tx_ref,
+                  status: 'pending',
+                  checkoutUrl: nullable(data.link) || null,
+                  accessCode: null,
+                  clientSecret: null,
+                  amount: toMinorUnits(clientInput.amount, clientInput.currency),
+                  currency: normalizeCurrency(clientInput.currency)
+                };
+              }
             },
             verifyTransaction: {
               tool: 'verify-payment',
@@ -99,7 +209,79 @@ class VendorAbstractionLayer {
                 // Support both common keys while contracts are being normalized.
                 transaction_id: input.reference,
                 tx_ref: input.reference
-              })
+              }),
+              // Flutterwave reports amounts in the major unit.
+              transformResponse: (payload, { clientInput }) => {
+                const data = unwrap(payload);
+                const customer = data.customer || {};
+                const status = mapStatus(data.status);
+                return {
+                  id: data.id !== undefined && data.id !== null ? String(data.id) : null,
+                  reference: data.tx_ref || clientInput.reference,
+                  status,
+                  amount: toMinorUnits(data.amount, data.currency),
+                  currency: normalizeCurrency(data.currency),
+                  paidAt: status === 'succeeded' ? toIsoDate(data.paid_at || data.created_at) : null,
+                  customer: {
+                    email: nullable(customer.email) || null,
+                    name: nullable(customer.name) || null,
+                    phone: nullable(customer.phone_number) || null
+                  }
+                };
+              }
+            }
+          }
+        },
+        'stripe': {
+          adapter: 'stripe-api-2024-04-10',
+          errors: [
+            { type: 'duplicate_reference', codes: ['idempotency_key_in_use', 'resource_already_exists'] },
+            { type: 'rate_limited', codes: ['rate_limit', 'lock_timeout'] },
+            { type: 'invalid_account', codes: ['account_invalid', 'bank_account_unusable', 'bank_account_declined'] },
+            { type: 'auth_failed', codes: ['api_key_expired', 'secret_key_required'] }
+          ],
+          mappings: {
+            initializeTransaction: {
+              tool: 'create-payment-intent',
+              transform: (input) => ({
+                // Stripe expects the smallest currency unit.
+                amount: Math.round(input.amount * 100),
+                currency: (input.currency || 'USD').toLowerCase(),
+                metadata: {
+                  ...(input.metadata || {}),
+                  email: input.email,
+                  reference: input.reference || `st_${Date.now()}`
+                }
+              }),
+              transformResponse: (payload, { vendorInput }) => {
+                const data = unwrap(payload);
+                return {
+                  reference: (data.metadata && data.metadata.reference) || vendorInput.metadata.reference,
+                  status: mapStatus(data.status),
+                  checkoutUrl: null,
+                  accessCode: null,
+                  clientSecret: nullable(data.client_secret) || null,
+                  amount: toInteger(data.amount !== undefined ? data.amount : vendorInput.amount),
+                  currency: normalizeCurrency(data.currency || vendorInput.currency)
+                };
+              }
+            },
+            createCustomer: {
+              tool: 'create-customer',
+              transform: (input) => ({
+                email: input.email,
+                name: [input.firstName, input.lastName].filter(Boolean).join(' ') || undefined,
+                phone: input.phone
+              }),
+              transformResponse: (payload, { clientInput }) => {
+                const data = unwrap(payload);
+                return {
+                  id: data.id ? String(data.id) : null,
+                  email: nullable(data.email) || clientInput.email,
+                  name: nullable(data.name) || null,
+                  phone: nullable(data.phone) || null
+                };
+              }
             }
           }
         },
@@ -131,23 +313,36 @@ class VendorAbstractionLayer {
       client: {
         getAccountBalance: {
           schema: {
-            accountId: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              accountId: { type: 'string' }
+            },
+            required: ['accountId']
           }
         },
         transferFunds: {
           schema: {
-            fromAccount: { type: 'string', required: true },
-            toAccount: { type: 'string', required: true },
-            amount: { type: 'number', required: true },
-            currency: { type: 'string', default: 'NGN' },
-            reference: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              fromAccount: { type: 'string' },
+              toAccount: { type: 'string' },
+              amount: { type: 'number', exclusiveMinimum: 0 },
+              currency: { type: 'string', default: 'NGN', pattern: '^[A-Z]{3}$' },
+              reference: { type: 'string' }
+            },
+            required: ['fromAccount', 'toAccount', 'amount']
           }
         },
         verifyAccount: {
           schema: {
-            accountNumber: { type: 'string', required: true },
-            bankCode: { type: 'string', required: true }
-          }
+            type: 'object',
+            properties: {
+              accountNumber: { type: 'string' },
+              bankCode: { type: 'string' }
+            },
+            required: ['accountNumber', 'bankCode']
+          },
+          response: CANONICAL_SCHEMAS.accountVerification
         }
       },
       vendors: {
@@ -177,7 +372,17 @@ class VendorAbstractionLayer {
               transform: (input) => ({
                 account_number: input.accountNumber,
                 bank_code: input.bankCode
-              })
+              }),
+              transformResponse: (payload, { clientInput }) => {
+                const data = unwrap(payload);
+                const accountName = nullable(data.account_name) || null;
+                return {
+                  accountNumber: data.account_number || clientInput.accountNumber,
+                  accountName,
+                  bankCode: data.bank_code || clientInput.bankCode,
+                  verified: !!accountName
+                };
+              }
             }
           }
         }
@@ -189,13 +394,20 @@ class VendorAbstractionLayer {
       client: {
         createTunnel: {
           schema: {
-            port: { type: 'number', required: true },
-            subdomain: { type: 'string', required: false },
-            region: { type: 'string', default: 'us' }
+            type: 'object',
+            properties: {
+              port: { type: 'integer', minimum: 1, maximum: 65535 },
+              subdomain: { type: 'string' },
+              region: { type: 'string', default: 'us' }
+            },
+            required: ['port']
           }
         },
         listTunnels: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         }
       },
       vendors: {
@@ -224,85 +436,143 @@ class VendorAbstractionLayer {
       client: {
         login: {
           schema: {
-            email: { type: 'string', required: true },
-            password: { type: 'string', required: true },
-            project_scope: { type: 'string', required: false },
-            platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              password: { type: 'string' },
+              project_scope: { type: 'string' },
+              platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            },
+            required: ['email', 'password']
           }
         },
         exchangeSupabaseToken: {
           schema: {
-            project_scope: { type: 'string', required: false },
-            platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            type: 'object',
+            properties: {
+              project_scope: { type: 'string' },
+              platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            }
           }
         },
         logout: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         getSession: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         verifyToken: {
           schema: {
-            token: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              token: { type: 'string' }
+            }
           }
         },
         listSessions: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         initiateOAuth: {
           schema: {
-            provider: { type: 'string', required: true },
-            redirect_uri: { type: 'string', required: true },
-            project_scope: { type: 'string', required: false },
-            platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            type: 'object',
+            properties: {
+              provider: { type: 'string' },
+              redirect_uri: { type: 'string', format: 'uri' },
+              project_scope: { type: 'string' },
+              platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            },
+            required: ['provider', 'redirect_uri']
           }
         },
         requestMagicLink: {
           schema: {
-            email: { type: 'string', required: true },
-            redirect_uri: { type: 'string', required: false },
-            project_scope: { type: 'string', required: false },
-            platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              redirect_uri: { type: 'string', format: 'uri' },
+              project_scope: { type: 'string' },
+              platform: { type: 'string', enum: ['mcp', 'cli', 'web', 'api'], default: 'web' }
+            },
+            required: ['email']
           }
         },
         verifyAPIKey: {
           schema: {
-            api_key: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              api_key: { type: 'string' }
+            },
+            required: ['api_key']
           }
         },
         createAPIKey: {
           schema: {
-            name: { type: 'string', required: true },
-            description: { type: 'string', required: false },
-            access_level: { type: 'string', enum: ['public', 'authenticated', 'team', 'admin', 'enterprise'], default: 'authenticated' },
-            expires_in_days: { type: 'integer', default: 365 }
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' },
+              access_level: {
+                type: 'string',
+                enum: ['public', 'authenticated', 'team', 'admin', 'enterprise'],
+                default: 'authenticated'
+              },
+              expires_in_days: { type: 'integer', default: 365 }
+            },
+            required: ['name']
           }
         },
         listAPIKeys: {
           schema: {
-            active_only: { type: 'boolean', default: true },
-            project_id: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              active_only: { type: 'boolean', default: true },
+              project_id: { type: 'string' }
+            }
           }
         },
         getAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         rotateAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         revokeAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         deleteAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         }
       },
@@ -380,57 +650,76 @@ class VendorAbstractionLayer {
       client: {
         chat: {
           schema: {
-            messages: {
-              type: 'array',
-              required: true,
-              items: {
-                type: 'object',
-                properties: {
-                  role: { type: 'string', enum: ['system', 'user', 'assistant'] },
-                  content: { type: 'string' }
-                },
-                required: ['role', 'content']
-              }
+            type: 'object',
+            properties: {
+              messages: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    role: { type: 'string', enum: ['system', 'user', 'assistant'] },
+                    content: { type: 'string' }
+                  },
+                  required: ['role', 'content']
+                }
+              },
+              provider: { type: 'string' },
+              model: { type: 'string', default: 'qwen2:1.5b' },
+              temperature: { type: 'number', default: 0.7 },
+              max_tokens: { type: 'integer' },
+              system_prompt: { type: 'string' }
             },
-            provider: { type: 'string', required: false },
-            model: { type: 'string', default: 'qwen2:1.5b' },
-            temperature: { type: 'number', default: 0.7 },
-            max_tokens: { type: 'integer', required: false },
-            system_prompt: { type: 'string', required: false }
+            required: ['messages']
           }
         },
         ollama: {
           schema: {
-            model: { type: 'string', required: true },
-            messages: {
-              type: 'array',
-              required: true,
-              items: {
-                type: 'object',
-                properties: {
-                  role: { type: 'string', enum: ['system', 'user', 'assistant'] },
-                  content: { type: 'string' }
-                },
-                required: ['role', 'content']
-              }
+            type: 'object',
+            properties: {
+              model: { type: 'string' },
+              messages: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    role: { type: 'string', enum: ['system', 'user', 'assistant'] },
+                    content: { type: 'string' }
+                  },
+                  required: ['role', 'content']
+                }
+              },
+              stream: { type: 'boolean', default: false }
             },
-            stream: { type: 'boolean', default: false }
+            required: ['model', 'messages']
           }
         },
         embedding: {
           schema: {
-            input: { type: 'string', required: true },
-            model: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              input: { type: 'string' },
+              model: { type: 'string' }
+            },
+            required: ['input']
           }
         },
         listServices: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         listModels: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         health: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         }
       },
       vendors: {
@@ -471,69 +760,110 @@ class VendorAbstractionLayer {
       client: {
         create: {
           schema: {
-            title: { type: 'string', required: true },
-            content: { type: 'string', required: true },
-            memory_type: { type: 'string', enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow'], default: 'context' },
-            tags: { type: 'array', items: { type: 'string' }, required: false },
-            metadata: { type: 'object', required: false }
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              content: { type: 'string' },
+              memory_type: {
+                type: 'string',
+                enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow'],
+                default: 'context'
+              },
+              tags: { type: 'array', items: { type: 'string' } },
+              metadata: { type: 'object' }
+            },
+            required: ['title', 'content']
           }
         },
         get: {
           schema: {
-            id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
           }
         },
         update: {
           schema: {
-            id: { type: 'string', required: true },
-            title: { type: 'string', required: false },
-            content: { type: 'string', required: false },
-            memory_type: { type: 'string', enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow'] },
-            tags: { type: 'array', items: { type: 'string' }, required: false },
-            metadata: { type: 'object', required: false }
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              content: { type: 'string' },
+              memory_type: {
+                type: 'string',
+                enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow']
+              },
+              tags: { type: 'array', items: { type: 'string' } },
+              metadata: { type: 'object' }
+            },
+            required: ['id']
           }
         },
         delete: {
           schema: {
-            id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
           }
         },
         list: {
           schema: {
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
-            offset: { type: 'integer', minimum: 0, default: 0 },
-            type: { type: 'string', enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow'] },
-            tags: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+              offset: { type: 'integer', minimum: 0, default: 0 },
+              type: {
+                type: 'string',
+                enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow']
+              },
+              tags: { type: 'string' }
+            }
           }
         },
         search: {
           schema: {
-            query: { type: 'string', required: true },
-            type: { type: 'string', enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow'] },
-            threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.8 },
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
-            tags: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              type: {
+                type: 'string',
+                enum: ['context', 'project', 'knowledge', 'reference', 'personal', 'workflow']
+              },
+              threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.8 },
+              limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+              tags: { type: 'string' }
+            },
+            required: ['query']
           }
         },
         stats: {
-          schema: {}
+          schema: {
+            type: 'object',
+            properties: {}
+          }
         },
         bulkDelete: {
           schema: {
-            ids: { 
-              type: 'array', 
-              required: true,
-              items: { type: 'string' },
-              minItems: 1,
-              maxItems: 100
-            }
+            type: 'object',
+            properties: {
+              ids: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 100 }
+            },
+            required: ['ids']
           }
         },
         searchDocumentation: {
           schema: {
-            query: { type: 'string', required: true },
-            section: { type: 'string', enum: ['all', 'api', 'guides', 'sdks'], default: 'all' },
-            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              section: { type: 'string', enum: ['all', 'api', 'guides', 'sdks'], default: 'all' },
+              limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+            },
+            required: ['query']
           }
         }
       },
@@ -587,66 +917,95 @@ class VendorAbstractionLayer {
       client: {
         analyzePatterns: {
           schema: {
-            time_range_days: { type: 'integer', minimum: 1, maximum: 365, default: 30 },
-            include_insights: { type: 'boolean', default: true }
+            type: 'object',
+            properties: {
+              time_range_days: { type: 'integer', minimum: 1, maximum: 365, default: 30 },
+              include_insights: { type: 'boolean', default: true }
+            }
           }
         },
         suggestTags: {
           schema: {
-            memory_id: { type: 'string', required: false },
-            content: { type: 'string', required: false },
-            title: { type: 'string', required: false },
-            existing_tags: { type: 'array', items: { type: 'string' }, required: false },
-            max_suggestions: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            type: 'object',
+            properties: {
+              memory_id: { type: 'string' },
+              content: { type: 'string' },
+              title: { type: 'string' },
+              existing_tags: { type: 'array', items: { type: 'string' } },
+              max_suggestions: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            }
           }
         },
         findRelated: {
           schema: {
-            memory_id: { type: 'string', required: false },
-            query: { type: 'string', required: false },
-            limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
-            similarity_threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+            type: 'object',
+            properties: {
+              memory_id: { type: 'string' },
+              query: { type: 'string' },
+              limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+              similarity_threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+            }
           }
         },
         detectDuplicates: {
           schema: {
-            similarity_threshold: { type: 'number', minimum: 0.8, maximum: 0.99, default: 0.85 },
-            include_archived: { type: 'boolean', default: false }
+            type: 'object',
+            properties: {
+              similarity_threshold: { type: 'number', minimum: 0.8, maximum: 0.99, default: 0.85 },
+              include_archived: { type: 'boolean', default: false }
+            }
           }
         },
         extractInsights: {
           schema: {
-            memory_ids: { type: 'array', items: { type: 'string' }, required: false },
-            topic: { type: 'string', required: false },
-            time_range_days: { type: 'integer', minimum: 1, maximum: 365, default: 30 }
+            type: 'object',
+            properties: {
+              memory_ids: { type: 'array', items: { type: 'string' } },
+              topic: { type: 'string' },
+              time_range_days: { type: 'integer', minimum: 1, maximum: 365, default: 30 }
+            }
           }
         },
         healthCheck: {
           schema: {
-            include_recommendations: { type: 'boolean', default: true }
+            type: 'object',
+            properties: {
+              include_recommendations: { type: 'boolean', default: true }
+            }
           }
         },
         behaviorRecord: {
           schema: {
-            pattern_name: { type: 'string', required: true },
-            description: { type: 'string', required: true },
-            context: { type: 'string', required: false },
-            steps: { type: 'array', items: { type: 'string' }, required: false },
-            tags: { type: 'array', items: { type: 'string' }, required: false }
+            type: 'object',
+            properties: {
+              pattern_name: { type: 'string' },
+              description: { type: 'string' },
+              context: { type: 'string' },
+              steps: { type: 'array', items: { type: 'string' } },
+              tags: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['pattern_name', 'description']
           }
         },
         behaviorRecall: {
           schema: {
-            query: { type: 'string', required: true },
-            context: { type: 'string', required: false },
-            limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              context: { type: 'string' },
+              limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            },
+            required: ['query']
           }
         },
         behaviorSuggest: {
           schema: {
-            current_context: { type: 'string', required: false },
-            previous_actions: { type: 'array', items: { type: 'string' }, required: false },
-            limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            type: 'object',
+            properties: {
+              current_context: { type: 'string' },
+              previous_actions: { type: 'array', items: { type: 'string' } },
+              limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+            }
           }
         }
       },
@@ -700,46 +1059,81 @@ class VendorAbstractionLayer {
       client: {
         createAPIKey: {
           schema: {
-            name: { type: 'string', required: true },
-            description: { type: 'string', required: false },
-            access_level: { type: 'string', enum: ['public', 'authenticated', 'team', 'admin', 'enterprise'], default: 'authenticated' },
-            expires_in_days: { type: 'integer', default: 365 }
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' },
+              access_level: {
+                type: 'string',
+                enum: ['public', 'authenticated', 'team', 'admin', 'enterprise'],
+                default: 'authenticated'
+              },
+              expires_in_days: { type: 'integer', default: 365 }
+            },
+            required: ['name']
           }
         },
         deleteAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         rotateAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         revokeAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         listAPIKeys: {
           schema: {
-            active_only: { type: 'boolean', default: true },
-            project_id: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              active_only: { type: 'boolean', default: true },
+              project_id: { type: 'string' }
+            }
           }
         },
         getAPIKey: {
           schema: {
-            key_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              key_id: { type: 'string' }
+            },
+            required: ['key_id']
           }
         },
         verifyAPIKey: {
           schema: {
-            api_key: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              api_key: { type: 'string' }
+            },
+            required: ['api_key']
           }
         },
         verifyToken: {
           schema: {
-            token: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              token: { type: 'string' }
+            },
+            required: ['token']
           }
         }
       },
@@ -789,152 +1183,238 @@ class VendorAbstractionLayer {
       client: {
         verifyNIN: {
           schema: {
-            nin: { type: 'string', required: true },
-            firstName: { type: 'string', required: true },
-            lastName: { type: 'string', required: true },
-            dateOfBirth: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              nin: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              dateOfBirth: { type: 'string' }
+            },
+            required: ['nin', 'firstName', 'lastName']
           }
         },
         verifyBVN: {
           schema: {
-            bvn: { type: 'string', required: true },
-            firstName: { type: 'string', required: true },
-            lastName: { type: 'string', required: true },
-            dateOfBirth: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              bvn: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              dateOfBirth: { type: 'string' }
+            },
+            required: ['bvn', 'firstName', 'lastName']
           }
         },
         verifyPassport: {
           schema: {
-            passportNumber: { type: 'string', required: true },
-            firstName: { type: 'string', required: true },
-            lastName: { type: 'string', required: true },
-            dateOfBirth: { type: 'string', required: true },
-            nationality: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              passportNumber: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              dateOfBirth: { type: 'string' },
+              nationality: { type: 'string' }
+            },
+            required: ['passportNumber', 'firstName', 'lastName', 'dateOfBirth']
           }
         },
         verifyDocument: {
           schema: {
-            documentType: { type: 'string', required: true },
-            documentNumber: { type: 'string', required: true },
-            firstName: { type: 'string', required: true },
-            lastName: { type: 'string', required: true },
-            dateOfBirth: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              documentType: { type: 'string' },
+              documentNumber: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              dateOfBirth: { type: 'string' }
+            },
+            required: ['documentType', 'documentNumber', 'firstName', 'lastName']
           }
         },
         getHistory: {
           schema: {
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
-            offset: { type: 'integer', minimum: 0, default: 0 },
-            type: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+              offset: { type: 'integer', minimum: 0, default: 0 },
+              type: { type: 'string' }
+            }
           }
         },
         verifyIdentityDocument: {
           schema: {
-            document_type: { type: 'string', required: true },
-            document_number: { type: 'string', required: true },
-            customer_id: { type: 'string', required: true },
-            country: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              document_type: { type: 'string' },
+              document_number: { type: 'string' },
+              customer_id: { type: 'string' },
+              country: { type: 'string' }
+            },
+            required: ['document_type', 'document_number', 'customer_id']
           }
         },
         verifyPhoneEmail: {
+          // May send an OTP
+          idempotent: false,
           schema: {
-            customer_id: { type: 'string', required: true },
-            phone_number: { type: 'string', required: false },
-            email: { type: 'string', required: false },
-            send_otp: { type: 'boolean', required: false },
-            otp_code: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              customer_id: { type: 'string' },
+              phone_number: { type: 'string' },
+              email: { type: 'string', format: 'email' },
+              send_otp: { type: 'boolean' },
+              otp_code: { type: 'string' }
+            },
+            required: ['customer_id']
           }
         },
         verifyAddress: {
           schema: {
-            address: { type: 'string', required: true },
-            proof_document: { type: 'string', required: true },
-            customer_id: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              address: { type: 'string' },
+              proof_document: { type: 'string' },
+              customer_id: { type: 'string' }
+            },
+            required: ['address', 'proof_document', 'customer_id']
           }
         },
         verifyBusinessRegistration: {
           schema: {
-            business_name: { type: 'string', required: true },
-            registration_number: { type: 'string', required: true },
-            country: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              business_name: { type: 'string' },
+              registration_number: { type: 'string' },
+              country: { type: 'string' }
+            },
+            required: ['business_name', 'registration_number']
           }
         },
         verifyTaxIdentification: {
           schema: {
-            tax_id: { type: 'string', required: true },
-            business_name: { type: 'string', required: true },
-            country: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              tax_id: { type: 'string' },
+              business_name: { type: 'string' },
+              country: { type: 'string' }
+            },
+            required: ['tax_id', 'business_name']
           }
         },
         verifyBankAccount: {
           schema: {
-            account_number: { type: 'string', required: true },
-            bank_code: { type: 'string', required: true },
-            business_name: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              account_number: { type: 'string' },
+              bank_code: { type: 'string' },
+              business_name: { type: 'string' }
+            },
+            required: ['account_number', 'bank_code', 'business_name']
           }
         },
         facialRecognition: {
           schema: {
-            image1: { type: 'string', required: true },
-            image2: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              image1: { type: 'string' },
+              image2: { type: 'string' }
+            },
+            required: ['image1', 'image2']
           }
         },
         livenessDetection: {
           schema: {
-            image: { type: 'string', required: true },
-            check_type: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              image: { type: 'string' },
+              check_type: { type: 'string' }
+            },
+            required: ['image']
           }
         },
         ageGenderDetection: {
           schema: {
-            image: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              image: { type: 'string' }
+            },
+            required: ['image']
           }
         },
         sanctionsScreening: {
           schema: {
-            full_name: { type: 'string', required: true },
-            country: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              full_name: { type: 'string' },
+              country: { type: 'string' }
+            },
+            required: ['full_name']
           }
         },
         pepScreening: {
           schema: {
-            full_name: { type: 'string', required: true },
-            country: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              full_name: { type: 'string' },
+              country: { type: 'string' }
+            },
+            required: ['full_name', 'country']
           }
         },
         adverseMediaScreening: {
           schema: {
-            full_name: { type: 'string', required: true },
-            business_name: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              full_name: { type: 'string' },
+              business_name: { type: 'string' }
+            },
+            required: ['full_name']
           }
         },
         criminalBackgroundCheck: {
           schema: {
-            full_name: { type: 'string', required: true },
-            date_of_birth: { type: 'string', required: true }
+            type: 'object',
+            properties: {
+              full_name: { type: 'string' },
+              date_of_birth: { type: 'string' }
+            },
+            required: ['full_name', 'date_of_birth']
           }
         },
         employmentHistoryCheck: {
           schema: {
-            full_name: { type: 'string', required: true },
-            employers: { type: 'object', required: false }
+            type: 'object',
+            properties: {
+              full_name: { type: 'string' },
+              employers: { type: 'object' }
+            },
+            required: ['full_name']
           }
         },
         getVerificationStatus: {
           schema: {
-            verification_id: { type: 'string', required: false },
-            reference: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              verification_id: { type: 'string' },
+              reference: { type: 'string' }
+            }
           }
         },
         listSupportedCountries: {
           schema: {
-            service_type: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              service_type: { type: 'string' }
+            }
           }
         },
         getVerificationProviders: {
           schema: {
-            service_type: { type: 'string', required: false },
-            country: { type: 'string', required: false }
+            type: 'object',
+            properties: {
+              service_type: { type: 'string' },
+              country: { type: 'string' }
+            }
           }
         }
       },
@@ -1146,6 +1626,10 @@ class VendorAbstractionLayer {
   }
 
   registerAbstraction(category, config) {
+    // Client schemas are JSON Schema (draft 2020-12); legacy field maps are converted.
+    for (const definition of Object.values(config.client || {})) {
+      definition.schema = SchemaValidator.toJsonSchema(definition.schema);
+    }
     this.vendorMappings.set(category, config);
     this.clientSchemas.set(category, config.client);
   }
@@ -1164,6 +1648,12 @@ class VendorAbstractionLayer {
   }
 
   async executeAbstractedCall(category, operation, input, vendorPreference = null, context = {}) {
+    return getTracer().withSpan(`abstraction ${category}.${operation}`, {
+      attributes: { 'abstraction.category': category, 'abstraction.operation': operation }
+    }, (span) => this.runAbstractedCall(span, category, operation, input, vendorPreference, context));
+  }
+
+  async runAbstractedCall(span, category, operation, input, vendorPreference, context) {
     const abstraction = this.vendorMappings.get(category);
     if (!abstraction) {
       throw this.createError(404, 'UNKNOWN_CATEGORY', `Unknown category: ${category}`);
@@ -1177,95 +1667,380 @@ class VendorAbstractionLayer {
 
     // Do not mutate caller input; defaults are applied to a copy.
     const validatedInput = { ...(input && typeof input === 'object' ? input : {}) };
-    this.validateInput(validatedInput, clientSchema.schema);
+    this.validateInput(validatedInput, clientSchema.schema, `${category}.${operation}`);
+
+    const { vendors: candidates, routing } = this.resolveVendorCandidates(
+      category,
+      operation,
+      vendorPreference,
+      validatedInput,
+      context
+    );
+    const attempts = [];
+    let lastError = null;
+    let lastVendor = null;
 
-    // Select vendor (use preference or default to first available)
+    for (const vendor of candidates) {
+      const vendorConfig = abstraction.vendors[vendor];
+      const mapping = vendorConfig.mappings[operation];
+
+      const unavailable = this.getVendorUnavailableReason(vendor, vendorConfig.adapter);
+      if (unavailable) {
+        attempts.push({ vendor, status: 'skipped', reason: unavailable });
+        continue;
+      }
+
+      let vendorInput;
+      let result;
+      try {
+        // Transform client input to vendor format
+        vendorInput = mapping.transform(validatedInput);
+
+        // Execute vendor call through adapter
+        result = await this.executeVendorCall(
+          vendorConfig.adapter,
+          mapping.tool,
+          vendorInput,
+          {
+            category,
+            operation,
+            vendor,
+            clientInput: validatedInput
+          },
+          context
+        );
+      } catch (err) {
+        const { retryable, preSend } = this.classifyVendorError(category, vendor, err);
+        attempts.push({
+          vendor,
+          status: 'failed',
+          code: err && err.code ? err.code : 'VENDOR_CALL_FAILED',
+          retryable
+        });
+        lastError = err;
+        lastVendor = vendor;
+
+        if (!this.failoverEnabled || !this.canFailOver(clientSchema, operation, { retryable, preSend })) break;
+        continue;
+      }
+
+      // The vendor call succeeded: a normalization problem must not trigger failover.
+      attempts.push({ vendor, status: 'success' });
+      span.setAttributes({ 'abstraction.vendor': vendor, 'abstraction.attempts': attempts.length });
+      if (this.metrics) {
+        this.metrics.recordVendorSelection(category, operation, vendor);
+      }
+      result.data = this.normalizeResponse(category, operation, vendor, result.data, {
+        clientInput: validatedInput,
+        vendorInput
+      });
+      result.metadata.attempts = attempts;
+      result.metadata.routing = routing;
+      return result;
+    }
+
+    if (!lastError) {
+      throw this.withErrorType(this.createError(
+        503,
+        'NO_HEALTHY_VENDORS',
+        `No healthy vendors available for ${category}/${operation}`,
+        { category, operation, attempts }
+      ), ERROR_TYPES.VENDOR_UNAVAILABLE, true);
+    }
+
+    const classification = this.classifyVendorError(category, lastVendor, lastError);
+    const failedAttempts = attempts.filter((attempt) => attempt.status === 'failed');
+    // A definitive vendor answer (e.g. insufficient funds) wins over earlier outages.
+    if (failedAttempts.length > 1 && classification.retryable) {
+      const err = this.createError(
+        503,
+        'ALL_VENDORS_FAILED',
+        `All vendors failed for ${category}/${operation}: ${lastError.message}`,
+        { category, operation, attempts, vendorError: this.describeVendorError(lastVendor, classification) }
+      );
+      err.cause = lastError;
+      throw this.withErrorType(err, classification.type, classification.retryable);
+    }
+
+    throw this.toTaxonomyError(lastVendor, lastError, classification, { category, operation, attempts });
+  }
+
+  /**
+   * Classify a vendor failure using the vendor's `errors` rules, then the
+   * generic ones (see error-taxonomy.js).
+   */
+  classifyVendorError(category, vendor, err) {
+    const vendorConfig = this.vendorMappings.get(category)?.vendors[vendor];
+    return classifyVendorError(err, (vendorConfig && vendorConfig.errors) || []);
+  }
+
+  withErrorType(err, type, retryable) {
+    err.type = type;
+    err.retryable = retryable;
+    return err;
+  }
+
+  // Upstream code/message are kept in meta; endpoints only return them in debug mode.
+  describeVendorError(vendor, classification) {
+    return {
+      vendor,
+      code: classification.vendorCode,
+      message: classification.vendorMessage,
+      status: classification.vendorStatus
+    };
+  }
+
+  /**
+   * Re-raise a vendor failure with a stable code (the upper-cased error type).
+   * Errors raised by the gateway itself keep their own code and status.
+   */
+  toTaxonomyError(vendor, err, classification, meta = {}) {
+    const vendorError = this.describeVendorError(vendor, classification);
+    if (err && err.meta && typeof err.status === 'number') {
+      err.meta = { ...err.meta, ...meta, vendorError };
+      return this.withErrorType(err, classification.type, classification.retryable);
+    }
+
+    const wrapped = this.createError(
+      classification.status,
+      classification.type.toUpperCase(),
+      (err && err.message) || 'Vendor call failed',
+      { ...meta, vendorError }
+    );
+    wrapped.cause = err;
+    return this.withErrorType(wrapped, classification.type, classification.retryable);
+  }
+
+  /**
+   * Ordered list of vendors to try for an operation: the caller's preference
+   * first (when it names a known vendor), then the order chosen by the
+   * category's routing policy. Without a policy, every vendor that maps the
+   * operation is tried in registration order.
+   */
+  resolveVendorCandidates(category, operation, vendorPreference = null, input = {}, context = {}) {
+    const abstraction = this.vendorMappings.get(category);
     const vendors = Object.keys(abstraction.vendors);
-    const selectedVendor = vendorPreference && vendors.includes(vendorPreference) 
-      ? vendorPreference 
-      : vendors[0];
 
-    if (!selectedVendor) {
+    if (vendors.length === 0) {
       throw this.createError(503, 'NO_VENDORS', `No vendors available for category: ${category}`);
     }
 
-    const vendorConfig = abstraction.vendors[selectedVendor];
-    const mapping = vendorConfig.mappings[operation];
+    const supports = (vendor) => !!abstraction.vendors[vendor].mappings[operation];
+    const hasPreference = !!vendorPreference && vendors.includes(vendorPreference);
 
-    if (!mapping) {
+    if (hasPreference && !supports(vendorPreference)) {
       throw this.createError(
         501,
         'OPERATION_NOT_SUPPORTED',
-        `Operation ${operation} not supported by vendor: ${selectedVendor}`,
-        { category, operation, vendor: selectedVendor }
+        `Operation ${operation} not supported by vendor: ${vendorPreference}`,
+        { category, operation, vendor: vendorPreference }
       );
     }
 
-    // Transform client input to vendor format
-    const vendorInput = mapping.transform(validatedInput);
-
-    // Execute vendor call through adapter
-    return await this.executeVendorCall(
-      vendorConfig.adapter,
-      mapping.tool,
-      vendorInput,
-      {
-        category,
-        operation,
-        vendor: selectedVendor,
-        clientInput: validatedInput
-      },
-      context
-    );
-  }
+    const supported = vendors.filter(supports);
+    if (supported.length === 0) {
+      throw this.createError(
+        501,
+        'OPERATION_NOT_SUPPORTED',
+        `Operation ${operation} not supported by any vendor in category: ${category}`,
+        { category, operation }
+      );
+    }
+
+    const selection = this.routingPolicies.selectVendors(category, operation, supported, input, context);
+    const ordered = hasPreference
+      ? [vendorPreference, ...selection.vendors.filter((vendor) => vendor !== vendorPreference)]
+      : selection.vendors;
+
+    if (ordered.length === 0) {
+      throw this.createError(
+        422,
+        'NO_ROUTABLE_VENDOR',
+        `Routing policy for ${category}/${operation} matched no vendor that supports this request`,
+        { category, operation, rule: selection.rule }
+      );
+    }
 
-  validateInput(input, schema) {
-    for (const [field, rules] of Object.entries(schema)) {
-      if (rules.required && (input[field] === undefined || input[field] === null)) {
-        throw new Error(`Required field missing: ${field}`);
+    return {
+      vendors: this.failoverEnabled ? ordered : ordered.slice(0, 1),
+      routing: {
+        strategy: hasPreference ? 'preference' : selection.strategy,
+        rule: selection.rule,
+        scope: selection.scope
       }
+    };
+  }
 
-      if (input[field] !== undefined && rules.type) {
-        const value = input[field];
-        const actualType = Array.isArray(value) ? 'array' : typeof value;
+  loadRoutingPolicies(filePath) {
+    const engine = new RoutingPolicyEngine({}, { random: this.routingPolicies.random });
+    engine.loadFromFile(filePath);
+    for (const category of engine.policies.keys()) {
+      this.assertPolicyVendorsKnown(category, engine);
+    }
+    this.routingPolicies.policies = engine.policies;
+    this.routingPolicies.source = engine.source;
+  }
 
-        if (rules.type === 'array') {
-          if (!Array.isArray(value)) {
-            throw new Error(`Invalid type for field ${field}: expected array, got ${actualType}`);
-          }
+  setRoutingPolicy(category, policy) {
+    const engine = new RoutingPolicyEngine({ [category]: policy });
+    this.assertPolicyVendorsKnown(category, engine);
+    this.routingPolicies.setPolicy(category, policy);
+  }
 
-          if (rules.items && rules.items.type) {
-            value.forEach((item, index) => {
-              const itemType = Array.isArray(item) ? 'array' : typeof item;
-              if (itemType !== rules.items.type) {
-                throw new Error(
-                  `Invalid type for field ${field}[${index}]: expected ${rules.items.type}, got ${itemType}`
-                );
-              }
+  getRoutingPolicy(category) {
+    return this.routingPolicies.getPolicy(category);
+  }
 
-              if (rules.items.type === 'object' && rules.items.required && Array.isArray(rules.items.required)) {
-                for (const requiredProp of rules.items.required) {
-                  if (item[requiredProp] === undefined || item[requiredProp] === null) {
-                    throw new Error(`Required field missing: ${field}[${index}].${requiredProp}`);
-                  }
-                }
-              }
-            });
-          }
-        } else if (rules.type === 'object') {
-          if (!value || typeof value !== 'object' || Array.isArray(value)) {
-            throw new Error(`Invalid type for field ${field}: expected object, got ${actualType}`);
-          }
-        } else if (actualType !== rules.type) {
-          throw new Error(`Invalid type for field ${field}: expected ${rules.type}, got ${actualType}`);
-        }
+  assertPolicyVendorsKnown(category, engine) {
+    const abstraction = this.vendorMappings.get(category);
+    if (!abstraction) {
+      throw this.createError(400, 'INVALID_ROUTING_POLICY', `Routing policy references unknown category: ${category}`);
+    }
+    const unknown = engine.listReferencedVendors(category)
+      .filter((vendor) => !abstraction.vendors[vendor]);
+    if (unknown.length > 0) {
+      throw this.createError(
+        400,
+        'INVALID_ROUTING_POLICY',
+        `Routing policy for ${category} references unknown vendors: ${unknown.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Returns a skip reason when a vendor should not be attempted, otherwise null.
+   * Circuit-breaker state is read from the adapter's BaseClient when exposed;
+   * health results come from recordVendorHealth()/refreshVendorHealth().
+   */
+  getVendorUnavailableReason(vendor, adapterId) {
+    const registry = this.getRegistry();
+    const adapter = registry && typeof registry.getAdapter === 'function'
+      ? registry.getAdapter(adapterId)
+      : null;
+    const client = adapter && adapter.client;
+    if (client && typeof client.isCircuitOpen === 'function' && client.isCircuitOpen()) {
+      return 'circuit_open';
+    }
+
+    const health = this.vendorHealth.get(vendor);
+    if (health && !health.healthy && Date.now() - health.checkedAt < this.healthTtlMs) {
+      return 'unhealthy';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a failed call may be sent to the next vendor. A request the vendor
+   * never received can always go elsewhere; any other retryable failure only
+   * for idempotent operations, since a timed-out transfer may still complete.
+   */
+  canFailOver(clientSchema, operation, { retryable, preSend }) {
+    if (preSend) return true;
+    return retryable && this.isIdempotentOperation(clientSchema, operation);
+  }
+
+  /**
+   * Operations declare `idempotent`; otherwise reads (get/list/verify/search...)
+   * are idempotent and everything else is assumed to have side effects.
+   */
+  isIdempotentOperation(clientSchema, operation) {
+    if (clientSchema && typeof clientSchema.idempotent === 'boolean') {
+      return clientSchema.idempotent;
+    }
+    return /^(get|list|verify|search|find|health|stats)/.test(operation);
+  }
+
+  /**
+   * Record a health result for a vendor. Accepts both the BaseMCPAdapter shape
+   * ({ healthy }) and the BaseClient shape ({ status: 'healthy' }).
+   */
+  recordVendorHealth(vendor, result = {}) {
+    const healthy = result.healthy === true || result.status === 'healthy';
+    this.vendorHealth.set(vendor, {
+      healthy,
+      checkedAt: Date.now(),
+      error: healthy ? null : (result.error || null)
+    });
+  }
+
+  /**
+   * Run adapter health checks for every vendor in a category and record them.
+   */
+  async refreshVendorHealth(category) {
+    const abstraction = this.vendorMappings.get(category);
+    const registry = this.getRegistry();
+    if (!abstraction || !registry || typeof registry.getAdapter !== 'function') return {};
+
+    const results = {};
+    for (const [vendor, vendorConfig] of Object.entries(abstraction.vendors)) {
+      const adapter = registry.getAdapter(vendorConfig.adapter);
+      if (!adapter || typeof adapter.healthCheck !== 'function') continue;
+      try {
+        const result = await adapter.healthCheck();
+        this.recordVendorHealth(vendor, result || {});
+      } catch (error) {
+        this.recordVendorHealth(vendor, { healthy: false, error: error.message });
       }
+      results[vendor] = this.vendorHealth.get(vendor);
+    }
+    return results;
+  }
+
+  /**
+   * Validate input against a JSON Schema, applying declared defaults in place.
+   * Throws a 400 VALIDATION_FAILED error whose meta.errors lists every failing
+   * field with its JSON pointer.
+   */
+  validateInput(input, schema, key = 'adhoc') {
+    const result = this.schemaValidator.validate(key, SchemaValidator.toJsonSchema(schema), input);
+    if (result.valid) return;
+
+    const [first] = result.errors;
+    throw this.withErrorType(this.createError(
+      400,
+      'VALIDATION_FAILED',
+      result.errors.length > 1
+        ? `${first.message} (and ${result.errors.length - 1} more)`
+        : first.message,
+      { errors: result.errors }
+    ), ERROR_TYPES.VALIDATION_FAILED, false);
+  }
+
+  /**
+   * Map a vendor payload to the operation's canonical result shape using the
+   * mapping's `transformResponse`. Operations without one return the vendor
+   * payload unchanged.
+   */
+  normalizeResponse(category, operation, vendor, payload, { clientInput = {}, vendorInput = {} } = {}) {
+    const mapping = this.vendorMappings.get(category)?.vendors[vendor]?.mappings[operation];
+    if (!mapping || typeof mapping.transformResponse !== 'function') return payload;
+
+    let normalized;
+    try {
+      normalized = mapping.transformResponse(payload, { clientInput, vendorInput });
+    } catch (error) {
+      throw this.createError(
+        502,
+        'RESPONSE_NORMALIZATION_FAILED',
+        `Could not normalize ${vendor} response for ${category}/${operation}: ${error.message}`,
+        { category, operation, vendor }
+      );
+    }
 
-      // Apply defaults
-      if (input[field] === undefined && rules.default !== undefined) {
-        input[field] = rules.default;
+    // The vendor call already went through, so a shape drift is logged rather than failed.
+    const responseSchema = this.getClientResponseSchema(category, operation);
+    if (responseSchema) {
+      const result = this.schemaValidator.validate(`${category}.${operation}:response`, responseSchema, normalized);
+      if (!result.valid) {
+        console.warn(
+          `⚠️ ${vendor} response for ${category}/${operation} does not match the canonical schema:`,
+          result.errors.map((error) => error.message).join('; ')
+        );
       }
     }
+
+    return normalized;
   }
 
   async executeVendorCall(adapterId, toolName, input, metadata, context = {}) {
@@ -1288,6 +2063,7 @@ class VendorAbstractionLayer {
         metadata: {
           category: metadata.category,
           operation: metadata.operation,
+          vendor: metadata.vendor,
           timestamp: new Date().toISOString(),
           abstracted: true
         }
@@ -1330,6 +2106,39 @@ class VendorAbstractionLayer {
     const abstraction = this.vendorMappings.get(category);
     return abstraction?.client[operation]?.schema || null;
   }
+
+  getClientResponseSchema(category, operation) {
+    const abstraction = this.vendorMappings.get(category);
+    return abstraction?.client[operation]?.response || null;
+  }
+
+  /**
+   * Standalone JSON Schema document for an operation (suitable for SDK codegen).
+   */
+  getClientJsonSchema(category, operation) {
+    const schema = this.getClientSchema(category, operation);
+    if (!schema) return null;
+    return {
+      $schema: SchemaValidator.JSON_SCHEMA_DIALECT,
+      $id: `urn:onasis:abstraction:${category}:${operation}:input`,
+      title: `${category}.${operation} input`,
+      ...schema
+    };
+  }
+
+  /**
+   * Canonical result shape for an operation, or null when results are vendor-specific.
+   */
+  getClientResponseJsonSchema(category, operation) {
+    const schema = this.getClientResponseSchema(category, operation);
+    if (!schema) return null;
+    return {
+      $schema: SchemaValidator.JSON_SCHEMA_DIALECT,
+      $id: `urn:onasis:abstraction:${category}:${operation}:output`,
+      title: `${category}.${operation} result`,
+      ...schema
+    };
+  }
 }
 
 module.exports = VendorAbstractionLayer;
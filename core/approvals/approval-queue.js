@@ -0,0 +1,304 @@
+/**
+ * Approval Queue
+ * Human-in-the-loop approval for high-risk operations (gateway-execute tools
+ * flagged risk_level 'high' by the discovery OperationRegistry).
+ *
+ * - submit() parks a call as a pending approval with an id. Resubmitting the
+ *   same (principal, idempotency key) returns the existing approval, so an
+ *   agent can poll by repeating its call.
+ * - approve() moves pending -> approved atomically and runs the registered
+ *   executor once; the outcome is stored on the approval (executed | failed).
+ * - reject() moves pending -> rejected.
+ * - Pending approvals expire after ttlMs (APPROVAL_TTL_MS, default 1h).
+ *
+ * Approvals are persisted through an approval store (APPROVAL_STORE=memory|postgres,
+ * see approval-stores.js). The caller's request and context (forwarded
+ * credentials), which let the approved call run as the original caller, live in
+ * process memory only: an approval whose context was lost (e.g. on restart)
+ * expires when approved and has to be resubmitted. For the same reason a store
+ * shared between instances is refused when the gateway runs more than one
+ * (GATEWAY_INSTANCES, or PM2's `instances`): the instance that parked a call is
+ * the only one able to run it.
+ *
+ * Only calls whose requester was verified can be approved; without a requester
+ * id self-approval cannot be ruled out.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createApprovalStore } = require('./approval-stores');
+
+const STATUSES = ['pending', 'approved', 'executed', 'failed', 'rejected', 'expired'];
+
+const createApprovalError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Gateway processes serving approvals; PM2 cluster mode exports `instances`
+// ('max' or a non-positive count means one per CPU).
+const configuredInstances = () => {
+  const raw = process.env.GATEWAY_INSTANCES || process.env.instances;
+  if (!raw) return 1;
+  const count = parseInt(raw, 10);
+  return Number.isFinite(count) && count > 0 ? count : Infinity;
+};
+
+class ApprovalQueue extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] Defaults to createApprovalStore()
+   * @param {number} [options.ttlMs] How long an approval stays pending (default 1h)
+   * @param {number} [options.retentionMs] How long decided approvals are kept (default 24h)
+   * @param {number} [options.instances] Gateway processes (default GATEWAY_INSTANCES, else 1)
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || createApprovalStore(options.storeOptions);
+    const instances = options.instances || configuredInstances();
+    if (this.store.shared && instances > 1) {
+      throw createApprovalError(
+        500,
+        'APPROVAL_STORE_UNSUPPORTED',
+        'A shared approval store needs a single gateway instance: approved calls can only run '
+          + 'in the process that parked them'
+      );
+    }
+    this.ttlMs = options.ttlMs || parseInt(process.env.APPROVAL_TTL_MS || '3600000', 10);
+    this.retentionMs = options.retentionMs || 86400000;
+    // approval id -> { request, context } of approvals submitted by this process
+    this.pendingCalls = new Map();
+    this.executors = new Map();
+  }
+
+  /**
+   * Register the function that performs an approved call for a given source.
+   * @param {string} source e.g. 'gateway-execute'
+   * @param {function(object, object): Promise<object>} executor (request, context) -> result
+   */
+  registerExecutor(source, executor) {
+    this.executors.set(source, executor);
+  }
+
+  /**
+   * Park a call for approval, or return the approval already recorded for its key.
+   *
+   * @param {object} submission
+   * @param {string} submission.source Executor name
+   * @param {string} submission.principal Caller identity (see IdempotencyManager.resolvePrincipal)
+   * @param {string} submission.idempotencyKey Key the approved call will run with
+   * @param {string} submission.toolId
+   * @param {object} [submission.params]
+   * @param {string} [submission.riskLevel]
+   * @param {object} submission.request Executor input (kept in memory only)
+   * @param {object} [submission.context] Caller request context (kept in memory only); its
+   *   verified `principalId` is what self-approval is checked against
+   * @returns {Promise<{ created: boolean, approval: object }>}
+   */
+  async submit({ source, principal, idempotencyKey, toolId, params, riskLevel, request, context = {} }) {
+    const now = Date.now();
+    await this.expireStale(now);
+
+    const fingerprint = sha256(JSON.stringify({ toolId, params: params || null }));
+    const approval = {
+      id: `apr_${crypto.randomUUID()}`,
+      status: 'pending',
+      source,
+      toolId,
+      params: params || {},
+      riskLevel: riskLevel || 'high',
+      idempotencyKey,
+      principal,
+      requesterId: context.principalId || null,
+      fingerprint,
+      requestedBy: {
+        projectScope: context.tenantId || context.projectScope || null,
+        clientId: context.clientId || null,
+        requestId: context.requestId || null
+      },
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      result: null
+    };
+
+    if (!(await this.store.insert(approval))) {
+      const existing = await this.store.findByKey(principal, idempotencyKey);
+      if (!existing) {
+        // The holder expired between the insert and the lookup
+        return this.submit({ source, principal, idempotencyKey, toolId, params, riskLevel, request, context });
+      }
+      if (existing.fingerprint !== fingerprint) {
+        throw createApprovalError(
+          422,
+          'IDEMPOTENCY_KEY_REUSED',
+          'Idempotency key was already used with a different request payload',
+          { idempotencyKey, approvalId: existing.id }
+        );
+      }
+      return { created: false, approval: this.serialize(existing) };
+    }
+
+    this.pendingCalls.set(approval.id, { request, context });
+    this.emit('approval:requested', this.serialize(approval));
+    return { created: true, approval: this.serialize(approval) };
+  }
+
+  async get(id) {
+    await this.expireStale();
+    const approval = await this.store.get(id);
+    return approval ? this.serialize(approval) : null;
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.status]
+   */
+  async list(filter = {}) {
+    await this.expireStale();
+    const approvals = await this.store.list({ status: filter.status });
+    return approvals.map((approval) => this.serialize(approval));
+  }
+
+  /**
+   * Approve a pending call and execute it. Only the first approval of an id
+   * executes; later calls see a non-pending status and fail with 409.
+   *
+   * @param {string} id
+   * @param {{ id?: string, reason?: string }} approver `id` is the approver's verified principal id
+   * @returns {Promise<object>} The decided approval, including the execution result
+   */
+  async approve(id, approver = {}) {
+    const pending = await this.claimPending(id, approver);
+    if (!pending.requesterId) {
+      throw createApprovalError(
+        403,
+        'APPROVAL_REQUESTER_UNVERIFIED',
+        `Approval ${id} has no verified requester, so self-approval cannot be ruled out; reject it instead`
+      );
+    }
+    const call = this.pendingCalls.get(id);
+    if (!call) {
+      const expired = await this.decide(pending, 'expired', { reason: 'Requester context is no longer available' });
+      this.emit('approval:expired', this.serialize(expired));
+      throw createApprovalError(
+        410,
+        'APPROVAL_CONTEXT_LOST',
+        `Approval ${id} can no longer run as its requester; the call must be resubmitted`
+      );
+    }
+
+    // Transition before awaiting the executor so a concurrent approve cannot run it twice.
+    const approval = await this.decide(pending, 'approved', approver);
+    this.emit('approval:approved', this.serialize(approval));
+
+    const executor = this.executors.get(approval.source);
+    let result;
+    try {
+      if (!executor) {
+        throw createApprovalError(500, 'APPROVAL_EXECUTOR_MISSING', `No executor registered for '${approval.source}'`);
+      }
+      result = await executor(call.request, call.context);
+    } catch (error) {
+      result = { success: false, error: { code: error.code || 'EXECUTION_ERROR', message: error.message } };
+    }
+
+    const outcome = { ...approval, result, status: result && result.success ? 'executed' : 'failed' };
+    await this.store.transition(id, 'approved', outcome);
+    this.pendingCalls.delete(id);
+    this.emit(`approval:${outcome.status}`, this.serialize(outcome));
+    return this.serialize(outcome);
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ id?: string, reason?: string }} approver
+   */
+  async reject(id, approver = {}) {
+    const pending = await this.claimPending(id, approver);
+    const approval = await this.decide(pending, 'rejected', approver);
+    this.pendingCalls.delete(id);
+    this.emit('approval:rejected', this.serialize(approval));
+    return this.serialize(approval);
+  }
+
+  async claimPending(id, approver) {
+    await this.expireStale();
+    const approval = await this.store.get(id);
+    if (!approval) {
+      throw createApprovalError(404, 'APPROVAL_NOT_FOUND', `Approval not found: ${id}`);
+    }
+    if (approval.status !== 'pending') {
+      throw this.notPendingError(approval);
+    }
+    // The caller that requested the operation cannot approve it.
+    if (approval.requesterId && approver.id && String(approver.id) === approval.requesterId) {
+      throw createApprovalError(403, 'SELF_APPROVAL_FORBIDDEN', 'The requester of an operation cannot approve it');
+    }
+    return approval;
+  }
+
+  /**
+   * Move a pending approval to `status`; 409 if another decision got there first.
+   */
+  async decide(approval, status, { id = null, reason = null } = {}) {
+    const decided = { ...approval, status, decidedAt: Date.now(), decidedBy: id, reason };
+    if (!(await this.store.transition(approval.id, 'pending', decided))) {
+      throw this.notPendingError(await this.store.get(approval.id) || approval);
+    }
+    return decided;
+  }
+
+  notPendingError(approval) {
+    return createApprovalError(
+      409,
+      'APPROVAL_NOT_PENDING',
+      `Approval ${approval.id} is already ${approval.status}`,
+      { status: approval.status }
+    );
+  }
+
+  async expireStale(now = Date.now()) {
+    for (const approval of await this.store.list({ status: 'pending' })) {
+      if (approval.expiresAt > now) continue;
+      const expired = { ...approval, status: 'expired', decidedAt: now };
+      if (await this.store.transition(approval.id, 'pending', expired)) {
+        this.pendingCalls.delete(approval.id);
+        this.emit('approval:expired', this.serialize(expired));
+      }
+    }
+    await this.store.purge(now - this.retentionMs);
+  }
+
+  serialize(approval) {
+    return {
+      id: approval.id,
+      status: approval.status,
+      source: approval.source,
+      tool_id: approval.toolId,
+      params: approval.params,
+      risk_level: approval.riskLevel,
+      idempotency_key: approval.idempotencyKey,
+      requested_by: approval.requestedBy,
+      created_at: new Date(approval.createdAt).toISOString(),
+      expires_at: new Date(approval.expiresAt).toISOString(),
+      decided_at: approval.decidedAt ? new Date(approval.decidedAt).toISOString() : null,
+      decided_by: approval.decidedBy,
+      reason: approval.reason,
+      result: approval.result
+    };
+  }
+}
+
+ApprovalQueue.STATUSES = STATUSES;
+
+module.exports = ApprovalQueue;
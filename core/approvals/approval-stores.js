@@ -0,0 +1,185 @@
+/**
+ * Approval Stores
+ * Persistence for approvals tracked by ApprovalQueue.
+ *
+ * Record shape (see ApprovalQueue.submit):
+ * { id, status, source, toolId, params, riskLevel, idempotencyKey, principal,
+ *   requesterId, fingerprint, requestedBy, createdAt, expiresAt, decidedAt,
+ *   decidedBy, reason, result }
+ *
+ * The caller's request and credentials are never part of a record.
+ *
+ * Store contract (all async unless noted):
+ * - shared (property) -> true when other gateway instances see the same records
+ * - insert(record) -> boolean (false when a non-expired approval already holds
+ *   the same principal + idempotency key)
+ * - get(id) -> record | null
+ * - findByKey(principal, idempotencyKey) -> the non-expired record | null
+ * - list({ status }) -> records, oldest first
+ * - transition(id, fromStatus, record) -> boolean (replaces the record only if
+ *   it is still in fromStatus, so concurrent decisions cannot both win)
+ * - purge(before) -> number of decided records (not pending/approved) removed
+ *   whose decision is older than `before` (ms)
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const LIVE_STATUSES = ['pending', 'approved'];
+
+class MemoryApprovalStore {
+  constructor() {
+    this.shared = false;
+    this.records = new Map();
+  }
+
+  async insert(record) {
+    if (await this.findByKey(record.principal, record.idempotencyKey)) {
+      return false;
+    }
+    this.records.set(record.id, clone(record));
+    return true;
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  async findByKey(principal, idempotencyKey) {
+    for (const record of this.records.values()) {
+      if (record.principal === principal && record.idempotencyKey === idempotencyKey && record.status !== 'expired') {
+        return clone(record);
+      }
+    }
+    return null;
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.records.values())
+      .filter((record) => !filter.status || record.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+
+  async transition(id, fromStatus, record) {
+    const current = this.records.get(id);
+    if (!current || current.status !== fromStatus) {
+      return false;
+    }
+    this.records.set(id, clone(record));
+    return true;
+  }
+
+  async purge(before) {
+    let removed = 0;
+    for (const record of this.records.values()) {
+      if (!LIVE_STATUSES.includes(record.status) && (record.decidedAt || record.createdAt) < before) {
+        this.records.delete(record.id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Postgres table (see database/migrations/012_approval_requests.sql).
+ */
+class PostgresApprovalStore {
+  constructor(options = {}) {
+    this.shared = true;
+    this.db = options.db || require('../database');
+    this.table = options.table || 'approval_requests';
+  }
+
+  async insert(record) {
+    const result = await this.db.query(
+      `INSERT INTO ${this.table} (id, status, principal, idempotency_key, record, created_at, decided_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT DO NOTHING`,
+      [
+        record.id,
+        record.status,
+        record.principal,
+        record.idempotencyKey,
+        JSON.stringify(record),
+        new Date(record.createdAt).toISOString(),
+        record.decidedAt ? new Date(record.decidedAt).toISOString() : null
+      ]
+    );
+    return result.rowCount === 1;
+  }
+
+  async get(id) {
+    const result = await this.db.query(`SELECT record FROM ${this.table} WHERE id = $1`, [id]);
+    return result.rows[0] ? result.rows[0].record : null;
+  }
+
+  async findByKey(principal, idempotencyKey) {
+    const result = await this.db.query(
+      `SELECT record FROM ${this.table}
+       WHERE principal = $1 AND idempotency_key = $2 AND status <> 'expired'
+       LIMIT 1`,
+      [principal, idempotencyKey]
+    );
+    return result.rows[0] ? result.rows[0].record : null;
+  }
+
+  async list(filter = {}) {
+    const params = [];
+    let where = '';
+    if (filter.status) {
+      params.push(filter.status);
+      where = 'WHERE status = $1';
+    }
+    const result = await this.db.query(
+      `SELECT record FROM ${this.table} ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map((row) => row.record);
+  }
+
+  async transition(id, fromStatus, record) {
+    const result = await this.db.query(
+      `UPDATE ${this.table}
+       SET status = $3, record = $4, decided_at = $5
+       WHERE id = $1 AND status = $2`,
+      [
+        id,
+        fromStatus,
+        record.status,
+        JSON.stringify(record),
+        record.decidedAt ? new Date(record.decidedAt).toISOString() : null
+      ]
+    );
+    return result.rowCount === 1;
+  }
+
+  async purge(before) {
+    const result = await this.db.query(
+      `DELETE FROM ${this.table}
+       WHERE status NOT IN ('pending', 'approved') AND COALESCE(decided_at, created_at) < $1`,
+      [new Date(before).toISOString()]
+    );
+    return result.rowCount;
+  }
+}
+
+/**
+ * Store selected by APPROVAL_STORE (memory | postgres). Defaults to memory.
+ */
+const createApprovalStore = (options = {}) => {
+  const type = (options.type || process.env.APPROVAL_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresApprovalStore(options);
+  }
+  return new MemoryApprovalStore(options);
+};
+
+module.exports = {
+  MemoryApprovalStore,
+  PostgresApprovalStore,
+  createApprovalStore
+};
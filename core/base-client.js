@@ -6,6 +6,8 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { DryRunAbort, getDryRunScope, redactHeaders, redactUrl } = require('./dry-run');
+const { getTracer, SPAN_KIND } = require('./tracing/tracer');
 
 class BaseClient extends EventEmitter {
     constructor(config) {
@@ -213,17 +215,69 @@ class BaseClient extends EventEmitter {
     }
 
     async request(endpoint, options = {}) {
-        if (this.isCircuitOpen()) {
-            throw new Error(`Circuit breaker is OPEN for ${this.config.name}`);
-        }
-
         const config = {
             url: endpoint.path,
             method: endpoint.method || 'GET',
             ...options
         };
 
-        return this.retryRequest(config);
+        // Dry run (see core/dry-run.js): record the request and stop before sending it.
+        const dryRun = getDryRunScope();
+        if (dryRun) {
+            const preview = this.previewRequest(config);
+            dryRun.requests.push(preview);
+            throw new DryRunAbort(preview);
+        }
+
+        const method = (config.method || 'GET').toUpperCase();
+        return getTracer().withSpan(`HTTP ${method}`, {
+            kind: SPAN_KIND.CLIENT,
+            attributes: {
+                'http.method': method,
+                'http.url': redactUrl(this.axios.getUri(config)),
+                'peer.service': this.config.name
+            }
+        }, async (span) => {
+            // The vendor sees this client span as its parent.
+            config.headers = { ...(config.headers || {}), traceparent: span.traceparent };
+
+            if (this.isCircuitOpen()) {
+                span.setAttribute('circuit_breaker.state', this.circuitBreaker.state);
+                throw new Error(`Circuit breaker is OPEN for ${this.config.name}`);
+            }
+
+            try {
+                return await this.retryRequest(config);
+            } catch (error) {
+                if (error.response) span.setAttribute('http.status_code', error.response.status);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * The request axios would send for `config` (default headers, authentication,
+     * base URL and query params applied), with credentials redacted.
+     */
+    previewRequest(config) {
+        const defaultHeaders = Object.fromEntries(
+            Object.entries(this.axios.defaults.headers || {})
+                .filter(([, value]) => typeof value === 'string')
+        );
+        const prepared = {
+            ...config,
+            params: config.params ? { ...config.params } : undefined,
+            headers: { ...defaultHeaders, ...(config.headers || {}) }
+        };
+        this.addAuthentication(prepared);
+
+        return {
+            service: this.config.name,
+            method: (prepared.method || 'GET').toUpperCase(),
+            url: redactUrl(this.axios.getUri(prepared)),
+            headers: redactHeaders(prepared.headers),
+            body: prepared.data === undefined ? null : prepared.data
+        };
     }
 
     async retryRequest(config, attempt = 1) {
@@ -354,4 +408,7 @@ class BaseClient extends EventEmitter {
     }
 }
 
+// Every call goes through request(), so dry runs can capture it (see core/dry-run.js).
+BaseClient.dryRunSafe = true;
+
 module.exports = BaseClient;
@@ -35,6 +35,9 @@ class BaseMCPAdapter {
     this.callToolVersion = config.callToolVersion || 'v2';
     this.legacyCallTool = config.legacyCallTool === true;
 
+    // undefined => inferred from the client type (see supportsDryRun()).
+    this.dryRunSupported = typeof config.supportsDryRun === 'boolean' ? config.supportsDryRun : undefined;
+
     this._initialized = false;
     this._stats = { calls: 0, errors: 0, lastCall: null };
   }
@@ -75,10 +78,45 @@ class BaseMCPAdapter {
     }
   }
 
+  /**
+   * Whether callTool() can run under a dry-run scope (core/dry-run.js) without
+   * side effects. Only clients that send everything through BaseClient.request()
+   * qualify by default; subclasses with their own I/O (database, SDKs) must opt in.
+   */
+  supportsDryRun() {
+    if (typeof this.dryRunSupported === 'boolean') return this.dryRunSupported;
+    // Own property only: subclasses (e.g. database-backed clients) do not inherit it.
+    const ClientClass = this.client && this.client.constructor;
+    return !!ClientClass && Object.prototype.hasOwnProperty.call(ClientClass, 'dryRunSafe') && ClientClass.dryRunSafe === true;
+  }
+
   listTools() {
     return this.tools || [];
   }
 
+  /**
+   * GDPR data-subject request hook (see core/privacy/privacy-request-manager.js).
+   * Adapters holding personal data return:
+   * - export(subject, context) -> the subject's records
+   * - erase(subject, context) -> { erased }
+   * - retention: why records must be kept, when erasure is not allowed
+   * where subject is { type, id }. null = the adapter takes no part.
+   */
+  getPrivacyHook() {
+    return null;
+  }
+
+  /**
+   * Inbound webhook hook (see core/webhooks/webhook-ingress.js), called after the
+   * provider signature was verified and the delivery deduplicated. event is
+   * { id, provider, eventId, type, payload, receivedAt }. Return null when the
+   * adapter does not handle the event; throw to mark it failed (operators can
+   * retry failed events).
+   */
+  async handleWebhook() {
+    return null;
+  }
+
   async healthCheck() {
     if (this.client && typeof this.client.healthCheck === 'function') {
       return this.client.healthCheck();
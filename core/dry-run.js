@@ -0,0 +1,72 @@
+/**
+ * Dry Run
+ * Captures the outbound HTTP request an adapter would send, without sending it.
+ *
+ * runDryRun(fn) executes fn inside a dry-run scope. BaseClient.request() checks
+ * the scope, records the fully built request (auth, base URL, query, body) and
+ * aborts with DryRunAbort before any network I/O.
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const SENSITIVE_NAME = /auth|token|secret|password|passwd|api[-_]?key|apikey|signature|cookie|session/i;
+const REDACTED = '[REDACTED]';
+
+class DryRunAbort extends Error {
+  constructor(request) {
+    super('Dry run: outbound request captured and not sent');
+    this.name = 'DryRunAbort';
+    this.code = 'DRY_RUN_CAPTURED';
+    this.request = request;
+  }
+}
+
+const redactHeaders = (headers = {}) => Object.fromEntries(
+  Object.entries(headers)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, SENSITIVE_NAME.test(name) ? REDACTED : value])
+);
+
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    for (const name of Array.from(parsed.searchParams.keys())) {
+      if (SENSITIVE_NAME.test(name)) parsed.searchParams.set(name, REDACTED);
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
+
+const getDryRunScope = () => storage.getStore() || null;
+
+/**
+ * Run fn in a dry-run scope.
+ *
+ * @returns {Promise<{ requests: object[], result: any }>} Captured requests; `result`
+ *   is set only when fn completed without attempting an outbound request.
+ */
+const runDryRun = async (fn) => {
+  const scope = { requests: [] };
+  let result;
+  try {
+    result = await storage.run(scope, fn);
+  } catch (error) {
+    // Adapters may wrap the abort in their own error; a captured request is what matters.
+    if (!(error instanceof DryRunAbort) && scope.requests.length === 0) throw error;
+  }
+  return { requests: scope.requests, result };
+};
+
+module.exports = {
+  DryRunAbort,
+  getDryRunScope,
+  runDryRun,
+  redactHeaders,
+  redactUrl
+};
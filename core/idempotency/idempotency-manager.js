@@ -0,0 +1,226 @@
+/**
+ * Idempotency Manager
+ * Shared idempotency for mutating gateway operations (abstracted REST routes
+ * and the gateway-execute MCP meta-tool).
+ *
+ * - The first request for a key runs; its response is stored and replayed for
+ *   later requests with the same key and payload.
+ * - Reusing a key with a different payload is rejected (422 IDEMPOTENCY_KEY_REUSED).
+ * - Duplicates that arrive while the first request is still running wait for
+ *   its outcome, up to waitTimeoutMs (409 IDEMPOTENCY_REQUEST_IN_PROGRESS after that).
+ * - Failed or non-cacheable outcomes release the key so the client can retry.
+ * - A response dropped by a privacy erasure is not replayed or re-run
+ *   (410 IDEMPOTENCY_RESPONSE_ERASED) until the key expires.
+ *
+ * Keys are scoped to the caller's verified principal id within its tenant; a
+ * hash of the raw credential stands in only for callers without one.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { createIdempotencyStore } = require('./idempotency-stores');
+const { mentionsSubject } = require('../privacy/subject-match');
+
+const MAX_KEY_LENGTH = 255;
+
+const createIdempotencyError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+// Key order must not change the fingerprint.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// How a string appears inside stored JSON
+const jsonFragment = (text) => JSON.stringify(String(text)).slice(1, -1);
+
+class IdempotencyManager {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] Store implementing the idempotency-stores.js contract
+   * @param {number} [options.ttlMs] How long completed responses are replayed (default 24h)
+   * @param {number} [options.lockTimeoutMs] After this, an in-progress claim is considered abandoned
+   * @param {number} [options.waitTimeoutMs] How long a concurrent duplicate waits for the original
+   * @param {number} [options.pollIntervalMs] Store polling interval while waiting
+   */
+  constructor(options = {}) {
+    this.store = options.store || createIdempotencyStore();
+    this.ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS || '86400000', 10);
+    this.lockTimeoutMs = options.lockTimeoutMs || 120000;
+    this.waitTimeoutMs = options.waitTimeoutMs !== undefined ? options.waitTimeoutMs : 10000;
+    this.pollIntervalMs = options.pollIntervalMs || 100;
+    // storeKey -> promise of the in-process original (duplicates join it directly)
+    this.inFlight = new Map();
+  }
+
+  fingerprint(payload) {
+    return sha256(stableStringify(payload));
+  }
+
+  /**
+   * Caller identity used to namespace keys: the verified principal id (API key
+   * id or token `sub`), so a refreshed token still replays; a hash of the raw
+   * credential only when there is none. Raw credentials are never stored.
+   */
+  resolvePrincipal(context = {}) {
+    if (context.principal) return String(context.principal);
+    if (context.principalId) {
+      return `${context.tenantId || 'default'}:id:${context.principalId}`;
+    }
+    const credential = context.authorization || context.apiKey || '';
+    const scope = context.projectScope || 'default';
+    return credential ? `${scope}:${sha256(credential).slice(0, 32)}` : `${scope}:anonymous`;
+  }
+
+  validateKey(key) {
+    if (typeof key !== 'string' || key.trim().length === 0 || key.length > MAX_KEY_LENGTH) {
+      throw createIdempotencyError(
+        400,
+        'INVALID_IDEMPOTENCY_KEY',
+        `Idempotency key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`
+      );
+    }
+  }
+
+  /**
+   * Run `fn` at most once per (principal, key).
+   *
+   * @param {{ key: string, payload: any, context?: object }} request
+   * @param {function(): Promise<any>} fn Produces the response to store (must be JSON-serializable)
+   * @param {object} [options]
+   * @param {function(any): boolean} [options.cacheable] Whether a response should be stored for replay
+   * @returns {Promise<{ replayed: boolean, response: any }>}
+   */
+  async execute({ key, payload, context = {} }, fn, options = {}) {
+    this.validateKey(key);
+    const cacheable = typeof options.cacheable === 'function' ? options.cacheable : () => true;
+    const storeKey = `${this.resolvePrincipal(context)}:${key}`;
+    const fingerprint = this.fingerprint(payload);
+
+    const { created, record } = await this.store.reserve(storeKey, fingerprint, {
+      ttlMs: this.ttlMs,
+      lockTimeoutMs: this.lockTimeoutMs
+    });
+
+    if (!created) {
+      return this.resolveExisting(storeKey, key, fingerprint, record);
+    }
+
+    const run = (async () => {
+      let response;
+      try {
+        response = await fn();
+      } catch (error) {
+        await this.store.release(storeKey);
+        throw error;
+      }
+
+      if (cacheable(response)) {
+        // Store a detached copy so later mutation by the caller cannot alter replays.
+        await this.store.complete(storeKey, JSON.parse(JSON.stringify(response)), { ttlMs: this.ttlMs });
+      } else {
+        await this.store.release(storeKey);
+      }
+      return response;
+    })();
+
+    this.inFlight.set(storeKey, { fingerprint, promise: run });
+    try {
+      return { replayed: false, response: await run };
+    } finally {
+      this.inFlight.delete(storeKey);
+    }
+  }
+
+  async resolveExisting(storeKey, key, fingerprint, record) {
+    if (record.fingerprint !== fingerprint) {
+      throw createIdempotencyError(
+        422,
+        'IDEMPOTENCY_KEY_REUSED',
+        'Idempotency key was already used with a different request payload',
+        { idempotencyKey: key }
+      );
+    }
+
+    if (record.status === 'erased') {
+      throw this.erasedError(key);
+    }
+    if (record.status === 'completed') {
+      return { replayed: true, response: record.response };
+    }
+
+    // Same process: share the original's outcome (including its failure).
+    const local = this.inFlight.get(storeKey);
+    if (local) {
+      const response = await local.promise;
+      return { replayed: true, response };
+    }
+
+    // Another instance owns the key: poll the store for its outcome.
+    const deadline = Date.now() + this.waitTimeoutMs;
+    while (Date.now() < deadline) {
+      await sleep(this.pollIntervalMs);
+      const current = await this.store.get(storeKey);
+      if (!current) break;
+      if (current.status === 'erased') throw this.erasedError(key);
+      if (current.status === 'completed') {
+        return { replayed: true, response: current.response };
+      }
+    }
+
+    throw createIdempotencyError(
+      409,
+      'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+      'A request with this idempotency key is still in progress or did not complete; retry later',
+      { idempotencyKey: key }
+    );
+  }
+
+  erasedError(key) {
+    return createIdempotencyError(
+      410,
+      'IDEMPOTENCY_RESPONSE_ERASED',
+      'The request with this idempotency key completed, but its stored response was erased; use a new key to run it again',
+      { idempotencyKey: key }
+    );
+  }
+
+  /**
+   * Privacy hook (see PrivacyRequestManager): erasure drops stored responses
+   * whose subject fields (e.g. email, user_id) hold the subject. The text
+   * search only narrows candidates.
+   */
+  getPrivacyHook() {
+    return {
+      erase: async (subject) => {
+        const records = (await this.store.search(jsonFragment(subject.id)))
+          .filter((record) => mentionsSubject(record.response, subject));
+        let erased = 0;
+        for (const record of records) {
+          if (await this.store.erase(record.key)) erased += 1;
+        }
+        return { erased };
+      }
+    };
+  }
+}
+
+module.exports = IdempotencyManager;
@@ -0,0 +1,229 @@
+/**
+ * Idempotency Stores
+ * Persistence for idempotency records used by IdempotencyManager.
+ *
+ * Record shape:
+ * { key, fingerprint, status: 'in_progress' | 'completed' | 'erased', response, createdAt, updatedAt, expiresAt }
+ *
+ * An 'erased' record completed but had its response dropped by a privacy
+ * erasure; it still holds the key until it expires.
+ *
+ * Store contract (all async):
+ * - reserve(key, fingerprint, { ttlMs, lockTimeoutMs }) -> { created, record }
+ *   Atomically claims the key. Expired records, and in-progress records older
+ *   than lockTimeoutMs (a crashed owner), are replaced.
+ * - get(key) -> record | null
+ * - complete(key, response, { ttlMs }) -> void
+ * - release(key) -> void (drops an in-progress claim so the key can be retried)
+ * - search(text) -> live completed records whose stored response contains
+ *   `text` (as JSON)
+ * - erase(key) -> boolean (switches a live completed record to 'erased' and
+ *   drops its response)
+ */
+
+'use strict';
+
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.records = new Map();
+    this.purgeIntervalMs = options.purgeIntervalMs || 60000;
+    this.lastPurgeAt = Date.now();
+  }
+
+  isReclaimable(record, now, lockTimeoutMs) {
+    if (record.expiresAt <= now) return true;
+    return record.status === 'in_progress' && now - record.updatedAt >= lockTimeoutMs;
+  }
+
+  async reserve(key, fingerprint, { ttlMs, lockTimeoutMs }) {
+    const now = Date.now();
+    this.purgeExpired(now);
+
+    const existing = this.records.get(key);
+    if (existing && !this.isReclaimable(existing, now, lockTimeoutMs)) {
+      return { created: false, record: { ...existing } };
+    }
+
+    const record = {
+      key,
+      fingerprint,
+      status: 'in_progress',
+      response: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    };
+    this.records.set(key, record);
+    return { created: true, record: { ...record } };
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return { ...record };
+  }
+
+  async complete(key, response, { ttlMs }) {
+    const record = this.records.get(key);
+    if (!record) return;
+    const now = Date.now();
+    record.status = 'completed';
+    record.response = response;
+    record.updatedAt = now;
+    record.expiresAt = now + ttlMs;
+  }
+
+  async release(key) {
+    const record = this.records.get(key);
+    if (record && record.status === 'in_progress') {
+      this.records.delete(key);
+    }
+  }
+
+  async search(text) {
+    const now = Date.now();
+    return Array.from(this.records.values())
+      .filter((record) => record.status === 'completed' && record.expiresAt > now
+        && JSON.stringify(record.response).includes(text))
+      .map((record) => ({ ...record }));
+  }
+
+  async erase(key) {
+    const now = Date.now();
+    const record = this.records.get(key);
+    if (!record || record.status !== 'completed' || record.expiresAt <= now) return false;
+    Object.assign(record, { status: 'erased', response: null, updatedAt: now });
+    return true;
+  }
+
+  purgeExpired(now = Date.now()) {
+    if (now - this.lastPurgeAt < this.purgeIntervalMs) return;
+    this.lastPurgeAt = now;
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+/**
+ * Postgres-backed store (see database/migrations/004_gateway_idempotency_keys.sql).
+ * Uses the shared pool from core/database.js unless a `db` with `query()` is injected.
+ */
+class PostgresIdempotencyStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+    this.table = options.table || 'gateway_idempotency_keys';
+  }
+
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      key: row.key,
+      fingerprint: row.fingerprint,
+      status: row.status,
+      response: row.response,
+      createdAt: new Date(row.created_at).getTime(),
+      updatedAt: new Date(row.updated_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime()
+    };
+  }
+
+  async reserve(key, fingerprint, { ttlMs, lockTimeoutMs }, retried = false) {
+    // Insert, or take over an expired/abandoned record; a live record is left untouched.
+    const claimed = await this.db.query(
+      `INSERT INTO ${this.table} (key, fingerprint, status, response, created_at, updated_at, expires_at)
+       VALUES ($1, $2, 'in_progress', NULL, NOW(), NOW(), NOW() + $3 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE
+         SET fingerprint = EXCLUDED.fingerprint,
+             status = 'in_progress',
+             response = NULL,
+             created_at = NOW(),
+             updated_at = NOW(),
+             expires_at = EXCLUDED.expires_at
+         WHERE ${this.table}.expires_at <= NOW()
+            OR (${this.table}.status = 'in_progress'
+                AND ${this.table}.updated_at <= NOW() - $4 * INTERVAL '1 millisecond')
+       RETURNING *`,
+      [key, fingerprint, ttlMs, lockTimeoutMs]
+    );
+
+    if (claimed.rows.length > 0) {
+      return { created: true, record: this.toRecord(claimed.rows[0]) };
+    }
+
+    const existing = await this.get(key);
+    if (!existing && !retried) {
+      // Released or expired between the insert attempt and the read; claim it again.
+      return this.reserve(key, fingerprint, { ttlMs, lockTimeoutMs }, true);
+    }
+    if (!existing) {
+      throw new Error(`Could not reserve idempotency key: ${key}`);
+    }
+    return { created: false, record: existing };
+  }
+
+  async get(key) {
+    const result = await this.db.query(
+      `SELECT * FROM ${this.table} WHERE key = $1 AND expires_at > NOW()`,
+      [key]
+    );
+    return this.toRecord(result.rows[0]);
+  }
+
+  async complete(key, response, { ttlMs }) {
+    await this.db.query(
+      `UPDATE ${this.table}
+         SET status = 'completed', response = $2, updated_at = NOW(),
+             expires_at = NOW() + $3 * INTERVAL '1 millisecond'
+       WHERE key = $1`,
+      [key, JSON.stringify(response), ttlMs]
+    );
+  }
+
+  async release(key) {
+    await this.db.query(
+      `DELETE FROM ${this.table} WHERE key = $1 AND status = 'in_progress'`,
+      [key]
+    );
+  }
+
+  async search(text) {
+    const result = await this.db.query(
+      `SELECT * FROM ${this.table}
+       WHERE status = 'completed' AND expires_at > NOW() AND strpos(response::text, $1) > 0`,
+      [text]
+    );
+    return result.rows.map((row) => this.toRecord(row));
+  }
+
+  async erase(key) {
+    const result = await this.db.query(
+      `UPDATE ${this.table}
+         SET status = 'erased', response = NULL, updated_at = NOW()
+       WHERE key = $1 AND status = 'completed' AND expires_at > NOW()`,
+      [key]
+    );
+    return result.rowCount === 1;
+  }
+}
+
+/**
+ * Store selected by IDEMPOTENCY_STORE (memory | postgres). Defaults to memory.
+ */
+const createIdempotencyStore = (options = {}) => {
+  const type = (options.type || process.env.IDEMPOTENCY_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresIdempotencyStore(options);
+  }
+  return new MemoryIdempotencyStore(options);
+};
+
+module.exports = {
+  MemoryIdempotencyStore,
+  PostgresIdempotencyStore,
+  createIdempotencyStore
+};
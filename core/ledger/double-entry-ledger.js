@@ -0,0 +1,233 @@
+/**
+ * Double-Entry Ledger
+ * Append-only accounts, journal entries and postings. Every entry's debits equal
+ * its credits per currency, and balances are derived from postings only, so a
+ * balance can be recomputed as of any past moment.
+ *
+ * Events:
+ * - entry:posted   a new journal entry (not emitted for idempotent replays)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createLedgerStore, balanceOf } = require('./ledger-stores');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const ENTRY_TYPES = ['credit', 'debit', 'transfer', 'fee', 'reversal', 'adjustment'];
+const DIRECTIONS = ['debit', 'credit'];
+
+const createLedgerError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+class DoubleEntryLedger extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] Defaults to createLedgerStore()
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || createLedgerStore(options.storeOptions);
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Open an account; opening an existing id returns it unchanged.
+   */
+  async openAccount({ id, name, type, currency, ownerType = null, ownerId = null, metadata = {} } = {}) {
+    if (!id || !ACCOUNT_TYPES.includes(type)) {
+      throw createLedgerError(400, 'INVALID_LEDGER_ACCOUNT',
+        `Accounts need an id and a type (${ACCOUNT_TYPES.join(', ')})`);
+    }
+    if (!/^[A-Z]{3}$/.test(currency || '')) {
+      throw createLedgerError(400, 'INVALID_LEDGER_ACCOUNT', 'currency must be an ISO 4217 code');
+    }
+    return this.store.saveAccount({
+      id,
+      name: name || id,
+      type,
+      currency,
+      ownerType,
+      ownerId,
+      metadata,
+      createdAt: this.now()
+    });
+  }
+
+  async getAccount(id) {
+    const account = await this.store.getAccount(id);
+    if (!account) {
+      throw createLedgerError(404, 'LEDGER_ACCOUNT_NOT_FOUND', `Ledger account not found: ${id}`);
+    }
+    return account;
+  }
+
+  async listAccounts(filter = {}) {
+    return this.store.listAccounts(filter);
+  }
+
+  /**
+   * Post a balanced journal entry. Posting a reference twice returns the first
+   * entry with duplicate: true instead of posting again.
+   *
+   * @param {object} journal
+   * @param {string} journal.reference Unique per entry
+   * @param {string} [journal.type]
+   * @param {Array<{ accountId: string, direction: 'debit'|'credit', amount: number }>} journal.postings
+   *   Amounts are positive integers in minor units, in the account's currency
+   * @param {string[]} [journal.nonNegative] Accounts that must not go below zero (e.g. customer wallets)
+   * @returns {Promise<object>} The entry with its postings
+   */
+  async post({ reference, type = 'adjustment', description = null, postings, metadata = {}, nonNegative = [],
+    reversesEntryId = null } = {}) {
+    if (!reference || typeof reference !== 'string') {
+      throw createLedgerError(400, 'INVALID_JOURNAL_ENTRY', 'reference is required');
+    }
+    if (!ENTRY_TYPES.includes(type)) {
+      throw createLedgerError(400, 'INVALID_JOURNAL_ENTRY', `type must be one of: ${ENTRY_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw createLedgerError(400, 'INVALID_JOURNAL_ENTRY', 'An entry needs at least two postings');
+    }
+
+    const accounts = new Map();
+    const net = new Map(); // currency -> debits - credits
+    for (const posting of postings) {
+      if (!DIRECTIONS.includes(posting.direction) || !Number.isInteger(posting.amount) || posting.amount <= 0) {
+        throw createLedgerError(400, 'INVALID_JOURNAL_ENTRY',
+          'Postings need a direction (debit|credit) and a positive integer amount in minor units', { posting });
+      }
+      if (!accounts.has(posting.accountId)) {
+        accounts.set(posting.accountId, await this.getAccount(posting.accountId));
+      }
+      const { currency } = accounts.get(posting.accountId);
+      const signed = posting.direction === 'debit' ? posting.amount : -posting.amount;
+      net.set(currency, (net.get(currency) || 0) + signed);
+    }
+    const unbalanced = Array.from(net.entries()).filter(([, amount]) => amount !== 0);
+    if (unbalanced.length) {
+      throw createLedgerError(400, 'UNBALANCED_JOURNAL_ENTRY', 'Debits must equal credits in each currency', {
+        unbalanced: Object.fromEntries(unbalanced)
+      });
+    }
+
+    const postedAt = this.now();
+    const entry = {
+      id: `jrn_${crypto.randomUUID()}`,
+      reference,
+      type,
+      description,
+      metadata,
+      reversesEntryId,
+      postedAt
+    };
+    const rows = postings.map((posting, position) => ({
+      id: `pst_${crypto.randomUUID()}`,
+      entryId: entry.id,
+      position,
+      accountId: posting.accountId,
+      direction: posting.direction,
+      amount: posting.amount,
+      currency: accounts.get(posting.accountId).currency,
+      postedAt
+    }));
+
+    const result = await this.store.commitEntry(entry, rows, {
+      nonNegative: nonNegative.filter((accountId) => accounts.has(accountId))
+    });
+    if (result.insufficient) {
+      throw createLedgerError(422, 'INSUFFICIENT_FUNDS',
+        `Posting ${reference} would overdraw ${result.insufficient.accountId}`, result.insufficient);
+    }
+    if (!result.duplicate) this.emit('entry:posted', result.entry);
+    return { ...result.entry, duplicate: result.duplicate };
+  }
+
+  /**
+   * Post the mirror image of an entry. Each entry can be reversed once.
+   */
+  async reverse(entryId, { reference, description, metadata = {}, nonNegative = [] } = {}) {
+    const entry = await this.getEntry(entryId);
+    if (entry.type === 'reversal') {
+      throw createLedgerError(409, 'LEDGER_ENTRY_NOT_REVERSIBLE', `Entry ${entryId} is itself a reversal`);
+    }
+    const existing = await this.store.findReversal(entryId);
+    if (existing) {
+      throw createLedgerError(409, 'LEDGER_ENTRY_ALREADY_REVERSED', `Entry ${entryId} was reversed by ${existing.id}`, {
+        reversalId: existing.id
+      });
+    }
+
+    return this.post({
+      reference: reference || `${entry.reference}:reversal`,
+      type: 'reversal',
+      description: description || `Reversal of ${entry.reference}`,
+      metadata: { ...entry.metadata, ...metadata },
+      reversesEntryId: entry.id,
+      nonNegative,
+      postings: entry.postings.map((posting) => ({
+        accountId: posting.accountId,
+        direction: posting.direction === 'debit' ? 'credit' : 'debit',
+        amount: posting.amount
+      }))
+    });
+  }
+
+  async getEntry(id) {
+    const entry = await this.store.getEntry(id);
+    if (!entry) {
+      throw createLedgerError(404, 'LEDGER_ENTRY_NOT_FOUND', `Journal entry not found: ${id}`);
+    }
+    return entry;
+  }
+
+  async findEntry(reference) {
+    return this.store.findEntryByReference(reference);
+  }
+
+  async findReversal(entryId) {
+    return this.store.findReversal(entryId);
+  }
+
+  /**
+   * @param {{ accountId?: string, type?: string, from?: number|string, to?: number|string, limit?: number }} [filter]
+   */
+  async listEntries(filter = {}) {
+    return this.store.listEntries({
+      ...filter,
+      from: filter.from !== undefined ? new Date(filter.from).getTime() : undefined,
+      to: filter.to !== undefined ? new Date(filter.to).getTime() : undefined
+    });
+  }
+
+  /**
+   * Balance on the account's normal side, from postings up to `at` (now by default).
+   */
+  async getBalance(accountId, { at } = {}) {
+    const account = await this.getAccount(accountId);
+    const asOf = at === undefined || at === null ? undefined : new Date(at).getTime();
+    if (asOf !== undefined && !Number.isFinite(asOf)) {
+      throw createLedgerError(400, 'INVALID_BALANCE_TIME', `Not a valid time: ${at}`);
+    }
+    const totals = await this.store.totals(accountId, { at: asOf });
+    return {
+      accountId,
+      currency: account.currency,
+      balance: balanceOf(account.type, totals),
+      debits: totals.debits,
+      credits: totals.credits,
+      at: new Date(asOf === undefined ? this.now() : asOf).toISOString()
+    };
+  }
+}
+
+DoubleEntryLedger.ACCOUNT_TYPES = ACCOUNT_TYPES;
+DoubleEntryLedger.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = DoubleEntryLedger;
@@ -0,0 +1,350 @@
+/**
+ * Ledger Stores
+ * Append-only persistence for the double-entry ledger (see double-entry-ledger.js).
+ * Journal entries and postings are never updated or deleted; corrections are
+ * new entries (reversals).
+ *
+ * Account: { id, name, type, currency, ownerType, ownerId, metadata, createdAt }
+ * Entry:   { id, reference, type, description, metadata, reversesEntryId, postedAt, postings }
+ * Posting: { id, entryId, position, accountId, direction: debit|credit, amount (minor units), currency, postedAt }
+ *
+ * Store contract (all async unless noted):
+ * - durable (property) -> true when posted entries outlive the process
+ * - saveAccount(account) -> the stored account (an existing id is kept as is)
+ * - getAccount(id) / listAccounts({ type, ownerType, ownerId })
+ * - commitEntry(entry, postings, { nonNegative }) -> { entry, duplicate } | { insufficient: { accountId, balance } }
+ *   Atomic. An entry whose reference is already posted is returned with duplicate: true. Accounts listed in
+ *   nonNegative are locked and must not end below zero on their normal side.
+ * - getEntry(id) / findEntryByReference(reference) / findReversal(entryId)
+ * - listEntries({ accountId, type, from, to, limit }) -> entries with postings, oldest first
+ * - totals(accountId, { at }) -> { debits, credits } over postings posted at or before `at`
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Assets and expenses grow with debits; liabilities, equity and revenue with credits
+const DEBIT_NORMAL = new Set(['asset', 'expense']);
+
+/**
+ * Balance on the account type's normal side.
+ */
+const balanceOf = (type, { debits, credits }) => (DEBIT_NORMAL.has(type) ? debits - credits : credits - debits);
+
+const applyPostings = (totals, accountId, postings) => postings
+  .filter((posting) => posting.accountId === accountId)
+  .reduce((sum, posting) => ({
+    debits: sum.debits + (posting.direction === 'debit' ? posting.amount : 0),
+    credits: sum.credits + (posting.direction === 'credit' ? posting.amount : 0)
+  }), totals);
+
+class MemoryLedgerStore {
+  constructor() {
+    this.durable = false;
+    this.accounts = new Map();
+    this.entries = new Map();
+    this.byReference = new Map(); // reference -> entryId
+    this.postings = []; // append-only, in posting order
+  }
+
+  async saveAccount(account) {
+    if (!this.accounts.has(account.id)) this.accounts.set(account.id, clone(account));
+    return clone(this.accounts.get(account.id));
+  }
+
+  async getAccount(id) {
+    const account = this.accounts.get(id);
+    return account ? clone(account) : null;
+  }
+
+  async listAccounts(filter = {}) {
+    return Array.from(this.accounts.values())
+      .filter((account) => ['type', 'ownerType', 'ownerId']
+        .every((field) => !filter[field] || account[field] === filter[field]))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+
+  async commitEntry(entry, postings, { nonNegative = [] } = {}) {
+    if (this.byReference.has(entry.reference)) {
+      return { entry: await this.getEntry(this.byReference.get(entry.reference)), duplicate: true };
+    }
+    for (const accountId of nonNegative) {
+      const account = this.accounts.get(accountId);
+      const after = applyPostings(await this.totals(accountId), accountId, postings);
+      const balance = balanceOf(account.type, after);
+      if (balance < 0) return { insufficient: { accountId, balance } };
+    }
+
+    this.entries.set(entry.id, clone(entry));
+    this.byReference.set(entry.reference, entry.id);
+    this.postings.push(...postings.map(clone));
+    return { entry: await this.getEntry(entry.id), duplicate: false };
+  }
+
+  async getEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    return { ...clone(entry), postings: this.postings.filter((posting) => posting.entryId === id).map(clone) };
+  }
+
+  async findEntryByReference(reference) {
+    const id = this.byReference.get(reference);
+    return id ? this.getEntry(id) : null;
+  }
+
+  async findReversal(entryId) {
+    const reversal = Array.from(this.entries.values()).find((entry) => entry.reversesEntryId === entryId);
+    return reversal ? this.getEntry(reversal.id) : null;
+  }
+
+  async listEntries(filter = {}) {
+    const touched = filter.accountId
+      ? new Set(this.postings.filter((posting) => posting.accountId === filter.accountId).map((p) => p.entryId))
+      : null;
+    const entries = Array.from(this.entries.values())
+      .filter((entry) => !touched || touched.has(entry.id))
+      .filter((entry) => !filter.type || entry.type === filter.type)
+      .filter((entry) => !filter.from || entry.postedAt >= filter.from)
+      .filter((entry) => !filter.to || entry.postedAt < filter.to)
+      .sort((a, b) => a.postedAt - b.postedAt)
+      .slice(0, filter.limit || undefined);
+    return Promise.all(entries.map((entry) => this.getEntry(entry.id)));
+  }
+
+  async totals(accountId, { at } = {}) {
+    return this.postings
+      .filter((posting) => posting.accountId === accountId && (at === undefined || posting.postedAt <= at))
+      .reduce((sum, posting) => applyPostings(sum, accountId, [posting]), { debits: 0, credits: 0 });
+  }
+}
+
+const toTimestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+const fromTimestamp = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Postgres tables (see database/migrations/011_double_entry_ledger.sql). The
+ * database itself rejects unbalanced entries and updates or deletes of posted rows.
+ */
+class PostgresLedgerStore {
+  constructor(options = {}) {
+    this.durable = true;
+    this.db = options.db || require('../database');
+  }
+
+  async saveAccount(account) {
+    await this.db.query(
+      `INSERT INTO wallet.ledger_accounts (id, name, type, currency, owner_type, owner_id, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (id) DO NOTHING`,
+      [
+        account.id,
+        account.name,
+        account.type,
+        account.currency,
+        account.ownerType,
+        account.ownerId,
+        JSON.stringify(account.metadata || {}),
+        toTimestamp(account.createdAt)
+      ]
+    );
+    return this.getAccount(account.id);
+  }
+
+  async getAccount(id) {
+    const result = await this.db.query('SELECT * FROM wallet.ledger_accounts WHERE id = $1', [id]);
+    return result.rows[0] ? this.accountFromRow(result.rows[0]) : null;
+  }
+
+  async listAccounts(filter = {}) {
+    const params = [];
+    const conditions = [];
+    for (const [field, column] of [['type', 'type'], ['ownerType', 'owner_type'], ['ownerId', 'owner_id']]) {
+      if (filter[field]) {
+        params.push(filter[field]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM wallet.ledger_accounts ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map((row) => this.accountFromRow(row));
+  }
+
+  async commitEntry(entry, postings, { nonNegative = [] } = {}) {
+    const outcome = await this.db.withTransaction(async (client) => {
+      // Row locks serialize concurrent postings against the same guarded account
+      for (const accountId of [...nonNegative].sort()) {
+        const locked = await client.query(
+          'SELECT type FROM wallet.ledger_accounts WHERE id = $1 FOR UPDATE',
+          [accountId]
+        );
+        const after = applyPostings(await this.totals(accountId, {}, client), accountId, postings);
+        const balance = balanceOf(locked.rows[0].type, after);
+        if (balance < 0) return { insufficient: { accountId, balance } };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO wallet.journal_entries (id, reference, type, description, metadata, reverses_entry_id, posted_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (reference) DO NOTHING`,
+        [
+          entry.id,
+          entry.reference,
+          entry.type,
+          entry.description,
+          JSON.stringify(entry.metadata || {}),
+          entry.reversesEntryId,
+          toTimestamp(entry.postedAt)
+        ]
+      );
+      if (inserted.rowCount === 0) return { duplicate: true };
+
+      for (const posting of postings) {
+        await client.query(
+          `INSERT INTO wallet.ledger_postings
+             (id, entry_id, position, account_id, direction, amount, currency, posted_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            posting.id,
+            posting.entryId,
+            posting.position,
+            posting.accountId,
+            posting.direction,
+            posting.amount,
+            posting.currency,
+            toTimestamp(posting.postedAt)
+          ]
+        );
+      }
+      return { duplicate: false };
+    });
+
+    if (outcome.insufficient) return outcome;
+    return {
+      entry: outcome.duplicate ? await this.findEntryByReference(entry.reference) : await this.getEntry(entry.id),
+      duplicate: outcome.duplicate
+    };
+  }
+
+  async getEntry(id) {
+    const result = await this.db.query('SELECT * FROM wallet.journal_entries WHERE id = $1', [id]);
+    return result.rows[0] ? this.withPostings(this.entryFromRow(result.rows[0])) : null;
+  }
+
+  async findEntryByReference(reference) {
+    const result = await this.db.query('SELECT * FROM wallet.journal_entries WHERE reference = $1', [reference]);
+    return result.rows[0] ? this.withPostings(this.entryFromRow(result.rows[0])) : null;
+  }
+
+  async findReversal(entryId) {
+    const result = await this.db.query('SELECT * FROM wallet.journal_entries WHERE reverses_entry_id = $1', [entryId]);
+    return result.rows[0] ? this.withPostings(this.entryFromRow(result.rows[0])) : null;
+  }
+
+  async listEntries(filter = {}) {
+    const params = [];
+    const conditions = [];
+    if (filter.accountId) {
+      params.push(filter.accountId);
+      conditions.push(`id IN (SELECT entry_id FROM wallet.ledger_postings WHERE account_id = $${params.length})`);
+    }
+    if (filter.type) {
+      params.push(filter.type);
+      conditions.push(`type = $${params.length}`);
+    }
+    if (filter.from) {
+      params.push(toTimestamp(filter.from));
+      conditions.push(`posted_at >= $${params.length}`);
+    }
+    if (filter.to) {
+      params.push(toTimestamp(filter.to));
+      conditions.push(`posted_at < $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM wallet.journal_entries ${where} ORDER BY posted_at ASC ${limit}`,
+      params
+    );
+    return Promise.all(result.rows.map((row) => this.withPostings(this.entryFromRow(row))));
+  }
+
+  async totals(accountId, { at } = {}, client = this.db) {
+    const result = await client.query(
+      `SELECT
+         COALESCE(SUM(amount) FILTER (WHERE direction = 'debit'), 0) AS debits,
+         COALESCE(SUM(amount) FILTER (WHERE direction = 'credit'), 0) AS credits
+       FROM wallet.ledger_postings
+       WHERE account_id = $1 AND ($2::timestamptz IS NULL OR posted_at <= $2)`,
+      [accountId, at === undefined ? null : toTimestamp(at)]
+    );
+    return { debits: Number(result.rows[0].debits), credits: Number(result.rows[0].credits) };
+  }
+
+  async withPostings(entry) {
+    const result = await this.db.query(
+      'SELECT * FROM wallet.ledger_postings WHERE entry_id = $1 ORDER BY position ASC',
+      [entry.id]
+    );
+    return {
+      ...entry,
+      postings: result.rows.map((row) => ({
+        id: row.id,
+        entryId: row.entry_id,
+        position: row.position,
+        accountId: row.account_id,
+        direction: row.direction,
+        amount: Number(row.amount),
+        currency: row.currency,
+        postedAt: fromTimestamp(row.posted_at)
+      }))
+    };
+  }
+
+  accountFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      currency: row.currency,
+      ownerType: row.owner_type,
+      ownerId: row.owner_id,
+      metadata: row.metadata,
+      createdAt: fromTimestamp(row.created_at)
+    };
+  }
+
+  entryFromRow(row) {
+    return {
+      id: row.id,
+      reference: row.reference,
+      type: row.type,
+      description: row.description,
+      metadata: row.metadata,
+      reversesEntryId: row.reverses_entry_id,
+      postedAt: fromTimestamp(row.posted_at)
+    };
+  }
+}
+
+/**
+ * Store selected by LEDGER_STORE (memory | postgres). Defaults to memory.
+ */
+const createLedgerStore = (options = {}) => {
+  const type = (options.type || process.env.LEDGER_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresLedgerStore(options);
+  }
+  return new MemoryLedgerStore(options);
+};
+
+module.exports = {
+  MemoryLedgerStore,
+  PostgresLedgerStore,
+  createLedgerStore,
+  balanceOf
+};
@@ -0,0 +1,202 @@
+/**
+ * Wallet Ledger
+ * Wallet operations expressed as double-entry journal entries. Each wallet is a
+ * liability account (what we owe the customer); money entering or leaving
+ * through the provider moves through a per-currency settlement asset, and fees
+ * are revenue.
+ *
+ *   credit    Dr settlement      Cr wallet          (+ fee: Dr wallet, Cr fees)
+ *   debit     Dr wallet          Cr settlement      (+ fee: Dr wallet, Cr fees)
+ *   transfer  Dr source wallet   Cr target wallet   (+ fee: Dr source, Cr fees)
+ *   fee       Dr wallet          Cr fees
+ *
+ * Amounts are minor units. Wallets never go below zero; a reversal that would
+ * overdraw one is refused.
+ */
+
+'use strict';
+
+const DoubleEntryLedger = require('./double-entry-ledger');
+
+const walletAccountId = (walletId) => `wallet:${walletId}`;
+const settlementAccountId = (currency) => `system:settlement:${currency}`;
+const feeAccountId = (currency) => `system:fees:${currency}`;
+
+const createWalletLedgerError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+class WalletLedger {
+  /**
+   * @param {object} [options]
+   * @param {DoubleEntryLedger} [options.ledger] Defaults to a ledger on createLedgerStore()
+   * @param {string} [options.currency] Currency of wallets opened without one (NGN)
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || new DoubleEntryLedger(options);
+    this.currency = options.currency || 'NGN';
+  }
+
+  /**
+   * Whether posted entries survive a restart (LEDGER_STORE=postgres).
+   */
+  get durable() {
+    return this.ledger.store.durable === true;
+  }
+
+  /**
+   * Open the wallet's account (and its currency's system accounts) if needed.
+   * An existing wallet keeps the currency it was opened with.
+   */
+  async openWallet(walletId, currency = this.currency) {
+    const wallet = await this.ledger.openAccount({
+      id: walletAccountId(walletId),
+      name: `Wallet ${walletId}`,
+      type: 'liability',
+      currency,
+      ownerType: 'wallet',
+      ownerId: String(walletId)
+    });
+    await this.ledger.openAccount({
+      id: settlementAccountId(wallet.currency),
+      name: `Provider settlement (${wallet.currency})`,
+      type: 'asset',
+      currency: wallet.currency,
+      ownerType: 'system'
+    });
+    await this.ledger.openAccount({
+      id: feeAccountId(wallet.currency),
+      name: `Fee revenue (${wallet.currency})`,
+      type: 'revenue',
+      currency: wallet.currency,
+      ownerType: 'system'
+    });
+    return wallet;
+  }
+
+  feePostings(walletId, currency, fee) {
+    return fee > 0
+      ? [
+        { accountId: walletAccountId(walletId), direction: 'debit', amount: fee },
+        { accountId: feeAccountId(currency), direction: 'credit', amount: fee }
+      ]
+      : [];
+  }
+
+  /**
+   * @param {string} walletId
+   * @param {{ amount: number, reference: string, fee?: number, description?: string, metadata?: object }} params
+   */
+  async credit(walletId, { amount, reference, fee = 0, description, metadata } = {}) {
+    const { currency } = await this.openWallet(walletId);
+    return this.ledger.post({
+      reference,
+      type: 'credit',
+      description,
+      metadata: { walletId, ...metadata },
+      nonNegative: [walletAccountId(walletId)],
+      postings: [
+        { accountId: settlementAccountId(currency), direction: 'debit', amount },
+        { accountId: walletAccountId(walletId), direction: 'credit', amount },
+        ...this.feePostings(walletId, currency, fee)
+      ]
+    });
+  }
+
+  async debit(walletId, { amount, reference, fee = 0, description, metadata } = {}) {
+    const { currency } = await this.openWallet(walletId);
+    return this.ledger.post({
+      reference,
+      type: 'debit',
+      description,
+      metadata: { walletId, ...metadata },
+      nonNegative: [walletAccountId(walletId)],
+      postings: [
+        { accountId: walletAccountId(walletId), direction: 'debit', amount },
+        { accountId: settlementAccountId(currency), direction: 'credit', amount },
+        ...this.feePostings(walletId, currency, fee)
+      ]
+    });
+  }
+
+  async transfer(fromWalletId, toWalletId, { amount, reference, fee = 0, description, metadata } = {}) {
+    const { currency } = await this.openWallet(fromWalletId);
+    const target = await this.openWallet(toWalletId, currency);
+    if (target.currency !== currency) {
+      throw createWalletLedgerError(400, 'CURRENCY_MISMATCH', `Cannot transfer ${currency} into a ${target.currency} wallet`);
+    }
+    return this.ledger.post({
+      reference,
+      type: 'transfer',
+      description,
+      metadata: { fromWalletId, toWalletId, ...metadata },
+      nonNegative: [walletAccountId(fromWalletId)],
+      postings: [
+        { accountId: walletAccountId(fromWalletId), direction: 'debit', amount },
+        { accountId: walletAccountId(toWalletId), direction: 'credit', amount },
+        ...this.feePostings(fromWalletId, currency, fee)
+      ]
+    });
+  }
+
+  async chargeFee(walletId, { amount, reference, description, metadata } = {}) {
+    const { currency } = await this.openWallet(walletId);
+    return this.ledger.post({
+      reference,
+      type: 'fee',
+      description,
+      metadata: { walletId, ...metadata },
+      nonNegative: [walletAccountId(walletId)],
+      postings: this.feePostings(walletId, currency, amount)
+    });
+  }
+
+  /**
+   * Reverse the entry posted under `reference`.
+   */
+  async reverse(reference, { reason, metadata } = {}) {
+    const entry = await this.ledger.findEntry(reference);
+    if (!entry) {
+      throw createWalletLedgerError(404, 'LEDGER_ENTRY_NOT_FOUND', `No ledger entry for reference: ${reference}`);
+    }
+    return this.ledger.reverse(entry.id, {
+      description: reason ? `Reversal of ${reference}: ${reason}` : undefined,
+      metadata: { ...metadata, reason: reason || null },
+      nonNegative: entry.postings
+        .map((posting) => posting.accountId)
+        .filter((accountId) => accountId.startsWith('wallet:'))
+    });
+  }
+
+  /**
+   * The entry posted under `reference` with its reversal (null when it stands),
+   * or null when nothing was posted under it.
+   */
+  async status(reference) {
+    const entry = await this.ledger.findEntry(reference);
+    if (!entry) return null;
+    return { entry, reversal: await this.ledger.findReversal(entry.id) };
+  }
+
+  /**
+   * Wallet balance derived from postings, optionally as of a past time.
+   */
+  async balance(walletId, { at } = {}) {
+    await this.openWallet(walletId);
+    return this.ledger.getBalance(walletAccountId(walletId), { at });
+  }
+
+  async entries(walletId, filter = {}) {
+    return this.ledger.listEntries({ ...filter, accountId: walletAccountId(walletId) });
+  }
+}
+
+WalletLedger.walletAccountId = walletAccountId;
+WalletLedger.settlementAccountId = settlementAccountId;
+WalletLedger.feeAccountId = feeAccountId;
+
+module.exports = WalletLedger;
@@ -0,0 +1,402 @@
+/**
+ * Alert Engine
+ * Declarative alert rules evaluated over MetricsCollector events.
+ *
+ * Config shape (ALERT_RULES_PATH, JSON or YAML, see alert-rules.example.yaml):
+ * {
+ *   "rules": [
+ *     { "name": "paystack-errors", "type": "error_rate", "source": "tool_calls",
+ *       "service": "paystack", "threshold": 5, "window": "5m", "minSamples": 20,
+ *       "for": "2m", "cooldown": "30m", "severity": "critical", "sinks": ["slack"] }
+ *   ],
+ *   "sinks": [
+ *     { "name": "slack", "type": "slack", "url": "${SLACK_ALERT_WEBHOOK_URL}" }
+ *   ]
+ * }
+ *
+ * Rule types (an alert fires when the value exceeds `threshold`):
+ * - error_rate            % of failed requests/tool calls in `window`
+ * - latency               `percentile` (default 95) duration in ms over `window`
+ * - circuit_breaker       1 while a client's circuit breaker is OPEN (threshold 0)
+ * - compliance_violation  violations recorded in `window` (threshold 0)
+ *
+ * Rules are evaluated per service (adapter id for tool calls) unless `service`
+ * narrows them. A breach must last `for` before the alert fires; an alert
+ * notifies once when it fires and once when it resolves, and does not notify
+ * again for the same rule/service within `cooldown`. `${VAR}` in the config is
+ * replaced from the environment.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createAlertSink } = require('./alert-sinks');
+
+const RULE_TYPES = ['error_rate', 'latency', 'circuit_breaker', 'compliance_violation'];
+const SOURCES = ['requests', 'tool_calls'];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+// Bounds the sample buffer however busy the gateway is.
+const MAX_SAMPLES = 50000;
+
+const createAlertError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_ALERT_RULES';
+  return err;
+};
+
+/**
+ * '30s', '5m', '1h', '1d' or a number of milliseconds.
+ */
+const parseDuration = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' && value >= 0) return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw createAlertError(`${field}: invalid duration '${value}' (use e.g. 30s, 5m, 1h)`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+};
+
+const interpolateEnv = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (_, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item)]));
+  }
+  return value;
+};
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+};
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.metrics] MetricsCollector to listen to
+   * @param {object} [options.config] Rules and sinks (see above)
+   * @param {string} [options.configPath] JSON/YAML file (default ALERT_RULES_PATH)
+   * @param {number} [options.evaluationIntervalMs] Default ALERT_EVALUATION_INTERVAL_MS or 15s
+   * @param {number} [options.historyLimit] Resolved alerts kept for listing (default 200)
+   * @param {function(): void} [options.beforeEvaluate] Called first on each evaluation (e.g. to snapshot breakers)
+   * @param {function(object): object} [options.createSink] Sink factory (injectable for tests)
+   * @param {function(): number} [options.now] Clock (injectable for tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.now = typeof options.now === 'function' ? options.now : Date.now;
+    this.evaluationIntervalMs = options.evaluationIntervalMs
+      || parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS || '15000', 10);
+    this.historyLimit = options.historyLimit || 200;
+    this.beforeEvaluate = options.beforeEvaluate || null;
+    this.createSink = options.createSink || createAlertSink;
+
+    this.rules = [];
+    this.sinks = new Map();
+    this.alerts = new Map(); // `${rule}:${service}` -> pending or firing alert
+    this.history = [];       // resolved alerts, newest last
+    this.lastNotifiedAt = new Map();
+    this.samples = [];       // { time, source, service, duration, error }
+    this.violations = [];    // { time, service, regulation }
+    this.breakers = new Map(); // service -> circuit breaker state
+    this.retentionMs = 0;
+    this.timer = null;
+
+    const configPath = options.configPath || process.env.ALERT_RULES_PATH;
+    if (configPath) {
+      this.loadConfig(configPath);
+    }
+    if (options.config) {
+      this.setConfig(options.config);
+    }
+    if (options.metrics) {
+      this.attach(options.metrics);
+    }
+  }
+
+  loadConfig(filePath) {
+    let parsed;
+    try {
+      const raw = fs.readFileSync(filePath, 'utf-8');
+      parsed = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+        ? require('js-yaml').load(raw)
+        : JSON.parse(raw);
+    } catch (error) {
+      throw createAlertError(`Failed to read alert rules from ${filePath}: ${error.message}`);
+    }
+    this.setConfig(parsed);
+  }
+
+  setConfig(config = {}) {
+    const resolved = interpolateEnv(config || {});
+    const sinks = new Map();
+    for (const [index, sinkConfig] of (resolved.sinks || []).entries()) {
+      if (!sinkConfig || !sinkConfig.name) throw createAlertError(`sinks[${index}]: name is required`);
+      sinks.set(sinkConfig.name, this.createSink(sinkConfig));
+    }
+
+    const names = new Set();
+    const rules = (resolved.rules || []).map((rule, index) => {
+      const normalized = this.normalizeRule(rule, index, sinks);
+      if (names.has(normalized.name)) throw createAlertError(`rules[${index}]: duplicate rule name '${normalized.name}'`);
+      names.add(normalized.name);
+      return normalized;
+    });
+
+    this.sinks = sinks;
+    this.rules = rules;
+    this.retentionMs = Math.max(0, ...rules.map((rule) => rule.window));
+  }
+
+  normalizeRule(rule, index, sinks) {
+    const field = `rules[${index}]`;
+    if (!rule || typeof rule.name !== 'string' || !rule.name) {
+      throw createAlertError(`${field}: name is required`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw createAlertError(`${field}: type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    const source = rule.source || 'requests';
+    if (!SOURCES.includes(source)) {
+      throw createAlertError(`${field}: source must be one of: ${SOURCES.join(', ')}`);
+    }
+    const countsEvents = rule.type === 'circuit_breaker' || rule.type === 'compliance_violation';
+    const threshold = rule.threshold === undefined && countsEvents ? 0 : rule.threshold;
+    if (typeof threshold !== 'number' || threshold < 0) {
+      throw createAlertError(`${field}: threshold must be a non-negative number`);
+    }
+    const percentileValue = rule.percentile === undefined ? 95 : rule.percentile;
+    if (rule.type === 'latency' && !(percentileValue > 0 && percentileValue <= 100)) {
+      throw createAlertError(`${field}: percentile must be in (0, 100]`);
+    }
+    const ruleSinks = rule.sinks || [...sinks.keys()];
+    for (const name of ruleSinks) {
+      if (!sinks.has(name)) throw createAlertError(`${field}: unknown sink '${name}'`);
+    }
+
+    return {
+      name: rule.name,
+      type: rule.type,
+      source,
+      service: rule.service || null,
+      threshold,
+      percentile: percentileValue,
+      window: parseDuration(rule.window, `${field}.window`) ?? 300000,
+      for: parseDuration(rule.for, `${field}.for`) ?? 0,
+      cooldown: parseDuration(rule.cooldown, `${field}.cooldown`) ?? 0,
+      minSamples: rule.minSamples || 1,
+      severity: rule.severity || 'warning',
+      summary: rule.summary || null,
+      sinks: ruleSinks
+    };
+  }
+
+  /**
+   * Record samples from MetricsCollector events.
+   */
+  attach(metrics) {
+    metrics.on('metric:request', (context) => this.addSample('requests', context.service, context.duration, context.statusCode >= 500));
+    metrics.on('metric:tool_call', (context) => this.addSample('tool_calls', context.adapter, context.duration, !!context.error));
+    metrics.on('metric:circuit_breaker', ({ service, state }) => this.breakers.set(service, state));
+    metrics.on('metric:compliance', ({ service, regulation, violationType }) => {
+      if (violationType) this.violations.push({ time: this.now(), service, regulation });
+    });
+  }
+
+  addSample(source, service, duration, error) {
+    if (this.rules.length === 0) return;
+    this.samples.push({ time: this.now(), source, service: service || 'unknown', duration: duration || 0, error });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+    }
+  }
+
+  start() {
+    if (this.timer || this.rules.length === 0) return;
+    this.timer = setInterval(() => {
+      this.evaluate().catch((error) => this.emit('alert:error', error));
+    }, this.evaluationIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Evaluate every rule, move alerts between pending/firing/resolved and send
+   * notifications. Resolves once notifications have been attempted.
+   */
+  async evaluate() {
+    if (this.beforeEvaluate) this.beforeEvaluate();
+    const now = this.now();
+    this.prune(now);
+
+    const notifications = [];
+    for (const rule of this.rules) {
+      const breaching = new Map();
+      for (const [service, value] of this.observe(rule, now)) {
+        if (value > rule.threshold) breaching.set(service, value);
+      }
+
+      for (const [service, value] of breaching) {
+        const key = `${rule.name}:${service}`;
+        let alert = this.alerts.get(key);
+        if (!alert) {
+          alert = {
+            id: `alt_${crypto.randomUUID()}`,
+            key,
+            rule: rule.name,
+            type: rule.type,
+            service,
+            severity: rule.severity,
+            state: 'pending',
+            threshold: rule.threshold,
+            value,
+            activeSince: now,
+            firedAt: null,
+            resolvedAt: null,
+            notified: false
+          };
+          this.alerts.set(key, alert);
+        }
+        alert.value = value;
+        if (alert.state === 'pending' && now - alert.activeSince >= rule.for) {
+          alert.state = 'firing';
+          alert.firedAt = now;
+          notifications.push(this.notify(rule, alert, 'firing', now));
+        }
+      }
+
+      for (const [key, alert] of this.alerts) {
+        if (alert.rule !== rule.name || breaching.has(alert.service)) continue;
+        this.alerts.delete(key);
+        if (alert.state !== 'firing') continue;
+        alert.state = 'resolved';
+        alert.resolvedAt = now;
+        this.history.push(alert);
+        if (this.history.length > this.historyLimit) this.history.shift();
+        if (alert.notified) notifications.push(this.notify(rule, alert, 'resolved', now));
+      }
+    }
+
+    await Promise.all(notifications);
+    return this.list();
+  }
+
+  /**
+   * Current value per service for a rule: Map(service -> value).
+   */
+  observe(rule, now) {
+    const values = new Map();
+    const matches = (service) => !rule.service || rule.service === service;
+
+    if (rule.type === 'circuit_breaker') {
+      for (const [service, state] of this.breakers) {
+        if (matches(service)) values.set(service, state === 'OPEN' ? 1 : 0);
+      }
+      return values;
+    }
+
+    const since = now - rule.window;
+    if (rule.type === 'compliance_violation') {
+      for (const violation of this.violations) {
+        if (violation.time < since || !matches(violation.service)) continue;
+        values.set(violation.service, (values.get(violation.service) || 0) + 1);
+      }
+      return values;
+    }
+
+    const byService = new Map();
+    for (const sample of this.samples) {
+      if (sample.time < since || sample.source !== rule.source || !matches(sample.service)) continue;
+      if (!byService.has(sample.service)) byService.set(sample.service, []);
+      byService.get(sample.service).push(sample);
+    }
+    for (const [service, samples] of byService) {
+      if (samples.length < rule.minSamples) continue;
+      const value = rule.type === 'error_rate'
+        ? (samples.filter((sample) => sample.error).length / samples.length) * 100
+        : percentile(samples.map((sample) => sample.duration), rule.percentile);
+      values.set(service, Math.round(value * 100) / 100);
+    }
+    return values;
+  }
+
+  async notify(rule, alert, status, now) {
+    if (status === 'firing') {
+      const last = this.lastNotifiedAt.get(alert.key);
+      if (last !== undefined && now - last < rule.cooldown) {
+        this.emit('alert:suppressed', this.serialize(alert));
+        return;
+      }
+      this.lastNotifiedAt.set(alert.key, now);
+      alert.notified = true;
+    }
+
+    const notification = {
+      status,
+      alert: this.serialize(alert),
+      rule: { name: rule.name, type: rule.type, severity: rule.severity, summary: rule.summary }
+    };
+    this.emit(`alert:${status}`, notification.alert);
+
+    await Promise.all(rule.sinks.map(async (name) => {
+      try {
+        await this.sinks.get(name).send(notification);
+      } catch (error) {
+        this.emit('alert:notification_failed', { sink: name, alert: notification.alert, error: error.message });
+      }
+    }));
+  }
+
+  prune(now) {
+    const since = now - this.retentionMs;
+    const firstKept = this.samples.findIndex((sample) => sample.time >= since);
+    this.samples.splice(0, firstKept === -1 ? this.samples.length : firstKept);
+    this.violations = this.violations.filter((violation) => violation.time >= since);
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {'pending'|'firing'|'resolved'} [filter.state]
+   */
+  list(filter = {}) {
+    return [...this.alerts.values(), ...[...this.history].reverse()]
+      .filter((alert) => !filter.state || alert.state === filter.state)
+      .map((alert) => this.serialize(alert));
+  }
+
+  serialize(alert) {
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      id: alert.id,
+      rule: alert.rule,
+      type: alert.type,
+      service: alert.service,
+      severity: alert.severity,
+      state: alert.state,
+      value: alert.value,
+      threshold: alert.threshold,
+      active_since: iso(alert.activeSince),
+      fired_at: iso(alert.firedAt),
+      resolved_at: iso(alert.resolvedAt),
+      notified: alert.notified
+    };
+  }
+}
+
+AlertEngine.RULE_TYPES = RULE_TYPES;
+AlertEngine.STATES = ['pending', 'firing', 'resolved'];
+AlertEngine.parseDuration = parseDuration;
+
+module.exports = AlertEngine;
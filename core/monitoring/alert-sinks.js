@@ -0,0 +1,179 @@
+/**
+ * Alert Sinks
+ * Notification targets for AlertEngine.
+ *
+ * Sink contract: send(notification) -> Promise, where notification is
+ * { status: 'firing' | 'resolved', alert, rule } (see AlertEngine.notify).
+ *
+ * - webhook: POSTs the notification as JSON
+ * - slack:   Slack-compatible incoming webhook ({ text })
+ * - email:   plain SMTP without auth or TLS, meant for a local relay or an SMTP
+ *            stand-in such as MailHog (localhost:1025)
+ */
+
+'use strict';
+
+const net = require('net');
+const os = require('os');
+
+const createSinkError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_ALERT_SINK';
+  return err;
+};
+
+const summarize = ({ status, alert }) => {
+  const scope = alert.service ? ` (${alert.service})` : '';
+  const state = status === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+  return `[${state}] ${alert.rule}${scope}: value ${alert.value} vs threshold ${alert.threshold}`;
+};
+
+class WebhookSink {
+  /**
+   * @param {object} config
+   * @param {string} config.url
+   * @param {object} [config.headers]
+   * @param {number} [config.timeoutMs] Default 5000
+   * @param {function} [config.fetch] Injectable for tests
+   */
+  constructor(config = {}) {
+    if (!config.url) throw createSinkError(`Sink '${config.name}': url is required`);
+    this.name = config.name;
+    this.url = config.url;
+    this.headers = config.headers || {};
+    this.timeoutMs = config.timeoutMs || 5000;
+    this.fetch = config.fetch || globalThis.fetch;
+  }
+
+  formatBody(notification) {
+    return notification;
+  }
+
+  async send(notification) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(this.formatBody(notification)),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Alert sink '${this.name}' returned HTTP ${response.status}`);
+    }
+  }
+}
+
+class SlackSink extends WebhookSink {
+  formatBody(notification) {
+    const icon = notification.status === 'resolved' ? ':white_check_mark:' : ':rotating_light:';
+    const summary = notification.rule.summary ? `\n${notification.rule.summary}` : '';
+    return { text: `${icon} ${summarize(notification)}${summary}` };
+  }
+}
+
+class EmailSink {
+  /**
+   * @param {object} config
+   * @param {string|string[]} config.to
+   * @param {string} [config.from] Default alerts@<hostname>
+   * @param {string} [config.host] Default SMTP_HOST or localhost
+   * @param {number} [config.port] Default SMTP_PORT or 1025
+   * @param {number} [config.timeoutMs] Default 5000
+   */
+  constructor(config = {}) {
+    const to = Array.isArray(config.to) ? config.to : [config.to].filter(Boolean);
+    if (to.length === 0) throw createSinkError(`Sink '${config.name}': to is required`);
+    this.name = config.name;
+    this.to = to;
+    this.from = config.from || `alerts@${os.hostname()}`;
+    this.host = config.host || process.env.SMTP_HOST || 'localhost';
+    this.port = Number(config.port || process.env.SMTP_PORT || 1025);
+    this.timeoutMs = config.timeoutMs || 5000;
+  }
+
+  buildMessage(notification) {
+    const subject = summarize(notification);
+    const body = JSON.stringify(notification, null, 2)
+      .split(/\r?\n/)
+      .map((line) => (line.startsWith('.') ? `.${line}` : line)); // SMTP dot-stuffing
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      ...body
+    ].join('\r\n');
+  }
+
+  send(notification) {
+    const commands = [
+      `HELO ${os.hostname()}`,
+      `MAIL FROM:<${this.from}>`,
+      ...this.to.map((address) => `RCPT TO:<${address}>`),
+      'DATA',
+      `${this.buildMessage(notification)}\r\n.`,
+      'QUIT'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let buffer = '';
+      let step = -1; // -1 = waiting for the server greeting
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(this.timeoutMs, () => fail(new Error(`Alert sink '${this.name}': SMTP timeout`)));
+      socket.on('error', fail);
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf-8');
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).replace(/\r$/, '');
+          buffer = buffer.slice(newline + 1);
+          if (/^\d{3}-/.test(line)) continue; // multi-line reply continues
+          const code = parseInt(line.slice(0, 3), 10);
+          if (!(code >= 200 && code < 400)) {
+            fail(new Error(`Alert sink '${this.name}': SMTP error: ${line}`));
+            return;
+          }
+          step += 1;
+          if (step < commands.length) {
+            socket.write(`${commands[step]}\r\n`);
+          } else {
+            socket.end();
+            resolve();
+            return;
+          }
+        }
+      });
+    });
+  }
+}
+
+const SINK_TYPES = {
+  webhook: WebhookSink,
+  slack: SlackSink,
+  email: EmailSink
+};
+
+/**
+ * @param {{ name: string, type: 'webhook'|'slack'|'email' }} config Plus the type's own options
+ */
+const createAlertSink = (config = {}) => {
+  const SinkClass = SINK_TYPES[config.type];
+  if (!SinkClass) {
+    throw createSinkError(`Sink '${config.name}': type must be one of: ${Object.keys(SINK_TYPES).join(', ')}`);
+  }
+  return new SinkClass(config);
+};
+
+module.exports = {
+  WebhookSink,
+  SlackSink,
+  EmailSink,
+  createAlertSink
+};
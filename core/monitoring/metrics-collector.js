@@ -1,4 +1,8 @@
 const EventEmitter = require('events');
+const { ERROR_TYPES, classifyVendorError } = require('../abstraction/error-taxonomy');
+
+const TAXONOMY_TYPES = new Set(Object.values(ERROR_TYPES));
+const TOOL_ERROR_CODES = new Set(['TOOL_NOT_FOUND', 'TOOL_FORBIDDEN']);
 
 /**
  * Metrics Collector - Comprehensive monitoring and metrics collection system
@@ -144,6 +148,37 @@ class MetricsCollector extends EventEmitter {
       registers: [this.register]
     });
 
+    // MCP tool metrics (AdapterRegistry.callTool)
+    this.metrics.toolCallsTotal = new this.prometheus.Counter({
+      name: 'mcp_tool_calls_total',
+      help: 'Total number of MCP tool calls',
+      labelNames: ['adapter', 'tool', 'status'],
+      registers: [this.register]
+    });
+
+    this.metrics.toolCallDuration = new this.prometheus.Histogram({
+      name: 'mcp_tool_call_duration_seconds',
+      help: 'MCP tool call duration in seconds',
+      labelNames: ['adapter', 'tool'],
+      buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+      registers: [this.register]
+    });
+
+    this.metrics.toolErrorsTotal = new this.prometheus.Counter({
+      name: 'mcp_tool_errors_total',
+      help: 'Total number of failed MCP tool calls by error class',
+      labelNames: ['adapter', 'tool', 'error_class'],
+      registers: [this.register]
+    });
+
+    // Vendor abstraction metrics
+    this.metrics.vendorSelections = new this.prometheus.Counter({
+      name: 'abstraction_vendor_selected_total',
+      help: 'Abstracted calls served, by the vendor the routing policy selected',
+      labelNames: ['category', 'operation', 'vendor'],
+      registers: [this.register]
+    });
+
     // System health metrics
     this.metrics.serviceHealth = new this.prometheus.Gauge({
       name: 'service_health_status',
@@ -251,6 +286,52 @@ class MetricsCollector extends EventEmitter {
     this.emit('metric:circuit_breaker', { service, endpoint, state, failure });
   }
 
+  /**
+   * Record an MCP tool call (AdapterRegistry.callTool)
+   */
+  recordToolCall(context) {
+    const adapter = context.adapter || 'unknown';
+    const tool = context.tool || 'unknown';
+
+    this.metrics.toolCallsTotal.labels(adapter, tool, context.error ? 'error' : 'success').inc();
+
+    if (typeof context.duration === 'number') {
+      this.metrics.toolCallDuration
+        .labels(adapter, tool)
+        .observe(context.duration / 1000); // Convert to seconds
+    }
+
+    if (context.error) {
+      this.metrics.toolErrorsTotal
+        .labels(adapter, tool, this.getToolErrorClass(context.error))
+        .inc();
+    }
+
+    this.emit('metric:tool_call', { adapter, tool, duration: context.duration, error: context.error || null });
+  }
+
+  /**
+   * Error class label for a failed tool call. Bounded to the vendor error
+   * taxonomy plus the registry's own failure codes to keep cardinality low.
+   */
+  getToolErrorClass(error) {
+    if (error && TOOL_ERROR_CODES.has(error.code)) {
+      return error.code.toLowerCase();
+    }
+    if (error && TAXONOMY_TYPES.has(error.type)) {
+      return error.type;
+    }
+    return classifyVendorError(error).type;
+  }
+
+  /**
+   * Record the vendor the abstraction layer routed a call to
+   */
+  recordVendorSelection(category, operation, vendor) {
+    this.metrics.vendorSelections.labels(category, operation, vendor).inc();
+    this.emit('metric:vendor_selection', { category, operation, vendor });
+  }
+
   /**
    * Record rate limit metrics
    */
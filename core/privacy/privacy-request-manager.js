@@ -0,0 +1,385 @@
+/**
+ * Privacy Request Manager
+ * Runs GDPR data-subject requests across the adapters that hold personal data.
+ *
+ * - access (Art. 15) and export (Art. 20) collect the subject's records from
+ *   every adapter with an export handler into a downloadable bundle.
+ * - erasure (Art. 17) asks every adapter with an erase handler to delete them.
+ *   Adapters that must keep the data (e.g. AML record-keeping) declare a
+ *   `retention` reason instead and are reported as `retained`.
+ *
+ * Adapters opt in through getPrivacyHook() (see core/base-mcp-adapter.js).
+ * Gateway-held copies of personal data take part the same way through
+ * getInternalHooks(): stored webhook payloads (WebhookIngress) and cached
+ * idempotent responses (IdempotencyManager). Not covered: outbound webhook
+ * deliveries (copies already sent to the tenant's own endpoint) and the bounded
+ * in-memory payment event buffer (PAYMENT_EVENTS_BUFFER), which is lost on restart.
+ *
+ * Progress is tracked per participant; a request completes once every one has
+ * completed (or retained), and then gets an HMAC-signed completion certificate.
+ * No request is accepted without a signing key, and an erasure must reach at
+ * least one adapter. Failed participants can be retried without re-running the
+ * ones that succeeded.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { canonicalize } = require('../security/audit-chain');
+const { createPrivacyRequestStore } = require('./privacy-stores');
+
+const REQUEST_TYPES = ['access', 'export', 'erasure'];
+const STATUSES = ['in_progress', 'completed', 'failed'];
+
+const createPrivacyError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const signCertificate = (certificate, key) =>
+  crypto.createHmac('sha256', key).update(canonicalize(certificate)).digest('hex');
+
+class PrivacyRequestManager extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {function(): Map<string, object>} options.getAdapters Live adapter map (id -> adapter)
+   * @param {function(): Map<string, object>} [options.getInternalHooks] Gateway stores (id -> privacy hook)
+   * @param {object} [options.store] See privacy-stores.js (default PRIVACY_STORE)
+   * @param {object} [options.compliance] ComplianceManager; requests are written to its audit log
+   * @param {string} [options.signingKey] Certificate HMAC key (PRIVACY_CERT_HMAC_KEY, then AUDIT_HMAC_KEY)
+   * @param {string} [options.keyId] Recorded on certificates for key rotation
+   * @param {number} [options.bundleTtlMs] How long export bundles can be downloaded (default 7 days)
+   */
+  constructor(options = {}) {
+    super();
+    this.getAdapters = options.getAdapters || (() => new Map());
+    this.getInternalHooks = options.getInternalHooks || (() => new Map());
+    this.store = options.store || createPrivacyRequestStore();
+    this.compliance = options.compliance || null;
+    this.signingKey = options.signingKey
+      || process.env.PRIVACY_CERT_HMAC_KEY
+      || process.env.AUDIT_HMAC_KEY
+      || null;
+    this.keyId = options.keyId || process.env.PRIVACY_CERT_KEY_ID || null;
+    this.bundleTtlMs = options.bundleTtlMs
+      || parseInt(process.env.PRIVACY_BUNDLE_TTL_MS || String(7 * 86400000), 10);
+    // request id -> promise of the run in progress
+    this.running = new Map();
+  }
+
+  /**
+   * Adapters and gateway stores taking part in a request of `type`, with their
+   * privacy hooks. Gateway stores are flagged `internal`.
+   */
+  resolveParticipants(type) {
+    const handles = (hook) => !!hook && (type === 'erasure'
+      ? typeof hook.erase === 'function' || !!hook.retention
+      : typeof hook.export === 'function');
+
+    const participants = [];
+    for (const [adapterId, adapter] of this.getAdapters()) {
+      if (!adapter || adapter.is_mock || typeof adapter.getPrivacyHook !== 'function') continue;
+      const hook = adapter.getPrivacyHook();
+      if (handles(hook)) participants.push({ adapterId, hook, internal: false });
+    }
+    for (const [adapterId, hook] of this.getInternalHooks()) {
+      if (handles(hook)) participants.push({ adapterId, hook, internal: true });
+    }
+    return participants;
+  }
+
+  /**
+   * Record a data-subject request and start running it. The returned request is
+   * `in_progress`; poll get() or wait() for the outcome.
+   *
+   * @param {object} submission
+   * @param {'access'|'export'|'erasure'} submission.type
+   * @param {string} submission.subjectId Identifier the adapters know the subject by
+   * @param {string} [submission.subjectType] e.g. 'user_id' (default) or 'email'
+   * @param {string} [submission.requestedBy] Operator who filed the request
+   * @param {object} [context] Request context passed to the hooks
+   */
+  async submit({ type, subjectId, subjectType, requestedBy }, context = {}) {
+    if (!REQUEST_TYPES.includes(type)) {
+      throw createPrivacyError(400, 'INVALID_REQUEST_TYPE', `type must be one of: ${REQUEST_TYPES.join(', ')}`);
+    }
+    if (typeof subjectId !== 'string' || subjectId.trim() === '') {
+      throw createPrivacyError(400, 'SUBJECT_REQUIRED', 'subject_id is required');
+    }
+    if (!this.signingKey) {
+      throw createPrivacyError(
+        503,
+        'PRIVACY_CERT_KEY_MISSING',
+        'Privacy requests need a certificate signing key (PRIVACY_CERT_HMAC_KEY or AUDIT_HMAC_KEY)'
+      );
+    }
+
+    const participants = this.resolveParticipants(type);
+    if (type === 'erasure' && !participants.some((participant) => !participant.internal)) {
+      throw createPrivacyError(422, 'NO_ERASURE_TARGETS', 'No adapter can erase or account for personal data');
+    }
+
+    const now = Date.now();
+    const subject = { type: subjectType || 'user_id', id: subjectId.trim() };
+    const adapters = {};
+    for (const { adapterId } of participants) {
+      adapters[adapterId] = { status: 'pending', attempts: 0, error: null, completedAt: null };
+    }
+
+    const request = {
+      id: `dsr_${crypto.randomUUID()}`,
+      type,
+      status: 'in_progress',
+      subject,
+      subjectHash: sha256(`${subject.type}:${subject.id}`),
+      adapters,
+      bundle: type === 'erasure' ? null : {},
+      certificate: null,
+      requestedBy: requestedBy || null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    await this.store.save(request);
+    this.audit(request, 'submitted');
+    this.emit('privacy:submitted', this.serialize(request));
+    this.start(request, context);
+    return this.serialize(request);
+  }
+
+  /**
+   * Re-run the adapters that failed on a failed request.
+   */
+  async retry(id, context = {}) {
+    const request = await this.load(id);
+    if (request.status !== 'failed') {
+      throw createPrivacyError(409, 'PRIVACY_REQUEST_NOT_FAILED', `Privacy request ${id} is ${request.status}`, {
+        status: request.status
+      });
+    }
+    request.status = 'in_progress';
+    request.updatedAt = Date.now();
+    await this.store.save(request);
+    this.start(request, context);
+    return this.serialize(request);
+  }
+
+  start(request, context) {
+    const run = this.run(request, context)
+      .catch((error) => {
+        this.emit('privacy:error', { id: request.id, error: error.message });
+      })
+      .finally(() => this.running.delete(request.id));
+    this.running.set(request.id, run);
+  }
+
+  /**
+   * Wait for a request's current run (if any) and return the request.
+   */
+  async wait(id) {
+    await this.running.get(id);
+    return this.get(id);
+  }
+
+  async run(request, context) {
+    const hooks = new Map(this.resolveParticipants(request.type).map((p) => [p.adapterId, p.hook]));
+    const pending = Object.keys(request.adapters)
+      .filter((adapterId) => ['pending', 'failed'].includes(request.adapters[adapterId].status));
+
+    await Promise.all(pending.map(async (adapterId) => {
+      const progress = request.adapters[adapterId];
+      progress.attempts += 1;
+      try {
+        const hook = hooks.get(adapterId);
+        if (!hook) {
+          throw createPrivacyError(503, 'PRIVACY_HOOK_UNAVAILABLE', `Adapter ${adapterId} no longer offers a privacy hook`);
+        }
+        Object.assign(progress, await this.runHook(request, adapterId, hook, context), { error: null });
+      } catch (error) {
+        progress.status = 'failed';
+        progress.error = { code: error.code || 'PRIVACY_HOOK_FAILED', message: error.message };
+      }
+      progress.completedAt = progress.status === 'failed' ? null : Date.now();
+    }));
+
+    const done = Object.values(request.adapters).every((p) => p.status === 'completed' || p.status === 'retained');
+    request.status = done ? 'completed' : 'failed';
+    request.updatedAt = Date.now();
+    if (done) {
+      request.completedAt = request.updatedAt;
+      request.certificate = this.issueCertificate(request);
+      if (request.bundle) request.bundleExpiresAt = request.completedAt + this.bundleTtlMs;
+      // Once erased, keep only the hash of who the subject was.
+      if (request.type === 'erasure') request.subject = { type: request.subject.type, id: null };
+    }
+
+    await this.store.save(request);
+    this.audit(request, request.status);
+    this.emit(`privacy:${request.status}`, this.serialize(request));
+  }
+
+  async runHook(request, adapterId, hook, context) {
+    const subject = request.subject;
+    const hookContext = { ...context, privacyRequestId: request.id };
+
+    if (request.type !== 'erasure') {
+      const records = await hook.export(subject, hookContext);
+      request.bundle[adapterId] = records === undefined ? null : records;
+      return {
+        status: 'completed',
+        records: Array.isArray(records) ? records.length : (records ? 1 : 0)
+      };
+    }
+
+    if (typeof hook.erase !== 'function') {
+      return { status: 'retained', reason: hook.retention };
+    }
+    const outcome = await hook.erase(subject, hookContext) || {};
+    return {
+      status: 'completed',
+      erased: typeof outcome.erased === 'number' ? outcome.erased : null,
+      ...(hook.retention ? { reason: hook.retention } : {})
+    };
+  }
+
+  /**
+   * Completion certificate: what was done for whom (by subject hash) and by
+   * which adapters, signed with HMAC-SHA256 over its canonical JSON.
+   */
+  issueCertificate(request) {
+    const certificate = {
+      requestId: request.id,
+      type: request.type,
+      subjectHash: request.subjectHash,
+      requestedAt: new Date(request.createdAt).toISOString(),
+      completedAt: new Date(request.completedAt).toISOString(),
+      adapters: Object.entries(request.adapters).map(([adapterId, progress]) => ({
+        adapterId,
+        status: progress.status,
+        ...(progress.records !== undefined ? { records: progress.records } : {}),
+        ...(progress.erased !== undefined ? { erased: progress.erased } : {}),
+        ...(progress.reason ? { reason: progress.reason } : {}),
+        completedAt: new Date(progress.completedAt).toISOString()
+      })),
+      issuer: process.env.OTEL_SERVICE_NAME || 'onasis-gateway'
+    };
+    if (this.keyId) certificate.keyId = this.keyId;
+    certificate.signature = signCertificate(certificate, this.signingKey);
+    return certificate;
+  }
+
+  /**
+   * @returns {boolean} Whether `certificate` was signed with this manager's key and is unmodified
+   */
+  verifyCertificate(certificate) {
+    if (!this.signingKey || !certificate || typeof certificate.signature !== 'string') return false;
+    const { signature, ...body } = certificate;
+    const expected = Buffer.from(signCertificate(body, this.signingKey));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async load(id) {
+    const request = await this.store.get(id);
+    if (!request) {
+      throw createPrivacyError(404, 'PRIVACY_REQUEST_NOT_FOUND', `Privacy request not found: ${id}`);
+    }
+    return request;
+  }
+
+  async get(id) {
+    const request = await this.store.get(id);
+    return request ? this.serialize(request) : null;
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.status]
+   */
+  async list(filter = {}) {
+    const requests = await this.store.list(filter);
+    return requests.map((request) => this.serialize(request));
+  }
+
+  /**
+   * The export bundle of a completed access/export request.
+   */
+  async getBundle(id) {
+    const request = await this.load(id);
+    if (request.type === 'erasure') {
+      throw createPrivacyError(404, 'EXPORT_NOT_AVAILABLE', 'Erasure requests have no export bundle');
+    }
+    if (request.status !== 'completed') {
+      throw createPrivacyError(409, 'EXPORT_NOT_READY', `Privacy request ${id} is ${request.status}`, {
+        status: request.status
+      });
+    }
+    if (!request.bundle || request.bundleExpiresAt <= Date.now()) {
+      if (request.bundle) {
+        request.bundle = null;
+        await this.store.save(request);
+      }
+      throw createPrivacyError(410, 'EXPORT_EXPIRED', `The export bundle for ${id} has expired`);
+    }
+    return {
+      requestId: request.id,
+      type: request.type,
+      subject: request.subject,
+      generatedAt: new Date(request.completedAt).toISOString(),
+      expiresAt: new Date(request.bundleExpiresAt).toISOString(),
+      data: request.bundle
+    };
+  }
+
+  async getCertificate(id) {
+    const request = await this.load(id);
+    if (!request.certificate) {
+      throw createPrivacyError(409, 'CERTIFICATE_NOT_READY', `Privacy request ${id} is ${request.status}`, {
+        status: request.status
+      });
+    }
+    return request.certificate;
+  }
+
+  audit(request, event) {
+    if (!this.compliance || typeof this.compliance.logAuditEntry !== 'function') return;
+    this.compliance.logAuditEntry('DATA_SUBJECT_REQUEST', {
+      requestId: request.id,
+      event,
+      type: request.type,
+      subjectHash: request.subjectHash,
+      adapters: Object.fromEntries(
+        Object.entries(request.adapters).map(([adapterId, progress]) => [adapterId, progress.status])
+      ),
+      requestedBy: request.requestedBy
+    });
+  }
+
+  serialize(request) {
+    return {
+      id: request.id,
+      type: request.type,
+      status: request.status,
+      subject: request.subject,
+      adapters: request.adapters,
+      requested_by: request.requestedBy,
+      created_at: new Date(request.createdAt).toISOString(),
+      updated_at: new Date(request.updatedAt).toISOString(),
+      completed_at: request.completedAt ? new Date(request.completedAt).toISOString() : null,
+      export_available: !!(request.bundle && request.status === 'completed' && request.bundleExpiresAt > Date.now()),
+      certificate_available: !!request.certificate
+    };
+  }
+}
+
+PrivacyRequestManager.REQUEST_TYPES = REQUEST_TYPES;
+PrivacyRequestManager.STATUSES = STATUSES;
+
+module.exports = PrivacyRequestManager;
@@ -0,0 +1,103 @@
+/**
+ * Privacy Request Stores
+ * Persistence for data-subject requests tracked by PrivacyRequestManager.
+ *
+ * Record shape (see PrivacyRequestManager.submit):
+ * { id, type, status, subject, subjectHash, adapters, bundle, certificate,
+ *   requestedBy, createdAt, updatedAt, completedAt }
+ *
+ * Store contract (all async):
+ * - save(record) -> void (insert or replace by id)
+ * - get(id) -> record | null
+ * - list({ status }) -> records, oldest first
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryPrivacyRequestStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async save(record) {
+    this.records.set(record.id, clone(record));
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.records.values())
+      .filter((record) => !filter.status || record.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+}
+
+/**
+ * Postgres table (see database/migrations/006_privacy_requests.sql).
+ */
+class PostgresPrivacyRequestStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+    this.table = options.table || 'privacy_requests';
+  }
+
+  async save(record) {
+    await this.db.query(
+      `INSERT INTO ${this.table} (id, type, status, subject_hash, record, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE
+         SET status = EXCLUDED.status, record = EXCLUDED.record, updated_at = EXCLUDED.updated_at`,
+      [
+        record.id,
+        record.type,
+        record.status,
+        record.subjectHash,
+        JSON.stringify(record),
+        new Date(record.createdAt).toISOString(),
+        new Date(record.updatedAt).toISOString()
+      ]
+    );
+  }
+
+  async get(id) {
+    const result = await this.db.query(`SELECT record FROM ${this.table} WHERE id = $1`, [id]);
+    return result.rows[0] ? result.rows[0].record : null;
+  }
+
+  async list(filter = {}) {
+    const params = [];
+    let where = '';
+    if (filter.status) {
+      params.push(filter.status);
+      where = 'WHERE status = $1';
+    }
+    const result = await this.db.query(
+      `SELECT record FROM ${this.table} ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map((row) => row.record);
+  }
+}
+
+/**
+ * Store selected by PRIVACY_STORE (memory | postgres). Defaults to memory.
+ */
+const createPrivacyRequestStore = (options = {}) => {
+  const type = (options.type || process.env.PRIVACY_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresPrivacyRequestStore(options);
+  }
+  return new MemoryPrivacyRequestStore(options);
+};
+
+module.exports = {
+  MemoryPrivacyRequestStore,
+  PostgresPrivacyRequestStore,
+  createPrivacyRequestStore
+};
@@ -0,0 +1,43 @@
+/**
+ * Subject Matching
+ * Whether a stored payload belongs to a data subject: a field known to hold the
+ * subject's identifier, at any depth, equals it exactly. A substring of the
+ * payload is not enough; a subject id like "12" also appears in amounts,
+ * references and other users' ids.
+ */
+
+'use strict';
+
+// Fields that carry the subject's identifier, by subject type
+// (PrivacyRequestManager subject.type). Other types match a field of that name.
+const SUBJECT_FIELDS = {
+  user_id: ['user_id', 'userId'],
+  email: ['email', 'customer_email', 'customerEmail']
+};
+
+const normalize = (type, value) => (type === 'email' ? String(value).trim().toLowerCase() : String(value));
+
+/**
+ * @param {*} value Parsed payload or response
+ * @param {{ type: string, id: string }} subject
+ * @returns {boolean}
+ */
+const mentionsSubject = (value, subject) => {
+  const fields = SUBJECT_FIELDS[subject.type] || [subject.type];
+  const wanted = normalize(subject.type, subject.id);
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.some(visit);
+    if (!node || typeof node !== 'object') return false;
+    return Object.entries(node).some(([key, child]) => (
+      fields.includes(key)
+      && (typeof child === 'string' || typeof child === 'number')
+      && normalize(subject.type, child) === wanted
+    ) || visit(child));
+  };
+  return visit(value);
+};
+
+module.exports = {
+  SUBJECT_FIELDS,
+  mentionsSubject
+};
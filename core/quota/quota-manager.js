@@ -0,0 +1,261 @@
+/**
+ * Quota Manager
+ * Per-tenant and per-API-key rate limits and monthly call quotas.
+ *
+ * Policy shape (QUOTA_POLICY_PATH, see quota-policies.example.json):
+ * {
+ *   "defaultTier": "standard",
+ *   "tiers": {
+ *     "standard": {
+ *       "perMinute": 600,          // per principal (API key / user)
+ *       "tenantPerMinute": 3000,   // per project scope, all principals together
+ *       "monthly": { "*": 100000, "payments": 10000, "paystack": 5000 }
+ *     }
+ *   },
+ *   "tenants": { "<projectScope>": "<tier>" },
+ *   "principals": { "<principalId>": "<tier>" }
+ * }
+ *
+ * Monthly quotas are per tenant and keyed by adapter id or category ('*' counts
+ * every billable call). A principal's tier comes from its `tier`/`plan` claim,
+ * then `principals`, then `tenants`, then `defaultTier`.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createQuotaStore } = require('./quota-stores');
+
+const MINUTE_MS = 60000;
+
+const DEFAULT_POLICY = {
+  defaultTier: 'standard',
+  tiers: {
+    standard: { perMinute: 600 }
+  },
+  tenants: {},
+  principals: {}
+};
+
+const createQuotaError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+const isLimit = (value) => Number.isInteger(value) && value > 0;
+
+const monthWindow = (now) => {
+  const date = new Date(now);
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  const end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return { id: new Date(start).toISOString().slice(0, 7), start, end };
+};
+
+class QuotaManager {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] Store implementing the quota-stores.js contract
+   * @param {object} [options.policy] Policy object (see above)
+   * @param {string} [options.policyPath] JSON policy file (default QUOTA_POLICY_PATH)
+   * @param {boolean} [options.enabled] Default QUOTAS_ENABLED !== '0'
+   * @param {function(): number} [options.now] Clock (injectable for tests)
+   * @param {string} [options.defaultTenant] Tenant of callers whose claims carry none ('default')
+   */
+  constructor(options = {}) {
+    this.store = options.store || createQuotaStore();
+    this.defaultTenant = options.defaultTenant || 'default';
+    this.enabled = options.enabled !== undefined ? options.enabled !== false : process.env.QUOTAS_ENABLED !== '0';
+    this.now = typeof options.now === 'function' ? options.now : Date.now;
+    this.setPolicy(DEFAULT_POLICY);
+
+    const policyPath = options.policyPath || process.env.QUOTA_POLICY_PATH;
+    if (policyPath) {
+      this.loadPolicy(policyPath);
+    }
+    if (options.policy) {
+      this.setPolicy(options.policy);
+    }
+  }
+
+  loadPolicy(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw createQuotaError(400, 'INVALID_QUOTA_POLICY', `Failed to read quota policy from ${filePath}: ${error.message}`);
+    }
+    this.setPolicy(parsed);
+  }
+
+  setPolicy(policy = {}) {
+    const tiers = policy.tiers || {};
+    if (!tiers || typeof tiers !== 'object' || Object.keys(tiers).length === 0) {
+      throw createQuotaError(400, 'INVALID_QUOTA_POLICY', 'Quota policy must define at least one tier');
+    }
+    for (const [name, tier] of Object.entries(tiers)) {
+      for (const field of ['perMinute', 'tenantPerMinute']) {
+        if (tier[field] !== undefined && tier[field] !== null && !isLimit(tier[field])) {
+          throw createQuotaError(400, 'INVALID_QUOTA_POLICY', `Tier '${name}': ${field} must be a positive integer`);
+        }
+      }
+      for (const [bucket, limit] of Object.entries(tier.monthly || {})) {
+        if (!isLimit(limit)) {
+          throw createQuotaError(400, 'INVALID_QUOTA_POLICY', `Tier '${name}': monthly['${bucket}'] must be a positive integer`);
+        }
+      }
+    }
+    const defaultTier = policy.defaultTier || Object.keys(tiers)[0];
+    if (!tiers[defaultTier]) {
+      throw createQuotaError(400, 'INVALID_QUOTA_POLICY', `Unknown defaultTier: ${defaultTier}`);
+    }
+    this.policy = {
+      defaultTier,
+      tiers,
+      tenants: policy.tenants || {},
+      principals: policy.principals || {}
+    };
+  }
+
+  /**
+   * Stable id of a verified caller (API key id, then user id / token `sub`), or
+   * null when the claims carry none.
+   *
+   * @param {object} [payload] Identity payload returned by identity verification
+   * @returns {string|null}
+   */
+  resolvePrincipalId(payload) {
+    const claims = payload && typeof payload === 'object' ? payload : {};
+    const user = claims.user && typeof claims.user === 'object' ? claims.user : {};
+    const id = claims.api_key_id || claims.key_id || claims.id || claims.user_id ||
+      claims.sub || claims.userId || user.id;
+    return id ? String(id) : null;
+  }
+
+  /**
+   * Quota subject for a verified caller. The tenant comes from the verified claims
+   * only; the client-supplied X-Project-Scope header is not trusted.
+   *
+   * @param {object} [payload] Identity payload returned by identity verification
+   * @param {{ authorization?: string, apiKey?: string }} [context] Credentials, hashed when the claims carry no id
+   * @returns {{ tenant: string, principal: string, tier: string }}
+   */
+  resolveSubject(payload, context = {}) {
+    const claims = payload && typeof payload === 'object' ? payload : {};
+    const user = claims.user && typeof claims.user === 'object' ? claims.user : {};
+    const tenant = claims.project_scope || claims.projectScope || this.defaultTenant;
+
+    const explicitId = this.resolvePrincipalId(claims);
+    const credential = context.apiKey || context.authorization || '';
+    const principal = explicitId ||
+      `anon-${crypto.createHash('sha256').update(credential).digest('hex').slice(0, 32)}`;
+
+    const claimedTier = claims.tier || claims.plan || user.tier || user.plan;
+    const tier = [claimedTier, this.policy.principals[principal], this.policy.tenants[tenant]]
+      .find((name) => name && this.policy.tiers[name]) || this.policy.defaultTier;
+
+    return { tenant, principal, tier };
+  }
+
+  /**
+   * Count one call against the subject's limits.
+   *
+   * @param {{ tenant: string, principal: string, tier: string }} subject
+   * @param {object} [options]
+   * @param {boolean} [options.billable] Whether the call counts against monthly quotas
+   * @param {string[]} [options.buckets] Adapter ids / categories the call belongs to
+   * @returns {Promise<{ allowed: boolean, headers: object, error?: Error }>}
+   */
+  async consume({ tenant, principal, tier }, options = {}) {
+    const tierConfig = this.policy.tiers[tier] || this.policy.tiers[this.policy.defaultTier];
+    const now = this.now();
+    const checks = [];
+
+    // Per-minute limits first; a rate-limited call does not touch monthly quotas.
+    const minute = Math.floor(now / MINUTE_MS);
+    const minuteResetAt = (minute + 1) * MINUTE_MS;
+    const rateLimits = [
+      { name: 'principal', limit: tierConfig.perMinute, key: `rate:${tenant}:${principal}:${minute}` },
+      { name: 'tenant', limit: tierConfig.tenantPerMinute, key: `rate:${tenant}:*:${minute}` }
+    ].filter((entry) => isLimit(entry.limit));
+
+    for (const entry of rateLimits) {
+      const { count } = await this.store.increment(entry.key, 1, minuteResetAt - now);
+      checks.push({ ...entry, count, resetAt: minuteResetAt, windowSeconds: 60 });
+    }
+
+    const rateExceeded = checks.find((check) => check.count > check.limit);
+    if (rateExceeded) {
+      return this.deny(checks, rateExceeded, 'RATE_LIMITED',
+        `Rate limit of ${rateExceeded.limit} requests per minute exceeded for this ${rateExceeded.name === 'tenant' ? 'project' : 'API key'}`);
+    }
+
+    if (options.billable) {
+      const month = monthWindow(now);
+      const buckets = ['*', ...(options.buckets || []).filter(Boolean)];
+      const monthly = Object.entries(tierConfig.monthly || {})
+        .filter(([bucket]) => buckets.includes(bucket));
+
+      const counted = [];
+      for (const [bucket, limit] of monthly) {
+        const key = `month:${tenant}:${month.id}:${bucket}`;
+        // Keep counters a day past the month end so late reads near the boundary stay consistent.
+        const ttlMs = month.end - now + 86400000;
+        const { count } = await this.store.increment(key, 1, ttlMs);
+        counted.push({ key, ttlMs });
+        checks.push({
+          name: `monthly:${bucket}`,
+          bucket,
+          limit,
+          count,
+          resetAt: month.end,
+          windowSeconds: Math.round((month.end - month.start) / 1000)
+        });
+      }
+
+      const quotaExceeded = checks.find((check) => check.bucket && check.count > check.limit);
+      if (quotaExceeded) {
+        // Rejected calls do not use up quota.
+        await Promise.all(counted.map(({ key, ttlMs }) => this.store.increment(key, -1, ttlMs)));
+        return this.deny(checks, quotaExceeded, 'QUOTA_EXCEEDED',
+          `Monthly quota of ${quotaExceeded.limit} calls exceeded for '${quotaExceeded.bucket}'`);
+      }
+    }
+
+    return { allowed: true, headers: this.buildHeaders(checks, now) };
+  }
+
+  deny(checks, exceeded, code, message) {
+    const now = this.now();
+    const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000));
+    return {
+      allowed: false,
+      headers: { ...this.buildHeaders(checks, now, exceeded), 'Retry-After': String(retryAfter) },
+      error: createQuotaError(429, code, message, {
+        limit: exceeded.limit,
+        scope: exceeded.name,
+        resetAt: new Date(exceeded.resetAt).toISOString()
+      })
+    };
+  }
+
+  /**
+   * RateLimit-* headers (IETF draft) for the most constrained check.
+   */
+  buildHeaders(checks, now, focus = null) {
+    if (checks.length === 0) return {};
+    const remaining = (check) => Math.max(0, check.limit - check.count);
+    const current = focus || checks.reduce((lowest, check) => (remaining(check) < remaining(lowest) ? check : lowest));
+    return {
+      'RateLimit-Limit': String(current.limit),
+      'RateLimit-Remaining': String(remaining(current)),
+      'RateLimit-Reset': String(Math.max(0, Math.ceil((current.resetAt - now) / 1000))),
+      'RateLimit-Policy': checks.map((check) => `${check.limit};w=${check.windowSeconds}`).join(', ')
+    };
+  }
+}
+
+module.exports = QuotaManager;
@@ -0,0 +1,123 @@
+/**
+ * Quota Stores
+ * Counter persistence for QuotaManager.
+ *
+ * Store contract (all async):
+ * - increment(key, amount, ttlMs) -> { count, resetAt }
+ *   Atomically adds `amount` to the counter; a new counter expires after ttlMs.
+ *   resetAt is the counter's expiry (epoch ms).
+ * - get(key) -> { count, resetAt } | null
+ */
+
+'use strict';
+
+class MemoryQuotaStore {
+  constructor(options = {}) {
+    this.counters = new Map();
+    this.purgeIntervalMs = options.purgeIntervalMs || 60000;
+    this.lastPurgeAt = Date.now();
+  }
+
+  async increment(key, amount, ttlMs) {
+    const now = Date.now();
+    this.purgeExpired(now);
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += amount;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  purgeExpired(now = Date.now()) {
+    if (now - this.lastPurgeAt < this.purgeIntervalMs) return;
+    this.lastPurgeAt = now;
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+// INCRBY and set the expiry on first use in one round trip, so instances never race.
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  ttl = tonumber(ARGV[2])
+end
+return { count, ttl }
+`;
+
+/**
+ * Redis-backed store shared by gateway instances. Works with any client exposing
+ * node-redis v4+ `eval(script, { keys, arguments })`, `get` and `pTTL`; by default
+ * connects to QUOTA_REDIS_URL (or REDIS_URL) with the `redis` package.
+ */
+class RedisQuotaStore {
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.url = options.url || process.env.QUOTA_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+    this.prefix = options.prefix || 'gateway:quota:';
+    this.connecting = null;
+  }
+
+  async getClient() {
+    if (this.client) return this.client;
+    if (!this.connecting) {
+      const { createClient } = require('redis');
+      const client = createClient({ url: this.url });
+      client.on('error', (error) => console.error('Quota store Redis error:', error.message));
+      this.connecting = client.connect().then(() => {
+        this.client = client;
+        return client;
+      }, (error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async increment(key, amount, ttlMs) {
+    const client = await this.getClient();
+    const [count, ttl] = await client.eval(INCREMENT_SCRIPT, {
+      keys: [`${this.prefix}${key}`],
+      arguments: [String(amount), String(ttlMs)]
+    });
+    return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    const fullKey = `${this.prefix}${key}`;
+    const [value, ttl] = await Promise.all([client.get(fullKey), client.pTTL(fullKey)]);
+    if (value === null || value === undefined || Number(ttl) < 0) return null;
+    return { count: Number(value), resetAt: Date.now() + Number(ttl) };
+  }
+}
+
+/**
+ * Store selected by QUOTA_STORE (memory | redis). Defaults to memory.
+ */
+const createQuotaStore = (options = {}) => {
+  const type = (options.type || process.env.QUOTA_STORE || 'memory').toLowerCase();
+  if (type === 'redis') {
+    return new RedisQuotaStore(options);
+  }
+  return new MemoryQuotaStore(options);
+};
+
+module.exports = {
+  MemoryQuotaStore,
+  RedisQuotaStore,
+  createQuotaStore
+};
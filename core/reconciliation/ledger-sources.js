@@ -0,0 +1,166 @@
+/**
+ * Ledger Sources
+ * Our side of a reconciliation: the transactions we recorded against a provider
+ * in a date window, normalized like provider transactions (provider-sources.js).
+ *
+ * Source contract: fetchEntries({ provider, from, to }) -> Promise<entry[]>
+ * Entry: { id, reference, externalId, amount (minor units), currency, status (canonical), occurredAt }
+ *
+ * A source may also expose `providers`, the providers it records transactions
+ * for; ReconciliationEngine refuses runs for any other provider rather than
+ * report every one of its transactions as missing_in_ledger.
+ */
+
+'use strict';
+
+const { normalizeCurrency, toMinorUnits, mapStatus } = require('../abstraction/response-normalizers');
+const { toPaymentEvents } = require('../webhooks/payment-events');
+
+// Canonical payment events that stand for the transactions each provider source
+// lists (provider-sources.js). Paystack and Flutterwave list charges, which their
+// charge webhooks report in full. Providus account history also holds debits no
+// webhook reports, so it has no webhook ledger.
+const WEBHOOK_LEDGER_EVENTS = {
+  paystack: ['payment.succeeded', 'payment.failed'],
+  flutterwave: ['payment.succeeded', 'payment.failed']
+};
+
+// How long after a transaction its webhook may still arrive
+const WEBHOOK_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Entries held in memory; record() adds one. Amounts are already in minor units.
+ */
+class MemoryLedgerSource {
+  constructor(options = {}) {
+    this.entries = [];
+    (options.entries || []).forEach((entry) => this.record(entry));
+  }
+
+  record(entry) {
+    this.entries.push({
+      id: entry.id || entry.reference,
+      provider: entry.provider,
+      reference: entry.reference,
+      externalId: entry.externalId || null,
+      amount: entry.amount,
+      currency: normalizeCurrency(entry.currency || 'NGN'),
+      status: mapStatus(entry.status),
+      occurredAt: new Date(entry.occurredAt).toISOString()
+    });
+  }
+
+  async fetchEntries({ provider, from, to }) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    return this.entries
+      .filter((entry) => entry.provider === provider)
+      .filter((entry) => {
+        const at = new Date(entry.occurredAt).getTime();
+        return at >= start && at < end;
+      })
+      .map(({ provider: _provider, ...entry }) => ({ ...entry }));
+  }
+}
+
+/**
+ * wallet.transactions (database/migrations/002_wallet_as_a_service_schema.sql).
+ * The provider is read from metadata.provider; amounts are stored in major units.
+ */
+class PostgresLedgerSource {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+  }
+
+  async fetchEntries({ provider, from, to }) {
+    const result = await this.db.query(
+      `SELECT id, reference, external_transaction_id, amount, currency, status, created_at
+       FROM wallet.transactions
+       WHERE metadata->>'provider' = $1 AND created_at >= $2 AND created_at < $3
+       ORDER BY created_at ASC`,
+      [provider, new Date(from).toISOString(), new Date(to).toISOString()]
+    );
+    return result.rows.map((row) => ({
+      id: String(row.id),
+      reference: row.reference,
+      externalId: row.external_transaction_id || null,
+      amount: toMinorUnits(row.amount, row.currency),
+      currency: normalizeCurrency(row.currency || 'NGN'),
+      status: mapStatus(row.status),
+      occurredAt: new Date(row.created_at).toISOString()
+    }));
+  }
+}
+
+/**
+ * Verified provider webhooks recorded by WebhookIngress (webhook-stores.js),
+ * translated to canonical payment events. The latest event per reference is the
+ * entry, so a charge that failed and then succeeded counts once, as succeeded.
+ * Webhooks erased for a privacy request carry no payload and yield no entry.
+ */
+class WebhookLedgerSource {
+  /**
+   * @param {object} options
+   * @param {object} options.store The WebhookIngress event store
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.providers = this.store ? Object.keys(WEBHOOK_LEDGER_EVENTS) : [];
+  }
+
+  async fetchEntries({ provider, from, to }) {
+    const types = WEBHOOK_LEDGER_EVENTS[provider] || [];
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    const records = await this.store.list({ provider, since: start - WEBHOOK_LOOKBACK_MS });
+
+    const byReference = new Map();
+    for (const record of records) {
+      if (!record.rawBody) continue;
+      let payload;
+      try {
+        payload = JSON.parse(record.rawBody);
+      } catch (_error) {
+        continue;
+      }
+      for (const event of toPaymentEvents({ ...record, payload })) {
+        const at = new Date(event.occurredAt).getTime();
+        if (!types.includes(event.type) || !event.data.reference || at < start || at >= end) continue;
+        const current = byReference.get(event.data.reference);
+        if (!current || at >= new Date(current.occurredAt).getTime()) {
+          byReference.set(event.data.reference, event);
+        }
+      }
+    }
+
+    return Array.from(byReference.values()).map((event) => ({
+      id: event.id,
+      reference: event.data.reference,
+      externalId: null,
+      amount: event.data.amount,
+      currency: event.data.currency,
+      status: event.data.status,
+      occurredAt: event.occurredAt
+    }));
+  }
+}
+
+/**
+ * Source selected by RECONCILIATION_LEDGER (webhooks | postgres). Defaults to
+ * webhooks, read from `options.webhookStore`; without one it covers no provider.
+ */
+const createLedgerSource = (options = {}) => {
+  const type = (options.type || process.env.RECONCILIATION_LEDGER || 'webhooks').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresLedgerSource(options);
+  }
+  return new WebhookLedgerSource({ store: options.webhookStore });
+};
+
+module.exports = {
+  MemoryLedgerSource,
+  PostgresLedgerSource,
+  WebhookLedgerSource,
+  WEBHOOK_LEDGER_EVENTS,
+  createLedgerSource
+};
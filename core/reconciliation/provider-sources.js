@@ -0,0 +1,113 @@
+/**
+ * Provider Transaction Sources
+ * How the reconciliation engine pulls one provider's transactions for a date
+ * window through its adapter, and how each row is normalized for matching.
+ *
+ * Source: { adapterId, tool, args(window, page) -> tool input, parse(result, page) -> { rows, hasMore },
+ *           normalize(row) -> transaction }
+ *
+ * Normalized transaction: { id, reference, amount (minor units), currency, status (canonical), occurredAt }
+ */
+
+'use strict';
+
+const {
+  unwrap,
+  normalizeCurrency,
+  toMinorUnits,
+  toInteger,
+  toIsoDate,
+  mapStatus,
+  nullable
+} = require('../abstraction/response-normalizers');
+
+const PAGE_SIZE = 100;
+
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+const idOf = (value) => (value === undefined || value === null ? null : String(value));
+
+// Rows may sit under data (Paystack/Flutterwave) or transactions (Providus), possibly
+// inside the edge function's own { success, data } envelope
+const rowsOf = (result) => {
+  const body = unwrap(result);
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body.data)) return body.data;
+  if (Array.isArray(body.transactions)) return body.transactions;
+  return [];
+};
+
+const metaOf = (result) => {
+  const body = unwrap(result);
+  return (body && body.meta) || {};
+};
+
+const PROVIDER_SOURCES = {
+  // Amounts in minor units; meta.pageCount paginates
+  paystack: {
+    adapterId: 'paystack',
+    tool: 'list-transactions',
+    args: ({ from, to }, page) => ({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      perPage: PAGE_SIZE,
+      page
+    }),
+    parse: (result, page) => {
+      const meta = metaOf(result);
+      return { rows: rowsOf(result), hasMore: page < (Number(meta.pageCount) || 0) };
+    },
+    normalize: (row) => ({
+      id: idOf(row.id),
+      reference: nullable(row.reference) ?? null,
+      amount: toInteger(row.amount),
+      currency: normalizeCurrency(row.currency),
+      status: mapStatus(row.status),
+      occurredAt: toIsoDate(row.paid_at || row.paidAt || row.created_at || row.createdAt)
+    })
+  },
+
+  // Amounts in major units; meta.page_info paginates; dates are whole days
+  flutterwave: {
+    adapterId: 'flutterwave-v3',
+    tool: 'list-transactions',
+    args: ({ from, to }, page) => ({ from: toDay(from), to: toDay(to), page }),
+    parse: (result, page) => {
+      const pageInfo = metaOf(result).page_info || {};
+      return { rows: rowsOf(result), hasMore: page < (Number(pageInfo.total_pages) || 0) };
+    },
+    normalize: (row) => ({
+      id: idOf(row.id),
+      reference: nullable(row.tx_ref) ?? null,
+      amount: toMinorUnits(row.amount, row.currency),
+      currency: normalizeCurrency(row.currency),
+      status: mapStatus(row.status),
+      occurredAt: toIsoDate(row.created_at)
+    })
+  },
+
+  // Corporate account history; amounts are decimal strings in naira
+  providus: {
+    adapterId: 'providus-bank',
+    tool: 'pb-get-transaction-history',
+    args: ({ from, to }, page) => ({ startDate: toDay(from), endDate: toDay(to), page, limit: PAGE_SIZE }),
+    parse: (result) => {
+      const body = unwrap(result);
+      return { rows: rowsOf(result), hasMore: Boolean(body.pagination && body.pagination.hasMore) };
+    },
+    normalize: (row) => {
+      const currency = normalizeCurrency(row.currency || 'NGN');
+      return {
+        id: idOf(row.id),
+        reference: nullable(row.reference) ?? null,
+        amount: toMinorUnits(row.amount, currency),
+        currency,
+        status: mapStatus(row.status),
+        occurredAt: toIsoDate(row.transactionDate || row.valueDate)
+      };
+    }
+  }
+};
+
+module.exports = {
+  PROVIDER_SOURCES
+};
@@ -0,0 +1,349 @@
+/**
+ * Reconciliation Engine
+ * Settlement reconciliation across payment providers. A run pulls each provider's
+ * transactions for a date window through its adapter (provider-sources.js), loads
+ * our ledger entries for the same window (ledger-sources.js) and matches them by
+ * reference. Every difference lands in a discrepancy queue ops work through:
+ *
+ * - missing_in_ledger    the provider has a transaction we never recorded
+ * - missing_at_provider  we recorded a transaction the provider does not report
+ * - amount_mismatch      both sides have it, for different amounts or currencies
+ * - status_drift         both sides have it, in different canonical statuses
+ *
+ * Runs execute in the background; start() returns the 'running' run at once.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createReconciliationStore } = require('./reconciliation-stores');
+const { createLedgerSource } = require('./ledger-sources');
+const { PROVIDER_SOURCES } = require('./provider-sources');
+
+const STATUSES = ['running', 'completed', 'partial', 'failed'];
+const TYPES = ['missing_in_ledger', 'missing_at_provider', 'amount_mismatch', 'status_drift'];
+const DISCREPANCY_STATUSES = ['open', 'resolved', 'ignored'];
+
+const MAX_WINDOW_MS = 31 * 24 * 60 * 60 * 1000;
+
+const createReconciliationError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+/**
+ * Match provider transactions to ledger entries. Entries are paired by reference,
+ * falling back to the provider's transaction id recorded as the entry's externalId.
+ *
+ * @param {Array<object>} transactions Normalized provider transactions
+ * @param {Array<object>} entries Ledger entries
+ * @returns {{ matched: number, discrepancies: Array<{ type: string, transaction: object|null, entry: object|null }> }}
+ */
+const reconcile = (transactions, entries) => {
+  const byReference = new Map();
+  const byExternalId = new Map();
+  for (const entry of entries) {
+    if (entry.reference) byReference.set(entry.reference, entry);
+    if (entry.externalId) byExternalId.set(entry.externalId, entry);
+  }
+
+  const paired = new Set();
+  const discrepancies = [];
+  let matched = 0;
+
+  for (const transaction of transactions) {
+    const candidate = (transaction.reference && byReference.get(transaction.reference))
+      || (transaction.id && byExternalId.get(transaction.id));
+    const entry = candidate && !paired.has(candidate) ? candidate : null;
+    if (!entry) {
+      discrepancies.push({ type: 'missing_in_ledger', transaction, entry: null });
+      continue;
+    }
+    paired.add(entry);
+
+    if (entry.amount !== transaction.amount || entry.currency !== transaction.currency) {
+      discrepancies.push({ type: 'amount_mismatch', transaction, entry });
+    } else if (entry.status !== transaction.status) {
+      discrepancies.push({ type: 'status_drift', transaction, entry });
+    } else {
+      matched += 1;
+    }
+  }
+
+  for (const entry of entries) {
+    if (!paired.has(entry)) {
+      discrepancies.push({ type: 'missing_at_provider', transaction: null, entry });
+    }
+  }
+
+  return { matched, discrepancies };
+};
+
+const total = (rows) => rows.reduce((sum, row) => sum + (Number.isFinite(row.amount) ? row.amount : 0), 0);
+
+class ReconciliationEngine extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] Defaults to createReconciliationStore()
+   * @param {{ fetchEntries: function, providers?: string[] }} [options.ledger] Defaults to createLedgerSource(options.ledgerOptions)
+   * @param {object} [options.sources] Provider sources keyed by provider; defaults to PROVIDER_SOURCES
+   * @param {function(): object} options.getRegistry Returns the gateway's AdapterRegistry
+   * @param {number} [options.maxPages] Page limit per provider and run
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || createReconciliationStore(options.storeOptions);
+    this.ledger = options.ledger || createLedgerSource(options.ledgerOptions);
+    this.sources = options.sources || PROVIDER_SOURCES;
+    this.getRegistry = options.getRegistry || (() => null);
+    this.maxPages = options.maxPages || parseInt(process.env.RECONCILIATION_MAX_PAGES || '50', 10);
+    this.now = options.now || Date.now;
+    this.processing = new Map(); // runId -> promise
+  }
+
+  get providers() {
+    return Object.keys(this.sources);
+  }
+
+  /**
+   * Providers the ledger source records transactions for (all when it does not say).
+   */
+  get ledgerProviders() {
+    const covered = this.ledger.providers;
+    return Array.isArray(covered) ? this.providers.filter((provider) => covered.includes(provider)) : this.providers;
+  }
+
+  /**
+   * Start a run over [from, to) for the given providers (all the ledger covers by default).
+   */
+  async start({ providers, from, to } = {}) {
+    const selected = providers && providers.length ? Array.from(new Set(providers)) : this.ledgerProviders;
+    const unknown = selected.filter((provider) => !this.sources[provider]);
+    if (unknown.length) {
+      throw createReconciliationError(400, 'INVALID_PROVIDER',
+        `Unknown provider(s): ${unknown.join(', ')}. Expected: ${this.providers.join(', ')}`, { unknown });
+    }
+    const uncovered = selected.filter((provider) => !this.ledgerProviders.includes(provider));
+    if (uncovered.length || !selected.length) {
+      throw createReconciliationError(503, 'LEDGER_UNAVAILABLE',
+        `No ledger source records ${uncovered.length ? uncovered.join(', ') : 'any provider'}; `
+          + 'every provider transaction would read as missing_in_ledger',
+        { uncovered, covered: this.ledgerProviders });
+    }
+
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+      throw createReconciliationError(400, 'INVALID_WINDOW', 'from and to must be dates with from before to');
+    }
+    if (end - start > MAX_WINDOW_MS) {
+      throw createReconciliationError(400, 'INVALID_WINDOW', 'Reconciliation windows are limited to 31 days');
+    }
+
+    const run = {
+      id: `rec_${crypto.randomUUID()}`,
+      providers: selected,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      status: 'running',
+      summary: {},
+      error: null,
+      startedAt: this.now(),
+      completedAt: null
+    };
+    await this.store.saveRun(run);
+
+    const execution = new Promise((resolve) => setImmediate(resolve))
+      .then(() => this.execute(run))
+      .catch(async (error) => {
+        run.status = 'failed';
+        run.error = error.message;
+        run.completedAt = this.now();
+        await this.store.saveRun(run);
+        this.emit('reconciliation:failed', { id: run.id, error: error.message });
+      })
+      .finally(() => this.processing.delete(run.id));
+    this.processing.set(run.id, execution);
+
+    return run;
+  }
+
+  async execute(run) {
+    let failures = 0;
+    for (const provider of run.providers) {
+      try {
+        run.summary[provider] = await this.reconcileProvider(run, provider);
+      } catch (error) {
+        failures += 1;
+        run.summary[provider] = { error: error.message, code: error.code || null };
+      }
+    }
+
+    if (failures === 0) run.status = 'completed';
+    else run.status = failures === run.providers.length ? 'failed' : 'partial';
+    run.completedAt = this.now();
+    await this.store.saveRun(run);
+    this.emit('reconciliation:completed', run);
+  }
+
+  async reconcileProvider(run, provider) {
+    const window = { from: run.from, to: run.to };
+    const [transactions, entries] = await Promise.all([
+      this.fetchProviderTransactions(provider, window),
+      this.ledger.fetchEntries({ provider, ...window })
+    ]);
+
+    const { matched, discrepancies } = reconcile(transactions, entries);
+    const counts = Object.fromEntries(TYPES.map((type) => [type, 0]));
+    let queued = 0;
+    for (const { type, transaction, entry } of discrepancies) {
+      counts[type] += 1;
+      const inserted = await this.store.insertDiscrepancy({
+        id: `dsc_${crypto.randomUUID()}`,
+        runId: run.id,
+        provider,
+        type,
+        reference: (transaction && (transaction.reference || transaction.id)) || entry.reference || entry.id,
+        currency: (transaction || entry).currency,
+        providerAmount: transaction ? transaction.amount : null,
+        ledgerAmount: entry ? entry.amount : null,
+        providerStatus: transaction ? transaction.status : null,
+        ledgerStatus: entry ? entry.status : null,
+        providerTransaction: transaction,
+        ledgerEntry: entry,
+        status: 'open',
+        notes: null,
+        resolvedBy: null,
+        resolvedAt: null,
+        createdAt: this.now()
+      });
+      if (inserted) queued += 1;
+    }
+
+    return {
+      providerCount: transactions.length,
+      ledgerCount: entries.length,
+      matched,
+      discrepancies: counts,
+      queued,
+      providerTotal: total(transactions),
+      ledgerTotal: total(entries)
+    };
+  }
+
+  /**
+   * Page through a provider's transactions for the window. Providers that only
+   * filter by whole days may return rows outside it; those are dropped.
+   */
+  async fetchProviderTransactions(provider, window) {
+    const registry = this.getRegistry();
+    if (!registry) {
+      throw createReconciliationError(503, 'ADAPTER_REGISTRY_NOT_READY',
+        'Adapter registry not available yet (gateway still initializing).');
+    }
+
+    const source = this.sources[provider];
+    const start = new Date(window.from).getTime();
+    const end = new Date(window.to).getTime();
+    const transactions = [];
+
+    for (let page = 1; ; page += 1) {
+      const result = await registry.callTool(`${source.adapterId}:${source.tool}`, source.args(window, page), {
+        source: 'reconciliation'
+      });
+      const { rows, hasMore } = source.parse(result, page);
+      for (const row of rows) {
+        const transaction = source.normalize(row);
+        const at = transaction.occurredAt ? new Date(transaction.occurredAt).getTime() : null;
+        if (at === null || (at >= start && at < end)) transactions.push(transaction);
+      }
+      if (!hasMore || rows.length === 0) break;
+      // A truncated listing would report every unread transaction as missing_at_provider
+      if (page >= this.maxPages) {
+        throw createReconciliationError(502, 'RECONCILIATION_PAGE_LIMIT',
+          `${provider} returned more than ${this.maxPages} pages; narrow the window`, { provider });
+      }
+    }
+
+    return transactions;
+  }
+
+  /**
+   * Wait for a run's background execution (if any) and return the run.
+   */
+  async wait(id) {
+    await this.processing.get(id);
+    return this.getRun(id);
+  }
+
+  async getRun(id) {
+    const run = await this.store.getRun(id);
+    if (!run) {
+      throw createReconciliationError(404, 'RECONCILIATION_RUN_NOT_FOUND', `Reconciliation run not found: ${id}`);
+    }
+    return run;
+  }
+
+  /**
+   * A run with every discrepancy it queued, grouped by provider.
+   */
+  async getReport(id) {
+    const run = await this.getRun(id);
+    const discrepancies = await this.store.listDiscrepancies({ runId: id });
+    const providers = Object.fromEntries(run.providers.map((provider) => [provider, {
+      ...run.summary[provider],
+      items: discrepancies.filter((discrepancy) => discrepancy.provider === provider)
+    }]));
+    return { run, providers };
+  }
+
+  async listRuns(filter = {}) {
+    return this.store.listRuns(filter);
+  }
+
+  async listDiscrepancies(filter = {}) {
+    return this.store.listDiscrepancies(filter);
+  }
+
+  async getDiscrepancy(id) {
+    const discrepancy = await this.store.getDiscrepancy(id);
+    if (!discrepancy) {
+      throw createReconciliationError(404, 'DISCREPANCY_NOT_FOUND', `Discrepancy not found: ${id}`);
+    }
+    return discrepancy;
+  }
+
+  /**
+   * Close an open discrepancy as resolved (corrected on one side) or ignored.
+   */
+  async resolveDiscrepancy(id, { status = 'resolved', notes, resolvedBy } = {}) {
+    if (!['resolved', 'ignored'].includes(status)) {
+      throw createReconciliationError(400, 'INVALID_RESOLUTION', 'status must be one of: resolved, ignored');
+    }
+    const discrepancy = await this.getDiscrepancy(id);
+    if (discrepancy.status !== 'open') {
+      throw createReconciliationError(409, 'DISCREPANCY_NOT_OPEN', `Discrepancy ${id} is ${discrepancy.status}`, {
+        status: discrepancy.status
+      });
+    }
+
+    discrepancy.status = status;
+    discrepancy.notes = notes || null;
+    discrepancy.resolvedBy = resolvedBy || null;
+    discrepancy.resolvedAt = this.now();
+    await this.store.saveDiscrepancy(discrepancy);
+    this.emit('discrepancy:resolved', discrepancy);
+    return discrepancy;
+  }
+}
+
+ReconciliationEngine.STATUSES = STATUSES;
+ReconciliationEngine.TYPES = TYPES;
+ReconciliationEngine.DISCREPANCY_STATUSES = DISCREPANCY_STATUSES;
+ReconciliationEngine.reconcile = reconcile;
+
+module.exports = ReconciliationEngine;
@@ -0,0 +1,240 @@
+/**
+ * Reconciliation Stores
+ * Persistence for reconciliation runs and the discrepancy queue
+ * (see reconciliation-engine.js).
+ *
+ * Run:         { id, providers, from, to, status, summary, error, startedAt, completedAt }
+ * Discrepancy: { id, runId, provider, type, reference, currency, providerAmount, ledgerAmount,
+ *                providerStatus, ledgerStatus, providerTransaction, ledgerEntry, status, notes,
+ *                resolvedBy, resolvedAt, createdAt }
+ *
+ * Store contract (all async):
+ * - saveRun(run) / getRun(id) / listRuns({ status })
+ * - insertDiscrepancy(discrepancy) -> boolean (false while an open discrepancy with the same
+ *   provider, type and reference is already queued)
+ * - saveDiscrepancy(discrepancy) / getDiscrepancy(id) / listDiscrepancies({ runId, provider, type, status })
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const openKey = (discrepancy) => `${discrepancy.provider}:${discrepancy.type}:${discrepancy.reference}`;
+
+class MemoryReconciliationStore {
+  constructor() {
+    this.runs = new Map();
+    this.discrepancies = new Map();
+  }
+
+  async saveRun(run) {
+    this.runs.set(run.id, clone(run));
+  }
+
+  async getRun(id) {
+    const run = this.runs.get(id);
+    return run ? clone(run) : null;
+  }
+
+  async listRuns(filter = {}) {
+    return Array.from(this.runs.values())
+      .filter((run) => !filter.status || run.status === filter.status)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(clone);
+  }
+
+  async insertDiscrepancy(discrepancy) {
+    const key = openKey(discrepancy);
+    const queued = Array.from(this.discrepancies.values())
+      .some((existing) => existing.status === 'open' && openKey(existing) === key);
+    if (queued) return false;
+    this.discrepancies.set(discrepancy.id, clone(discrepancy));
+    return true;
+  }
+
+  async saveDiscrepancy(discrepancy) {
+    this.discrepancies.set(discrepancy.id, clone(discrepancy));
+  }
+
+  async getDiscrepancy(id) {
+    const discrepancy = this.discrepancies.get(id);
+    return discrepancy ? clone(discrepancy) : null;
+  }
+
+  async listDiscrepancies(filter = {}) {
+    return Array.from(this.discrepancies.values())
+      .filter((discrepancy) => ['runId', 'provider', 'type', 'status']
+        .every((field) => !filter[field] || discrepancy[field] === filter[field]))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+}
+
+const toTimestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+const fromTimestamp = (value) => (value ? new Date(value).getTime() : null);
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Postgres tables (see database/migrations/010_reconciliation.sql).
+ */
+class PostgresReconciliationStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+  }
+
+  async saveRun(run) {
+    await this.db.query(
+      `INSERT INTO reconciliation_runs
+         (id, providers, window_from, window_to, status, summary, error, started_at, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id) DO UPDATE
+         SET status = EXCLUDED.status, summary = EXCLUDED.summary, error = EXCLUDED.error,
+             completed_at = EXCLUDED.completed_at`,
+      [
+        run.id,
+        JSON.stringify(run.providers),
+        run.from,
+        run.to,
+        run.status,
+        JSON.stringify(run.summary),
+        run.error,
+        toTimestamp(run.startedAt),
+        toTimestamp(run.completedAt)
+      ]
+    );
+  }
+
+  async getRun(id) {
+    const result = await this.db.query('SELECT * FROM reconciliation_runs WHERE id = $1', [id]);
+    return result.rows[0] ? this.runFromRow(result.rows[0]) : null;
+  }
+
+  async listRuns(filter = {}) {
+    const result = filter.status
+      ? await this.db.query(
+        'SELECT * FROM reconciliation_runs WHERE status = $1 ORDER BY started_at DESC',
+        [filter.status]
+      )
+      : await this.db.query('SELECT * FROM reconciliation_runs ORDER BY started_at DESC');
+    return result.rows.map((row) => this.runFromRow(row));
+  }
+
+  async insertDiscrepancy(discrepancy) {
+    const result = await this.db.query(
+      `INSERT INTO reconciliation_discrepancies
+         (id, run_id, provider, type, reference, currency, provider_amount, ledger_amount, provider_status,
+          ledger_status, provider_transaction, ledger_entry, status, notes, resolved_by, resolved_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       ON CONFLICT (provider, type, reference) WHERE status = 'open' DO NOTHING`,
+      [
+        discrepancy.id,
+        discrepancy.runId,
+        discrepancy.provider,
+        discrepancy.type,
+        discrepancy.reference,
+        discrepancy.currency,
+        discrepancy.providerAmount,
+        discrepancy.ledgerAmount,
+        discrepancy.providerStatus,
+        discrepancy.ledgerStatus,
+        JSON.stringify(discrepancy.providerTransaction),
+        JSON.stringify(discrepancy.ledgerEntry),
+        discrepancy.status,
+        discrepancy.notes,
+        discrepancy.resolvedBy,
+        toTimestamp(discrepancy.resolvedAt),
+        toTimestamp(discrepancy.createdAt)
+      ]
+    );
+    return result.rowCount === 1;
+  }
+
+  async saveDiscrepancy(discrepancy) {
+    await this.db.query(
+      `UPDATE reconciliation_discrepancies
+         SET status = $2, notes = $3, resolved_by = $4, resolved_at = $5
+       WHERE id = $1`,
+      [
+        discrepancy.id,
+        discrepancy.status,
+        discrepancy.notes,
+        discrepancy.resolvedBy,
+        toTimestamp(discrepancy.resolvedAt)
+      ]
+    );
+  }
+
+  async getDiscrepancy(id) {
+    const result = await this.db.query('SELECT * FROM reconciliation_discrepancies WHERE id = $1', [id]);
+    return result.rows[0] ? this.discrepancyFromRow(result.rows[0]) : null;
+  }
+
+  async listDiscrepancies(filter = {}) {
+    const params = [];
+    const conditions = [];
+    for (const [field, column] of [['runId', 'run_id'], ['provider', 'provider'], ['type', 'type'], ['status', 'status']]) {
+      if (filter[field]) {
+        params.push(filter[field]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM reconciliation_discrepancies ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map((row) => this.discrepancyFromRow(row));
+  }
+
+  runFromRow(row) {
+    return {
+      id: row.id,
+      providers: row.providers,
+      from: new Date(row.window_from).toISOString(),
+      to: new Date(row.window_to).toISOString(),
+      status: row.status,
+      summary: row.summary,
+      error: row.error,
+      startedAt: fromTimestamp(row.started_at),
+      completedAt: fromTimestamp(row.completed_at)
+    };
+  }
+
+  discrepancyFromRow(row) {
+    return {
+      id: row.id,
+      runId: row.run_id,
+      provider: row.provider,
+      type: row.type,
+      reference: row.reference,
+      currency: row.currency,
+      providerAmount: toNumber(row.provider_amount),
+      ledgerAmount: toNumber(row.ledger_amount),
+      providerStatus: row.provider_status,
+      ledgerStatus: row.ledger_status,
+      providerTransaction: row.provider_transaction,
+      ledgerEntry: row.ledger_entry,
+      status: row.status,
+      notes: row.notes,
+      resolvedBy: row.resolved_by,
+      resolvedAt: fromTimestamp(row.resolved_at),
+      createdAt: fromTimestamp(row.created_at)
+    };
+  }
+}
+
+/**
+ * Store selected by RECONCILIATION_STORE (memory | postgres). Defaults to memory.
+ */
+const createReconciliationStore = (options = {}) => {
+  const type = (options.type || process.env.RECONCILIATION_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresReconciliationStore(options);
+  }
+  return new MemoryReconciliationStore(options);
+};
+
+module.exports = {
+  MemoryReconciliationStore,
+  PostgresReconciliationStore,
+  createReconciliationStore
+};
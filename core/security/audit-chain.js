@@ -0,0 +1,172 @@
+/**
+ * Audit Chain
+ * Tamper-evident sealing for compliance audit entries.
+ *
+ * Every persisted entry carries a sequence number and the hash of the entry
+ * before it, so editing, reordering or deleting any entry breaks the chain:
+ *
+ *   hash = sha256(canonicalJSON({ seq, id, timestamp, action, details, prevHash }))
+ *
+ * With an HMAC key (AUDIT_HMAC_KEY) each entry is also signed:
+ *   signature = HMAC-SHA256(key, hash)
+ * which stops someone with write access from rebuilding a consistent chain.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted at every level, so the hash does not depend on
+ * key order (Postgres JSONB, for one, does not keep it).
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonicalize({
+  seq: entry.seq,
+  id: entry.id,
+  timestamp: entry.timestamp,
+  action: entry.action,
+  details: entry.details,
+  prevHash: entry.prevHash
+})).digest('hex');
+
+const signHash = (hash, hmacKey) => crypto.createHmac('sha256', hmacKey).update(hash).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Chain `entry` onto `head` ({ seq, hash } of the last persisted entry, or null).
+ *
+ * @param {{ id: string, timestamp: string|Date, action: string, details?: object }} entry
+ * @param {{ seq: number, hash: string }|null} head
+ * @param {{ hmacKey?: string, keyId?: string }} [options]
+ */
+const sealEntry = (entry, head, options = {}) => {
+  const sealed = {
+    seq: head ? head.seq + 1 : 1,
+    id: entry.id,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    action: entry.action,
+    // Round-trip through JSON so the hash covers exactly what gets stored.
+    details: JSON.parse(JSON.stringify(entry.details === undefined ? {} : entry.details)),
+    prevHash: head ? head.hash : GENESIS_HASH
+  };
+  sealed.hash = hashEntry(sealed);
+  if (options.hmacKey) {
+    sealed.signature = signHash(sealed.hash, options.hmacKey);
+    if (options.keyId) sealed.keyId = options.keyId;
+  }
+  return sealed;
+};
+
+/**
+ * Incremental verifier: feed entries in stored order with check(), then read result().
+ * Entries written before chaining was enabled (no `hash`) are allowed only
+ * at the start of the log and are counted as `legacy`.
+ *
+ * @param {{ hmacKey?: string }} [options] Without a key, signatures are not checked.
+ */
+const createChainVerifier = (options = {}) => {
+  const errors = [];
+  let head = null;
+  let checked = 0;
+  let legacy = 0;
+  let unsigned = 0;
+  let position = 0;
+
+  const fail = (type, entry, message) => {
+    errors.push({ type, position, seq: entry && entry.seq, id: entry && entry.id, message });
+  };
+
+  return {
+    check(entry) {
+      position += 1;
+      if (!entry || typeof entry !== 'object') {
+        fail('MALFORMED', null, 'Entry is not a JSON object');
+        return;
+      }
+      if (!entry.hash) {
+        if (head) {
+          fail('UNCHAINED_ENTRY', entry, 'Entry without a hash after the chain started');
+        } else {
+          legacy += 1;
+        }
+        return;
+      }
+
+      checked += 1;
+      const expectedSeq = head ? head.seq + 1 : 1;
+      if (entry.seq !== expectedSeq) {
+        fail('SEQUENCE_GAP', entry, `Expected seq ${expectedSeq}, found ${entry.seq}`);
+      }
+      const expectedPrev = head ? head.hash : GENESIS_HASH;
+      if (entry.prevHash !== expectedPrev) {
+        fail('CHAIN_BROKEN', entry, 'prevHash does not match the previous entry');
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        fail('HASH_MISMATCH', entry, 'Entry content does not match its hash');
+      }
+      if (options.hmacKey) {
+        if (!entry.signature) {
+          fail('SIGNATURE_MISSING', entry, 'Entry is not signed');
+        } else if (!safeEqual(entry.signature, signHash(entry.hash, options.hmacKey))) {
+          fail('SIGNATURE_INVALID', entry, 'HMAC signature does not match');
+        }
+      } else if (entry.signature) {
+        unsigned += 1;
+      }
+
+      head = { seq: entry.seq, hash: entry.hash };
+    },
+
+    result() {
+      return {
+        valid: errors.length === 0,
+        checked,
+        legacy,
+        // Signed entries whose signature could not be checked (no key supplied)
+        signaturesNotChecked: unsigned,
+        head,
+        errors
+      };
+    }
+  };
+};
+
+/**
+ * Verify a list or (async) iterable of entries in stored order.
+ */
+const verifyChain = async (entries, options = {}) => {
+  const verifier = createChainVerifier(options);
+  for await (const entry of entries) {
+    verifier.check(entry);
+  }
+  return verifier.result();
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  hashEntry,
+  sealEntry,
+  createChainVerifier,
+  verifyChain
+};
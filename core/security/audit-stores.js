@@ -0,0 +1,191 @@
+/**
+ * Audit Stores
+ * Persistence for ComplianceManager's hash-chained audit log (see audit-chain.js).
+ *
+ * Store contract (all async):
+ * - append(seal) -> sealed entry
+ *   Reads the current chain head ({ seq, hash } or null), calls seal(head) and
+ *   writes the result. Callers serialize appends within a process; the
+ *   Postgres store also locks across gateway instances.
+ * - query({ serviceId, action, since, until, limit }) -> entries, oldest first
+ * - entries() -> async iterable of every entry in stored order (for verification)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const matchesFilters = (entry, filters) => {
+  if (filters.serviceId && (!entry.details || entry.details.serviceId !== filters.serviceId)) return false;
+  if (filters.action && entry.action !== filters.action) return false;
+  const time = new Date(entry.timestamp).getTime();
+  if (filters.since && time < new Date(filters.since).getTime()) return false;
+  if (filters.until && time > new Date(filters.until).getTime()) return false;
+  return true;
+};
+
+/**
+ * JSON lines file (AUDIT_LOG_PATH, default logs/compliance-audit.log).
+ * For development and single-instance deployments only: there is no index, so
+ * every query scans the whole file. Use Postgres in production.
+ */
+class FileAuditStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.AUDIT_LOG_PATH || 'logs/compliance-audit.log';
+    this.head = undefined; // loaded from the file on first append
+  }
+
+  async append(seal) {
+    if (this.head === undefined) {
+      this.head = await this.loadHead();
+    }
+    const sealed = seal(this.head);
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(sealed)}\n`);
+    this.head = { seq: sealed.seq, hash: sealed.hash };
+    return sealed;
+  }
+
+  async loadHead() {
+    let head = null;
+    for await (const entry of this.entries()) {
+      if (entry && entry.hash) head = { seq: entry.seq, hash: entry.hash };
+    }
+    return head;
+  }
+
+  async *entries() {
+    if (!fs.existsSync(this.filePath)) return;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        yield null; // reported as MALFORMED by the verifier
+      }
+    }
+  }
+
+  // Streams the file, keeping at most `limit` matches in memory.
+  async query(filters = {}) {
+    const results = [];
+    for await (const entry of this.entries()) {
+      if (!entry || !matchesFilters(entry, filters)) continue;
+      results.push(entry);
+      if (filters.limit && results.length > filters.limit) results.shift();
+    }
+    return results;
+  }
+}
+
+/**
+ * Postgres table (see database/migrations/005_compliance_audit_log.sql).
+ * Appends take a transaction-scoped advisory lock so instances extend one chain.
+ */
+class PostgresAuditStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+    this.table = options.table || 'compliance_audit_log';
+    this.pageSize = options.pageSize || 1000;
+  }
+
+  toEntry(row) {
+    const entry = {
+      seq: Number(row.seq),
+      id: row.id,
+      timestamp: new Date(row.occurred_at).toISOString(),
+      action: row.action,
+      details: row.details,
+      prevHash: row.prev_hash,
+      hash: row.hash
+    };
+    if (row.signature) entry.signature = row.signature;
+    if (row.key_id) entry.keyId = row.key_id;
+    return entry;
+  }
+
+  async append(seal) {
+    return this.db.withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [this.table]);
+      const last = await client.query(
+        `SELECT seq, hash FROM ${this.table} ORDER BY seq DESC LIMIT 1`
+      );
+      const head = last.rows[0] ? { seq: Number(last.rows[0].seq), hash: last.rows[0].hash } : null;
+      const sealed = seal(head);
+      await client.query(
+        `INSERT INTO ${this.table} (seq, id, occurred_at, action, details, prev_hash, hash, signature, key_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          sealed.seq,
+          sealed.id,
+          sealed.timestamp,
+          sealed.action,
+          JSON.stringify(sealed.details),
+          sealed.prevHash,
+          sealed.hash,
+          sealed.signature || null,
+          sealed.keyId || null
+        ]
+      );
+      return sealed;
+    });
+  }
+
+  async *entries() {
+    let after = 0;
+    for (;;) {
+      const page = await this.db.query(
+        `SELECT * FROM ${this.table} WHERE seq > $1 ORDER BY seq ASC LIMIT $2`,
+        [after, this.pageSize]
+      );
+      for (const row of page.rows) yield this.toEntry(row);
+      if (page.rows.length < this.pageSize) return;
+      after = Number(page.rows[page.rows.length - 1].seq);
+    }
+  }
+
+  async query(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.serviceId) add(`details->>'serviceId' = ?`, filters.serviceId);
+    if (filters.action) add('action = ?', filters.action);
+    if (filters.since) add('occurred_at >= ?', new Date(filters.since).toISOString());
+    if (filters.until) add('occurred_at <= ?', new Date(filters.until).toISOString());
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    let sql = `SELECT * FROM ${this.table} ${where} ORDER BY seq DESC`;
+    if (filters.limit) {
+      params.push(filters.limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+    const result = await this.db.query(sql, params);
+    return result.rows.map((row) => this.toEntry(row)).reverse();
+  }
+}
+
+/**
+ * Store selected by AUDIT_STORE (file | postgres). Defaults to file.
+ */
+const createAuditStore = (options = {}) => {
+  const type = (options.type || process.env.AUDIT_STORE || 'file').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresAuditStore(options);
+  }
+  return new FileAuditStore(options);
+};
+
+module.exports = {
+  FileAuditStore,
+  PostgresAuditStore,
+  createAuditStore
+};
@@ -1,11 +1,25 @@
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { sealEntry, verifyChain } = require('./audit-chain');
+const { createAuditStore } = require('./audit-stores');
+
+// Sensitive tool data fields (see auditToolData()), matched on the key name at any depth.
+const CARD_NUMBER_FIELDS = /^(card_?number|pan|primary_?account_?number)$/i;
+const PCI_SENSITIVE_FIELDS = /^(cvv|pin|track_?1|track_?2|magnetic_?stripe)$/i;
+const PCI_PROHIBITED_FIELDS = /^(cvv2|cvc2|cid|cav2)$/i;
+const PERSONAL_FIELDS = /^(email|phone|phone_?number|mobile|ssn|national_?id|nin|bvn)$/i;
 
 /**
  * Compliance Manager - Handles PCI, GDPR, PSD2, and other regulatory compliance
  */
 class ComplianceManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.auditStore] Store implementing the audit-stores.js contract (default AUDIT_STORE)
+   * @param {string} [options.auditHmacKey] Signs audit entries (default AUDIT_HMAC_KEY)
+   * @param {string} [options.auditKeyId] Recorded with signatures to support key rotation (default AUDIT_HMAC_KEY_ID)
+   */
+  constructor(options = {}) {
     super();
     this.regulations = {
       PCI_DSS: new PCIComplianceValidator(),
@@ -14,9 +28,15 @@ class ComplianceManager extends EventEmitter {
       SOX: new SOXComplianceValidator(),
       HIPAA: new HIPAAComplianceValidator()
     };
-    
-    this.auditLog = [];
+
     this.complianceCache = new Map();
+    this.serviceConfigs = new Map();
+
+    this.auditStore = options.auditStore || createAuditStore();
+    this.auditHmacKey = options.auditHmacKey || process.env.AUDIT_HMAC_KEY || null;
+    this.auditKeyId = options.auditKeyId || process.env.AUDIT_HMAC_KEY_ID || null;
+    // Appends run one at a time so the chain order matches the log order.
+    this.auditQueue = Promise.resolve();
   }
 
   /**
@@ -102,6 +122,95 @@ class ComplianceManager extends EventEmitter {
     return processedData;
   }
 
+  /**
+   * Register the compliance flags a service or adapter declares
+   * (catalog/service JSON `compliance` block)
+   */
+  registerServiceConfig(serviceId, config = {}) {
+    this.serviceConfigs.set(serviceId, {
+      ...config,
+      id: serviceId,
+      compliance: this.normalizeComplianceFlags(config.compliance)
+    });
+  }
+
+  getServiceConfig(serviceId) {
+    return this.serviceConfigs.get(serviceId) || null;
+  }
+
+  /**
+   * Normalize the flag spellings used across service definitions
+   * (`pci_dss: "Level 1"`, `gdpr_compliant: true`, ...)
+   */
+  normalizeComplianceFlags(declared = {}) {
+    const flags = declared && typeof declared === 'object' ? declared : {};
+    return {
+      pci: !!(flags.pci || flags.pci_dss || flags.pciDss),
+      gdpr: !!(flags.gdpr || flags.gdpr_compliant),
+      psd2: !!flags.psd2,
+      sox: !!flags.sox,
+      hipaa: !!flags.hipaa
+    };
+  }
+
+  /**
+   * Audit an MCP tool input or output under the adapter's PCI DSS / GDPR flags.
+   * The DATA_HANDLING entry lists the data's top-level fields and the sensitive
+   * fields (at any depth) whose values were kept out of the entry. Nothing is
+   * masked: the vendor receives the real inputs and the caller the real outputs.
+   *
+   * @param {string} adapterId
+   * @param {any} data Tool arguments or result
+   * @param {{ direction: 'input'|'output', tool?: string, compliance?: object }} options
+   *   `compliance` overrides the flags registered for the adapter
+   * @returns {{ regimes: string[], withheldFields: string[] }}
+   */
+  auditToolData(adapterId, data, options = {}) {
+    const service = this.getServiceConfig(adapterId);
+    const flags = options.compliance
+      ? this.normalizeComplianceFlags(options.compliance)
+      : (service && service.compliance) || this.normalizeComplianceFlags();
+    const regimes = this.getAppliedProtections({ compliance: flags })
+      .filter((name) => name === 'PCI_DSS' || name === 'GDPR');
+    if (regimes.length === 0) {
+      return { regimes: [], withheldFields: [] };
+    }
+
+    const withheldFields = [];
+    const visit = (value, pathPrefix) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${pathPrefix}[${index}]`));
+        return;
+      }
+      if (!value || typeof value !== 'object') return;
+
+      for (const [key, fieldValue] of Object.entries(value)) {
+        const fieldPath = pathPrefix ? `${pathPrefix}.${key}` : key;
+        const isScalar = typeof fieldValue === 'string' || typeof fieldValue === 'number';
+        if (flags.pci && (PCI_PROHIBITED_FIELDS.test(key)
+          || (isScalar && (CARD_NUMBER_FIELDS.test(key) || PCI_SENSITIVE_FIELDS.test(key))))) {
+          withheldFields.push(fieldPath);
+        } else if (flags.gdpr && isScalar && PERSONAL_FIELDS.test(key)) {
+          withheldFields.push(fieldPath);
+        } else {
+          visit(fieldValue, fieldPath);
+        }
+      }
+    };
+    visit(data, '');
+
+    this.logAuditEntry('DATA_HANDLING', {
+      serviceId: adapterId,
+      tool: options.tool,
+      operation: options.direction,
+      dataFields: data && typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [],
+      regimes,
+      withheldFields
+    });
+
+    return { regimes, withheldFields };
+  }
+
   /**
    * Apply PCI DSS data protections
    */
@@ -334,28 +443,48 @@ class ComplianceManager extends EventEmitter {
       details,
       id: crypto.randomUUID()
     };
-    
-    this.auditLog.push(entry);
+
     this.emit('audit:logged', entry);
-    
+
     // Persist to secure audit storage
     this.persistAuditEntry(entry);
   }
 
   /**
-   * Persist audit entry to secure storage
+   * Persist audit entry to the hash-chained audit store
    */
-  async persistAuditEntry(entry) {
-    // Implementation would write to secure, tamper-proof storage
-    // For now, we'll write to a secure log file
-    const fs = require('fs').promises;
-    const logPath = 'logs/compliance-audit.log';
-    
-    try {
-      await fs.appendFile(logPath, JSON.stringify(entry) + '\n');
-    } catch (error) {
+  persistAuditEntry(entry) {
+    const write = this.auditQueue.then(() => this.auditStore.append((head) => sealEntry(entry, head, {
+      hmacKey: this.auditHmacKey,
+      keyId: this.auditKeyId
+    }))).then((sealed) => {
+      this.emit('audit:persisted', sealed);
+      return sealed;
+    }, (error) => {
       console.error('Failed to persist audit entry:', error);
-    }
+      this.emit('audit:persist_failed', { entry, error });
+      return null;
+    });
+
+    this.auditQueue = write;
+    return write;
+  }
+
+  /**
+   * Wait for queued audit writes
+   */
+  flushAuditLog() {
+    return this.auditQueue;
+  }
+
+  /**
+   * Verify the persisted audit chain (gaps, edits, reordering, signatures)
+   */
+  async verifyAuditTrail(options = {}) {
+    await this.flushAuditLog();
+    return verifyChain(this.auditStore.entries(), {
+      hmacKey: options.hmacKey !== undefined ? options.hmacKey : this.auditHmacKey
+    });
   }
 
   /**
@@ -370,28 +499,13 @@ class ComplianceManager extends EventEmitter {
   }
 
   /**
-   * Get audit trail
+   * Get audit trail from the persistent store (survives restarts)
+   *
+   * @param {{ serviceId?: string, action?: string, since?: string|Date, until?: string|Date, limit?: number }} [filters]
    */
-  getAuditTrail(filters = {}) {
-    let filtered = this.auditLog;
-    
-    if (filters.serviceId) {
-      filtered = filtered.filter(entry => 
-        entry.details.serviceId === filters.serviceId
-      );
-    }
-    
-    if (filters.action) {
-      filtered = filtered.filter(entry => entry.action === filters.action);
-    }
-    
-    if (filters.since) {
-      filtered = filtered.filter(entry => 
-        entry.timestamp >= new Date(filters.since)
-      );
-    }
-    
-    return filtered;
+  async getAuditTrail(filters = {}) {
+    await this.flushAuditLog();
+    return this.auditStore.query(filters);
   }
 
   /**
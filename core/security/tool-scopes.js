@@ -0,0 +1,140 @@
+/**
+ * Tool Scopes
+ * Tool-level authorization for MCP callers.
+ *
+ * A scope is `<resource>:<action>`:
+ * - resource: an adapter id (`paystack`), a category (`banking`, `memory`) or `*`
+ * - action:   `*`, `read` (read-only tools), `write` (any tool), an exact tool
+ *             name (`initialize-transaction`) or a verb prefix (`create-*`)
+ * A bare resource (`paystack`) or `*` grants every action on it.
+ *
+ * Principals carry scopes in `scopes`, `scope` (space/comma separated) or
+ * scope-shaped `permissions` entries. Principals without explicit scopes get
+ * the defaults of their role (ROLE_SCOPES); roles inherit per ROLE_HIERARCHY.
+ */
+
+'use strict';
+
+// role -> roles it includes
+const ROLE_HIERARCHY = {
+  admin: ['user'],
+  user: ['read'],
+  read: []
+};
+
+const ROLE_SCOPES = {
+  admin: ['*'],
+  user: ['*:read', '*:write'],
+  read: ['*:read']
+};
+
+const DEFAULT_ROLE = 'user';
+
+const READ_ACTIONS = /^(get|list|fetch|search|find|lookup|query|retrieve|read|verify|validate|check|resolve|health|status)$/;
+
+const normalizeName = (value) => (value || '').toString().trim().toLowerCase().replace(/_/g, '-');
+
+/**
+ * Roles implied by a role, including itself (admin -> admin, user, read).
+ */
+const expandRole = (role, seen = new Set()) => {
+  if (!role || seen.has(role)) return seen;
+  seen.add(role);
+  for (const included of ROLE_HIERARCHY[role] || []) expandRole(included, seen);
+  return seen;
+};
+
+const parseScopes = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map((scope) => String(scope).trim()).filter(Boolean);
+};
+
+const isScopeString = (value) => typeof value === 'string' && (value === '*' || value.includes(':'));
+
+/**
+ * Effective scopes for an authenticated principal (auth payload / user object).
+ */
+const resolveScopes = (principal = {}) => {
+  const source = principal && typeof principal === 'object' ? principal : {};
+  const explicit = [
+    ...parseScopes(source.scopes),
+    ...parseScopes(source.scope),
+    ...parseScopes(source.permissions).filter(isScopeString)
+  ];
+  if (explicit.length > 0) return Array.from(new Set(explicit));
+
+  // Unknown roles (e.g. Supabase 'authenticated') get the default role.
+  const claimed = source.role || (source.user && source.user.role);
+  const role = ROLE_HIERARCHY[claimed] ? claimed : DEFAULT_ROLE;
+  const scopes = [];
+  for (const implied of expandRole(role)) scopes.push(...(ROLE_SCOPES[implied] || []));
+  return Array.from(new Set(scopes));
+};
+
+/**
+ * 'read' for read-only tools (get-*, list-*, verify-*, ...), otherwise 'write'.
+ */
+const inferAccess = (toolName) => {
+  const [verb] = normalizeName(toolName).split('-');
+  return READ_ACTIONS.test(verb) ? 'read' : 'write';
+};
+
+/**
+ * @param {{ adapterId: string, toolName: string, category?: string, access?: string }} tool
+ */
+const describeTool = ({ adapterId, toolName, category, access }) => ({
+  adapterId: normalizeName(adapterId),
+  toolName: normalizeName(toolName),
+  category: normalizeName(category),
+  access: access || inferAccess(toolName)
+});
+
+const scopeGrants = (scope, tool) => {
+  if (scope === '*') return true;
+  const idx = scope.indexOf(':');
+  const resource = normalizeName(idx === -1 ? scope : scope.slice(0, idx));
+  const action = normalizeName(idx === -1 ? '*' : scope.slice(idx + 1));
+
+  const resourceMatches = resource === '*' || resource === tool.adapterId || (!!tool.category && resource === tool.category);
+  if (!resourceMatches) return false;
+
+  if (action === '*' || action === 'write') return true;
+  if (action === 'read') return tool.access === 'read';
+  // Never a word anywhere in the name: `transfer` must not grant cancel-transfer or get-transfer-fee.
+  if (action.endsWith('-*')) return tool.toolName.startsWith(action.slice(0, -1));
+  return action === tool.toolName;
+};
+
+/**
+ * Whether any of `scopes` grants the tool. `undefined` scopes mean the caller
+ * was not scope-checked (internal calls) and are allowed.
+ */
+const isToolAllowed = (scopes, tool) => {
+  if (scopes === undefined || scopes === null) return true;
+  const described = describeTool(tool);
+  return parseScopes(scopes).some((scope) => scopeGrants(scope, described));
+};
+
+/**
+ * Scopes that would grant the tool, most specific first (for error hints).
+ */
+const requiredScopesFor = (tool) => {
+  const { adapterId, toolName, category, access } = describeTool(tool);
+  return [
+    `${adapterId}:${toolName}`,
+    `${adapterId}:${access}`,
+    ...(category ? [`${category}:${access}`] : [])
+  ];
+};
+
+module.exports = {
+  ROLE_HIERARCHY,
+  ROLE_SCOPES,
+  expandRole,
+  parseScopes,
+  resolveScopes,
+  inferAccess,
+  isToolAllowed,
+  requiredScopesFor
+};
@@ -0,0 +1,162 @@
+/**
+ * Trace Exporters
+ * Receive finished spans from the Tracer (tracer.js).
+ *
+ * Exporter contract:
+ * - export(spans) with span JSON objects (see Span.toJSON); must not throw for I/O errors
+ * - shutdown() -> Promise, flushes anything buffered
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const toAnyValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: String(value) };
+};
+
+const toKeyValues = (attributes = {}) =>
+  Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+/**
+ * OTLP/HTTP JSON request body (ExportTraceServiceRequest) for a batch of spans.
+ */
+const toOtlpPayload = (spans, serviceName) => ({
+  resourceSpans: [{
+    resource: { attributes: toKeyValues({ 'service.name': serviceName }) },
+    scopeSpans: [{
+      scope: { name: 'onasis-gateway' },
+      spans: spans.map((span) => ({
+        traceId: span.traceId,
+        spanId: span.spanId,
+        ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+        name: span.name,
+        kind: span.kind,
+        startTimeUnixNano: span.startTimeUnixNano,
+        endTimeUnixNano: span.endTimeUnixNano,
+        attributes: toKeyValues(span.attributes),
+        events: span.events.map((event) => ({
+          name: event.name,
+          timeUnixNano: event.timeUnixNano,
+          attributes: toKeyValues(event.attributes)
+        })),
+        status: span.status
+      }))
+    }]
+  }]
+});
+
+const parseHeaderList = (value) => Object.fromEntries(
+  (value || '').split(',')
+    .map((pair) => pair.split('='))
+    .filter(([key, val]) => key && key.trim() && val !== undefined)
+    .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())])
+);
+
+/**
+ * Batches spans and POSTs them to an OTLP/HTTP collector
+ * (OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces).
+ */
+class OtlpHttpExporter {
+  constructor(options = {}) {
+    const baseUrl = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+    this.url = options.url || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || `${baseUrl}/v1/traces`;
+    this.headers = options.headers || parseHeaderList(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.serviceName = options.serviceName || 'onasis-gateway';
+    this.batchSize = options.batchSize || 100;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.buffer = [];
+    this.timer = setInterval(() => {
+      this.flush();
+    }, options.flushIntervalMs || 5000);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  export(spans) {
+    this.buffer.push(...spans);
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  async flush() {
+    if (this.buffer.length === 0) return;
+    const batch = this.buffer.splice(0, this.buffer.length);
+    try {
+      const response = await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(toOtlpPayload(batch, this.serviceName)),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        console.warn(`OTLP trace export failed: HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('OTLP trace export failed:', error.message);
+    }
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+/**
+ * Appends one JSON span per line to a local file (TRACING_FILE_PATH).
+ * Meant for tests and local debugging.
+ */
+class JsonFileExporter {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.TRACING_FILE_PATH || path.join(process.cwd(), 'traces.jsonl');
+    this.serviceName = options.serviceName || 'onasis-gateway';
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  export(spans) {
+    const lines = spans.map((span) => JSON.stringify({ serviceName: this.serviceName, ...span }));
+    fs.appendFileSync(this.filePath, `${lines.join('\n')}\n`);
+  }
+
+  async shutdown() {}
+
+  /**
+   * Spans written so far (test helper).
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+}
+
+/**
+ * Exporter selected by TRACING_EXPORTER (none | otlp | file). Defaults to none.
+ */
+const createTraceExporter = (options = {}) => {
+  const type = (options.type || process.env.TRACING_EXPORTER || 'none').toLowerCase();
+  if (type === 'otlp') {
+    return new OtlpHttpExporter(options);
+  }
+  if (type === 'file') {
+    return new JsonFileExporter(options);
+  }
+  return null;
+};
+
+module.exports = {
+  OtlpHttpExporter,
+  JsonFileExporter,
+  createTraceExporter,
+  toOtlpPayload
+};
@@ -0,0 +1,234 @@
+/**
+ * Tracer
+ * OpenTelemetry-compatible spans with W3C Trace Context propagation.
+ *
+ * The active span lives in AsyncLocalStorage, so nested layers (gateway ->
+ * abstraction -> registry -> adapter -> BaseClient) become child spans without
+ * threading a context object through every call. Outbound requests carry the
+ * active span as a `traceparent` header (https://www.w3.org/TR/trace-context/).
+ *
+ * Exporters (see exporters.js) receive finished, sampled spans. Without an
+ * exporter spans are still created so trace ids propagate downstream.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createTraceExporter } = require('./exporters');
+
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// OTLP enum values
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const NANOS_PER_MS = BigInt(1000000);
+
+const nowUnixNano = () => {
+  const ms = performance.timeOrigin + performance.now();
+  const whole = Math.floor(ms);
+  return (BigInt(whole) * NANOS_PER_MS + BigInt(Math.round((ms - whole) * 1e6))).toString();
+};
+
+/**
+ * @returns {{ traceId: string, spanId: string, sampled: boolean } | null}
+ */
+const parseTraceparent = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = TRACEPARENT.exec(value.trim().toLowerCase());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+};
+
+const formatTraceparent = ({ traceId, spanId, sampled }) => `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId, kind, attributes, sampled }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId || null;
+    this.kind = kind || SPAN_KIND.INTERNAL;
+    this.sampled = sampled;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+    this.setAttributes(attributes);
+  }
+
+  get traceparent() {
+    return formatTraceparent(this);
+  }
+
+  get ended() {
+    return this.endTimeUnixNano !== null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes || {})) this.setAttribute(key, value);
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  recordException(error) {
+    this.events.push({
+      name: 'exception',
+      timeUnixNano: nowUnixNano(),
+      attributes: {
+        'exception.type': (error && (error.code || error.name)) || 'Error',
+        'exception.message': (error && error.message) || String(error)
+      }
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, error && error.message);
+  }
+
+  end() {
+    if (this.ended) return;
+    this.endTimeUnixNano = nowUnixNano();
+    this.tracer.onEnd(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: this.startTimeUnixNano,
+      endTimeUnixNano: this.endTimeUnixNano,
+      attributes: { ...this.attributes },
+      events: this.events.map((event) => ({ ...event, attributes: { ...event.attributes } })),
+      status: { ...this.status }
+    };
+  }
+}
+
+class Tracer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.serviceName] Default OTEL_SERVICE_NAME or 'onasis-gateway'
+   * @param {object|null} [options.exporter] Exporter (see exporters.js); default from TRACING_EXPORTER
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || process.env.OTEL_SERVICE_NAME || 'onasis-gateway';
+    this.exporter = options.exporter !== undefined
+      ? options.exporter
+      : createTraceExporter({ serviceName: this.serviceName });
+  }
+
+  getActiveSpan() {
+    return storage.getStore() || null;
+  }
+
+  /**
+   * Start a span. The parent is `options.parent` (a Span or traceparent string),
+   * else the active span; without either the span starts a new, sampled trace.
+   */
+  startSpan(name, options = {}) {
+    let parent = options.parent !== undefined ? options.parent : this.getActiveSpan();
+    if (typeof parent === 'string') parent = parseTraceparent(parent);
+
+    return new Span(this, name, {
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parent ? parent.spanId : null,
+      sampled: parent ? parent.sampled !== false : true,
+      kind: options.kind,
+      attributes: options.attributes
+    });
+  }
+
+  /**
+   * Run fn(span) with a new span active; the span ends when fn settles and
+   * records the error if fn throws.
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await storage.run(span, () => fn(span));
+      if (span.status.code === SPAN_STATUS.UNSET) span.setStatus(SPAN_STATUS.OK);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Run fn with `span` active without ending it (for spans ended elsewhere,
+   * e.g. an HTTP server span that ends on response finish).
+   */
+  runInSpan(span, fn) {
+    return storage.run(span, fn);
+  }
+
+  /**
+   * traceparent for outbound requests: the active span, else `fallback`.
+   */
+  currentTraceparent(fallback) {
+    const span = this.getActiveSpan();
+    if (span) return span.traceparent;
+    return parseTraceparent(fallback) ? fallback : undefined;
+  }
+
+  onEnd(span) {
+    if (!span.sampled || !this.exporter) return;
+    try {
+      this.exporter.export([span.toJSON()]);
+    } catch (error) {
+      console.warn('Trace export failed:', error.message);
+    }
+  }
+
+  async shutdown() {
+    if (this.exporter && typeof this.exporter.shutdown === 'function') {
+      await this.exporter.shutdown();
+    }
+  }
+}
+
+let defaultTracer = null;
+
+/**
+ * Process-wide tracer configured from env (TRACING_EXPORTER, OTEL_*).
+ */
+const getTracer = () => {
+  if (!defaultTracer) defaultTracer = new Tracer();
+  return defaultTracer;
+};
+
+const setTracer = (tracer) => {
+  defaultTracer = tracer;
+};
+
+module.exports = {
+  Span,
+  Tracer,
+  SPAN_KIND,
+  SPAN_STATUS,
+  getTracer,
+  setTracer,
+  parseTraceparent,
+  formatTraceparent
+};
@@ -11,6 +11,7 @@
 'use strict';
 
 const BaseClient = require('./base-client');
+const { getTracer } = require('./tracing/tracer');
 
 const stripTrailingSlashes = (value) => (value || '').toString().replace(/\/+$/, '');
 
@@ -112,6 +113,11 @@ class UniversalSupabaseClient extends BaseClient {
       getHeader(rawHeaders, 'X-Session-ID') ||
       getHeader(rawHeaders, 'x-session-id');
 
+    // Continue the caller's trace; BaseClient.request() re-parents it onto its HTTP span.
+    const traceparent = getTracer().currentTraceparent(
+      options.traceparent || getHeader(rawHeaders, 'traceparent')
+    );
+
     // Start from user-provided headers, but enforce our required Supabase headers.
     const headers = {
       ...rawHeaders,
@@ -132,6 +138,11 @@ class UniversalSupabaseClient extends BaseClient {
     if (projectScope) headers['X-Project-Scope'] = projectScope;
     if (requestId) headers['X-Request-ID'] = requestId;
     if (sessionId) headers['X-Session-ID'] = sessionId;
+    if (traceparent) {
+      headers.traceparent = traceparent;
+    } else {
+      delete headers.traceparent; // never forward a malformed one
+    }
 
     return headers;
   }
@@ -194,4 +205,7 @@ class UniversalSupabaseClient extends BaseClient {
   }
 }
 
+// Every call goes through request(), so dry runs can capture it (see core/dry-run.js).
+UniversalSupabaseClient.dryRunSafe = true;
+
 module.exports = UniversalSupabaseClient;
@@ -0,0 +1,283 @@
+/**
+ * Service Definition Diff
+ * Compares two service definitions (e.g. a regenerated *-service.json against the
+ * committed one) and classifies every change as breaking, additive or cosmetic.
+ *
+ * Breaking changes come from VersionManager.analyzeCompatibility, so this report
+ * and registerVersion() agree on what breaks clients.
+ *
+ * Accepted definition shapes: `endpoints` as an array or an id-keyed object,
+ * `service_groups.<group>.endpoints`, and OpenAPI `paths`. Parameters may be given
+ * as extract-service.js parameter lists, OpenAPI parameter arrays, name-keyed
+ * objects, or a JSON schema body (input_schema, bodySchema, requestBody).
+ */
+
+'use strict';
+
+const VersionManager = require('./version-manager');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const PARAM_TYPES = ['path', 'query', 'header', 'body'];
+
+let analyzer = null;
+const getAnalyzer = () => {
+  if (!analyzer) analyzer = new VersionManager();
+  return analyzer;
+};
+
+const normalizePath = (value) => {
+  const raw = String(value || '').trim();
+  const withSlash = raw.startsWith('/') ? raw : `/${raw}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+};
+
+const schemaParams = (schema) => {
+  if (!schema || typeof schema !== 'object' || !schema.properties) return [];
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    type: property && property.type,
+    required: required.has(name)
+  }));
+};
+
+const exampleParams = (example) => {
+  if (!example || typeof example !== 'object' || Array.isArray(example)) return [];
+  return Object.entries(example).map(([name, value]) => ({
+    name,
+    type: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value,
+    required: false
+  }));
+};
+
+const toParam = (param) => ({
+  name: param.name,
+  type: param.type || (param.schema && param.schema.type),
+  required: Boolean(param.required)
+});
+
+/**
+ * Map any supported parameter layout to { path, query, header, body } lists
+ */
+const normalizeParameters = (endpoint, path) => {
+  const params = { path: [], query: [], header: [], body: [] };
+  const declared = endpoint.parameters;
+
+  if (Array.isArray(declared)) {
+    // OpenAPI: [{ name, in, required, schema }]
+    for (const param of declared) {
+      const location = param.in === 'headers' ? 'header' : param.in;
+      if (params[location]) params[location].push(toParam(param));
+    }
+  } else if (declared && typeof declared === 'object') {
+    const isGrouped = ['path', 'query', 'header', 'headers'].some((key) => Array.isArray(declared[key]));
+    if (isGrouped) {
+      // extract-service.js: { path: [], query: [], headers: [], body: { fields | schema } }
+      params.path = (declared.path || []).map(toParam);
+      params.query = (declared.query || []).map(toParam);
+      params.header = (declared.header || declared.headers || []).map(toParam);
+      const body = declared.body;
+      if (body && Array.isArray(body.fields)) {
+        params.body = body.fields.map((field) => ({ name: field.name, type: field.type, required: false }));
+      } else if (body && body.schema) {
+        params.body = exampleParams(body.schema);
+      }
+    } else {
+      // Name-keyed: { id: { type, required } }; names in the path template are path params
+      for (const [name, param] of Object.entries(declared)) {
+        const location = path.includes(`{${name}}`) || path.includes(`:${name}`) ? 'path' : 'query';
+        params[location].push(toParam({ name, ...(param || {}) }));
+      }
+    }
+  }
+
+  const bodySchema = endpoint.input_schema
+    || endpoint.bodySchema
+    || (endpoint.requestBody && endpoint.requestBody.content
+      && endpoint.requestBody.content['application/json']
+      && endpoint.requestBody.content['application/json'].schema);
+  if (bodySchema) {
+    params.body = schemaParams(bodySchema);
+  }
+
+  return params;
+};
+
+const collectEndpoints = (definition) => {
+  const entries = [];
+
+  if (Array.isArray(definition.endpoints)) {
+    definition.endpoints.forEach((endpoint) => entries.push([endpoint.id || endpoint.name, endpoint]));
+  } else if (definition.endpoints && typeof definition.endpoints === 'object') {
+    Object.entries(definition.endpoints).forEach(([key, endpoint]) => entries.push([endpoint.id || key, endpoint]));
+  }
+
+  if (definition.service_groups && typeof definition.service_groups === 'object') {
+    for (const group of Object.values(definition.service_groups)) {
+      (group && Array.isArray(group.endpoints) ? group.endpoints : [])
+        .forEach((endpoint) => entries.push([endpoint.id || endpoint.name, endpoint]));
+    }
+  }
+
+  if (definition.paths && typeof definition.paths === 'object') {
+    for (const [path, operations] of Object.entries(definition.paths)) {
+      for (const [method, operation] of Object.entries(operations || {})) {
+        if (!HTTP_METHODS.includes(method)) continue;
+        entries.push([operation.operationId, { ...operation, method, path }]);
+      }
+    }
+  }
+
+  const seen = new Set();
+  return entries.map(([declaredId, endpoint]) => {
+    const method = String(endpoint.method || 'GET').toUpperCase();
+    const path = normalizePath(endpoint.path || endpoint.url);
+    let id = declaredId || `${method} ${path}`;
+    if (seen.has(id)) id = `${id} (${method} ${path})`;
+    seen.add(id);
+    return {
+      id,
+      method,
+      path,
+      description: endpoint.description || endpoint.summary || '',
+      parameters: normalizeParameters(endpoint, path)
+    };
+  });
+};
+
+/**
+ * Reduce a service definition to the fields compared by VersionManager
+ */
+const normalizeServiceDefinition = (definition = {}) => {
+  const info = definition.info || {};
+  const service = definition.service && typeof definition.service === 'object' ? definition.service : {};
+  return {
+    name: definition.name || info.title || info.name || service.name || null,
+    version: definition.version || info.version || service.version || null,
+    description: definition.description || info.description || service.description || '',
+    baseUrl_changed: definition.baseUrl || definition.base_url || definition.baseURL || service.baseUrl
+      || (Array.isArray(definition.servers) && definition.servers[0] ? definition.servers[0].url : undefined),
+    authentication: definition.authentication && definition.authentication.type
+      ? { type: definition.authentication.type }
+      : undefined,
+    endpoints: collectEndpoints(definition)
+  };
+};
+
+const findAdditiveAndCosmetic = (before, after) => {
+  const additive = [];
+  const cosmetic = [];
+  const beforeById = new Map(before.endpoints.map((endpoint) => [endpoint.id, endpoint]));
+
+  if (before.description !== after.description) {
+    cosmetic.push({ type: 'service_description_changed', message: 'Service description changed' });
+  }
+
+  for (const endpoint of after.endpoints) {
+    const previous = beforeById.get(endpoint.id);
+    if (!previous) {
+      additive.push({
+        type: 'endpoint_added',
+        endpoint: endpoint.id,
+        message: `New endpoint ${endpoint.method} ${endpoint.path}`
+      });
+      continue;
+    }
+
+    for (const type of PARAM_TYPES) {
+      const previousNames = new Map(previous.parameters[type].map((param) => [param.name, param]));
+      for (const param of endpoint.parameters[type]) {
+        const old = previousNames.get(param.name);
+        if (!old && !param.required) {
+          additive.push({
+            type: 'optional_parameter_added',
+            endpoint: endpoint.id,
+            parameter: param.name,
+            paramType: type,
+            message: `New optional ${type} parameter ${param.name}`
+          });
+        } else if (old && old.required && !param.required) {
+          additive.push({
+            type: 'parameter_became_optional',
+            endpoint: endpoint.id,
+            parameter: param.name,
+            paramType: type,
+            message: `Required ${type} parameter ${param.name} is now optional`
+          });
+        }
+      }
+    }
+
+    if (previous.description !== endpoint.description) {
+      cosmetic.push({
+        type: 'endpoint_description_changed',
+        endpoint: endpoint.id,
+        message: 'Description changed'
+      });
+    }
+  }
+
+  return { additive, cosmetic };
+};
+
+/**
+ * Diff two service definitions
+ * @param {object} before Current (committed) definition
+ * @param {object} after Candidate (regenerated) definition
+ * @returns {{ service: string|null, from: object, to: object, compatible: boolean,
+ *   summary: { breaking: number, additive: number, cosmetic: number, endpoints: object },
+ *   changes: { breaking: object[], additive: object[], cosmetic: object[] } }}
+ */
+const diffServiceDefinitions = (before, after) => {
+  const previous = normalizeServiceDefinition(before);
+  const next = normalizeServiceDefinition(after);
+
+  const analysis = getAnalyzer().analyzeCompatibility(next, previous);
+  const breaking = analysis.breakingChanges.map(({ breaking: _flag, ...change }) => change);
+  const { additive, cosmetic } = findAdditiveAndCosmetic(previous, next);
+
+  return {
+    service: next.name || previous.name,
+    from: { name: previous.name, version: previous.version },
+    to: { name: next.name, version: next.version },
+    compatible: breaking.length === 0,
+    summary: {
+      breaking: breaking.length,
+      additive: additive.length,
+      cosmetic: cosmetic.length,
+      endpoints: { before: previous.endpoints.length, after: next.endpoints.length }
+    },
+    changes: { breaking, additive, cosmetic }
+  };
+};
+
+/**
+ * Human-readable rendering of a diffServiceDefinitions() report
+ */
+const formatDiffReport = (report) => {
+  const lines = [
+    `Service: ${report.service || 'unknown'} (${report.from.version || '?'} -> ${report.to.version || '?'})`,
+    `Endpoints: ${report.summary.endpoints.before} -> ${report.summary.endpoints.after}`
+  ];
+  const sections = [
+    ['❌ Breaking', report.changes.breaking],
+    ['➕ Additive', report.changes.additive],
+    ['✏️  Cosmetic', report.changes.cosmetic]
+  ];
+  for (const [title, changes] of sections) {
+    lines.push('', `${title} (${changes.length})`);
+    for (const change of changes) {
+      lines.push(`  - [${change.type}] ${change.endpoint ? `${change.endpoint}: ` : ''}${change.message}`);
+    }
+  }
+  lines.push('', report.compatible
+    ? '✅ No breaking changes'
+    : `❌ ${report.summary.breaking} breaking change(s)`);
+  return lines.join('\n');
+};
+
+module.exports = {
+  normalizeServiceDefinition,
+  diffServiceDefinitions,
+  formatDiffReport
+};
@@ -1,12 +1,34 @@
 const semver = require('semver');
 const EventEmitter = require('events');
+const { createVersionStore } = require('./version-stores');
+
+// Deprecated versions stay callable for this long; see removeVersion()
+const DEPRECATION_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Version lifecycle state that survives a restart even when configs are reloaded from disk
+const LIFECYCLE_FIELDS = ['registeredAt', 'deprecated', 'deprecationReason', 'deprecatedAt', 'inActiveUse'];
+
+const createVersionError = (status, code, message, meta) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const reviveDate = (value) => (value ? new Date(value) : value);
 
 /**
  * Version Manager - Handles service versioning, compatibility, and migrations
  * Includes migration rollback support with snapshots and explicit rollback handlers
  */
 class VersionManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] Store implementing the version-stores.js contract (default VERSION_STORE)
+   * @param {Object} [options.compliance] ComplianceManager that receives SERVICE_VERSION_CHANGE audit entries
+   */
+  constructor(options = {}) {
     super();
     this.supportedVersions = new Map();
     this.versionMappings = new Map();
@@ -14,6 +36,103 @@ class VersionManager extends EventEmitter {
     this.migrationHandlers = new Map();
     this.rollbackHandlers = new Map();
     this.migrationSnapshots = new Map();
+
+    this.store = options.store || createVersionStore();
+    this.compliance = options.compliance || null;
+    // Writes run one at a time, after restore(), so the store sees changes in order.
+    this.persistQueue = Promise.resolve();
+  }
+
+  /**
+   * Load persisted state. Versions already registered (e.g. from config files) keep
+   * their config but take their lifecycle state (deprecation) from the store;
+   * versions retired via removeVersion() are dropped.
+   */
+  restore() {
+    const restored = this.persistQueue
+      .then(() => this.store.load())
+      .then((state) => this.applyRestoredState(state));
+    this.persistQueue = restored.catch(() => {});
+    return restored;
+  }
+
+  applyRestoredState(state) {
+    for (const record of state.versions || []) {
+      const key = `${record.serviceId}:${record.version}`;
+      if (record.removedAt) {
+        this.supportedVersions.delete(key);
+        continue;
+      }
+
+      const persisted = {
+        ...record.config,
+        registeredAt: reviveDate(record.config.registeredAt),
+        deprecatedAt: reviveDate(record.config.deprecatedAt)
+      };
+      const current = this.supportedVersions.get(key);
+      if (!current) {
+        this.supportedVersions.set(key, persisted);
+        continue;
+      }
+      for (const field of LIFECYCLE_FIELDS) {
+        if (persisted[field] !== undefined) current[field] = persisted[field];
+      }
+    }
+
+    for (const record of state.compatibility || []) {
+      const { serviceId, warnings, ...compatibility } = record;
+      const key = `${serviceId}:${record.fromVersion}->${record.toVersion}`;
+      if (this.compatibilityMatrix.has(key)) continue;
+      this.compatibilityMatrix.set(key, compatibility);
+      this.versionMappings.set(key, {
+        compatible: record.compatible,
+        breakingChanges: record.breakingChanges,
+        migrations: record.migrations,
+        warnings: warnings || []
+      });
+    }
+
+    for (const snapshot of state.snapshots || []) {
+      const key = `${snapshot.serviceId}:${snapshot.fromVersion}->${snapshot.toVersion}`;
+      if (this.migrationSnapshots.has(key)) continue;
+      this.migrationSnapshots.set(key, { ...snapshot, timestamp: reviveDate(snapshot.timestamp) });
+    }
+
+    this.emit('version:restored', { versions: this.supportedVersions.size });
+  }
+
+  /**
+   * Queue a store write; failures are reported as version:persist_failed but never break the in-memory state
+   */
+  persist(write) {
+    const queued = this.persistQueue.then(write).catch((error) => {
+      this.emit('version:persist_failed', { error });
+    });
+    this.persistQueue = queued;
+    return queued;
+  }
+
+  /**
+   * Persist a version's current config; read when the write runs so restore() merges are kept
+   */
+  persistVersion(serviceId, version) {
+    return this.persist(() => {
+      const config = this.supportedVersions.get(`${serviceId}:${version}`);
+      if (!config) return null;
+      return this.store.saveVersion({ serviceId, version, config, removedAt: null });
+    });
+  }
+
+  /**
+   * Wait for queued store writes
+   */
+  flush() {
+    return this.persistQueue;
+  }
+
+  audit(event, details) {
+    if (!this.compliance || typeof this.compliance.logAuditEntry !== 'function') return;
+    this.compliance.logAuditEntry('SERVICE_VERSION_CHANGE', { event, ...details });
   }
 
   /**
@@ -24,18 +143,25 @@ class VersionManager extends EventEmitter {
     
     // Validate version format
     if (!semver.valid(version)) {
-      throw new Error(`Invalid version format: ${version}`);
+      throw createVersionError(400, 'INVALID_VERSION', `Invalid version format: ${version}`);
     }
 
-    // Store version config
+    // Store version config; re-registering a version keeps its lifecycle state
+    const existing = this.supportedVersions.get(key);
     this.supportedVersions.set(key, {
       ...config,
       registeredAt: new Date(),
-      deprecated: false
+      deprecated: false,
+      ...(existing && existing.deprecated ? {
+        deprecated: true,
+        deprecationReason: existing.deprecationReason,
+        deprecatedAt: existing.deprecatedAt
+      } : {})
     });
 
     // Create compatibility mappings
     this.createCompatibilityMappings(serviceId, version, config);
+    this.persistVersion(serviceId, version);
 
     // Emit version registration event
     this.emit('version:registered', { serviceId, version, config });
@@ -61,12 +187,42 @@ class VersionManager extends EventEmitter {
         return compatibleVersion;
       }
       
-      throw new Error(`Version ${requestedVersion} not found for service ${serviceId}`);
+      throw createVersionError(404, 'VERSION_NOT_FOUND', `Version ${requestedVersion} not found for service ${serviceId}`);
     }
 
     return config;
   }
 
+  /**
+   * Resolve a client-requested version to a registered one.
+   * Accepts 'latest', full versions ('2.1.0') and partial ones ('2', 'v2', '2.1');
+   * partial versions pick the newest matching release, anything else goes
+   * through getServiceVersion() and its compatibility lookup.
+   * @param {string} serviceId
+   * @param {string} [requested='latest']
+   * @returns {{ version: string, config: Object }}
+   * @throws {Error} If the version is malformed or nothing registered satisfies it
+   */
+  resolveVersion(serviceId, requested = 'latest') {
+    if (!requested || requested === 'latest') {
+      return this.getLatestVersion(serviceId);
+    }
+
+    const normalized = String(requested).trim().replace(/^v/i, '');
+    if (!/^\d+(\.\d+){0,2}$/.test(normalized)) {
+      throw createVersionError(400, 'INVALID_VERSION', `Invalid version format: ${requested}`);
+    }
+
+    const versions = this.getServiceVersions(serviceId);
+    const match = semver.maxSatisfying(versions.map(v => v.version), normalized);
+    if (match) {
+      return versions.find(v => v.version === match);
+    }
+
+    const config = this.getServiceVersion(serviceId, normalized);
+    return versions.find(v => v.config === config);
+  }
+
   /**
    * Get latest version of a service
    * @param {string} serviceId
@@ -78,7 +234,7 @@ class VersionManager extends EventEmitter {
     const versions = this.getServiceVersions(serviceId);
     
     if (versions.length === 0) {
-      throw new Error(`No versions found for service ${serviceId}`);
+      throw createVersionError(404, 'SERVICE_NOT_FOUND', `No versions found for service ${serviceId}`);
     }
 
     const candidates = skipDeprecated
@@ -86,7 +242,7 @@ class VersionManager extends EventEmitter {
       : versions;
 
     if (candidates.length === 0) {
-      throw new Error(`No non-deprecated versions found for service ${serviceId}`);
+      throw createVersionError(404, 'VERSION_NOT_FOUND', `No non-deprecated versions found for service ${serviceId}`);
     }
 
     // Sort versions and get latest
@@ -126,13 +282,19 @@ class VersionManager extends EventEmitter {
       this.versionMappings.set(mappingKey, compatibility);
 
       // Store in compatibility matrix
-      this.compatibilityMatrix.set(mappingKey, {
+      const entry = {
         fromVersion: existingVersion,
         toVersion: version,
         compatible: compatibility.compatible,
         breakingChanges: compatibility.breakingChanges,
         migrations: compatibility.migrations
-      });
+      };
+      this.compatibilityMatrix.set(mappingKey, entry);
+      this.persist(() => this.store.saveCompatibility({
+        serviceId,
+        ...entry,
+        warnings: compatibility.warnings
+      }));
     }
   }
 
@@ -175,7 +337,7 @@ class VersionManager extends EventEmitter {
   /**
    * Compare endpoints between versions
    */
-  compareEndpoints(newEndpoints, oldEndpoints) {
+  compareEndpoints(newEndpoints = [], oldEndpoints = []) {
     const changes = {
       breaking: [],
       migrations: [],
@@ -247,7 +409,7 @@ class VersionManager extends EventEmitter {
 
     // Check parameter changes
     const paramChanges = this.compareParameters(newEndpoint.parameters, oldEndpoint.parameters);
-    changes.breaking.push(...paramChanges.breaking);
+    changes.breaking.push(...paramChanges.breaking.map(change => ({ endpoint: newEndpoint.id, ...change })));
     changes.migrations.push(...paramChanges.migrations);
 
     return changes;
@@ -263,9 +425,9 @@ class VersionManager extends EventEmitter {
     };
 
     // Check each parameter type
-    ['path', 'query', 'header'].forEach(type => {
-      const newTypeParams = newParams[type] || [];
-      const oldTypeParams = oldParams[type] || [];
+    ['path', 'query', 'header', 'body'].forEach(type => {
+      const newTypeParams = Array.isArray(newParams[type]) ? newParams[type] : [];
+      const oldTypeParams = Array.isArray(oldParams[type]) ? oldParams[type] : [];
 
       const oldParamMap = new Map(oldTypeParams.map(p => [p.name, p]));
       const newParamMap = new Map(newTypeParams.map(p => [p.name, p]));
@@ -294,6 +456,19 @@ class VersionManager extends EventEmitter {
         }
       }
 
+      // Check for optional parameters that became required
+      for (const [name, newParam] of newParamMap) {
+        const oldParam = oldParamMap.get(name);
+        if (oldParam && !oldParam.required && newParam.required) {
+          changes.breaking.push({
+            type: 'parameter_became_required',
+            parameter: name,
+            paramType: type,
+            message: `Optional ${type} parameter ${name} is now required`
+          });
+        }
+      }
+
       // Check for parameter type changes
       for (const [name, newParam] of newParamMap) {
         const oldParam = oldParamMap.get(name);
@@ -367,6 +542,13 @@ class VersionManager extends EventEmitter {
     this.migrationHandlers.set(key, handler);
   }
 
+  /**
+   * Check whether a migration handler is registered for a version transition
+   */
+  hasMigrationHandler(serviceId, fromVersion, toVersion) {
+    return this.migrationHandlers.has(`${serviceId}:${fromVersion}->${toVersion}`);
+  }
+
   /**
    * Register explicit rollback handler for version transitions
    */
@@ -389,6 +571,7 @@ class VersionManager extends EventEmitter {
       id: `${key}:${Date.now()}`
     };
     this.migrationSnapshots.set(key, snapshot);
+    this.persist(() => this.store.saveSnapshot(snapshot));
     return snapshot;
   }
 
@@ -485,10 +668,16 @@ class VersionManager extends EventEmitter {
 
   /**
    * Clear snapshots for a migration path
+   * @param {Object} [options]
+   * @param {string} [options.actor] Recorded in the audit entry
+   * @returns {boolean} Whether a snapshot existed
    */
-  clearSnapshots(serviceId, fromVersion, toVersion) {
+  clearSnapshots(serviceId, fromVersion, toVersion, options = {}) {
     const key = `${serviceId}:${fromVersion}->${toVersion}`;
-    this.migrationSnapshots.delete(key);
+    const existed = this.migrationSnapshots.delete(key);
+    this.persist(() => this.store.deleteSnapshot(serviceId, fromVersion, toVersion));
+    this.audit('snapshots_cleared', { serviceId, fromVersion, toVersion, actor: options.actor || null });
+    return existed;
   }
 
   /**
@@ -503,22 +692,44 @@ class VersionManager extends EventEmitter {
 
   /**
    * Deprecate a service version
+   * @param {Object} [options]
+   * @param {string} [options.actor] Recorded in the audit entry
    */
-  deprecateVersion(serviceId, version, reason) {
+  deprecateVersion(serviceId, version, reason, options = {}) {
     const key = `${serviceId}:${version}`;
     const config = this.supportedVersions.get(key);
 
     if (!config) {
-      throw new Error(`Version ${version} not found for service ${serviceId}`);
+      throw createVersionError(404, 'VERSION_NOT_FOUND', `Version ${version} not found for service ${serviceId}`);
     }
 
     config.deprecated = true;
     config.deprecationReason = reason;
     config.deprecatedAt = new Date();
 
+    this.persistVersion(serviceId, version);
+    this.audit('deprecated', { serviceId, version, reason, actor: options.actor || null });
     this.emit('version:deprecated', { serviceId, version, reason });
   }
 
+  /**
+   * Get deprecation details for a version, or null when it is not deprecated.
+   * sunsetAt is the end of the deprecation window, after which removeVersion() is allowed.
+   * @returns {{ reason: string, deprecatedAt: Date, sunsetAt: Date } | null}
+   */
+  getDeprecationInfo(serviceId, version) {
+    const config = this.supportedVersions.get(`${serviceId}:${version}`);
+    if (!config || !config.deprecated || !config.deprecatedAt) {
+      return null;
+    }
+
+    return {
+      reason: config.deprecationReason,
+      deprecatedAt: config.deprecatedAt,
+      sunsetAt: new Date(config.deprecatedAt.getTime() + DEPRECATION_WINDOW_MS)
+    };
+  }
+
   /**
    * Remove a service version after the mandatory30-day deprecation window.
    * Emits warnings on days 1-29 after deprecatedAt.
@@ -526,6 +737,7 @@ class VersionManager extends EventEmitter {
    * @param {string} version
    * @param {Object} [options]
    * @param {boolean} [options.force=false] - Skip the "in active use" safety check (for testing)
+   * @param {string} [options.actor] - Recorded in the audit entry
    * @throws {Error} If version is not found, not deprecated, still in the30-day window,
  *                  or is in active use (unless force is true).
    */
@@ -534,20 +746,20 @@ class VersionManager extends EventEmitter {
     const config = this.supportedVersions.get(key);
 
     if (!config) {
-      throw new Error(`Version ${version} not found for service ${serviceId}`);
+      throw createVersionError(404, 'VERSION_NOT_FOUND', `Version ${version} not found for service ${serviceId}`);
     }
 
     if (!config.deprecated) {
-      throw new Error(`Version ${version} is not deprecated and cannot be removed`);
+      throw createVersionError(409, 'VERSION_NOT_DEPRECATED', `Version ${version} is not deprecated and cannot be removed`);
     }
 
     if (!config.deprecatedAt) {
-      throw new Error(`Version ${version} has no deprecatedAt timestamp; deprecation must be done via deprecateVersion()`);
+      throw createVersionError(409, 'VERSION_NOT_DEPRECATED', `Version ${version} has no deprecatedAt timestamp; deprecation must be done via deprecateVersion()`);
     }
 
     // Safety: never delete a version still in active use
     if (!options.force && config.inActiveUse) {
-      throw new Error(`Version ${version} is still in active use and cannot be removed`);
+      throw createVersionError(409, 'VERSION_IN_USE', `Version ${version} is still in active use and cannot be removed`);
     }
 
     const msPerDay = 24 * 60 * 60 * 1000;
@@ -572,13 +784,19 @@ class VersionManager extends EventEmitter {
     }
 
     if (daysSinceDeprecation < 30) {
-      throw new Error(
-        `Version ${version} cannot be removed yet. ${Math.ceil(daysRemaining)} day(s) remaining in the 30-day deprecation window.`
+      throw createVersionError(
+        409,
+        'DEPRECATION_WINDOW_ACTIVE',
+        `Version ${version} cannot be removed yet. ${Math.ceil(daysRemaining)} day(s) remaining in the 30-day deprecation window.`,
+        { daysRemaining: Math.ceil(daysRemaining) }
       );
     }
 
     // All checks passed — remove the version
     this.supportedVersions.delete(key);
+    const removedAt = new Date().toISOString();
+    this.persist(() => this.store.saveVersion({ serviceId, version, config, removedAt }));
+    this.audit('removed', { serviceId, version, force: Boolean(options.force), actor: options.actor || null });
     this.emit('version:removed', { serviceId, version });
   }
 
@@ -611,6 +829,43 @@ class VersionManager extends EventEmitter {
       oldest: versions.sort((a, b) => semver.compare(a.version, b.version))[0]?.version
     };
   }
+
+  /**
+   * Get ids of all services with registered versions
+   */
+  getServiceIds() {
+    const ids = new Set();
+    for (const key of this.supportedVersions.keys()) {
+      ids.add(key.split(':')[0]);
+    }
+    return Array.from(ids).sort();
+  }
+
+  /**
+   * Summarize a service's versions, newest first, without their full configs
+   */
+  listVersions(serviceId) {
+    return this.getServiceVersions(serviceId)
+      .sort((a, b) => semver.rcompare(a.version, b.version))
+      .map(({ version, config }) => {
+        const deprecation = this.getDeprecationInfo(serviceId, version);
+        return {
+          version,
+          registeredAt: config.registeredAt,
+          deprecated: Boolean(config.deprecated),
+          deprecationReason: deprecation ? deprecation.reason : null,
+          deprecatedAt: deprecation ? deprecation.deprecatedAt : null,
+          sunsetAt: deprecation ? deprecation.sunsetAt : null
+        };
+      });
+  }
+
+  /**
+   * Get migration snapshots for a service
+   */
+  getSnapshots(serviceId) {
+    return this.getAllSnapshots().filter(snapshot => snapshot.serviceId === serviceId);
+  }
 }
 
 module.exports = VersionManager;
@@ -0,0 +1,153 @@
+/**
+ * Version Stores
+ * Persistence for VersionManager state so versions, deprecations, compatibility
+ * mappings and migration snapshots survive restarts.
+ *
+ * Record shapes:
+ * - version:       { serviceId, version, config, removedAt } (config includes deprecated/deprecatedAt;
+ *                  removedAt marks a version retired via removeVersion)
+ * - compatibility: { serviceId, fromVersion, toVersion, compatible, breakingChanges, migrations }
+ * - snapshot:      { id, serviceId, fromVersion, toVersion, data, timestamp }
+ *
+ * Store contract (all async):
+ * - load() -> { versions, compatibility, snapshots }
+ * - saveVersion(record) -> void (insert or replace by serviceId + version)
+ * - saveCompatibility(record) -> void (insert or replace by serviceId + fromVersion + toVersion)
+ * - saveSnapshot(snapshot) -> void (one snapshot per migration path)
+ * - deleteSnapshot(serviceId, fromVersion, toVersion) -> void
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const pathKey = (record) => `${record.serviceId}:${record.fromVersion}->${record.toVersion}`;
+
+class MemoryVersionStore {
+  constructor() {
+    this.versions = new Map();
+    this.compatibility = new Map();
+    this.snapshots = new Map();
+  }
+
+  async load() {
+    return {
+      versions: Array.from(this.versions.values()).map(clone),
+      compatibility: Array.from(this.compatibility.values()).map(clone),
+      snapshots: Array.from(this.snapshots.values()).map(clone)
+    };
+  }
+
+  async saveVersion(record) {
+    this.versions.set(`${record.serviceId}:${record.version}`, clone(record));
+  }
+
+  async saveCompatibility(record) {
+    this.compatibility.set(pathKey(record), clone(record));
+  }
+
+  async saveSnapshot(snapshot) {
+    this.snapshots.set(pathKey(snapshot), clone(snapshot));
+  }
+
+  async deleteSnapshot(serviceId, fromVersion, toVersion) {
+    this.snapshots.delete(pathKey({ serviceId, fromVersion, toVersion }));
+  }
+}
+
+/**
+ * Postgres tables (see database/migrations/007_service_versions.sql).
+ */
+class PostgresVersionStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+  }
+
+  async load() {
+    const [versions, compatibility, snapshots] = await Promise.all([
+      this.db.query('SELECT service_id, version, config, removed_at FROM service_versions ORDER BY registered_at ASC'),
+      this.db.query('SELECT record FROM service_version_compatibility'),
+      this.db.query('SELECT snapshot FROM service_version_snapshots ORDER BY created_at ASC')
+    ]);
+    return {
+      versions: versions.rows.map((row) => ({
+        serviceId: row.service_id,
+        version: row.version,
+        config: row.config,
+        removedAt: row.removed_at ? new Date(row.removed_at).toISOString() : null
+      })),
+      compatibility: compatibility.rows.map((row) => row.record),
+      snapshots: snapshots.rows.map((row) => row.snapshot)
+    };
+  }
+
+  async saveVersion(record) {
+    const { config } = record;
+    await this.db.query(
+      `INSERT INTO service_versions
+         (service_id, version, config, deprecated, deprecated_at, removed_at, registered_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (service_id, version) DO UPDATE
+         SET config = EXCLUDED.config, deprecated = EXCLUDED.deprecated,
+             deprecated_at = EXCLUDED.deprecated_at, removed_at = EXCLUDED.removed_at, updated_at = NOW()`,
+      [
+        record.serviceId,
+        record.version,
+        JSON.stringify(config),
+        Boolean(config.deprecated),
+        config.deprecatedAt ? new Date(config.deprecatedAt).toISOString() : null,
+        record.removedAt ? new Date(record.removedAt).toISOString() : null,
+        new Date(config.registeredAt || Date.now()).toISOString()
+      ]
+    );
+  }
+
+  async saveCompatibility(record) {
+    await this.db.query(
+      `INSERT INTO service_version_compatibility (service_id, from_version, to_version, compatible, record)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (service_id, from_version, to_version) DO UPDATE
+         SET compatible = EXCLUDED.compatible, record = EXCLUDED.record`,
+      [record.serviceId, record.fromVersion, record.toVersion, record.compatible, JSON.stringify(record)]
+    );
+  }
+
+  async saveSnapshot(snapshot) {
+    await this.db.query(
+      `INSERT INTO service_version_snapshots (service_id, from_version, to_version, snapshot, created_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (service_id, from_version, to_version) DO UPDATE
+         SET snapshot = EXCLUDED.snapshot, created_at = EXCLUDED.created_at`,
+      [
+        snapshot.serviceId,
+        snapshot.fromVersion,
+        snapshot.toVersion,
+        JSON.stringify(snapshot),
+        new Date(snapshot.timestamp).toISOString()
+      ]
+    );
+  }
+
+  async deleteSnapshot(serviceId, fromVersion, toVersion) {
+    await this.db.query(
+      'DELETE FROM service_version_snapshots WHERE service_id = $1 AND from_version = $2 AND to_version = $3',
+      [serviceId, fromVersion, toVersion]
+    );
+  }
+}
+
+/**
+ * Store selected by VERSION_STORE (memory | postgres). Defaults to memory.
+ */
+const createVersionStore = (options = {}) => {
+  const type = (options.type || process.env.VERSION_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresVersionStore(options);
+  }
+  return new MemoryVersionStore(options);
+};
+
+module.exports = {
+  MemoryVersionStore,
+  PostgresVersionStore,
+  createVersionStore
+};
@@ -0,0 +1,320 @@
+/**
+ * Webhook Delivery Stores
+ * Persistence for outbound webhooks: tenant endpoints, the delivery queue and
+ * the log of every delivery attempt (see webhook-delivery.js).
+ *
+ * Endpoint: { id, tenantId, url, events, secret, description, enabled, createdAt, updatedAt }
+ * Delivery: { id, tenantId, endpointId, eventId, eventType, payload, status, attempts,
+ *             nextAttemptAt, lastError, lastStatusCode, createdAt, deliveredAt }
+ * Attempt:  { id, deliveryId, attempt, requestedAt, durationMs, statusCode, error, responseBody }
+ *
+ * Store contract (all async):
+ * - saveEndpoint(endpoint) / getEndpoint(id) / listEndpoints({ tenantId }) / deleteEndpoint(id) -> boolean
+ * - insertDelivery(delivery) -> boolean (false when the endpoint already has this event)
+ * - saveDelivery(delivery) / getDelivery(id) / listDeliveries({ tenantId, endpointId, status })
+ * - claimDue(now, limit, leaseMs) -> deliveries due by `now`, switched to 'delivering' and leased
+ *   until now + leaseMs; a 'delivering' row whose lease ran out (process died mid-send) is claimed again
+ * - appendAttempt(attempt) / listAttempts(deliveryId)
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const deliveryKey = (endpointId, eventId) => `${endpointId}:${eventId}`;
+
+class MemoryWebhookDeliveryStore {
+  constructor() {
+    this.endpoints = new Map();
+    this.deliveries = new Map();
+    this.byEvent = new Set(); // endpointId:eventId
+    this.attempts = new Map(); // deliveryId -> attempts
+  }
+
+  async saveEndpoint(endpoint) {
+    this.endpoints.set(endpoint.id, clone(endpoint));
+  }
+
+  async getEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    return endpoint ? clone(endpoint) : null;
+  }
+
+  async listEndpoints(filter = {}) {
+    return Array.from(this.endpoints.values())
+      .filter((endpoint) => !filter.tenantId || endpoint.tenantId === filter.tenantId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+
+  async deleteEndpoint(id) {
+    return this.endpoints.delete(id);
+  }
+
+  async insertDelivery(delivery) {
+    const key = deliveryKey(delivery.endpointId, delivery.eventId);
+    if (this.byEvent.has(key)) return false;
+    this.byEvent.add(key);
+    this.deliveries.set(delivery.id, clone(delivery));
+    return true;
+  }
+
+  async saveDelivery(delivery) {
+    this.deliveries.set(delivery.id, clone(delivery));
+  }
+
+  async getDelivery(id) {
+    const delivery = this.deliveries.get(id);
+    return delivery ? clone(delivery) : null;
+  }
+
+  async listDeliveries(filter = {}) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => !filter.tenantId || delivery.tenantId === filter.tenantId)
+      .filter((delivery) => !filter.endpointId || delivery.endpointId === filter.endpointId)
+      .filter((delivery) => !filter.status || delivery.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(clone);
+  }
+
+  async claimDue(now, limit, leaseMs) {
+    const due = Array.from(this.deliveries.values())
+      .filter((delivery) => ['pending', 'delivering'].includes(delivery.status) && delivery.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+    for (const delivery of due) {
+      delivery.status = 'delivering';
+      delivery.nextAttemptAt = now + leaseMs;
+    }
+    return due.map(clone);
+  }
+
+  async appendAttempt(attempt) {
+    if (!this.attempts.has(attempt.deliveryId)) this.attempts.set(attempt.deliveryId, []);
+    this.attempts.get(attempt.deliveryId).push(clone(attempt));
+  }
+
+  async listAttempts(deliveryId) {
+    return (this.attempts.get(deliveryId) || []).map(clone);
+  }
+}
+
+const toTimestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+const fromTimestamp = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Postgres tables (see database/migrations/009_webhook_deliveries.sql).
+ */
+class PostgresWebhookDeliveryStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+  }
+
+  async saveEndpoint(endpoint) {
+    await this.db.query(
+      `INSERT INTO webhook_endpoints
+         (id, tenant_id, url, events, secret, description, enabled, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id) DO UPDATE
+         SET url = EXCLUDED.url, events = EXCLUDED.events, secret = EXCLUDED.secret,
+             description = EXCLUDED.description, enabled = EXCLUDED.enabled, updated_at = EXCLUDED.updated_at`,
+      [
+        endpoint.id,
+        endpoint.tenantId,
+        endpoint.url,
+        JSON.stringify(endpoint.events),
+        endpoint.secret,
+        endpoint.description,
+        endpoint.enabled,
+        toTimestamp(endpoint.createdAt),
+        toTimestamp(endpoint.updatedAt)
+      ]
+    );
+  }
+
+  async getEndpoint(id) {
+    const result = await this.db.query('SELECT * FROM webhook_endpoints WHERE id = $1', [id]);
+    return result.rows[0] ? this.endpointFromRow(result.rows[0]) : null;
+  }
+
+  async listEndpoints(filter = {}) {
+    const result = filter.tenantId
+      ? await this.db.query(
+        'SELECT * FROM webhook_endpoints WHERE tenant_id = $1 ORDER BY created_at ASC',
+        [filter.tenantId]
+      )
+      : await this.db.query('SELECT * FROM webhook_endpoints ORDER BY created_at ASC');
+    return result.rows.map((row) => this.endpointFromRow(row));
+  }
+
+  async deleteEndpoint(id) {
+    const result = await this.db.query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+    return result.rowCount === 1;
+  }
+
+  async insertDelivery(delivery) {
+    const result = await this.db.query(
+      `INSERT INTO webhook_deliveries
+         (id, tenant_id, endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+          last_error, last_status_code, created_at, delivered_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (endpoint_id, event_id) DO NOTHING`,
+      [
+        delivery.id,
+        delivery.tenantId,
+        delivery.endpointId,
+        delivery.eventId,
+        delivery.eventType,
+        JSON.stringify(delivery.payload),
+        delivery.status,
+        delivery.attempts,
+        toTimestamp(delivery.nextAttemptAt),
+        delivery.lastError,
+        delivery.lastStatusCode,
+        toTimestamp(delivery.createdAt),
+        toTimestamp(delivery.deliveredAt)
+      ]
+    );
+    return result.rowCount === 1;
+  }
+
+  async saveDelivery(delivery) {
+    await this.db.query(
+      `UPDATE webhook_deliveries
+         SET status = $2, attempts = $3, next_attempt_at = $4, last_error = $5, last_status_code = $6,
+             delivered_at = $7
+       WHERE id = $1`,
+      [
+        delivery.id,
+        delivery.status,
+        delivery.attempts,
+        toTimestamp(delivery.nextAttemptAt),
+        delivery.lastError,
+        delivery.lastStatusCode,
+        toTimestamp(delivery.deliveredAt)
+      ]
+    );
+  }
+
+  async getDelivery(id) {
+    const result = await this.db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0] ? this.deliveryFromRow(result.rows[0]) : null;
+  }
+
+  async listDeliveries(filter = {}) {
+    const params = [];
+    const conditions = [];
+    for (const [field, column] of [['tenantId', 'tenant_id'], ['endpointId', 'endpoint_id'], ['status', 'status']]) {
+      if (filter[field]) {
+        params.push(filter[field]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map((row) => this.deliveryFromRow(row));
+  }
+
+  // SKIP LOCKED lets several gateway instances drain the queue without double sends
+  async claimDue(now, limit, leaseMs) {
+    const result = await this.db.query(
+      `UPDATE webhook_deliveries SET status = 'delivering', next_attempt_at = $3
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status IN ('pending', 'delivering') AND next_attempt_at <= $1
+         ORDER BY next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [toTimestamp(now), limit, toTimestamp(now + leaseMs)]
+    );
+    return result.rows.map((row) => this.deliveryFromRow(row));
+  }
+
+  async appendAttempt(attempt) {
+    await this.db.query(
+      `INSERT INTO webhook_delivery_attempts
+         (id, delivery_id, attempt, requested_at, duration_ms, status_code, error, response_body)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        attempt.id,
+        attempt.deliveryId,
+        attempt.attempt,
+        toTimestamp(attempt.requestedAt),
+        attempt.durationMs,
+        attempt.statusCode,
+        attempt.error,
+        attempt.responseBody
+      ]
+    );
+  }
+
+  async listAttempts(deliveryId) {
+    const result = await this.db.query(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = $1 ORDER BY requested_at ASC',
+      [deliveryId]
+    );
+    return result.rows.map((row) => ({
+      id: row.id,
+      deliveryId: row.delivery_id,
+      attempt: row.attempt,
+      requestedAt: fromTimestamp(row.requested_at),
+      durationMs: row.duration_ms,
+      statusCode: row.status_code,
+      error: row.error,
+      responseBody: row.response_body
+    }));
+  }
+
+  endpointFromRow(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      url: row.url,
+      events: row.events,
+      secret: row.secret,
+      description: row.description,
+      enabled: row.enabled,
+      createdAt: fromTimestamp(row.created_at),
+      updatedAt: fromTimestamp(row.updated_at)
+    };
+  }
+
+  deliveryFromRow(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      endpointId: row.endpoint_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: fromTimestamp(row.next_attempt_at),
+      lastError: row.last_error,
+      lastStatusCode: row.last_status_code,
+      createdAt: fromTimestamp(row.created_at),
+      deliveredAt: fromTimestamp(row.delivered_at)
+    };
+  }
+}
+
+/**
+ * Store selected by WEBHOOK_DELIVERY_STORE (memory | postgres). Defaults to memory.
+ */
+const createWebhookDeliveryStore = (options = {}) => {
+  const type = (options.type || process.env.WEBHOOK_DELIVERY_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresWebhookDeliveryStore(options);
+  }
+  return new MemoryWebhookDeliveryStore(options);
+};
+
+module.exports = {
+  MemoryWebhookDeliveryStore,
+  PostgresWebhookDeliveryStore,
+  createWebhookDeliveryStore
+};
@@ -0,0 +1,98 @@
+/**
+ * Payment Event Stream
+ * In-process publish/subscribe for canonical payment events (payment-events.js).
+ *
+ * ingest() is fed every verified, deduplicated webhook from WebhookIngress.
+ * Subscribers register for canonical types (or '*') and never see provider
+ * payloads. The most recent events are kept so a reconnecting client can catch
+ * up from the last event id it saw; older events can be re-derived from the
+ * stored webhooks.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const { PAYMENT_EVENT_TYPES, toPaymentEvents } = require('./payment-events');
+
+class PaymentEventStream extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.bufferSize] Recent events kept for catch-up (PAYMENT_EVENTS_BUFFER, default 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.bufferSize = options.bufferSize
+      || parseInt(process.env.PAYMENT_EVENTS_BUFFER || '1000', 10);
+    this.recent = [];
+    this.seen = new Set();
+  }
+
+  /**
+   * Translate a received webhook and publish its canonical events.
+   * @returns {object[]} The events published
+   */
+  ingest(webhook) {
+    const published = [];
+    for (const event of toPaymentEvents(webhook)) {
+      if (this.publish(event)) published.push(event);
+    }
+    return published;
+  }
+
+  /**
+   * @returns {boolean} false when an event with the same id was already published
+   */
+  publish(event) {
+    if (this.seen.has(event.id)) return false;
+    this.seen.add(event.id);
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) {
+      this.seen.delete(this.recent.shift().id);
+    }
+    this.emit(event.type, event);
+    this.emit('event', event);
+    return true;
+  }
+
+  /**
+   * @param {string|string[]} types Canonical types, or '*' for all
+   * @param {function(object): void} handler
+   * @returns {function(): void} Unsubscribe
+   */
+  subscribe(types, handler) {
+    const list = Array.isArray(types) ? types : [types];
+    const unknown = list.filter((type) => type !== '*' && !PAYMENT_EVENT_TYPES[type]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown payment event type(s): ${unknown.join(', ')}`);
+    }
+    const all = list.includes('*');
+    const listener = (event) => {
+      if (all || list.includes(event.type)) handler(event);
+    };
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * Recent events, oldest first.
+   * @param {object} [filter]
+   * @param {string[]} [filter.types]
+   * @param {string} [filter.after] Only events published after this event id
+   * @param {number} [filter.limit]
+   */
+  list(filter = {}) {
+    let events = this.recent;
+    if (filter.after) {
+      const index = events.findIndex((event) => event.id === filter.after);
+      if (index !== -1) events = events.slice(index + 1);
+    }
+    if (filter.types && filter.types.length > 0) {
+      events = events.filter((event) => filter.types.includes(event.type));
+    }
+    return filter.limit ? events.slice(-filter.limit) : events.slice();
+  }
+}
+
+PaymentEventStream.TYPES = Object.keys(PAYMENT_EVENT_TYPES);
+
+module.exports = PaymentEventStream;
@@ -0,0 +1,262 @@
+/**
+ * Payment Events
+ * Translates verified provider webhooks into canonical payment events, so apps
+ * subscribe to `payment.succeeded` rather than Paystack `charge.success`,
+ * Flutterwave `charge.completed` or Xpress `transaction.completed`.
+ *
+ * Event categories mirror the vendor-abstraction.js categories: payments and
+ * refunds are `payment`, transfers and wallet credits are `banking`.
+ *
+ * Canonical event:
+ * { id, type, category, provider, adapterId, providerEventType, providerEventId,
+ *   webhookId, tenantId, occurredAt, receivedAt,
+ *   data: { reference, amount (minor units), currency, status, customer, accountNumber, reason } }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const {
+  normalizeCurrency,
+  toMinorUnits,
+  toInteger,
+  toIsoDate,
+  mapStatus,
+  nullable
+} = require('../abstraction/response-normalizers');
+
+const PAYMENT_EVENT_TYPES = {
+  'payment.succeeded': 'payment',
+  'payment.failed': 'payment',
+  'refund.processed': 'payment',
+  'transfer.completed': 'banking',
+  'wallet.credited': 'banking'
+};
+
+const customerOf = (customer) => {
+  if (!customer || typeof customer !== 'object') return null;
+  const name = customer.name
+    || [customer.first_name, customer.last_name].filter(Boolean).join(' ')
+    || null;
+  return {
+    email: nullable(customer.email) ?? null,
+    name,
+    phone: nullable(customer.phone || customer.phone_number) ?? null
+  };
+};
+
+// Tenant (project scope) the payment was initiated for, from the metadata sent to the
+// provider: Paystack/SaySwitch `data.metadata`, Flutterwave `data.meta`, Stripe `data.object.metadata`
+const tenantOf = (payload) => {
+  const data = payload.data || {};
+  for (const metadata of [data.metadata, data.meta, data.object && data.object.metadata]) {
+    if (metadata && typeof metadata === 'object') {
+      const tenant = metadata.project_scope || metadata.tenant_id;
+      if (tenant) return String(tenant);
+    }
+  }
+  return null;
+};
+
+// Paystack and SaySwitch share the { event, data } layout with amounts in minor units
+const paystackLike = {
+  'charge.success': (data) => ['payment.succeeded', {
+    reference: data.reference,
+    amount: toInteger(data.amount),
+    status: mapStatus(data.status),
+    customer: customerOf(data.customer),
+    occurredAt: data.paid_at || data.paidAt
+  }],
+  'charge.failed': (data) => ['payment.failed', {
+    reference: data.reference,
+    amount: toInteger(data.amount),
+    status: 'failed',
+    customer: customerOf(data.customer),
+    reason: data.gateway_response
+  }],
+  'transfer.success': (data) => ['transfer.completed', {
+    reference: data.reference || data.transfer_code,
+    amount: toInteger(data.amount),
+    status: 'succeeded',
+    accountNumber: data.recipient && data.recipient.details && data.recipient.details.account_number
+  }],
+  'refund.processed': (data) => ['refund.processed', {
+    reference: data.refund_reference || data.transaction_reference,
+    amount: toInteger(data.amount),
+    status: 'reversed',
+    customer: customerOf(data.customer),
+    occurredAt: data.processed_at || data.updated_at
+  }]
+};
+
+const TRANSLATORS = {
+  paystack: (payload) => {
+    const translate = paystackLike[payload.event];
+    return translate ? translate(payload.data || {}) : null;
+  },
+
+  sayswitch: (payload) => {
+    const translate = paystackLike[payload.event];
+    return translate ? translate(payload.data || {}) : null;
+  },
+
+  // Flutterwave amounts are in major units
+  flutterwave: (payload) => {
+    const data = payload.data || {};
+    const status = String(data.status || '').toLowerCase();
+    const minor = (amount) => toMinorUnits(amount, data.currency);
+
+    if (payload.event === 'charge.completed') {
+      const succeeded = status === 'successful';
+      return [succeeded ? 'payment.succeeded' : 'payment.failed', {
+        reference: data.tx_ref,
+        amount: minor(data.amount),
+        status: succeeded ? 'succeeded' : mapStatus(status),
+        customer: customerOf(data.customer),
+        reason: succeeded ? null : data.processor_response,
+        occurredAt: data.created_at
+      }];
+    }
+    if (payload.event === 'transfer.completed' && status === 'successful') {
+      return ['transfer.completed', {
+        reference: data.reference,
+        amount: minor(data.amount),
+        status: 'succeeded',
+        accountNumber: data.account_number,
+        occurredAt: data.created_at
+      }];
+    }
+    if (payload.event === 'refund.completed') {
+      return ['refund.processed', {
+        reference: data.FlwRef || data.flw_ref || data.tx_ref,
+        amount: minor(data.amount_refunded ?? data.amount),
+        status: 'reversed',
+        occurredAt: data.created_at || data.createdAt
+      }];
+    }
+    return null;
+  },
+
+  // Stripe amounts are in minor units; timestamps are unix seconds
+  stripe: (payload) => {
+    const object = (payload.data && payload.data.object) || {};
+    const base = { occurredAt: object.created || payload.created, currency: object.currency };
+
+    switch (payload.type) {
+      case 'payment_intent.succeeded':
+        return ['payment.succeeded', {
+          ...base,
+          reference: object.id,
+          amount: toInteger(object.amount_received ?? object.amount),
+          status: 'succeeded',
+          customer: object.receipt_email ? { email: object.receipt_email, name: null, phone: null } : null
+        }];
+      case 'payment_intent.payment_failed':
+        return ['payment.failed', {
+          ...base,
+          reference: object.id,
+          amount: toInteger(object.amount),
+          status: 'failed',
+          reason: object.last_payment_error && object.last_payment_error.message
+        }];
+      case 'charge.refunded':
+        return ['refund.processed', {
+          ...base,
+          reference: object.payment_intent || object.id,
+          amount: toInteger(object.amount_refunded),
+          status: 'reversed'
+        }];
+      case 'payout.paid':
+        return ['transfer.completed', {
+          ...base,
+          reference: object.id,
+          amount: toInteger(object.amount),
+          status: 'succeeded',
+          occurredAt: object.arrival_date || base.occurredAt
+        }];
+      default:
+        return null;
+    }
+  },
+
+  // Settlement notification: money landed in one of our reserved accounts
+  providus: (payload) => {
+    if (!payload.settlementId) return null;
+    const currency = payload.currency || 'NGN';
+    return ['wallet.credited', {
+      reference: payload.settlementId,
+      amount: toMinorUnits(payload.settledAmount ?? payload.transactionAmount, currency),
+      currency,
+      status: 'succeeded',
+      accountNumber: payload.accountNumber,
+      occurredAt: payload.tranDateTime
+    }];
+  },
+
+  xpress: (payload) => {
+    const data = payload.data || {};
+    const common = {
+      reference: data.reference || data.transactionId,
+      amount: toMinorUnits(data.amount, data.currency || 'NGN'),
+      currency: data.currency || 'NGN',
+      accountNumber: data.accountNumber,
+      occurredAt: data.completedAt || data.createdAt
+    };
+    const direction = String(data.type || data.transactionType || '').toLowerCase();
+
+    if (payload.event === 'transaction.completed') {
+      return [direction === 'credit' ? 'wallet.credited' : 'payment.succeeded', { ...common, status: 'succeeded' }];
+    }
+    if (payload.event === 'transaction.failed') {
+      return ['payment.failed', { ...common, status: 'failed', reason: data.reason || data.message }];
+    }
+    if (payload.event === 'transfer.completed') {
+      return ['transfer.completed', { ...common, status: 'succeeded' }];
+    }
+    return null;
+  }
+};
+
+/**
+ * Canonical events for one received webhook (see WebhookIngress 'webhook:received').
+ *
+ * @param {{ id: string, provider: string, adapterId: string, eventId: string, eventType: string,
+ *   receivedAt: number, payload: object }} webhook
+ * @returns {object[]} Empty when the provider event has no canonical equivalent
+ */
+const toPaymentEvents = (webhook) => {
+  const translate = TRANSLATORS[webhook.provider];
+  const translated = translate && webhook.payload ? translate(webhook.payload) : null;
+  if (!translated) return [];
+
+  const [type, fields] = translated;
+  const receivedAt = new Date(webhook.receivedAt).toISOString();
+  return [{
+    // Deterministic so a replayed webhook yields the same event id
+    id: `pev_${crypto.createHash('sha256').update(`${webhook.provider}:${webhook.eventId}:${type}`).digest('hex').slice(0, 24)}`,
+    type,
+    category: PAYMENT_EVENT_TYPES[type],
+    provider: webhook.provider,
+    adapterId: webhook.adapterId || null,
+    providerEventType: webhook.eventType || null,
+    providerEventId: webhook.eventId,
+    webhookId: webhook.id,
+    tenantId: tenantOf(webhook.payload),
+    occurredAt: toIsoDate(fields.occurredAt) || receivedAt,
+    receivedAt,
+    data: {
+      reference: nullable(fields.reference) ?? null,
+      amount: fields.amount ?? null,
+      currency: normalizeCurrency(fields.currency ?? (webhook.payload.data || {}).currency),
+      status: fields.status,
+      customer: fields.customer || null,
+      accountNumber: nullable(fields.accountNumber) ?? null,
+      reason: nullable(fields.reason) ?? null
+    }
+  }];
+};
+
+module.exports = {
+  PAYMENT_EVENT_TYPES,
+  toPaymentEvents
+};
@@ -0,0 +1,485 @@
+/**
+ * Webhook Delivery
+ * Durable outbound webhooks to endpoints registered by tenants (project scopes).
+ *
+ * publish() queues one delivery per subscribed endpoint; the queue is drained
+ * by a poller (start()) or processDue(). Each attempt POSTs the JSON payload
+ * signed like Stripe webhooks, so receivers can reject forged or replayed calls:
+ *
+ *   X-Onasis-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256("<t>.<body>", endpoint secret)>
+ *
+ * Failed attempts (network error or non-2xx) are retried with exponential
+ * backoff; after maxAttempts the delivery moves to the dead-letter list, from
+ * where it can be replayed. Every attempt is logged.
+ *
+ * Endpoints are tenant-supplied URLs, so the gateway never calls its own
+ * network: a host that resolves to a private, loopback, link-local or other
+ * non-public address is refused before anything is sent (the delivery is
+ * dead-lettered), and redirects are not followed.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const EventEmitter = require('events');
+const { createWebhookDeliveryStore } = require('./delivery-stores');
+
+const STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const SIGNATURE_HEADER = 'X-Onasis-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const RESPONSE_BODY_LIMIT = 1024;
+
+const createDeliveryError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Signature header value for a payload body.
+ * @param {string} secret Endpoint secret
+ * @param {string} body Exact JSON body sent
+ * @param {number} [timestamp] Unix seconds (default now)
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+/**
+ * Receiver-side check of X-Onasis-Signature.
+ * @returns {boolean}
+ */
+const verifySignature = (header, body, secret, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Addresses a tenant endpoint may not resolve to (IPv4-mapped IPv6 is matched too)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// URL hostnames keep IPv6 literals in brackets
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+class WebhookDeliveryService extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] See delivery-stores.js (default WEBHOOK_DELIVERY_STORE)
+   * @param {string[]} [options.eventTypes] Event types endpoints may subscribe to (default any)
+   * @param {number} [options.maxAttempts] Default WEBHOOK_DELIVERY_MAX_ATTEMPTS or 8
+   * @param {number} [options.baseDelayMs] First retry delay, doubled per attempt (WEBHOOK_DELIVERY_BASE_DELAY_MS or 30s)
+   * @param {number} [options.maxDelayMs] Retry delay cap (WEBHOOK_DELIVERY_MAX_DELAY_MS or 6h)
+   * @param {number} [options.pollIntervalMs] Queue poll interval (WEBHOOK_DELIVERY_POLL_MS or 5s)
+   * @param {number} [options.timeoutMs] Per-attempt timeout (WEBHOOK_DELIVERY_TIMEOUT_MS or 10s)
+   * @param {number} [options.batchSize] Deliveries claimed per poll (default 20)
+   * @param {function} [options.fetch] Injectable for tests
+   * @param {function(string): Promise<Array<{ address: string }>>} [options.lookup] Resolves an endpoint
+   *   host to all of its addresses (default dns.promises.lookup; injectable for tests)
+   * @param {function(): number} [options.now] Clock (injectable for tests)
+   * @param {function(): number} [options.random] Jitter source in [0, 1) (injectable for tests)
+   */
+  constructor(options = {}) {
+    super();
+    const env = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+    this.store = options.store || createWebhookDeliveryStore();
+    this.eventTypes = options.eventTypes || null;
+    this.maxAttempts = options.maxAttempts || env('WEBHOOK_DELIVERY_MAX_ATTEMPTS', 8);
+    this.baseDelayMs = options.baseDelayMs || env('WEBHOOK_DELIVERY_BASE_DELAY_MS', 30000);
+    this.maxDelayMs = options.maxDelayMs || env('WEBHOOK_DELIVERY_MAX_DELAY_MS', 6 * 60 * 60 * 1000);
+    this.pollIntervalMs = options.pollIntervalMs || env('WEBHOOK_DELIVERY_POLL_MS', 5000);
+    this.timeoutMs = options.timeoutMs || env('WEBHOOK_DELIVERY_TIMEOUT_MS', 10000);
+    this.batchSize = options.batchSize || 20;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.lookup = options.lookup || ((host) => dns.promises.lookup(host, { all: true, verbatim: true }));
+    this.now = typeof options.now === 'function' ? options.now : Date.now;
+    this.random = typeof options.random === 'function' ? options.random : Math.random;
+    this.timer = null;
+    this.draining = null;
+  }
+
+  /**
+   * @param {string} tenantId
+   * @param {{ url: string, events?: string[], description?: string }} input
+   * @returns {Promise<object>} The endpoint including its signing secret (only returned here and on rotation)
+   */
+  async registerEndpoint(tenantId, input = {}) {
+    const now = this.now();
+    const endpoint = {
+      id: `wep_${crypto.randomUUID()}`,
+      tenantId,
+      url: this.validateUrl(input.url),
+      events: this.validateEvents(input.events),
+      secret: this.generateSecret(),
+      description: input.description || null,
+      enabled: true,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.store.saveEndpoint(endpoint);
+    this.emit('endpoint:registered', this.serializeEndpoint(endpoint));
+    return { ...this.serializeEndpoint(endpoint), secret: endpoint.secret };
+  }
+
+  async listEndpoints(tenantId) {
+    const endpoints = await this.store.listEndpoints({ tenantId });
+    return endpoints.map((endpoint) => this.serializeEndpoint(endpoint));
+  }
+
+  async getEndpoint(tenantId, id) {
+    return this.serializeEndpoint(await this.loadEndpoint(tenantId, id));
+  }
+
+  /**
+   * @param {{ url?: string, events?: string[], description?: string, enabled?: boolean }} changes
+   */
+  async updateEndpoint(tenantId, id, changes = {}) {
+    const endpoint = await this.loadEndpoint(tenantId, id);
+    if (changes.url !== undefined) endpoint.url = this.validateUrl(changes.url);
+    if (changes.events !== undefined) endpoint.events = this.validateEvents(changes.events);
+    if (changes.description !== undefined) endpoint.description = changes.description || null;
+    if (changes.enabled !== undefined) endpoint.enabled = Boolean(changes.enabled);
+    endpoint.updatedAt = this.now();
+    await this.store.saveEndpoint(endpoint);
+    return this.serializeEndpoint(endpoint);
+  }
+
+  async rotateSecret(tenantId, id) {
+    const endpoint = await this.loadEndpoint(tenantId, id);
+    endpoint.secret = this.generateSecret();
+    endpoint.updatedAt = this.now();
+    await this.store.saveEndpoint(endpoint);
+    return { ...this.serializeEndpoint(endpoint), secret: endpoint.secret };
+  }
+
+  async removeEndpoint(tenantId, id) {
+    await this.loadEndpoint(tenantId, id);
+    await this.store.deleteEndpoint(id);
+    this.emit('endpoint:removed', { id, tenantId });
+  }
+
+  /**
+   * Queue an event for every enabled endpoint of the tenant subscribed to its type.
+   * Publishing the same event id twice queues nothing new.
+   *
+   * @param {{ id: string, type: string }} event Sent as the payload `data`
+   * @param {{ tenantId: string }} target
+   * @returns {Promise<object[]>} Deliveries queued
+   */
+  async publish(event, { tenantId } = {}) {
+    if (!tenantId) {
+      throw createDeliveryError(400, 'INVALID_WEBHOOK_TENANT', 'publish() needs the tenant the event belongs to');
+    }
+    const endpoints = (await this.store.listEndpoints({ tenantId }))
+      .filter((endpoint) => endpoint.enabled)
+      .filter((endpoint) => endpoint.events.includes('*') || endpoint.events.includes(event.type));
+
+    const queued = [];
+    const now = this.now();
+    for (const endpoint of endpoints) {
+      const delivery = {
+        id: `wdl_${crypto.randomUUID()}`,
+        tenantId,
+        endpointId: endpoint.id,
+        eventId: event.id,
+        eventType: event.type,
+        payload: { id: event.id, type: event.type, createdAt: new Date(now).toISOString(), data: event },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        lastStatusCode: null,
+        createdAt: now,
+        deliveredAt: null
+      };
+      if (await this.store.insertDelivery(delivery)) queued.push(delivery);
+    }
+    if (queued.length > 0) this.schedule();
+    return queued;
+  }
+
+  /**
+   * Attempt every delivery that is due. Overlapping calls share one run.
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  processDue() {
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drain() {
+    let attempted = 0;
+    for (;;) {
+      // A claim is leased for a little longer than one attempt can take
+      const batch = await this.store.claimDue(this.now(), this.batchSize, this.timeoutMs * 2);
+      if (batch.length === 0) return attempted;
+      for (const delivery of batch) {
+        await this.attempt(delivery);
+        attempted += 1;
+      }
+    }
+  }
+
+  async attempt(delivery) {
+    const endpoint = await this.store.getEndpoint(delivery.endpointId);
+    if (!endpoint || !endpoint.enabled) {
+      return this.deadLetter(delivery, endpoint ? 'Endpoint disabled' : 'Endpoint removed');
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const requestedAt = this.now();
+    const timestamp = Math.floor(requestedAt / 1000);
+    const log = {
+      id: `wat_${crypto.randomUUID()}`,
+      deliveryId: delivery.id,
+      attempt: delivery.attempts + 1,
+      requestedAt,
+      durationMs: null,
+      statusCode: null,
+      error: null,
+      responseBody: null
+    };
+
+    let blocked = null;
+    try {
+      blocked = await this.checkTarget(endpoint.url);
+      if (blocked) throw new Error(blocked);
+      const response = await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Onasis-Webhooks/1.0',
+          'X-Onasis-Event': delivery.eventType,
+          'X-Onasis-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: signPayload(endpoint.secret, body, timestamp)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      log.statusCode = response.status;
+      log.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT) || null;
+      if (!response.ok) {
+        log.error = response.status >= 300 && response.status < 400
+          ? `HTTP ${response.status} (redirects are not followed)`
+          : `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      log.error = error.message;
+    }
+    log.durationMs = this.now() - requestedAt;
+    await this.store.appendAttempt(log);
+
+    delivery.attempts = log.attempt;
+    delivery.lastStatusCode = log.statusCode;
+    delivery.lastError = log.error;
+
+    if (blocked) {
+      return this.deadLetter(delivery, blocked);
+    }
+
+    if (!log.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = this.now();
+      delivery.nextAttemptAt = null;
+      await this.store.saveDelivery(delivery);
+      this.emit('delivery:succeeded', { ...delivery });
+      return delivery;
+    }
+    if (delivery.attempts >= this.maxAttempts) {
+      return this.deadLetter(delivery, log.error);
+    }
+
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = this.now() + this.backoff(delivery.attempts);
+    await this.store.saveDelivery(delivery);
+    this.emit('delivery:retrying', { ...delivery });
+    return delivery;
+  }
+
+  /**
+   * Delay before retry n (1-based): baseDelayMs * 2^(n-1), capped, with ±20% jitter.
+   */
+  backoff(attempts) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + this.random() * 0.4));
+  }
+
+  async deadLetter(delivery, reason) {
+    delivery.status = 'dead';
+    delivery.lastError = reason;
+    delivery.nextAttemptAt = null;
+    await this.store.saveDelivery(delivery);
+    this.emit('delivery:dead', { ...delivery });
+    return delivery;
+  }
+
+  /**
+   * @param {string} tenantId
+   * @param {{ endpointId?: string, status?: string }} [filter]
+   */
+  async listDeliveries(tenantId, filter = {}) {
+    return this.store.listDeliveries({ ...filter, tenantId });
+  }
+
+  async listDeadLetters(tenantId) {
+    return this.listDeliveries(tenantId, { status: 'dead' });
+  }
+
+  async getDelivery(tenantId, id) {
+    return this.loadDelivery(tenantId, id);
+  }
+
+  async listAttempts(tenantId, id) {
+    await this.loadDelivery(tenantId, id);
+    return this.store.listAttempts(id);
+  }
+
+  /**
+   * Move a dead-lettered delivery back onto the queue with a fresh retry budget.
+   */
+  async replay(tenantId, id) {
+    const delivery = await this.loadDelivery(tenantId, id);
+    if (delivery.status !== 'dead') {
+      throw createDeliveryError(409, 'WEBHOOK_DELIVERY_NOT_DEAD',
+        `Only dead-lettered deliveries can be replayed (status: ${delivery.status})`);
+    }
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.lastError = null;
+    delivery.nextAttemptAt = this.now();
+    await this.store.saveDelivery(delivery);
+    this.schedule();
+    return delivery;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.run(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // New work is picked up right away while the poller runs, not on the next tick
+  schedule() {
+    if (this.timer) setImmediate(() => this.run());
+  }
+
+  run() {
+    this.processDue().catch((error) => this.emit('delivery:error', error));
+  }
+
+  async loadEndpoint(tenantId, id) {
+    const endpoint = await this.store.getEndpoint(id);
+    // Another tenant's endpoint is reported as missing
+    if (!endpoint || endpoint.tenantId !== tenantId) {
+      throw createDeliveryError(404, 'WEBHOOK_ENDPOINT_NOT_FOUND', `Webhook endpoint not found: ${id}`);
+    }
+    return endpoint;
+  }
+
+  async loadDelivery(tenantId, id) {
+    const delivery = await this.store.getDelivery(id);
+    if (!delivery || delivery.tenantId !== tenantId) {
+      throw createDeliveryError(404, 'WEBHOOK_DELIVERY_NOT_FOUND', `Webhook delivery not found: ${id}`);
+    }
+    return delivery;
+  }
+
+  /**
+   * Why the endpoint URL must not be called, or null. Every address the host
+   * resolves to must be public; the check runs before each attempt.
+   */
+  async checkTarget(url) {
+    const host = hostOf(url);
+    const addresses = net.isIP(host)
+      ? [host]
+      : (await this.lookup(host)).map((entry) => entry.address);
+    const internal = addresses.find((address) => !isPublicAddress(address));
+    return internal || addresses.length === 0
+      ? `Endpoint host ${host} does not resolve to a public address`
+      : null;
+  }
+
+  validateUrl(url) {
+    if (typeof url !== 'string' || !isHttpUrl(url)) {
+      throw createDeliveryError(400, 'INVALID_WEBHOOK_ENDPOINT', 'url must be an http(s) URL');
+    }
+    // Literal addresses and localhost are refused up front; names are checked on delivery
+    const host = hostOf(url).toLowerCase();
+    if ((net.isIP(host) && !isPublicAddress(host)) || host === 'localhost' || host.endsWith('.localhost')) {
+      throw createDeliveryError(400, 'INVALID_WEBHOOK_ENDPOINT', 'url must point to a public host');
+    }
+    return url;
+  }
+
+  validateEvents(events) {
+    if (events === undefined || events === null) return ['*'];
+    if (!Array.isArray(events) || events.length === 0 || events.some((type) => typeof type !== 'string')) {
+      throw createDeliveryError(400, 'INVALID_WEBHOOK_ENDPOINT', 'events must be a non-empty array of event types');
+    }
+    const unknown = this.eventTypes
+      ? events.filter((type) => type !== '*' && !this.eventTypes.includes(type))
+      : [];
+    if (unknown.length > 0) {
+      throw createDeliveryError(400, 'INVALID_WEBHOOK_ENDPOINT', `Unknown event type(s): ${unknown.join(', ')}`, {
+        allowed: this.eventTypes
+      });
+    }
+    return Array.from(new Set(events));
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  serializeEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return rest;
+  }
+}
+
+WebhookDeliveryService.STATUSES = STATUSES;
+WebhookDeliveryService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+WebhookDeliveryService.signPayload = signPayload;
+WebhookDeliveryService.verifySignature = verifySignature;
+
+module.exports = WebhookDeliveryService;
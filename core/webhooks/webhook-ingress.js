@@ -0,0 +1,250 @@
+/**
+ * Webhook Ingress
+ * Single entry point for provider webhooks (POST /webhooks/:provider).
+ *
+ * receive() verifies the provider signature on the raw body, persists the
+ * event and deduplicates it by provider event id, then returns so the route
+ * can acknowledge immediately. Processing runs afterwards: the event is handed
+ * to the provider's adapter through handleWebhook() (see core/base-mcp-adapter.js).
+ *
+ * A redelivered event whose processing failed is processed again; any other
+ * redelivery is acknowledged without reprocessing. Operators can also retry
+ * failed events through the admin API (api/webhook-endpoints.js). Events whose
+ * payload was erased for a privacy request are never processed again.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { PROVIDERS } = require('./webhook-providers');
+const { createWebhookEventStore } = require('./webhook-stores');
+const { mentionsSubject } = require('../privacy/subject-match');
+
+const STATUSES = ['received', 'processing', 'processed', 'unhandled', 'failed'];
+
+// How a string appears inside a JSON body
+const jsonFragment = (text) => JSON.stringify(String(text)).slice(1, -1);
+
+const parseBody = (rawBody) => {
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    return null;
+  }
+};
+
+// Never persisted with the event
+const DROPPED_HEADERS = new Set(['authorization', 'cookie', 'x-api-key']);
+
+const createWebhookError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+class WebhookIngress extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.providers] Provider definitions (default webhook-providers.js)
+   * @param {object} [options.store] See webhook-stores.js (default WEBHOOK_STORE)
+   * @param {function(): Map<string, object>} [options.getAdapters] Live adapter map (id -> adapter)
+   */
+  constructor(options = {}) {
+    super();
+    this.providers = options.providers || PROVIDERS;
+    this.store = options.store || createWebhookEventStore();
+    this.getAdapters = options.getAdapters || (() => new Map());
+    // event id -> promise of the processing run in progress
+    this.processing = new Map();
+  }
+
+  /**
+   * Verify, persist and deduplicate one delivery, then schedule processing.
+   *
+   * @param {string} provider e.g. 'paystack'
+   * @param {object} delivery
+   * @param {object} delivery.headers Lower-cased request headers
+   * @param {Buffer} delivery.rawBody Body exactly as received
+   * @returns {Promise<{ duplicate: boolean, event: object }>}
+   */
+  async receive(provider, { headers = {}, rawBody } = {}) {
+    const definition = Object.prototype.hasOwnProperty.call(this.providers, provider)
+      ? this.providers[provider]
+      : null;
+    if (!definition) {
+      throw createWebhookError(404, 'UNKNOWN_WEBHOOK_PROVIDER', `No webhook ingress for provider ${provider}`);
+    }
+
+    const secret = definition.secret();
+    if (!secret) {
+      throw createWebhookError(503, 'WEBHOOK_NOT_CONFIGURED', `Webhook secret for ${provider} is not configured`);
+    }
+    if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+      throw createWebhookError(400, 'INVALID_WEBHOOK_PAYLOAD', 'Webhook body is empty');
+    }
+
+    const verification = definition.verify({ headers, rawBody }, secret);
+    if (!verification.valid) {
+      this.emit('webhook:rejected', { provider, reason: verification.reason });
+      throw createWebhookError(401, 'INVALID_WEBHOOK_SIGNATURE', 'Webhook signature verification failed', {
+        reason: verification.reason
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw createWebhookError(400, 'INVALID_WEBHOOK_PAYLOAD', 'Webhook body is not valid JSON');
+    }
+
+    // Payloads without an event id are deduplicated on their content
+    const eventId = String(definition.eventId(payload)
+      || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`);
+
+    const record = {
+      id: `whk_${crypto.randomUUID()}`,
+      provider,
+      eventId,
+      eventType: definition.eventType(payload) || null,
+      adapterId: definition.adapterId,
+      headers: Object.fromEntries(Object.entries(headers).filter(([name]) => !DROPPED_HEADERS.has(name))),
+      rawBody: rawBody.toString('utf8'),
+      status: 'received',
+      attempts: 0,
+      lastError: null,
+      receivedAt: Date.now(),
+      processedAt: null
+    };
+
+    if (!(await this.store.insert(record))) {
+      const existing = await this.store.findByEventId(provider, eventId);
+      if (existing && existing.status === 'failed' && existing.rawBody && !this.processing.has(existing.id)) {
+        this.dispatch(existing);
+      }
+      return { duplicate: true, event: this.serialize(existing || record) };
+    }
+
+    this.emit('webhook:received', { ...this.serialize(record), payload });
+    this.dispatch(record);
+    return { duplicate: false, event: this.serialize(record) };
+  }
+
+  dispatch(record) {
+    const run = new Promise((resolve) => setImmediate(resolve))
+      .then(() => this.process(record))
+      .catch((error) => {
+        this.emit('webhook:error', { id: record.id, error: error.message });
+      })
+      .finally(() => this.processing.delete(record.id));
+    this.processing.set(record.id, run);
+  }
+
+  async process(record) {
+    record.status = 'processing';
+    record.attempts += 1;
+    await this.store.save(record);
+
+    const adapter = this.getAdapters().get(record.adapterId);
+    const event = {
+      id: record.id,
+      provider: record.provider,
+      eventId: record.eventId,
+      type: record.eventType,
+      payload: JSON.parse(record.rawBody),
+      receivedAt: record.receivedAt
+    };
+
+    try {
+      const result = adapter && !adapter.is_mock && typeof adapter.handleWebhook === 'function'
+        ? await adapter.handleWebhook(event)
+        : null;
+      record.status = result === null || result === undefined ? 'unhandled' : 'processed';
+      record.lastError = null;
+      record.processedAt = Date.now();
+    } catch (error) {
+      record.status = 'failed';
+      record.lastError = error.message;
+    }
+
+    await this.store.save(record);
+    this.emit(record.status === 'failed' ? 'webhook:failed' : 'webhook:processed', this.serialize(record));
+  }
+
+  /**
+   * Process a failed event again.
+   */
+  async retry(id) {
+    const record = await this.store.get(id);
+    if (!record) {
+      throw createWebhookError(404, 'WEBHOOK_EVENT_NOT_FOUND', `Webhook event not found: ${id}`);
+    }
+    if (record.status !== 'failed' || this.processing.has(id)) {
+      throw createWebhookError(409, 'WEBHOOK_EVENT_NOT_FAILED', `Webhook event ${id} is ${record.status}`, {
+        status: record.status
+      });
+    }
+    if (!record.rawBody) {
+      throw createWebhookError(409, 'WEBHOOK_EVENT_ERASED', `Webhook event ${id} was erased`);
+    }
+    this.dispatch(record);
+    return this.serialize(record);
+  }
+
+  /**
+   * Wait for an event's processing run (if any) and return the event.
+   */
+  async wait(id) {
+    await this.processing.get(id);
+    return this.get(id);
+  }
+
+  async get(id) {
+    const record = await this.store.get(id);
+    return record ? this.serialize(record) : null;
+  }
+
+  async list(filter = {}) {
+    const records = await this.store.list(filter);
+    return records.map((record) => this.serialize(record));
+  }
+
+  /**
+   * Privacy hook (see PrivacyRequestManager): stored payloads whose subject
+   * fields (e.g. customer.email, metadata.user_id) hold the subject are
+   * exported, or blanked on erasure. The text search only narrows candidates.
+   */
+  getPrivacyHook() {
+    const matching = async (subject) => (await this.store.search(jsonFragment(subject.id)))
+      .map((record) => ({ record, payload: record.rawBody ? parseBody(record.rawBody) : null }))
+      .filter(({ payload }) => payload && mentionsSubject(payload, subject));
+    return {
+      export: async (subject) => (await matching(subject)).map(({ record, payload }) => ({
+        id: record.id,
+        provider: record.provider,
+        eventType: record.eventType,
+        receivedAt: new Date(record.receivedAt).toISOString(),
+        payload
+      })),
+      erase: async (subject) => {
+        const records = await matching(subject);
+        for (const { record } of records) {
+          await this.store.redact(record.id);
+        }
+        return { erased: records.length };
+      }
+    };
+  }
+
+  serialize(record) {
+    const { headers: _headers, rawBody: _rawBody, ...summary } = record;
+    return summary;
+  }
+}
+
+WebhookIngress.STATUSES = STATUSES;
+
+module.exports = WebhookIngress;
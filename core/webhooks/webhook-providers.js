@@ -0,0 +1,148 @@
+/**
+ * Webhook Providers
+ * Signature schemes, event ids and secrets for the providers accepted on
+ * POST /webhooks/:provider.
+ *
+ * Every verifier works on the raw request body (Buffer); re-serialized JSON
+ * does not reproduce the bytes the provider signed.
+ *
+ * - paystack:    x-paystack-signature = hex HMAC-SHA512(raw body, secret key)
+ * - flutterwave: verif-hash = the secret hash configured on the dashboard
+ * - stripe:      Stripe-Signature = t=<unix>,v1=<hex HMAC-SHA256("<t>.<raw body>")>, within a tolerance
+ * - providus:    X-Auth-Signature = hex SHA512("<client id>:<client secret>")
+ * - sayswitch:   x-sayswitch-signature = hex HMAC-SHA512(raw body, secret key)
+ * - xpress:      x-signature = hex HMAC-SHA256(raw body, webhook secret), as in XpressWalletService
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const STRIPE_TOLERANCE_SECONDS = 300;
+
+const getHeader = (headers, name) => {
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const firstEnv = (...names) => {
+  for (const name of names) {
+    if (process.env[name]) return process.env[name];
+  }
+  return null;
+};
+
+const hmacHex = (algorithm, key, payload) => crypto.createHmac(algorithm, key).update(payload).digest('hex');
+
+const verifyHmacHeader = (header, algorithm) => ({ headers, rawBody }, secret) => {
+  const signature = getHeader(headers, header);
+  if (!signature) return { valid: false, reason: `missing ${header} header` };
+  return safeEqual(String(signature).toLowerCase(), hmacHex(algorithm, secret, rawBody))
+    ? { valid: true }
+    : { valid: false, reason: 'signature mismatch' };
+};
+
+const verifyStripe = ({ headers, rawBody }, secret, now = Date.now()) => {
+  const header = getHeader(headers, 'stripe-signature');
+  if (!header) return { valid: false, reason: 'missing stripe-signature header' };
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(header).split(',')) {
+    const [key, value] = part.split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return { valid: false, reason: 'malformed stripe-signature header' };
+  }
+  if (Math.abs(now / 1000 - timestamp) > STRIPE_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'timestamp outside tolerance' };
+  }
+
+  const expected = hmacHex('sha256', secret, Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]));
+  return signatures.some((signature) => safeEqual(signature, expected))
+    ? { valid: true }
+    : { valid: false, reason: 'signature mismatch' };
+};
+
+// Paystack-style payloads: { event, data: { id, reference } }
+const eventAndDataId = (payload) => {
+  const data = payload.data || {};
+  const id = data.id ?? data.reference;
+  return payload.event && id !== undefined ? `${payload.event}:${id}` : null;
+};
+
+const PROVIDERS = {
+  paystack: {
+    adapterId: 'paystack',
+    secret: () => firstEnv('WEBHOOK_SECRET_PAYSTACK', 'PAYSTACK_WEBHOOK_SECRET', 'PAYSTACK_SECRET_KEY'),
+    verify: verifyHmacHeader('x-paystack-signature', 'sha512'),
+    eventId: eventAndDataId,
+    eventType: (payload) => payload.event
+  },
+  flutterwave: {
+    adapterId: 'flutterwave-v3',
+    secret: () => firstEnv('WEBHOOK_SECRET_FLUTTERWAVE', 'FLUTTERWAVE_WEBHOOK_SECRET'),
+    verify: ({ headers }, secret) => {
+      const hash = getHeader(headers, 'verif-hash');
+      if (!hash) return { valid: false, reason: 'missing verif-hash header' };
+      return safeEqual(String(hash), secret) ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+    },
+    eventId: eventAndDataId,
+    eventType: (payload) => payload.event || payload['event.type']
+  },
+  stripe: {
+    adapterId: 'stripe-api-2024-04-10',
+    secret: () => firstEnv('WEBHOOK_SECRET_STRIPE', 'STRIPE_WEBHOOK_SECRET'),
+    verify: verifyStripe,
+    eventId: (payload) => payload.id || null,
+    eventType: (payload) => payload.type
+  },
+  providus: {
+    adapterId: 'providus-bank',
+    // Providus signs with the client credentials, not the payload
+    secret: () => {
+      const clientId = firstEnv('PROVIDUS_CLIENT_ID');
+      const clientSecret = firstEnv('PROVIDUS_CLIENT_SECRET');
+      return clientId && clientSecret ? `${clientId}:${clientSecret}` : null;
+    },
+    verify: ({ headers }, credentials) => {
+      const signature = getHeader(headers, 'x-auth-signature');
+      if (!signature) return { valid: false, reason: 'missing x-auth-signature header' };
+      const expected = crypto.createHash('sha512').update(credentials).digest('hex');
+      return safeEqual(String(signature).toLowerCase(), expected)
+        ? { valid: true }
+        : { valid: false, reason: 'signature mismatch' };
+    },
+    eventId: (payload) => payload.settlementId || payload.sessionId || null,
+    eventType: (payload) => payload.event || (payload.settlementId ? 'settlement.notification' : null)
+  },
+  sayswitch: {
+    adapterId: 'sayswitch-api-integration',
+    secret: () => firstEnv('WEBHOOK_SECRET_SAYSWITCH', 'SAYSWITCH_SECRET'),
+    verify: verifyHmacHeader('x-sayswitch-signature', 'sha512'),
+    eventId: eventAndDataId,
+    eventType: (payload) => payload.event
+  },
+  xpress: {
+    adapterId: 'xpress-wallet-for-merchants',
+    secret: () => firstEnv('WEBHOOK_SECRET_XPRESS', 'XPRESS_WEBHOOK_SECRET'),
+    verify: verifyHmacHeader('x-signature', 'sha256'),
+    eventId: (payload) => payload.eventId || eventAndDataId(payload),
+    eventType: (payload) => payload.event
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  STRIPE_TOLERANCE_SECONDS,
+  verifyStripe
+};
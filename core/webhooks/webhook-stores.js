@@ -0,0 +1,214 @@
+/**
+ * Webhook Event Stores
+ * Persistence for inbound webhooks accepted by WebhookIngress. The raw body is
+ * kept exactly as received so events can be re-verified and replayed, until a
+ * privacy erasure blanks it (rawBody '' and no headers); the row stays so the
+ * provider event id is still deduplicated.
+ *
+ * Record shape (see WebhookIngress.receive):
+ * { id, provider, eventId, eventType, adapterId, headers, rawBody, status,
+ *   attempts, lastError, receivedAt, processedAt }
+ *
+ * Store contract (all async):
+ * - insert(record) -> boolean (false when provider + eventId is already stored)
+ * - save(record) -> void (replace by id)
+ * - get(id) -> record | null
+ * - findByEventId(provider, eventId) -> record | null
+ * - list({ provider, status, since }) -> records (received at or after `since`), oldest first
+ * - search(text) -> records whose raw body contains `text`, oldest first
+ * - redact(id) -> void (blanks the raw body and headers)
+ */
+
+'use strict';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const eventKey = (provider, eventId) => `${provider}:${eventId}`;
+
+class MemoryWebhookEventStore {
+  constructor() {
+    this.records = new Map();
+    this.byEventId = new Map(); // provider:eventId -> id
+  }
+
+  async insert(record) {
+    const key = eventKey(record.provider, record.eventId);
+    if (this.byEventId.has(key)) return false;
+    this.byEventId.set(key, record.id);
+    this.records.set(record.id, clone(record));
+    return true;
+  }
+
+  async save(record) {
+    this.records.set(record.id, clone(record));
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  async findByEventId(provider, eventId) {
+    const id = this.byEventId.get(eventKey(provider, eventId));
+    return id ? this.get(id) : null;
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.records.values())
+      .filter((record) => !filter.provider || record.provider === filter.provider)
+      .filter((record) => !filter.status || record.status === filter.status)
+      .filter((record) => !filter.since || record.receivedAt >= new Date(filter.since).getTime())
+      .sort((a, b) => a.receivedAt - b.receivedAt)
+      .map(clone);
+  }
+
+  async search(text) {
+    return Array.from(this.records.values())
+      .filter((record) => record.rawBody.includes(text))
+      .sort((a, b) => a.receivedAt - b.receivedAt)
+      .map(clone);
+  }
+
+  async redact(id) {
+    const record = this.records.get(id);
+    if (record) Object.assign(record, { headers: {}, rawBody: '' });
+  }
+}
+
+/**
+ * Postgres table (see database/migrations/008_webhook_events.sql).
+ */
+class PostgresWebhookEventStore {
+  constructor(options = {}) {
+    this.db = options.db || require('../database');
+    this.table = options.table || 'webhook_events';
+  }
+
+  async insert(record) {
+    const result = await this.db.query(
+      `INSERT INTO ${this.table}
+         (id, provider, event_id, event_type, adapter_id, headers, raw_body, status, attempts, last_error,
+          received_at, processed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (provider, event_id) DO NOTHING`,
+      this.toRow(record)
+    );
+    return result.rowCount === 1;
+  }
+
+  async save(record) {
+    await this.db.query(
+      `UPDATE ${this.table}
+         SET status = $2, attempts = $3, last_error = $4, processed_at = $5
+       WHERE id = $1`,
+      [
+        record.id,
+        record.status,
+        record.attempts,
+        record.lastError,
+        record.processedAt ? new Date(record.processedAt).toISOString() : null
+      ]
+    );
+  }
+
+  async get(id) {
+    const result = await this.db.query(`SELECT * FROM ${this.table} WHERE id = $1`, [id]);
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  async findByEventId(provider, eventId) {
+    const result = await this.db.query(
+      `SELECT * FROM ${this.table} WHERE provider = $1 AND event_id = $2`,
+      [provider, eventId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  async list(filter = {}) {
+    const params = [];
+    const conditions = [];
+    if (filter.provider) {
+      params.push(filter.provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+    if (filter.status) {
+      params.push(filter.status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (filter.since) {
+      params.push(new Date(filter.since).toISOString());
+      conditions.push(`received_at >= $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM ${this.table} ${where} ORDER BY received_at ASC`,
+      params
+    );
+    return result.rows.map((row) => this.fromRow(row));
+  }
+
+  async search(text) {
+    const result = await this.db.query(
+      `SELECT * FROM ${this.table} WHERE strpos(raw_body, $1) > 0 ORDER BY received_at ASC`,
+      [text]
+    );
+    return result.rows.map((row) => this.fromRow(row));
+  }
+
+  async redact(id) {
+    await this.db.query(
+      `UPDATE ${this.table} SET headers = '{}'::jsonb, raw_body = '' WHERE id = $1`,
+      [id]
+    );
+  }
+
+  toRow(record) {
+    return [
+      record.id,
+      record.provider,
+      record.eventId,
+      record.eventType,
+      record.adapterId,
+      JSON.stringify(record.headers),
+      record.rawBody,
+      record.status,
+      record.attempts,
+      record.lastError,
+      new Date(record.receivedAt).toISOString(),
+      record.processedAt ? new Date(record.processedAt).toISOString() : null
+    ];
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      provider: row.provider,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      adapterId: row.adapter_id,
+      headers: row.headers,
+      rawBody: row.raw_body,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      receivedAt: new Date(row.received_at).getTime(),
+      processedAt: row.processed_at ? new Date(row.processed_at).getTime() : null
+    };
+  }
+}
+
+/**
+ * Store selected by WEBHOOK_STORE (memory | postgres). Defaults to memory.
+ */
+const createWebhookEventStore = (options = {}) => {
+  const type = (options.type || process.env.WEBHOOK_STORE || 'memory').toLowerCase();
+  if (type === 'postgres' || type === 'pg') {
+    return new PostgresWebhookEventStore(options);
+  }
+  return new MemoryWebhookEventStore(options);
+};
+
+module.exports = {
+  MemoryWebhookEventStore,
+  PostgresWebhookEventStore,
+  createWebhookEventStore
+};
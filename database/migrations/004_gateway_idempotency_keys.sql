@@ -0,0 +1,23 @@
+-- ============================================================================
+-- GATEWAY IDEMPOTENCY KEYS
+-- Stored responses for mutating abstracted REST routes and gateway-execute
+-- (core/idempotency/idempotency-stores.js, IDEMPOTENCY_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS gateway_idempotency_keys (
+    key TEXT PRIMARY KEY,              -- '<tenant>:id:<principal id>:<client key>'; callers without a
+                                       -- verified id: '<project scope>:<credential hash>:<client key>'
+    fingerprint TEXT NOT NULL,         -- sha256 of the request payload
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress', -- in_progress, completed, erased (response dropped
+                                                       -- by a privacy erasure)
+    response JSONB,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_gateway_idempotency_keys_expires_at
+    ON gateway_idempotency_keys (expires_at);
+
+-- Expired rows are ignored by the gateway; purge them periodically:
+-- DELETE FROM gateway_idempotency_keys WHERE expires_at <= NOW();
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- COMPLIANCE AUDIT LOG
+-- Hash-chained audit entries written by ComplianceManager
+-- (core/security/audit-stores.js, AUDIT_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS compliance_audit_log (
+    seq BIGINT PRIMARY KEY,            -- 1, 2, 3... with no gaps
+    id UUID NOT NULL UNIQUE,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    prev_hash CHAR(64) NOT NULL,       -- hash of entry seq - 1 (zeros for seq 1)
+    hash CHAR(64) NOT NULL,            -- sha256 over the canonical entry, see audit-chain.js
+    signature CHAR(64),                -- HMAC-SHA256(AUDIT_HMAC_KEY, hash)
+    key_id VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_audit_log_action_time
+    ON compliance_audit_log (action, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_audit_log_service
+    ON compliance_audit_log ((details->>'serviceId'), occurred_at);
+
+-- Append-only: the gateway never updates or deletes entries. Revoke both from
+-- the gateway role so edits need a different principal (and still break the chain):
+-- REVOKE UPDATE, DELETE, TRUNCATE ON compliance_audit_log FROM <gateway_role>;
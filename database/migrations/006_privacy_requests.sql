@@ -0,0 +1,21 @@
+-- ============================================================================
+-- PRIVACY REQUESTS
+-- GDPR data-subject requests (access, export, erasure) tracked by
+-- PrivacyRequestManager (core/privacy/privacy-stores.js, PRIVACY_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS privacy_requests (
+    id VARCHAR(64) PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('access', 'export', 'erasure')),
+    status VARCHAR(20) NOT NULL,
+    subject_hash CHAR(64) NOT NULL,   -- sha256 of the subject identifier
+    record JSONB NOT NULL,            -- full request, including per-adapter progress and the export bundle
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_status
+    ON privacy_requests (status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_subject
+    ON privacy_requests (subject_hash);
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- SERVICE VERSIONS
+-- VersionManager state: registered versions, deprecations, compatibility
+-- mappings and migration snapshots (core/versioning/version-stores.js,
+-- VERSION_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS service_versions (
+    service_id VARCHAR(255) NOT NULL,
+    version VARCHAR(64) NOT NULL,
+    config JSONB NOT NULL,            -- registered config, including deprecation fields
+    deprecated BOOLEAN NOT NULL DEFAULT FALSE,
+    deprecated_at TIMESTAMP WITH TIME ZONE,
+    removed_at TIMESTAMP WITH TIME ZONE,  -- set by removeVersion; the version is not restored
+    registered_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (service_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_versions_deprecated
+    ON service_versions (deprecated, deprecated_at);
+
+CREATE TABLE IF NOT EXISTS service_version_compatibility (
+    service_id VARCHAR(255) NOT NULL,
+    from_version VARCHAR(64) NOT NULL,
+    to_version VARCHAR(64) NOT NULL,
+    compatible BOOLEAN NOT NULL,
+    record JSONB NOT NULL,            -- breaking changes and migrations
+    PRIMARY KEY (service_id, from_version, to_version)
+);
+
+-- Latest pre-migration snapshot per migration path, used for rollback
+CREATE TABLE IF NOT EXISTS service_version_snapshots (
+    service_id VARCHAR(255) NOT NULL,
+    from_version VARCHAR(64) NOT NULL,
+    to_version VARCHAR(64) NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (service_id, from_version, to_version)
+);
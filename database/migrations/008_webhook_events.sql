@@ -0,0 +1,24 @@
+-- ============================================================================
+-- WEBHOOK EVENTS
+-- Inbound provider webhooks accepted on POST /webhooks/:provider
+-- (core/webhooks/webhook-stores.js, WEBHOOK_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id VARCHAR(64) PRIMARY KEY,
+    provider VARCHAR(64) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,   -- provider event id; deliveries are deduplicated on it
+    event_type VARCHAR(255),
+    adapter_id VARCHAR(255),
+    headers JSONB NOT NULL,
+    raw_body TEXT NOT NULL,           -- exact bytes that were signed
+    status VARCHAR(20) NOT NULL CHECK (status IN ('received', 'processing', 'processed', 'unhandled', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status
+    ON webhook_events (status, received_at);
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- OUTBOUND WEBHOOK DELIVERIES
+-- Tenant endpoints, the delivery queue and its attempt log
+-- (core/webhooks/delivery-stores.js, WEBHOOK_DELIVERY_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id VARCHAR(64) PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL,  -- project scope of the registering caller
+    url TEXT NOT NULL,
+    events JSONB NOT NULL,            -- subscribed event types, or ["*"]
+    secret VARCHAR(255) NOT NULL,     -- HMAC key for X-Onasis-Signature
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_tenant
+    ON webhook_endpoints (tenant_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id VARCHAR(64) PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL,
+    endpoint_id VARCHAR(64) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'delivering', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    last_status_code INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (endpoint_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_tenant
+    ON webhook_deliveries (tenant_id, status);
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id VARCHAR(64) PRIMARY KEY,
+    delivery_id VARCHAR(64) NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    requested_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_ms INTEGER,
+    status_code INTEGER,
+    error TEXT,
+    response_body TEXT               -- truncated
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+    ON webhook_delivery_attempts (delivery_id, requested_at);
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- SETTLEMENT RECONCILIATION
+-- Reconciliation runs and the discrepancy queue ops work through
+-- (core/reconciliation/reconciliation-stores.js, RECONCILIATION_STORE=postgres)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id VARCHAR(64) PRIMARY KEY,
+    providers JSONB NOT NULL,         -- e.g. ["paystack", "flutterwave"]
+    window_from TIMESTAMP WITH TIME ZONE NOT NULL,
+    window_to TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'partial', 'failed')),
+    summary JSONB NOT NULL,           -- per-provider counts and totals
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started
+    ON reconciliation_runs (started_at DESC);
+
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+    id VARCHAR(64) PRIMARY KEY,
+    run_id VARCHAR(64) NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    type VARCHAR(30) NOT NULL
+        CHECK (type IN ('missing_in_ledger', 'missing_at_provider', 'amount_mismatch', 'status_drift')),
+    reference VARCHAR(255) NOT NULL,
+    currency VARCHAR(3),
+    provider_amount BIGINT,           -- minor units
+    ledger_amount BIGINT,             -- minor units
+    provider_status VARCHAR(20),
+    ledger_status VARCHAR(20),
+    provider_transaction JSONB,
+    ledger_entry JSONB,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('open', 'resolved', 'ignored')),
+    notes TEXT,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- One open discrepancy per provider, type and reference across runs
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_open
+    ON reconciliation_discrepancies (provider, type, reference) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_queue
+    ON reconciliation_discrepancies (status, provider, created_at);
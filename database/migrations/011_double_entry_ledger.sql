@@ -0,0 +1,92 @@
+-- ============================================================================
+-- DOUBLE-ENTRY LEDGER
+-- Accounts, journal entries and their postings underneath wallet operations
+-- (core/ledger/ledger-stores.js, LEDGER_STORE=postgres). Balances are derived
+-- from postings; wallet.customer_wallets.balance is a provider mirror only.
+-- ============================================================================
+
+CREATE SCHEMA IF NOT EXISTS wallet;
+
+CREATE TABLE IF NOT EXISTS wallet.ledger_accounts (
+    id VARCHAR(255) PRIMARY KEY,      -- e.g. wallet:<wallet id>, system:settlement:NGN
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('asset', 'liability', 'equity', 'revenue', 'expense')),
+    currency VARCHAR(3) NOT NULL,
+    owner_type VARCHAR(50),           -- wallet | system
+    owner_id VARCHAR(255),
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_owner
+    ON wallet.ledger_accounts (owner_type, owner_id);
+
+CREATE TABLE IF NOT EXISTS wallet.journal_entries (
+    id VARCHAR(64) PRIMARY KEY,
+    reference VARCHAR(255) NOT NULL UNIQUE,  -- idempotency key; reversals use <reference>:reversal
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('credit', 'debit', 'transfer', 'fee', 'reversal', 'adjustment')),
+    description TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    reverses_entry_id VARCHAR(64) UNIQUE REFERENCES wallet.journal_entries(id),
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_posted
+    ON wallet.journal_entries (posted_at);
+
+CREATE TABLE IF NOT EXISTS wallet.ledger_postings (
+    id VARCHAR(64) PRIMARY KEY,
+    entry_id VARCHAR(64) NOT NULL REFERENCES wallet.journal_entries(id),
+    position INTEGER NOT NULL,
+    account_id VARCHAR(255) NOT NULL REFERENCES wallet.ledger_accounts(id),
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount BIGINT NOT NULL CHECK (amount > 0),  -- minor units
+    currency VARCHAR(3) NOT NULL,
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (entry_id, position)
+);
+
+-- Balance and balance-at-time queries
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account
+    ON wallet.ledger_postings (account_id, posted_at);
+
+-- Every entry's debits equal its credits in each currency, checked at commit
+CREATE OR REPLACE FUNCTION wallet.check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM wallet.ledger_postings
+        WHERE entry_id = NEW.entry_id
+        GROUP BY currency
+        HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0
+    ) THEN
+        RAISE EXCEPTION 'Journal entry % is not balanced', NEW.entry_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON wallet.ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+AFTER INSERT ON wallet.ledger_postings
+DEFERRABLE INITIALLY DEFERRED
+FOR EACH ROW EXECUTE FUNCTION wallet.check_journal_entry_balanced();
+
+-- Posted entries are immutable; corrections are reversal entries
+CREATE OR REPLACE FUNCTION wallet.reject_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_append_only ON wallet.journal_entries;
+CREATE TRIGGER journal_entries_append_only
+BEFORE UPDATE OR DELETE ON wallet.journal_entries
+FOR EACH ROW EXECUTE FUNCTION wallet.reject_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_append_only ON wallet.ledger_postings;
+CREATE TRIGGER ledger_postings_append_only
+BEFORE UPDATE OR DELETE ON wallet.ledger_postings
+FOR EACH ROW EXECUTE FUNCTION wallet.reject_ledger_mutation();
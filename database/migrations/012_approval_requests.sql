@@ -0,0 +1,25 @@
+-- ============================================================================
+-- APPROVAL REQUESTS
+-- High-risk gateway-execute calls waiting for (or decided by) an admin
+-- (core/approvals/approval-stores.js, APPROVAL_STORE=postgres). The caller's
+-- credentials are never stored; they stay in the requesting process.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS approval_requests (
+    id VARCHAR(64) PRIMARY KEY,
+    status VARCHAR(20) NOT NULL
+        CHECK (status IN ('pending', 'approved', 'executed', 'failed', 'rejected', 'expired')),
+    principal VARCHAR(255) NOT NULL,       -- IdempotencyManager.resolvePrincipal of the requester
+    idempotency_key VARCHAR(255) NOT NULL,
+    record JSONB NOT NULL,                 -- full approval, including the execution result
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    decided_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One live approval per caller and key; expired ones may be resubmitted
+CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_requests_live_key
+    ON approval_requests (principal, idempotency_key)
+    WHERE status <> 'expired';
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_status
+    ON approval_requests (status, created_at);
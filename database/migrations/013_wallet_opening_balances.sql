@@ -0,0 +1,60 @@
+-- ============================================================================
+-- WALLET OPENING BALANCES
+-- Backfills wallet.customer_wallets balances into the double-entry ledger (011)
+-- so wallets funded before it can still be debited. Each wallet with a positive
+-- balance gets an 'adjustment' entry under reference opening:<wallet id>:
+--   Dr system:settlement:<currency>   Cr wallet:<wallet id>
+-- Run once after 011 and before LEDGER_STORE=postgres takes traffic. Wallets
+-- that already have a ledger account are skipped, so re-running is a no-op.
+-- Amounts are balance * 100 (two-decimal currencies); zero and negative
+-- balances open no entry.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TEMP TABLE opening_wallets ON COMMIT DROP AS
+SELECT w.id::text AS wallet_id,
+       UPPER(COALESCE(w.currency, 'NGN')) AS currency,
+       ROUND(COALESCE(w.balance, 0) * 100)::BIGINT AS amount
+FROM wallet.customer_wallets w
+WHERE NOT EXISTS (
+    SELECT 1 FROM wallet.ledger_accounts a WHERE a.id = 'wallet:' || w.id::text
+);
+
+-- Same accounts WalletLedger.openWallet would open
+INSERT INTO wallet.ledger_accounts (id, name, type, currency, owner_type, owner_id, metadata, created_at)
+SELECT 'wallet:' || wallet_id, 'Wallet ' || wallet_id, 'liability', currency, 'wallet', wallet_id, '{}'::jsonb, NOW()
+FROM opening_wallets
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO wallet.ledger_accounts (id, name, type, currency, owner_type, owner_id, metadata, created_at)
+SELECT DISTINCT 'system:settlement:' || currency, 'Provider settlement (' || currency || ')', 'asset',
+       currency, 'system', NULL, '{}'::jsonb, NOW()
+FROM opening_wallets
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO wallet.ledger_accounts (id, name, type, currency, owner_type, owner_id, metadata, created_at)
+SELECT DISTINCT 'system:fees:' || currency, 'Fee revenue (' || currency || ')', 'revenue',
+       currency, 'system', NULL, '{}'::jsonb, NOW()
+FROM opening_wallets
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO wallet.journal_entries (id, reference, type, description, metadata, reverses_entry_id, posted_at)
+SELECT 'jrn_opening_' || wallet_id, 'opening:' || wallet_id, 'adjustment',
+       'Opening balance from wallet.customer_wallets',
+       jsonb_build_object('walletId', wallet_id, 'source', 'customer_wallets'), NULL, NOW()
+FROM opening_wallets
+WHERE amount > 0;
+
+INSERT INTO wallet.ledger_postings (id, entry_id, position, account_id, direction, amount, currency, posted_at)
+SELECT 'pst_opening_' || wallet_id || '_0', 'jrn_opening_' || wallet_id, 0,
+       'system:settlement:' || currency, 'debit', amount, currency, NOW()
+FROM opening_wallets
+WHERE amount > 0
+UNION ALL
+SELECT 'pst_opening_' || wallet_id || '_1', 'jrn_opening_' || wallet_id, 1,
+       'wallet:' || wallet_id, 'credit', amount, currency, NOW()
+FROM opening_wallets
+WHERE amount > 0;
+
+COMMIT;
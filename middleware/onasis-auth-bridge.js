@@ -3,6 +3,8 @@
  * Bridges onasis-gateway with onasis-core authentication system
  */
 
+const { ROLE_HIERARCHY, expandRole, resolveScopes, isToolAllowed } = require('../core/security/tool-scopes');
+
 const fetch = globalThis.fetch
   ? globalThis.fetch.bind(globalThis)
   : (...args) => import('node-fetch').then((mod) => (mod.default || mod)(...args));
@@ -361,27 +363,56 @@ class OnasisAuthBridge {
   async checkUserPermissions(user, requiredPermissions) {
     if (!user || !requiredPermissions) return true;
 
-    // Basic role-based permission checking
-    const userRole = user.role || 'user';
-    
     if (Array.isArray(requiredPermissions)) {
-      return requiredPermissions.some(permission => this.hasPermission(userRole, permission));
+      return requiredPermissions.some(permission => this.hasPermission(user, permission));
     }
-    
-    return this.hasPermission(userRole, requiredPermissions);
+
+    return this.hasPermission(user, requiredPermissions);
   }
 
   /**
-   * Simple role-based permission system
+   * Role-based permission check, extended with tool scopes.
+   *
+   * @param {string|object} userOrRole Role name, or a principal (role + optional scopes)
+   * @param {string} permission A role ('admin', 'user', 'read') or a tool scope
+   *   ('paystack:read', 'banking:transfer'); see core/security/tool-scopes.js
    */
-  hasPermission(userRole, permission) {
-    const roleHierarchy = {
-      'admin': ['admin', 'user', 'read'],
-      'user': ['user', 'read'],
-      'read': ['read']
-    };
+  hasPermission(userOrRole, permission) {
+    const principal = typeof userOrRole === 'string' ? { role: userOrRole } : (userOrRole || {});
+    const role = principal.role || 'user';
+
+    if (typeof permission === 'string' && (permission === '*' || permission.includes(':'))) {
+      return this.getScopes(principal).some((scope) => scope === permission || this.scopeIncludes(scope, permission));
+    }
+
+    return !!ROLE_HIERARCHY[role] && expandRole(role).has(permission);
+  }
 
-    return roleHierarchy[userRole]?.includes(permission) || false;
+  // Whether a granted scope covers a requested one ('*:read' covers 'paystack:read').
+  scopeIncludes(granted, requested) {
+    if (granted === '*') return true;
+    const [grantedResource, grantedAction = '*'] = granted.split(':');
+    const [requestedResource, requestedAction = '*'] = requested.split(':');
+    const resourceOk = grantedResource === '*' || grantedResource === requestedResource;
+    const actionOk = grantedAction === '*' ||
+      grantedAction === requestedAction ||
+      (grantedAction === 'write' && requestedAction !== '*');
+    return resourceOk && actionOk;
+  }
+
+  /**
+   * Effective tool scopes of a principal (explicit scopes, else role defaults).
+   */
+  getScopes(principal) {
+    return resolveScopes(principal);
+  }
+
+  /**
+   * @param {object} principal
+   * @param {{ adapterId: string, toolName: string, category?: string }} tool
+   */
+  canUseTool(principal, tool) {
+    return isToolAllowed(this.getScopes(principal), tool);
   }
 
   /**
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Diff two service definitions and fail on breaking changes.
+ *
+ * Run before re-extracting a Postman collection or committing a regenerated
+ * *-service.json. Postman collections are converted with extract-service.js
+ * before comparing.
+ *
+ * Exit code 0 = no breaking changes
+ * Exit code 1 = breaking changes found (unless --allow-breaking)
+ * Exit code 2 = bad arguments or unreadable definitions
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { diffServiceDefinitions, formatDiffReport } = require('../core/versioning/service-diff');
+const ServiceExtractor = require('./extract-service');
+
+function parseArgs(argv) {
+  const options = {
+    files: [],
+    base: null,
+    json: false,
+    allowBreaking: false
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--base' && argv[i + 1]) {
+      options.base = argv[i + 1];
+      i += 1;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--allow-breaking') {
+      options.allowBreaking = true;
+    } else if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 1) {
+    options.base = options.base || 'HEAD';
+  } else if (options.files.length !== 2 || options.base) {
+    throw new Error('Pass <before> <after>, or one file and optionally --base <git-ref>');
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Diff two service definitions and classify changes as breaking, additive or cosmetic.
+
+Usage:
+  node scripts/diff-service.js <before.json> <after.json> [options]
+  node scripts/diff-service.js <service.json> [--base <git-ref>] [options]
+
+With one file, the working copy is compared against the committed version
+(default HEAD). Postman collections are converted with extract-service.js first.
+
+Options:
+  --base <git-ref>   Git revision to compare a single file against (default HEAD)
+  --json             Print the report as JSON
+  --allow-breaking   Report breaking changes but exit 0
+  -h, --help         Show help
+`);
+}
+
+function parseDefinition(source, label) {
+  const definition = JSON.parse(source);
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${label} is not a service definition`);
+  }
+
+  const collection = definition.collection || definition;
+  if (collection.info && Array.isArray(collection.item)) {
+    // Postman collection: compare what extract-service.js would generate (it reads from a file)
+    const tmpFile = path.join(os.tmpdir(), `diff-service-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(tmpFile, source);
+    try {
+      return new ServiceExtractor().extractFromPostmanCollection(tmpFile);
+    } finally {
+      fs.unlinkSync(tmpFile);
+    }
+  }
+  return definition;
+}
+
+function readCommitted(file, ref) {
+  const repoRoot = execFileSync('git', ['rev-parse', '--show-toplevel'], { encoding: 'utf8' }).trim();
+  const relative = path.relative(repoRoot, path.resolve(file)).split(path.sep).join('/');
+  return execFileSync('git', ['show', `${ref}:${relative}`], {
+    cwd: repoRoot,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+function main() {
+  let options;
+  let before;
+  let after;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.base) {
+      const [file] = options.files;
+      before = parseDefinition(readCommitted(file, options.base), `${options.base}:${file}`);
+      after = parseDefinition(fs.readFileSync(file, 'utf8'), file);
+    } else {
+      const [beforeFile, afterFile] = options.files;
+      before = parseDefinition(fs.readFileSync(beforeFile, 'utf8'), beforeFile);
+      after = parseDefinition(fs.readFileSync(afterFile, 'utf8'), afterFile);
+    }
+  } catch (error) {
+    console.error(`Fatal: ${error.message}`);
+    process.exit(2);
+  }
+
+  const report = diffServiceDefinitions(before, after);
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatDiffReport(report));
+
+  process.exit(report.compatible || options.allowBreaking ? 0 : 1);
+}
+
+main();
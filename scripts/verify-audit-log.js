@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the compliance audit hash chain.
+ *
+ * Detects edited, removed, reordered or unsigned entries in the audit log
+ * written by ComplianceManager (core/security/audit-chain.js).
+ *
+ * Exit code 0 = chain intact
+ * Exit code 1 = tampering detected or the log could not be read
+ */
+
+'use strict';
+
+const path = require('path');
+
+try {
+  require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+} catch {
+  // dotenv not required for verification
+}
+
+const { verifyChain } = require('../core/security/audit-chain');
+const { createAuditStore } = require('../core/security/audit-stores');
+
+function parseArgs(argv) {
+  const options = {
+    store: process.env.AUDIT_STORE || 'file',
+    file: process.env.AUDIT_LOG_PATH || 'logs/compliance-audit.log',
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (arg === '--file' && argv[i + 1]) {
+      options.file = path.resolve(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Verify the compliance audit hash chain.
+
+Usage:
+  node scripts/verify-audit-log.js [options]
+
+Options:
+  --store <file|postgres>  Audit store to read (default AUDIT_STORE or file)
+  --file <path>            Log file for the file store (default AUDIT_LOG_PATH)
+  --json                   Print the full result as JSON
+  -h, --help               Show help
+
+Environment:
+  AUDIT_HMAC_KEY   Checks entry signatures when set
+  DATABASE_URL     Required for --store postgres
+`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const store = createAuditStore({ type: options.store, filePath: options.file });
+  const result = await verifyChain(store.entries(), { hmacKey: process.env.AUDIT_HMAC_KEY || null });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Store: ${options.store}${options.store === 'file' ? ` (${options.file})` : ''}`);
+    console.log(`Chained entries checked: ${result.checked}`);
+    if (result.legacy > 0) {
+      console.log(`Entries written before chaining (not verifiable): ${result.legacy}`);
+    }
+    if (result.signaturesNotChecked > 0) {
+      console.log(`⚠️  ${result.signaturesNotChecked} signatures not checked: AUDIT_HMAC_KEY is not set`);
+    }
+    for (const error of result.errors) {
+      console.log(`❌ ${error.type} at entry ${error.position}${error.seq ? ` (seq ${error.seq})` : ''}: ${error.message}`);
+    }
+    console.log(result.valid ? '✅ Audit chain intact' : `❌ Audit chain verification failed (${result.errors.length} problems)`);
+  }
+
+  if (options.store === 'postgres' || options.store === 'pg') {
+    await require('../core/database').end();
+  }
+  process.exit(result.valid ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(`Fatal: ${error.message}`);
+  process.exit(1);
+});
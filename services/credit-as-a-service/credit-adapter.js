@@ -309,6 +309,25 @@ class CreditAsAServiceAdapter extends BaseMCPAdapter {
     this._initialized = true;
   }
 
+  getPrivacyHook() {
+    return {
+      export: async (subject, context) => {
+        const applications = [];
+        for (let page = 1; ; page += 1) {
+          const result = await this.callTool('credit-get-applications-by-user', {
+            userId: subject.id,
+            page,
+            limit: 100,
+          }, context);
+          const rows = (result && result.applications) || [];
+          applications.push(...rows);
+          if (rows.length < 100) return applications;
+        }
+      },
+      retention: 'Credit agreements and decisions are kept for the regulatory record-keeping period',
+    };
+  }
+
   async callTool(toolName, args = {}, context = {}) {
     this._stats.calls++;
     this._stats.lastCall = new Date().toISOString();
@@ -57,7 +57,7 @@ class FlutterwaveAdapter extends BaseMCPAdapter {
   }
 
   async initialize() {
-    // Core tools (10) for Phase 1.5 quick-win validation.
+    // Core tools (10) for Phase 1.5 quick-win validation, plus list-transactions for reconciliation.
     this.tools = [
       {
         name: 'initiate-payment',
@@ -103,6 +103,19 @@ class FlutterwaveAdapter extends BaseMCPAdapter {
           required: ['transaction_id']
         }
       },
+      {
+        name: 'list-transactions',
+        description: 'List transactions in a date window (used for settlement reconciliation)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date', description: 'Window start, YYYY-MM-DD' },
+            to: { type: 'string', format: 'date', description: 'Window end, YYYY-MM-DD' },
+            page: { type: 'integer', default: 1 },
+            status: { type: 'string', enum: ['successful', 'failed', 'pending'] }
+          }
+        }
+      },
       {
         name: 'get-payment-methods',
         description: 'Get available payment methods for country',
@@ -273,6 +273,36 @@ class MemoryAdapter extends BaseMCPAdapter {
     this._initialized = true;
   }
 
+  getPrivacyHook() {
+    return {
+      export: (subject, context) => this.listSubjectMemories(subject, context),
+      erase: async (subject, context) => {
+        const ids = (await this.listSubjectMemories(subject, context))
+          .map((memory) => memory && memory.id)
+          .filter(Boolean);
+        // bulk-delete-memories accepts at most 100 ids per call
+        for (let i = 0; i < ids.length; i += 100) {
+          await this.callTool('bulk-delete-memories', { ids: ids.slice(i, i + 100) }, context);
+        }
+        return { erased: ids.length };
+      }
+    };
+  }
+
+  /**
+   * memory-list is scoped to the caller's API key, not to a user, so an operator
+   * key sees other users' memories too: keep only rows the subject owns.
+   */
+  async listSubjectMemories(subject, context) {
+    const memories = [];
+    for (let offset = 0; ; offset += 100) {
+      const result = await this.callTool('list-memories', { limit: 100, offset }, context);
+      const page = Array.isArray(result) ? result : (result && (result.data || result.memories)) || [];
+      memories.push(...page.filter((memory) => memory && memory.user_id != null && String(memory.user_id) === String(subject.id)));
+      if (page.length < 100) return memories;
+    }
+  }
+
   async callTool(toolName, args, context = {}) {
     this._stats.calls++;
     this._stats.lastCall = new Date().toISOString();
@@ -46,7 +46,7 @@ class PaystackAdapter extends BaseMCPAdapter {
   }
 
   async initialize() {
-    // Core tools (10) for Phase 1.5 quick-win validation.
+    // Core tools (10) for Phase 1.5 quick-win validation, plus list-transactions for reconciliation.
     this.tools = [
       {
         name: 'initialize-transaction',
@@ -85,6 +85,20 @@ class PaystackAdapter extends BaseMCPAdapter {
           required: ['reference']
         }
       },
+      {
+        name: 'list-transactions',
+        description: 'List transactions in a date window (used for settlement reconciliation)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            perPage: { type: 'integer', default: 50, maximum: 100 },
+            page: { type: 'integer', default: 1 },
+            from: { type: 'string', format: 'date-time', description: 'Window start (inclusive)' },
+            to: { type: 'string', format: 'date-time', description: 'Window end' },
+            status: { type: 'string', enum: ['success', 'failed', 'abandoned'] }
+          }
+        }
+      },
       {
         name: 'charge-authorization',
         description: 'Charge returning customer with saved authorization',
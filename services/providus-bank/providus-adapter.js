@@ -25,10 +25,32 @@ class ProvidusAdapter extends BaseMCPAdapter {
       name: 'Providus Bank API',
       description: 'Nigerian banking and transfer services',
       category: 'banking',
-      capabilities: ['authentication', 'profile', 'nip_transfer', 'multi_debit_transfer', 'health_check'],
+      capabilities: ['authentication', 'profile', 'nip_transfer', 'multi_debit_transfer', 'transaction_history', 'health_check'],
       client,
       ...config,
     });
+
+    this.accountClient = config.accountClient || null;
+    this.accountNumber = config.accountNumber || process.env.PROVIDUS_ACCOUNT_NUMBER || '';
+  }
+
+  /**
+   * Account services client (providus-bank-account) sharing this adapter's session.
+   */
+  getAccountClient() {
+    if (!this.accountClient) {
+      const { createAccountClient } = require('../providus-bank-account/client');
+      this.accountClient = createAccountClient({
+        baseUrl: this.client.config.baseUrl,
+        accountNumber: this.accountNumber,
+        mode: this.client.config.mode,
+        getAuthToken: async () => {
+          if (!this.client.tokens) await this.client.authenticate();
+          return this.client.tokens && this.client.tokens.accessToken;
+        },
+      });
+    }
+    return this.accountClient;
   }
 
   async initialize() {
@@ -104,6 +126,22 @@ class ProvidusAdapter extends BaseMCPAdapter {
           ],
         },
       },
+      {
+        name: 'pb-get-transaction-history',
+        description: 'Get corporate account transaction history for a date range (used for settlement reconciliation)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            accountNumber: { type: 'string', description: 'Defaults to PROVIDUS_ACCOUNT_NUMBER' },
+            startDate: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+            endDate: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+            page: { type: 'integer', default: 1 },
+            limit: { type: 'integer', default: 50, maximum: 100 },
+            type: { type: 'string', enum: ['CREDIT', 'DEBIT', 'ALL'], default: 'ALL' },
+          },
+          required: ['startDate', 'endDate'],
+        },
+      },
       {
         name: 'pb-health-check',
         description: 'Check if Providus Bank API service is healthy and accessible',
@@ -136,6 +174,11 @@ class ProvidusAdapter extends BaseMCPAdapter {
         }
         case 'pb-multi-debit-transfer':
           return this.client.nipMultiDebitTransfer(args);
+        case 'pb-get-transaction-history':
+          return this.getAccountClient().getTransactionHistory({
+            ...args,
+            accountNumber: args.accountNumber || this.accountNumber,
+          });
         case 'pb-health-check':
           return this.client.healthCheck();
         default:
@@ -295,6 +295,21 @@ class VerificationServiceAdapter extends BaseMCPAdapter {
     return { endpoint, options };
   }
 
+  getPrivacyHook() {
+    return {
+      export: async (subject, context) => {
+        const result = await this.callTool('get-verification-history', { user_id: subject.id }, context);
+        if (!result.success) {
+          const error = new Error(result.error.message);
+          error.code = result.error.code;
+          throw error;
+        }
+        return result.data;
+      },
+      retention: 'KYC and AML verification records are kept under anti-money-laundering record-keeping obligations'
+    };
+  }
+
   async callTool(name, args = {}, context = {}) {
     const startTime = Date.now();
     this.stats.requestCount += 1;
@@ -3,8 +3,37 @@
  * Full implementation with all banking operations (JavaScript version)
  */
 
+const crypto = require('crypto');
 const XpressWalletService = require('./xpress-wallet-service.js');
 const { Pool } = require('pg');
+const WalletLedger = require('../../core/ledger/wallet-ledger');
+const { toMinorUnits } = require('../../core/abstraction/response-normalizers');
+const { isPreSendError } = require('../../core/abstraction/error-taxonomy');
+
+// Provider transaction statuses that settle a ledger entry; any other status is still in flight
+const PROVIDER_COMPLETED = new Set(['completed', 'successful', 'success']);
+const PROVIDER_REJECTED = new Set(['failed', 'declined', 'rejected', 'reversed']);
+
+const createWalletError = (status, code, message, meta = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.meta = meta;
+  return err;
+};
+
+/**
+ * Whether a failed provider call may still have moved the money: timeouts,
+ * dropped connections, 5xx and errors without an answer. Calls that never left
+ * (pre-send errors) and 4xx answers are definite rejections.
+ */
+const isAmbiguousFailure = (error) => {
+  if (typeof error.ambiguous === 'boolean') return error.ambiguous;
+  if (isPreSendError(error)) return false;
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  if (status) return status >= 500 || status === 408;
+  return true;
+};
 
 class XpressWalletWaaSAdapter {
   constructor(config = {}) {
@@ -16,6 +45,11 @@ class XpressWalletWaaSAdapter {
     this.config = config;
     this.service = null;
     this.db = null;
+    // Money movements post to the double-entry ledger and are refused unless it is
+    // durable (LEDGER_STORE=postgres); config.allowVolatileLedger lifts that for tests.
+    // The gateway passes its own (config.ledger) so balances survive an adapter reload.
+    this.currency = config.currency || 'NGN';
+    this.ledger = config.ledger || new WalletLedger({ currency: this.currency });
     
     this.tools = [
       // Wallet Management Tools
@@ -139,11 +173,60 @@ class XpressWalletWaaSAdapter {
             toWalletId: { type: "string", description: "Destination wallet ID" },
             amount: { type: "number", minimum: 0, description: "Transfer amount" },
             narration: { type: "string", description: "Transfer description" },
-            reference: { type: "string", description: "Unique reference (optional)" }
+            reference: { type: "string", description: "Unique reference (optional)" },
           },
           required: ["fromWalletId", "toWalletId", "amount", "narration"]
         }
       },
+      {
+        name: "charge-wallet-fee",
+        description: "Charge a standalone fee to a wallet",
+        inputSchema: {
+          type: "object",
+          properties: {
+            walletId: { type: "string", description: "Wallet ID" },
+            amount: { type: "number", minimum: 0, description: "Fee amount" },
+            narration: { type: "string", description: "Fee description" },
+            reference: { type: "string", description: "Unique reference (optional)" }
+          },
+          required: ["walletId", "amount", "narration"]
+        }
+      },
+      {
+        name: "reverse-wallet-transaction",
+        description: "Reverse a wallet credit, debit, transfer or fee in the ledger by its reference",
+        inputSchema: {
+          type: "object",
+          properties: {
+            reference: { type: "string", description: "Reference of the transaction to reverse" },
+            reason: { type: "string", description: "Why the transaction is reversed" }
+          },
+          required: ["reference"]
+        }
+      },
+      {
+        name: "settle-wallet-transaction",
+        description: "Settle a pending wallet movement against its status at Xpress, reversing it if Xpress rejected or never received it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            reference: { type: "string", description: "Reference of the pending transaction" }
+          },
+          required: ["reference"]
+        }
+      },
+      {
+        name: "get-wallet-ledger-balance",
+        description: "Wallet balance derived from ledger postings, optionally as of a past time",
+        inputSchema: {
+          type: "object",
+          properties: {
+            walletId: { type: "string", description: "Wallet ID" },
+            at: { type: "string", format: "date-time", description: "Balance as of this time (default: now)" }
+          },
+          required: ["walletId"]
+        }
+      },
 
       // Banking Tools
       {
@@ -157,7 +240,7 @@ class XpressWalletWaaSAdapter {
             accountNumber: { type: "string", description: "Account number" },
             amount: { type: "number", minimum: 0, description: "Transfer amount" },
             narration: { type: "string", description: "Transfer description" },
-            reference: { type: "string", description: "Unique reference (optional)" }
+            reference: { type: "string", description: "Unique reference (optional)" },
           },
           required: ["walletId", "bankCode", "accountNumber", "amount", "narration"]
         }
@@ -498,7 +581,7 @@ class XpressWalletWaaSAdapter {
 
       // Transactions
       case 'credit-wallet':
-        return await this.service.creditWallet({
+        return await this.creditWallet({
           walletId: args.walletId,
           amount: args.amount,
           reference: args.reference,
@@ -516,7 +599,7 @@ class XpressWalletWaaSAdapter {
         });
 
       case 'debit-wallet':
-        return await this.service.debitWallet({
+        return await this.debitWallet({
           walletId: args.walletId,
           amount: args.amount,
           reference: args.reference,
@@ -533,29 +616,39 @@ class XpressWalletWaaSAdapter {
           }
         });
 
-      case 'wallet-to-wallet-transfer':
-        // Implement wallet to wallet transfer
-        const debitResult = await this.service.debitWallet({
-          walletId: args.fromWalletId,
-          amount: args.amount,
-          reference: args.reference,
-          narration: `Transfer to wallet: ${args.narration}`,
-          label: { category: 'TRANSFER', sub_category: 'inter_wallet_out' }
-        });
+      case 'wallet-to-wallet-transfer': {
+        const reference = args.reference || this.generateReference('TRANSFER');
+        return await this.moveMoney('transfer', args, () => this.ledger.transfer(args.fromWalletId, args.toWalletId, {
+          amount: this.toLedgerAmount(args.amount),
+          reference,
+          description: args.narration,
+          metadata: { provider: 'xpress', operation: 'transfer', amount: args.amount }
+        }));
+      }
 
-        const creditResult = await this.service.creditWallet({
-          walletId: args.toWalletId,
-          amount: args.amount,
-          reference: args.reference,
-          narration: `Transfer from wallet: ${args.narration}`,
-          label: { category: 'TRANSFER', sub_category: 'inter_wallet_in' }
-        });
+      case 'charge-wallet-fee': {
+        const reference = args.reference || this.generateReference('FEE');
+        return await this.moveMoney('fee', args, () => this.ledger.chargeFee(args.walletId, {
+          amount: this.toLedgerAmount(args.amount),
+          reference,
+          description: args.narration,
+          metadata: { provider: 'xpress', operation: 'fee', amount: args.amount }
+        }));
+      }
 
-        return { debitTransaction: debitResult, creditTransaction: creditResult };
+      case 'reverse-wallet-transaction':
+        this.assertDurableLedger();
+        return await this.ledger.reverse(args.reference, { reason: args.reason });
+
+      case 'settle-wallet-transaction':
+        return await this.settleWalletTransaction(args.reference);
+
+      case 'get-wallet-ledger-balance':
+        return await this.ledger.balance(args.walletId, { at: args.at });
 
       // Banking
       case 'bank-transfer':
-        return await this.service.bankTransfer(args);
+        return await this.bankTransfer(args);
 
       case 'validate-bank-account':
         const response = await this.service.validateBankAccount(args.bankCode, args.accountNumber);
@@ -570,14 +663,23 @@ class XpressWalletWaaSAdapter {
 
       // Batch Operations
       case 'batch-credit-wallets':
-        return await this.service.batchCreditWallets(args.items);
+        const batchCreditResults = [];
+        for (const item of args.items) {
+          try {
+            const result = await this.creditWallet(item);
+            batchCreditResults.push({ success: true, ...result });
+          } catch (error) {
+            batchCreditResults.push({ success: false, error: error.message, item });
+          }
+        }
+        return batchCreditResults;
 
       case 'batch-debit-wallets':
         // Similar implementation to batch credit
         const batchDebitResults = [];
         for (const item of args.items) {
           try {
-            const result = await this.service.debitWallet(item);
+            const result = await this.debitWallet(item);
             batchDebitResults.push({ success: true, ...result });
           } catch (error) {
             batchDebitResults.push({ success: false, error: error.message, item });
@@ -589,7 +691,7 @@ class XpressWalletWaaSAdapter {
         const batchTransferResults = [];
         for (const item of args.items) {
           try {
-            const result = await this.service.bankTransfer(item);
+            const result = await this.bankTransfer(item);
             batchTransferResults.push({ success: true, ...result });
           } catch (error) {
             batchTransferResults.push({ success: false, error: error.message, item });
@@ -674,6 +776,243 @@ class XpressWalletWaaSAdapter {
     }
   }
 
+  generateReference(prefix) {
+    return `${prefix}-${crypto.randomUUID()}`;
+  }
+
+  toLedgerAmount(amount) {
+    return toMinorUnits(amount || 0, this.currency);
+  }
+
+  assertDurableLedger() {
+    if (!this.ledger.durable && !this.config.allowVolatileLedger) {
+      throw createWalletError(503, 'LEDGER_NOT_DURABLE',
+        'Wallet money movements need a durable ledger; set LEDGER_STORE=postgres');
+    }
+  }
+
+  /**
+   * Provider calls that carry out a ledger entry, each under its own provider
+   * reference. `undo` puts a completed leg back when a later leg is rejected.
+   */
+  providerLegs(operation, params, reference) {
+    switch (operation) {
+      case 'credit':
+        return [{ reference, send: (ref) => this.service.creditWallet({ ...params, reference: ref }) }];
+
+      case 'debit':
+        return [{ reference, send: (ref) => this.service.debitWallet({ ...params, reference: ref }) }];
+
+      case 'bank-transfer':
+        return [{ reference, send: (ref) => this.service.bankTransfer({ ...params, reference: ref }) }];
+
+      case 'fee':
+        return [{
+          reference,
+          send: (ref) => this.service.debitWallet({
+            walletId: params.walletId,
+            amount: params.amount,
+            reference: ref,
+            narration: params.narration,
+            label: { category: 'FEE', sub_category: 'wallet_fee' }
+          })
+        }];
+
+      case 'transfer':
+        return [
+          {
+            key: 'debitTransaction',
+            reference: `${reference}:out`,
+            send: (ref) => this.service.debitWallet({
+              walletId: params.fromWalletId,
+              amount: params.amount,
+              reference: ref,
+              narration: `Transfer to wallet: ${params.narration}`,
+              label: { category: 'TRANSFER', sub_category: 'inter_wallet_out' }
+            }),
+            undo: (ref) => this.service.creditWallet({
+              walletId: params.fromWalletId,
+              amount: params.amount,
+              reference: ref,
+              narration: `Refund of failed transfer: ${params.narration}`,
+              label: { category: 'REFUND', sub_category: 'inter_wallet_refund' }
+            })
+          },
+          {
+            key: 'creditTransaction',
+            reference: `${reference}:in`,
+            send: (ref) => this.service.creditWallet({
+              walletId: params.toWalletId,
+              amount: params.amount,
+              reference: ref,
+              narration: `Transfer from wallet: ${params.narration}`,
+              label: { category: 'TRANSFER', sub_category: 'inter_wallet_in' }
+            })
+          }
+        ];
+
+      default:
+        throw createWalletError(422, 'LEDGER_ENTRY_NOT_SETTLEABLE', `No provider movement for operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Run one provider leg. mode 'send' calls the provider; 'resume' first asks
+   * the provider for the reference and only sends what it never received;
+   * 'resolve' only asks, treating an unknown reference as rejected.
+   */
+  async runProviderLeg(reference, send, mode) {
+    if (mode !== 'send') {
+      let known;
+      try {
+        known = await this.service.getTransactionByReference(reference);
+      } catch (error) {
+        // No answer from the provider proves nothing either way
+        error.ambiguous = true;
+        throw error;
+      }
+      if (known) {
+        const status = String(known.status || (known.transaction && known.transaction.status) || '').toLowerCase();
+        if (PROVIDER_COMPLETED.has(status)) return known;
+        const err = PROVIDER_REJECTED.has(status)
+          ? createWalletError(422, 'PROVIDER_REJECTED', `Xpress ${status} transaction ${reference}`, { reference, status })
+          : createWalletError(202, 'SETTLEMENT_PENDING', `Xpress transaction ${reference} is still ${status || 'in flight'}`, { reference, status });
+        err.ambiguous = !PROVIDER_REJECTED.has(status);
+        throw err;
+      }
+      if (mode === 'resolve') {
+        const err = createWalletError(422, 'PROVIDER_REJECTED', `Xpress has no transaction ${reference}`, { reference });
+        err.ambiguous = false;
+        throw err;
+      }
+    }
+    return send(reference);
+  }
+
+  /**
+   * Post a movement to the ledger, then carry it out at the provider. A retry
+   * with the same reference finishes a pending entry instead of posting again.
+   */
+  async moveMoney(operation, params, post) {
+    this.assertDurableLedger();
+    const entry = await post();
+    if (entry.duplicate && (
+      (entry.metadata || {}).operation !== operation ||
+      entry.postings[0].amount !== this.toLedgerAmount(params.amount)
+    )) {
+      throw createWalletError(409, 'DUPLICATE_REFERENCE',
+        `Reference ${entry.reference} was already posted for a different movement`);
+    }
+    return this.settleLedgerEntry(entry, this.providerLegs(operation, params, entry.reference));
+  }
+
+  /**
+   * Call the provider for a movement already posted to the ledger. The ledger
+   * posts first so its balance guard applies. A definite rejection undoes any
+   * leg the provider completed and reverses the entry; a failure whose outcome
+   * is unknown keeps the entry pending until a retry with the same reference or
+   * settle-wallet-transaction settles it against the provider's status.
+   */
+  async settleLedgerEntry(entry, legs, { mode = entry.duplicate ? 'resume' : 'send' } = {}) {
+    if (entry.duplicate && (await this.ledger.status(entry.reference)).reversal) {
+      throw createWalletError(409, 'DUPLICATE_REFERENCE', `Reference ${entry.reference} was already reversed`);
+    }
+    const results = {};
+    const completed = [];
+    try {
+      for (const leg of legs) {
+        results[leg.key || 'result'] = await this.runProviderLeg(leg.reference, leg.send, mode);
+        completed.push(leg);
+      }
+    } catch (error) {
+      if (isAmbiguousFailure(error)) return this.pendingResult(entry, error);
+      try {
+        for (const leg of completed.reverse().filter((done) => done.undo)) {
+          await this.runProviderLeg(`${leg.reference}:refund`, leg.undo, 'resume');
+        }
+      } catch (undoError) {
+        // The provider still holds a completed leg, so the entry must stand
+        return this.pendingResult(entry, undoError);
+      }
+      await this.ledger.reverse(entry.reference, { reason: error.message });
+      throw error;
+    }
+    return { ...(legs[0].key ? results : results.result), settlement: 'settled', ledgerEntry: entry };
+  }
+
+  pendingResult(entry, error) {
+    return {
+      success: false,
+      settlement: 'pending',
+      reference: entry.reference,
+      error: error.message,
+      ledgerEntry: entry
+    };
+  }
+
+  /**
+   * Settle a pending movement against the provider's record of it: completed
+   * legs stand; anything the provider rejected or never received is reversed.
+   */
+  async settleWalletTransaction(reference) {
+    this.assertDurableLedger();
+    const status = await this.ledger.status(reference);
+    if (!status) {
+      throw createWalletError(404, 'LEDGER_ENTRY_NOT_FOUND', `No ledger entry for reference: ${reference}`);
+    }
+    const { entry } = status;
+    if (status.reversal) {
+      return { settlement: 'reversed', ledgerEntry: entry, reversal: status.reversal };
+    }
+    const { operation, amount, walletId, fromWalletId, toWalletId } = entry.metadata || {};
+    const legs = this.providerLegs(operation, {
+      walletId, fromWalletId, toWalletId, amount, narration: entry.description
+    }, reference);
+    try {
+      return await this.settleLedgerEntry(entry, legs, { mode: 'resolve' });
+    } catch (error) {
+      const after = await this.ledger.status(reference);
+      if (!after.reversal) throw error;
+      return { settlement: 'reversed', error: error.message, ledgerEntry: entry, reversal: after.reversal };
+    }
+  }
+
+  async creditWallet(params) {
+    const reference = params.reference || this.generateReference('CREDIT');
+    return this.moveMoney('credit', { ...params, reference }, () => this.ledger.credit(params.walletId, {
+      amount: this.toLedgerAmount(params.amount),
+      reference,
+      description: params.narration,
+      metadata: { provider: 'xpress', operation: 'credit', amount: params.amount }
+    }));
+  }
+
+  async debitWallet(params) {
+    const reference = params.reference || this.generateReference('DEBIT');
+    return this.moveMoney('debit', { ...params, reference }, () => this.ledger.debit(params.walletId, {
+      amount: this.toLedgerAmount(params.amount),
+      reference,
+      description: params.narration,
+      metadata: { provider: 'xpress', operation: 'debit', amount: params.amount }
+    }));
+  }
+
+  async bankTransfer(params) {
+    const reference = params.reference || this.generateReference('BANK_TRANSFER');
+    return this.moveMoney('bank-transfer', { ...params, reference }, () => this.ledger.debit(params.walletId, {
+      amount: this.toLedgerAmount(params.amount),
+      reference,
+      description: params.narration,
+      metadata: {
+        provider: 'xpress',
+        operation: 'bank-transfer',
+        amount: params.amount,
+        bankCode: params.bankCode,
+        accountNumber: params.accountNumber
+      }
+    }));
+  }
+
   async healthCheck() {
     try {
       const result = {
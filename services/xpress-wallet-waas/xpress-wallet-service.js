@@ -148,6 +148,16 @@ class XpressWalletService {
     };
   }
 
+  // Provider-side status of the movement sent under `reference`; null when the
+  // provider has no record of it. Not available in this stub, so it throws rather
+  // than answer "never received" for a movement that may have gone through.
+  async getTransactionByReference(reference) {
+    const err = new Error(`Transaction lookup by reference is not implemented (${reference})`);
+    err.code = 'NOT_IMPLEMENTED';
+    err.status = 501;
+    throw err;
+  }
+
   async runDailyReconciliation(date) {
     return {
       reconciliation_date: date,
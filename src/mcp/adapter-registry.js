@@ -8,6 +8,9 @@
 
 'use strict';
 
+const { isToolAllowed, requiredScopesFor } = require('../../core/security/tool-scopes');
+const { getTracer } = require('../../core/tracing/tracer');
+
 const getHeader = (headers, key) => {
   if (!headers || typeof headers !== 'object') return undefined;
   if (key in headers) return headers[key];
@@ -29,14 +32,22 @@ const splitToolId = (toolId) => {
   return { adapterId, toolName };
 };
 
-const createRegistryError = (code, message) => {
+const createRegistryError = (code, message, meta) => {
   const error = new Error(message);
   error.code = code;
+  if (meta) error.meta = meta;
   return error;
 };
 
 class AdapterRegistry {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.metrics] MetricsCollector; tool calls are recorded per adapter/tool
+   * @param {object} [options.compliance] ComplianceManager; tool data is protected per adapter compliance flags
+   */
+  constructor(options = {}) {
+    this.metrics = options.metrics || null;
+    this.compliance = options.compliance || null;
     this.adapters = new Map();  // adapterId -> adapter instance
     this.toolIndex = new Map(); // canonicalToolId -> { adapterId, tool }
     this.aliases = new Map();   // aliasToolId -> canonicalToolId
@@ -45,10 +56,15 @@ class AdapterRegistry {
   /**
    * Register an adapter: optionally initialize it, then index its tools.
    *
+   * With options.replace an adapter already registered under the same id is
+   * swapped out atomically: the new adapter is initialized and its tool index
+   * built first, so a failure leaves the previous adapter serving requests.
+   *
    * @param {object} adapter
    * @param {object} [options]
    * @param {string} [options.adapterId]
    * @param {boolean} [options.skipInitialize]
+   * @param {boolean} [options.replace] Replace an existing adapter with the same id (hot-reload)
    */
   async register(adapter, options = {}) {
     if (!adapter) {
@@ -66,13 +82,15 @@ class AdapterRegistry {
     // Reject duplicate adapter ids to prevent silent routing conflicts.
     if (this.adapters.has(adapterId)) {
       const existing = this.adapters.get(adapterId);
-      if (existing !== adapter) {
+      if (existing === adapter) {
+        return existing;
+      }
+      if (!options.replace) {
         throw createRegistryError(
           'DUPLICATE_ADAPTER_ID',
           `Duplicate adapter id '${adapterId}' detected during registration`
         );
       }
-      return existing;
     }
 
     const isAlreadyInitialized = !!(adapter._initialized || adapter.isInitialized || adapter.initialized);
@@ -82,8 +100,6 @@ class AdapterRegistry {
       adapter._initialized = true;
     }
 
-    this.adapters.set(adapterId, adapter);
-
     // Index tools (prefer adapter.tools; fall back to listTools()).
     let tools = [];
     if (Array.isArray(adapter.tools)) {
@@ -97,6 +113,24 @@ class AdapterRegistry {
       }
     }
 
+    const { toolIndex, aliases } = this.buildToolIndex(adapterId, tools);
+
+    // Swap synchronously so concurrent lookups see either the old or the new adapter, never a mix.
+    this.removeFromIndex(adapterId);
+    this.adapters.set(adapterId, adapter);
+    for (const [canonicalId, entry] of toolIndex) this.toolIndex.set(canonicalId, entry);
+    for (const [alias, canonicalId] of aliases) this.aliases.set(alias, canonicalId);
+
+    return adapter;
+  }
+
+  /**
+   * Build the canonical tool index and aliases for one adapter without touching registry state.
+   */
+  buildToolIndex(adapterId, tools) {
+    const toolIndex = new Map();
+    const aliases = new Map();
+
     // Some adapters populate tools lazily; index what we have now.
     for (const tool of tools) {
       if (!tool || typeof tool !== 'object' || !tool.name) continue;
@@ -113,29 +147,52 @@ class AdapterRegistry {
       const canonicalId = `${adapterId}:${canonicalToolName}`;
 
       // Keep the first tool for a canonical id; collisions should be rare.
-      if (!this.toolIndex.has(canonicalId)) {
-        this.toolIndex.set(canonicalId, { adapterId, tool });
+      if (!toolIndex.has(canonicalId)) {
+        toolIndex.set(canonicalId, { adapterId, tool });
       }
 
       // Alias: original tool name as declared by adapter.
       const originalId = `${adapterId}:${toolName}`;
       if (originalId !== canonicalId) {
-        this.aliases.set(originalId, canonicalId);
+        aliases.set(originalId, canonicalId);
       }
 
       // Alias: snake_case <-> kebab-case
       const snakeAlias = `${adapterId}:${canonicalToolName.replace(/-/g, '_')}`;
       const kebabAlias = `${adapterId}:${toolName.replace(/_/g, '-')}`;
-      if (snakeAlias !== canonicalId) this.aliases.set(snakeAlias, canonicalId);
-      if (kebabAlias !== canonicalId) this.aliases.set(kebabAlias, canonicalId);
+      if (snakeAlias !== canonicalId) aliases.set(snakeAlias, canonicalId);
+      if (kebabAlias !== canonicalId) aliases.set(kebabAlias, canonicalId);
 
       // Alias: lowercased
-      this.aliases.set(originalId.toLowerCase(), canonicalId);
-      this.aliases.set(canonicalId.toLowerCase(), canonicalId);
-      this.aliases.set(snakeAlias.toLowerCase(), canonicalId);
-      this.aliases.set(kebabAlias.toLowerCase(), canonicalId);
+      aliases.set(originalId.toLowerCase(), canonicalId);
+      aliases.set(canonicalId.toLowerCase(), canonicalId);
+      aliases.set(snakeAlias.toLowerCase(), canonicalId);
+      aliases.set(kebabAlias.toLowerCase(), canonicalId);
+    }
+
+    return { toolIndex, aliases };
+  }
+
+  removeFromIndex(adapterId) {
+    for (const [canonicalId, entry] of this.toolIndex) {
+      if (entry.adapterId === adapterId) this.toolIndex.delete(canonicalId);
+    }
+    const prefix = `${adapterId}:`;
+    for (const [alias, canonicalId] of this.aliases) {
+      if (canonicalId.startsWith(prefix)) this.aliases.delete(alias);
     }
+  }
 
+  /**
+   * Remove an adapter and its tools. Calls already dispatched to it run to completion.
+   *
+   * @returns {object|null} The removed adapter, or null when none was registered under adapterId
+   */
+  unregister(adapterId) {
+    const adapter = this.adapters.get(adapterId);
+    if (!adapter) return null;
+    this.removeFromIndex(adapterId);
+    this.adapters.delete(adapterId);
     return adapter;
   }
 
@@ -215,6 +272,54 @@ class AdapterRegistry {
     return null;
   }
 
+  /**
+   * Scope-check descriptor for a tool ID (resolved tools use their canonical name
+   * and the tool/adapter category).
+   */
+  describeTool(toolId) {
+    const resolved = this.resolveTool(toolId);
+    const parts = resolved
+      ? { adapterId: resolved.adapterId, toolName: resolved.tool.name }
+      : splitToolId(toolId);
+    if (!parts) return null;
+
+    const adapter = this.adapters.get(parts.adapterId) || {};
+    const tool = (resolved && resolved.tool) || {};
+    return {
+      adapterId: parts.adapterId,
+      toolName: normalizeToolNameForId(parts.toolName),
+      category: (tool.metadata && tool.metadata.category) ||
+        (adapter.metadata && adapter.metadata.category) ||
+        adapter.category ||
+        ''
+    };
+  }
+
+  /**
+   * Whether the caller's scopes (context.scopes) allow a tool. Contexts without
+   * scopes (internal callers) are not restricted.
+   */
+  isToolAllowed(toolId, context = {}) {
+    if (!context || context.scopes === undefined || context.scopes === null) return true;
+    const tool = this.describeTool(toolId);
+    return !!tool && isToolAllowed(context.scopes, tool);
+  }
+
+  /**
+   * Throw TOOL_FORBIDDEN when the caller's scopes do not allow a tool.
+   */
+  authorizeTool(toolId, context = {}) {
+    if (this.isToolAllowed(toolId, context)) return;
+    const tool = this.describeTool(toolId);
+    const error = createRegistryError(
+      'TOOL_FORBIDDEN',
+      `Caller is not allowed to use tool: ${toolId}`,
+      { requiredScopes: tool ? requiredScopesFor(tool) : [] }
+    );
+    error.status = 403;
+    throw error;
+  }
+
   /**
    * Build a safe forwarded header set from a request context.
    */
@@ -254,6 +359,10 @@ class AdapterRegistry {
       getHeader(headers, 'X-Session-ID') ||
       getHeader(headers, 'x-session-id');
 
+    const traceparent = getTracer().currentTraceparent(
+      context.traceparent || getHeader(headers, 'traceparent')
+    );
+
     const forwarded = {};
     if (authorization) forwarded.Authorization = authorization;
     if (apiKey) forwarded['X-API-Key'] = apiKey;
@@ -262,12 +371,14 @@ class AdapterRegistry {
     if (projectScope) forwarded['X-Project-Scope'] = projectScope;
     if (requestId) forwarded['X-Request-ID'] = requestId;
     if (sessionId) forwarded['X-Session-ID'] = sessionId;
+    if (traceparent) forwarded.traceparent = traceparent;
 
     return forwarded;
   }
 
   /**
    * Execute a tool by canonical or aliased tool ID.
+   * Calls outside context.scopes fail with TOOL_FORBIDDEN (status 403).
    */
   async callTool(toolId, args, context = {}) {
     const resolved = this.resolveTool(toolId);
@@ -275,6 +386,24 @@ class AdapterRegistry {
       throw createRegistryError('TOOL_NOT_FOUND', `Tool not found: ${toolId}`);
     }
 
+    const startedAt = Date.now();
+    const attributes = { 'mcp.adapter': resolved.adapterId, 'mcp.tool': resolved.canonicalId };
+    const parent = getTracer().getActiveSpan() || context.traceparent || getHeader(context.headers, 'traceparent') || null;
+    return getTracer().withSpan(`mcp.tool ${resolved.canonicalId}`, { attributes, parent }, async () => {
+      try {
+        const result = await this.invokeTool(resolved, args, context);
+        this.recordToolCall(resolved, startedAt);
+        return result;
+      } catch (error) {
+        this.recordToolCall(resolved, startedAt, error);
+        throw error;
+      }
+    });
+  }
+
+  async invokeTool(resolved, args, context) {
+    this.authorizeTool(resolved.canonicalId, context);
+
     const adapter = this.adapters.get(resolved.adapterId);
     if (!adapter) {
       throw new Error(`Adapter not found: ${resolved.adapterId}`);
@@ -284,6 +413,33 @@ class AdapterRegistry {
       throw new Error(`Adapter '${resolved.adapterId}' is not executable (mock)`);
     }
 
+    this.auditCompliance(adapter, resolved, 'input', args);
+
+    // Separate span for the adapter itself, so registry overhead and adapter time can be told apart.
+    const result = await getTracer().withSpan(`adapter ${resolved.adapterId}`, {
+      attributes: { 'mcp.adapter': resolved.adapterId, 'mcp.tool': resolved.tool.name }
+    }, () => this.dispatchToAdapter(adapter, resolved, args, context));
+
+    this.auditCompliance(adapter, resolved, 'output', result);
+    return result;
+  }
+
+  /**
+   * Audit a tool input or output under the adapter's declared compliance flags
+   * (see ComplianceManager.auditToolData). The data itself is not changed: the
+   * vendor needs the real inputs and the caller the real outputs.
+   */
+  auditCompliance(adapter, resolved, direction, data) {
+    if (!this.compliance) return;
+
+    this.compliance.auditToolData(resolved.adapterId, data, {
+      direction,
+      tool: resolved.tool.name,
+      compliance: adapter.compliance || (adapter.metadata && adapter.metadata.compliance)
+    });
+  }
+
+  dispatchToAdapter(adapter, resolved, args, context) {
     const forwardedHeaders = this.buildForwardHeaders(context);
 
     // Prefer explicit markers. Keep arity-based detection only as temporary shim
@@ -303,6 +459,16 @@ class AdapterRegistry {
     return adapter.callTool(resolved.tool.name, args, { ...context, headers: forwardedHeaders });
   }
 
+  recordToolCall(resolved, startedAt, error = null) {
+    if (!this.metrics || typeof this.metrics.recordToolCall !== 'function') return;
+    this.metrics.recordToolCall({
+      adapter: resolved.adapterId,
+      tool: normalizeToolNameForId(resolved.tool.name),
+      duration: Date.now() - startedAt,
+      error
+    });
+  }
+
   toAdaptersMap() {
     return this.adapters;
   }
@@ -0,0 +1,76 @@
+/**
+ * Adapter Watcher
+ *
+ * Watches the services directory (adapter modules and catalog.json) and emits
+ * a debounced 'change' event with the files touched, so the gateway can
+ * hot-reload MCP adapters without a restart.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const WATCHED_EXTENSIONS = new Set(['.js', '.cjs', '.json']);
+
+class AdapterWatcher extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.root Directory to watch recursively
+   * @param {number} [options.debounceMs] Quiet period before emitting (editors write files in bursts)
+   * @param {Function} [options.watch] fs.watch replacement (tests)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.root) {
+      throw new Error('AdapterWatcher requires a root directory');
+    }
+    this.root = options.root;
+    this.debounceMs = options.debounceMs ?? 300;
+    this.watch = options.watch || fs.watch;
+    this.watcher = null;
+    this.timer = null;
+    this.pending = new Set();
+  }
+
+  start() {
+    if (this.watcher) return this;
+    this.watcher = this.watch(this.root, { recursive: true, persistent: false }, (eventType, filename) => {
+      this.handleEvent(filename);
+    });
+    this.watcher.on('error', (error) => this.emit('error', error));
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  handleEvent(filename) {
+    if (!filename) return;
+    const relative = filename.toString();
+    const segments = relative.split(/[\\/]/);
+    if (segments.some((segment) => segment.startsWith('.') || segment === 'node_modules')) return;
+    if (!WATCHED_EXTENSIONS.has(path.extname(relative))) return;
+
+    this.pending.add(path.join(this.root, relative));
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  flush() {
+    this.timer = null;
+    if (this.pending.size === 0) return;
+    const files = [...this.pending];
+    this.pending.clear();
+    this.emit('change', files);
+  }
+}
+
+module.exports = AdapterWatcher;
@@ -52,6 +52,16 @@ class MCPDiscoveryLayer {
         console.log(`✅ Discovery Layer initialized (${this.registry.getOperationCount()} operations indexed)`);
     }
 
+    /**
+     * Rebuild the registry after adapters were added, replaced or removed.
+     * A layer that was never initialized builds on first use instead.
+     */
+    async refresh() {
+        if (!this.isInitialized) return;
+        await this.registry.buildFromAdapters(this.gateway.adapters, this.gateway.services);
+        console.log(`🔄 Discovery Layer refreshed (${this.registry.getOperationCount()} operations indexed)`);
+    }
+
     /**
      * Get the 5 meta-tools for lazy mode
      */
@@ -94,7 +104,7 @@ class MCPDiscoveryLayer {
             },
             {
                 name: 'gateway-execute',
-                description: 'Execute a specific tool. Use gateway-intent first to find the right tool_id. Includes risk enforcement and validation.',
+                description: 'Execute a specific tool. Use gateway-intent first to find the right tool_id. Includes risk enforcement and validation. High-risk operations wait for human approval: repeat the call with the same idempotency_key to check its status.',
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -115,7 +125,11 @@ class MCPDiscoveryLayer {
                                     type: 'string',
                                     description: 'REQUIRED for high-risk operations'
                                 },
-                                dry_run: { type: 'boolean', default: false },
+                                dry_run: {
+                                    type: 'boolean',
+                                    default: false,
+                                    description: 'Validate params and return the outbound request (method, URL, redacted headers, body) without calling the vendor'
+                                },
                                 confirmed: {
                                     type: 'boolean',
                                     default: false,
@@ -212,7 +226,7 @@ class MCPDiscoveryLayer {
             case 'gateway-adapters':
                 return await this.adaptersHandler.handle(args);
             case 'gateway-tools':
-                return await this.toolsHandler.handle(args);
+                return await this.toolsHandler.handle(args, context);
             case 'gateway-reference':
                 return await this.referenceHandler.handle(args);
             default:
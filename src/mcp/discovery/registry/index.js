@@ -28,24 +28,28 @@ class OperationRegistry {
     async buildFromAdapters(adaptersMap, servicesMap) {
         console.log('📦 Building operation registry from adapters...');
 
-        this.operations.clear();
-        this.adapters.clear();
-        this.byTag.clear();
-        this.byCategory.clear();
-        this.byAdapter.clear();
+        // Index into a scratch registry so searches during a rebuild (adapter
+        // hot-reload) keep seeing the previous complete index
+        const next = new OperationRegistry();
 
         // Process each adapter
         for (const [adapterId, adapter] of adaptersMap.entries()) {
-            await this.indexAdapter(adapterId, adapter);
+            await next.indexAdapter(adapterId, adapter);
         }
 
         // Also index API services if available
         if (servicesMap) {
             for (const [serviceName, service] of servicesMap.entries()) {
-                this.indexService(serviceName, service);
+                next.indexService(serviceName, service);
             }
         }
 
+        this.operations = next.operations;
+        this.adapters = next.adapters;
+        this.byTag = next.byTag;
+        this.byCategory = next.byCategory;
+        this.byAdapter = next.byAdapter;
+
         this.builtAt = new Date().toISOString();
         console.log(`✅ Registry built: ${this.operations.size} operations, ${this.adapters.size} adapters`);
     }
@@ -2,13 +2,23 @@
  * gateway-execute - Tool Execution with Policy Enforcement
  *
  * Execute any tool with validated parameters and risk management.
- * Deny-by-default stance for high-risk operations.
+ * Deny-by-default stance for high-risk operations: when the gateway has an
+ * approval queue, high-risk calls are parked until a human approves them.
  */
 
+const SchemaValidator = require('../../../../core/abstraction/schema-validator');
+const { runDryRun } = require('../../../../core/dry-run');
+
 class GatewayExecute {
     constructor(gateway, registry) {
         this.gateway = gateway;
         this.registry = registry;
+
+        const approvals = gateway && gateway.approvals;
+        if (approvals && typeof approvals.registerExecutor === 'function') {
+            approvals.registerExecutor('gateway-execute', (execution, context) =>
+                this.executeWithIdempotency(execution, context));
+        }
     }
 
     async handle(args, context = {}) {
@@ -54,6 +64,24 @@ class GatewayExecute {
             }
         }
 
+        // Tool-level authorization: the caller's scopes must allow this tool
+        const adapterRegistry = this.gateway && this.gateway.adapterRegistry;
+        if (adapterRegistry && typeof adapterRegistry.authorizeTool === 'function') {
+            try {
+                adapterRegistry.authorizeTool(canonicalToolId, context);
+            } catch (error) {
+                return {
+                    success: false,
+                    tool_id: canonicalToolId,
+                    error: {
+                        code: error.code || 'TOOL_FORBIDDEN',
+                        message: error.message,
+                        required_scopes: (error.meta && error.meta.requiredScopes) || []
+                    }
+                };
+            }
+        }
+
         // Get operation metadata from registry
         const operation = this.registry.getOperation(canonicalToolId) || this.registry.getOperation(tool_id);
         const operationMeta = operation || {
@@ -77,14 +105,17 @@ class GatewayExecute {
             };
         }
 
-        // 2. Check confirmation for destructive operations
+        // 2. Check confirmation for destructive operations. High-risk operations need
+        // human approval instead; a caller-supplied `confirmed` flag is not enough.
+        const approvals = this.gateway && this.gateway.approvals;
+        const requiresApproval = operationMeta.risk_level === 'high' && !!approvals;
         const toolNameForPolicy = (resolvedToolName || toolName || '').toLowerCase();
         const isDestructive = toolNameForPolicy.includes('delete') ||
                               toolNameForPolicy.includes('cancel') ||
                               toolNameForPolicy.includes('remove') ||
                               toolNameForPolicy.includes('revoke');
 
-        if (isDestructive && !options.confirmed) {
+        if (isDestructive && !options.confirmed && !requiresApproval) {
             return {
                 success: false,
                 error: {
@@ -108,23 +139,159 @@ class GatewayExecute {
 
         // 4. Dry run mode
         if (options.dry_run) {
+            return this.dryRun({
+                toolId: tool_id,
+                canonicalToolId,
+                resolvedAdapterId,
+                resolvedToolName,
+                params,
+                operationMeta
+            }, context);
+        }
+
+        // ============ Execute the Operation ============
+
+        const execution = {
+            toolId: tool_id,
+            canonicalToolId,
+            adapterId,
+            resolvedAdapterId,
+            toolName,
+            resolvedToolName,
+            params,
+            options,
+            operationMeta
+        };
+
+        // 5. Human approval for high-risk operations
+        if (requiresApproval) {
+            return this.requestApproval(execution, context);
+        }
+
+        return this.executeWithIdempotency(execution, context);
+    }
+
+    /**
+     * Park a high-risk call in the approval queue. Repeating the call with the
+     * same idempotency_key reports the approval's current state (and the
+     * execution result once approved).
+     */
+    async requestApproval(execution, context = {}) {
+        const { toolId: tool_id, canonicalToolId, params, options, operationMeta } = execution;
+        const approvals = this.gateway.approvals;
+        const idempotency = this.gateway.idempotency;
+        const principal = idempotency && typeof idempotency.resolvePrincipal === 'function'
+            ? idempotency.resolvePrincipal(context)
+            : (context.projectScope || 'default');
+
+        let approval;
+        try {
+            ({ approval } = await approvals.submit({
+                source: 'gateway-execute',
+                principal,
+                idempotencyKey: options.idempotency_key,
+                toolId: canonicalToolId,
+                params,
+                riskLevel: operationMeta.risk_level,
+                request: execution,
+                context
+            }));
+        } catch (error) {
             return {
-                success: true,
-                dry_run: true,
+                success: false,
                 tool_id: canonicalToolId,
-                ...(canonicalToolId !== tool_id ? { requested_tool_id: tool_id } : {}),
-                params,
-                validation: 'passed',
-                message: 'Dry run successful. Remove dry_run option to execute.',
-                operation_meta: {
-                    adapter: resolvedAdapterId,
-                    tool: resolvedToolName,
-                    risk_level: operationMeta.risk_level || 'unknown'
+                error: {
+                    code: error.code || 'APPROVAL_ERROR',
+                    message: error.message
                 }
             };
         }
 
-        // ============ Execute the Operation ============
+        const summary = {
+            id: approval.id,
+            status: approval.status,
+            expires_at: approval.expires_at
+        };
+
+        if (approval.status === 'executed' || approval.status === 'failed') {
+            return {
+                ...approval.result,
+                meta: { ...((approval.result && approval.result.meta) || {}), approval: summary }
+            };
+        }
+
+        const errors = {
+            pending: ['APPROVAL_PENDING', 'This operation is high-risk and is waiting for human approval. Repeat this call with the same idempotency_key to check its status.'],
+            approved: ['APPROVAL_PENDING', 'This operation was approved and is executing. Repeat this call with the same idempotency_key to get the result.'],
+            rejected: ['APPROVAL_REJECTED', `This operation was rejected${approval.reason ? `: ${approval.reason}` : '.'}`],
+            expired: ['APPROVAL_EXPIRED', 'The approval request expired before it was approved.']
+        };
+        const [code, message] = errors[approval.status];
+
+        return {
+            success: false,
+            tool_id: canonicalToolId,
+            ...(canonicalToolId !== tool_id ? { requested_tool_id: tool_id } : {}),
+            approval: summary,
+            error: { code, message }
+        };
+    }
+
+    /**
+     * Execute, replaying the stored result for a repeated idempotency key
+     * (shared with the REST routes). Approved calls run through here with
+     * their original key, so they execute at most once.
+     */
+    async executeWithIdempotency(execution, context = {}) {
+        const { canonicalToolId, params, options } = execution;
+
+        const idempotency = this.gateway && this.gateway.idempotency;
+        if (options.idempotency_key && idempotency) {
+            try {
+                const { replayed, response } = await idempotency.execute(
+                    {
+                        key: options.idempotency_key,
+                        payload: { tool_id: canonicalToolId, params: params || null },
+                        context
+                    },
+                    () => this.executeOperation(execution, context),
+                    { cacheable: (result) => !!(result && result.success) }
+                );
+                if (!replayed) return response;
+                return {
+                    ...response,
+                    meta: { ...(response.meta || {}), idempotent_replay: true }
+                };
+            } catch (error) {
+                return {
+                    success: false,
+                    tool_id: canonicalToolId,
+                    error: {
+                        code: error.code || 'IDEMPOTENCY_ERROR',
+                        message: error.message
+                    }
+                };
+            }
+        }
+
+        return this.executeOperation(execution, context);
+    }
+
+    /**
+     * Execute a validated operation via the AdapterRegistry (or legacy adapter map)
+     */
+    async executeOperation(execution, context = {}) {
+        const {
+            toolId: tool_id,
+            canonicalToolId,
+            adapterId,
+            resolvedAdapterId,
+            toolName,
+            resolvedToolName,
+            params,
+            options,
+            operationMeta
+        } = execution;
 
         const startTime = Date.now();
 
@@ -230,7 +397,7 @@ class GatewayExecute {
                 ...(canonicalToolId !== tool_id ? { requested_tool_id: tool_id } : {}),
                 execution_time_ms: executionTime,
                 error: {
-                    code: 'EXECUTION_ERROR',
+                    code: error.code === 'TOOL_FORBIDDEN' ? error.code : 'EXECUTION_ERROR',
                     message: error.message,
                     adapter: resolvedAdapterId,
                     tool: resolvedToolName
@@ -239,6 +406,113 @@ class GatewayExecute {
         }
     }
 
+    /**
+     * Dry run: validate params against the tool's inputSchema and capture the
+     * outbound request the adapter would send, without sending it.
+     */
+    async dryRun({ toolId, canonicalToolId, resolvedAdapterId, resolvedToolName, params, operationMeta }, context = {}) {
+        const registry = this.gateway && this.gateway.adapterRegistry;
+        const resolved = registry && typeof registry.resolveTool === 'function'
+            ? registry.resolveTool(canonicalToolId)
+            : null;
+
+        if (!resolved) {
+            return {
+                success: false,
+                dry_run: true,
+                error: {
+                    code: 'TOOL_NOT_FOUND',
+                    message: `Tool not found: ${toolId}`
+                }
+            };
+        }
+
+        const base = {
+            dry_run: true,
+            tool_id: resolved.canonicalId,
+            ...(resolved.canonicalId !== toolId ? { requested_tool_id: toolId } : {}),
+            params,
+            operation_meta: {
+                adapter: resolved.adapterId || resolvedAdapterId,
+                tool: resolved.tool?.name || resolvedToolName,
+                risk_level: operationMeta.risk_level || 'unknown'
+            }
+        };
+
+        // Validate a copy so schema defaults do not leak into the previewed request.
+        const inputSchema = resolved.tool && resolved.tool.inputSchema;
+        let validation = 'skipped';
+        if (inputSchema && typeof inputSchema === 'object') {
+            let result;
+            try {
+                result = this.getSchemaValidator().validate(
+                    `tool:${resolved.canonicalId}`,
+                    inputSchema,
+                    params && typeof params === 'object' ? JSON.parse(JSON.stringify(params)) : params
+                );
+            } catch (error) {
+                result = null;
+                validation = `skipped: invalid inputSchema (${error.message})`;
+            }
+            if (result && !result.valid) {
+                return {
+                    success: false,
+                    ...base,
+                    validation: 'failed',
+                    error: {
+                        code: 'INVALID_PARAMS',
+                        message: result.errors[0].message,
+                        errors: result.errors
+                    }
+                };
+            }
+            if (result) validation = 'passed';
+        }
+
+        const adapter = typeof registry.getAdapter === 'function' ? registry.getAdapter(resolved.adapterId) : null;
+        if (!adapter || adapter.is_mock || typeof adapter.supportsDryRun !== 'function' || !adapter.supportsDryRun()) {
+            return {
+                success: true,
+                ...base,
+                validation,
+                outbound_request: null,
+                message: `Adapter '${resolved.adapterId}' cannot preview outbound requests; params were validated only.`
+            };
+        }
+
+        let captured;
+        try {
+            captured = await runDryRun(() => registry.callTool(resolved.canonicalId, params, context));
+        } catch (error) {
+            return {
+                success: false,
+                ...base,
+                validation,
+                error: {
+                    code: 'DRY_RUN_FAILED',
+                    message: error.message
+                }
+            };
+        }
+
+        return {
+            success: true,
+            ...base,
+            validation,
+            outbound_request: captured.requests[0] || null,
+            message: captured.requests.length > 0
+                ? 'Dry run successful. Nothing was sent. Remove dry_run option to execute.'
+                : 'Dry run successful. The adapter made no outbound request.'
+        };
+    }
+
+    getSchemaValidator() {
+        if (!this.schemaValidator) {
+            this.schemaValidator = new SchemaValidator({ strict: false });
+        }
+        return this.schemaValidator;
+    }
+
     /**
      * Validate params against schema
      */
@@ -5,12 +5,14 @@
  * Supports search and category filtering.
  */
 
+const { isToolAllowed } = require('../../../../core/security/tool-scopes');
+
 class GatewayTools {
     constructor(registry) {
         this.registry = registry;
     }
 
-    async handle(args) {
+    async handle(args, context = {}) {
         const { adapter, category, search, limit = 20, offset = 0 } = args;
 
         if (!adapter) {
@@ -37,8 +39,10 @@ class GatewayTools {
             };
         }
 
-        // Get all operations for this adapter
-        let operations = this.registry.getAdapterOperations(adapter);
+        // Get the operations of this adapter the caller's scopes allow
+        const allowedOperations = this.registry.getAdapterOperations(adapter)
+            .filter(op => isToolAllowed(context.scopes, { adapterId: op.adapter, toolName: op.tool, category: op.category }));
+        let operations = allowedOperations;
 
         // Apply category filter
         if (category) {
@@ -63,8 +67,7 @@ class GatewayTools {
         const paged = operations.slice(offset, offset + limit);
 
         // Get available categories
-        const allOperations = this.registry.getAdapterOperations(adapter);
-        const categories = [...new Set(allOperations.map(op => op.category).filter(Boolean))];
+        const categories = [...new Set(allowedOperations.map(op => op.category).filter(Boolean))];
 
         // Format tool responses
         const tools = paged.map(op => ({
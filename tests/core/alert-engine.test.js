@@ -0,0 +1,230 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import EventEmitter from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// CommonJS interop
+import AlertEngineImport from '../../core/monitoring/alert-engine.js';
+import AlertSinksImport from '../../core/monitoring/alert-sinks.js';
+
+const AlertEngine = AlertEngineImport?.default || AlertEngineImport;
+const { SlackSink, EmailSink } = AlertSinksImport?.default || AlertSinksImport;
+
+const buildEngine = (rules, options = {}) => {
+  const clock = { now: 0 };
+  const metrics = new EventEmitter();
+  const sent = [];
+  const engine = new AlertEngine({
+    metrics,
+    now: () => clock.now,
+    createSink: (config) => ({ send: async (notification) => sent.push({ sink: config.name, ...notification }) }),
+    config: { rules, sinks: [{ name: 'pager', type: 'webhook' }] },
+    ...options
+  });
+  return { engine, metrics, sent, clock };
+};
+
+const requests = (metrics, count, { service = 'api-gateway', statusCode = 200, duration = 10 } = {}) => {
+  for (let i = 0; i < count; i += 1) {
+    metrics.emit('metric:request', { service, statusCode, duration });
+  }
+};
+
+describe('AlertEngine', () => {
+  it('fires an error-rate alert after its for-duration, notifies once and resolves', async () => {
+    const { engine, metrics, sent, clock } = buildEngine([
+      { name: 'errors', type: 'error_rate', threshold: 10, window: '5m', for: '1m', minSamples: 10 }
+    ]);
+
+    requests(metrics, 8);
+    requests(metrics, 2, { statusCode: 503 });
+    await engine.evaluate();
+    expect(engine.list()).toEqual([expect.objectContaining({ state: 'pending', value: 20, service: 'api-gateway' })]);
+
+    clock.now = 60000;
+    await engine.evaluate();
+    clock.now = 90000;
+    await engine.evaluate();
+    expect(sent.map((n) => [n.sink, n.status])).toEqual([['pager', 'firing']]);
+    expect(engine.list({ state: 'firing' })).toHaveLength(1);
+
+    clock.now = 400000; // the failing requests left the window
+    requests(metrics, 10);
+    await engine.evaluate();
+    expect(sent.map((n) => n.status)).toEqual(['firing', 'resolved']);
+    expect(engine.list()).toEqual([expect.objectContaining({ state: 'resolved', rule: 'errors' })]);
+  });
+
+  it('drops pending alerts that recover before firing', async () => {
+    const { engine, metrics, sent, clock } = buildEngine([
+      { name: 'errors', type: 'error_rate', threshold: 10, window: '1m', for: '5m' }
+    ]);
+
+    requests(metrics, 1, { statusCode: 500 });
+    await engine.evaluate();
+    clock.now = 120000;
+    requests(metrics, 1);
+    await engine.evaluate();
+
+    expect(engine.list()).toEqual([]);
+    expect(sent).toEqual([]);
+  });
+
+  it('suppresses notifications for a rule/service within its cooldown', async () => {
+    const { engine, metrics, sent, clock } = buildEngine([
+      { name: 'breaker', type: 'circuit_breaker', cooldown: '10m' }
+    ]);
+
+    metrics.emit('metric:circuit_breaker', { service: 'paystack', state: 'OPEN' });
+    await engine.evaluate();
+    clock.now = 60000;
+    metrics.emit('metric:circuit_breaker', { service: 'paystack', state: 'CLOSED' });
+    await engine.evaluate();
+    clock.now = 120000;
+    metrics.emit('metric:circuit_breaker', { service: 'paystack', state: 'OPEN' });
+    await engine.evaluate();
+
+    expect(sent.map((n) => n.status)).toEqual(['firing', 'resolved']);
+    expect(engine.list({ state: 'firing' })).toEqual([expect.objectContaining({ notified: false })]);
+
+    clock.now = 180000;
+    metrics.emit('metric:circuit_breaker', { service: 'paystack', state: 'CLOSED' });
+    await engine.evaluate();
+    expect(sent.map((n) => n.status)).toEqual(['firing', 'resolved']);
+  });
+
+  it('evaluates latency percentiles per adapter and counts compliance violations', async () => {
+    const { engine, metrics } = buildEngine([
+      { name: 'slow-tools', type: 'latency', source: 'tool_calls', percentile: 90, threshold: 1000 },
+      { name: 'violations', type: 'compliance_violation', service: 'stripe' }
+    ]);
+
+    for (let i = 1; i <= 10; i += 1) {
+      metrics.emit('metric:tool_call', { adapter: 'paystack', tool: 'charge', duration: i * 200 });
+      metrics.emit('metric:tool_call', { adapter: 'stripe', tool: 'charge', duration: 100 });
+    }
+    metrics.emit('metric:compliance', { service: 'stripe', regulation: 'PCI_DSS', violationType: 'validation_failed' });
+    metrics.emit('metric:compliance', { service: 'paystack', regulation: 'GDPR', violationType: 'validation_failed' });
+    await engine.evaluate();
+
+    expect(engine.list().map((a) => [a.rule, a.service, a.value])).toEqual([
+      ['slow-tools', 'paystack', 1800],
+      ['violations', 'stripe', 1]
+    ]);
+  });
+
+  it('validates rules and loads YAML with environment substitution', () => {
+    expect(() => buildEngine([{ name: 'x', type: 'throughput', threshold: 1 }]))
+      .toThrow(/type must be one of/);
+    expect(() => buildEngine([{ name: 'x', type: 'latency', threshold: 1, window: 'soon' }]))
+      .toThrow(/invalid duration 'soon'/);
+    expect(() => buildEngine([{ name: 'x', type: 'error_rate', threshold: 1, sinks: ['nowhere'] }]))
+      .toThrow(/unknown sink 'nowhere'/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    const configPath = path.join(dir, 'alerts.yaml');
+    fs.writeFileSync(configPath, [
+      'rules:',
+      '  - name: errors',
+      '    type: error_rate',
+      '    threshold: 5',
+      '    window: 10m',
+      'sinks:',
+      '  - name: slack',
+      '    type: slack',
+      '    url: ${TEST_ALERT_SLACK_URL}'
+    ].join('\n'));
+    process.env.TEST_ALERT_SLACK_URL = 'https://hooks.slack.test/abc';
+    try {
+      const engine = new AlertEngine({ configPath });
+      expect(engine.rules[0]).toMatchObject({ name: 'errors', window: 600000, sinks: ['slack'] });
+      expect(engine.sinks.get('slack').url).toBe('https://hooks.slack.test/abc');
+    } finally {
+      delete process.env.TEST_ALERT_SLACK_URL;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('alert sinks', () => {
+  let server;
+
+  afterEach(() => {
+    if (server) server.close();
+    server = null;
+  });
+
+  const notification = {
+    status: 'firing',
+    alert: { rule: 'errors', service: 'paystack', severity: 'critical', value: 12.5, threshold: 5 },
+    rule: { name: 'errors', summary: 'Payment errors are elevated' }
+  };
+
+  it('posts Slack-compatible text to an incoming webhook', async () => {
+    const calls = [];
+    const sink = new SlackSink({
+      name: 'slack',
+      url: 'https://hooks.slack.test/abc',
+      fetch: async (url, init) => {
+        calls.push({ url, body: JSON.parse(init.body) });
+        return { ok: true, status: 200 };
+      }
+    });
+
+    await sink.send(notification);
+
+    expect(calls).toEqual([{
+      url: 'https://hooks.slack.test/abc',
+      body: { text: ':rotating_light: [CRITICAL] errors (paystack): value 12.5 vs threshold 5\nPayment errors are elevated' }
+    }]);
+  });
+
+  it('delivers email over SMTP', async () => {
+    const received = [];
+    server = net.createServer((socket) => {
+      let inData = false;
+      let buffer = '';
+      socket.write('220 localhost ESMTP test\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              received.push(line);
+            }
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else {
+            received.push(line);
+            socket.write('250 ok\r\n');
+          }
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const sink = new EmailSink({
+      name: 'email',
+      host: '127.0.0.1',
+      port: server.address().port,
+      from: 'alerts@example.com',
+      to: ['oncall@example.com']
+    });
+    await sink.send(notification);
+
+    expect(received).toContain('MAIL FROM:<alerts@example.com>');
+    expect(received).toContain('RCPT TO:<oncall@example.com>');
+    expect(received).toContain('Subject: [CRITICAL] errors (paystack): value 12.5 vs threshold 5');
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// CommonJS interop
+import ComplianceManagerImport from '../../core/security/compliance-manager.js';
+import AuditChainImport from '../../core/security/audit-chain.js';
+import AuditStoresImport from '../../core/security/audit-stores.js';
+
+const ComplianceManager = ComplianceManagerImport?.default || ComplianceManagerImport;
+const { verifyChain, sealEntry } = AuditChainImport?.default || AuditChainImport;
+const { FileAuditStore, PostgresAuditStore } = AuditStoresImport?.default || AuditStoresImport;
+
+describe('ComplianceManager hash-chained audit log', () => {
+  let dir;
+  let filePath;
+
+  const createManager = (options = {}) => new ComplianceManager({
+    auditStore: new FileAuditStore({ filePath }),
+    auditHmacKey: 'audit-secret',
+    ...options
+  });
+
+  const readLines = () => fs.readFileSync(filePath, 'utf-8').trim().split('\n');
+  const writeLines = (lines) => fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    filePath = path.join(dir, 'compliance-audit.log');
+    const manager = createManager();
+    manager.logAuditEntry('DATA_HANDLING', { serviceId: 'paystack', operation: 'process' });
+    manager.logAuditEntry('PCI_FIELD_REMOVED', { field: 'cvv', operation: 'process' });
+    manager.logAuditEntry('DATA_HANDLING', { serviceId: 'stripe', operation: 'store' });
+    await manager.flushAuditLog();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('chains and signs every entry', async () => {
+    const entries = readLines().map((line) => JSON.parse(line));
+
+    expect(entries.map((entry) => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].signature).toMatch(/^[0-9a-f]{64}$/);
+    await expect(createManager().verifyAuditTrail()).resolves.toMatchObject({ valid: true, checked: 3 });
+  });
+
+  it('continues the chain and serves filtered trails after a restart', async () => {
+    const restarted = createManager();
+    restarted.logAuditEntry('DATA_HANDLING', { serviceId: 'paystack', operation: 'store' });
+
+    const trail = await restarted.getAuditTrail({ serviceId: 'paystack' });
+
+    expect(trail.map((entry) => entry.seq)).toEqual([1, 4]);
+    expect(await restarted.getAuditTrail({ action: 'PCI_FIELD_REMOVED' })).toHaveLength(1);
+    expect((await restarted.verifyAuditTrail()).valid).toBe(true);
+  });
+
+  it('detects edited entries', async () => {
+    const lines = readLines();
+    const edited = JSON.parse(lines[1]);
+    edited.details.field = 'pan';
+    lines[1] = JSON.stringify(edited);
+    writeLines(lines);
+
+    const result = await createManager().verifyAuditTrail();
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([expect.objectContaining({ type: 'HASH_MISMATCH', seq: 2 })]);
+  });
+
+  it('detects removed entries', async () => {
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+
+    const result = await createManager().verifyAuditTrail();
+
+    expect(result.errors.map((error) => error.type)).toEqual(['SEQUENCE_GAP', 'CHAIN_BROKEN']);
+  });
+
+  it('detects a rebuilt chain without the HMAC key', async () => {
+    const lines = readLines().map((line) => JSON.parse(line));
+    let head = null;
+    const forged = lines.map((entry) => {
+      const sealed = sealEntry({ ...entry, details: { ...entry.details, forged: true } }, head);
+      head = sealed;
+      return JSON.stringify(sealed);
+    });
+    writeLines(forged);
+
+    const result = await createManager().verifyAuditTrail();
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.every((error) => error.type === 'SIGNATURE_MISSING')).toBe(true);
+    await expect(createManager().verifyAuditTrail({ hmacKey: null })).resolves.toMatchObject({ valid: true });
+  });
+
+  it('accepts unchained entries only before the chain starts', async () => {
+    const legacy = JSON.stringify({ id: 'old', action: 'LEGACY', details: {}, timestamp: '2023-01-01T00:00:00.000Z' });
+    const lines = readLines();
+
+    expect(await verifyChain([JSON.parse(legacy), ...lines.map((l) => JSON.parse(l))]))
+      .toMatchObject({ valid: true, legacy: 1, signaturesNotChecked: 3 });
+    expect((await verifyChain([...lines.map((l) => JSON.parse(l)), JSON.parse(legacy)])).errors[0].type)
+      .toBe('UNCHAINED_ENTRY');
+  });
+});
+
+describe('PostgresAuditStore', () => {
+  it('extends the chain under an advisory lock', async () => {
+    const queries = [];
+    const client = {
+      query: vi.fn(async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.startsWith('SELECT seq, hash')) return { rows: [{ seq: '7', hash: 'a'.repeat(64) }] };
+        return { rows: [] };
+      })
+    };
+    const db = { withTransaction: async (fn) => fn(client), query: vi.fn() };
+    const store = new PostgresAuditStore({ db });
+
+    const sealed = await store.append((head) => sealEntry({
+      id: '00000000-0000-4000-8000-000000000001',
+      timestamp: '2024-05-01T00:00:00.000Z',
+      action: 'DATA_HANDLING',
+      details: { serviceId: 'paystack' }
+    }, head));
+
+    expect(queries[0].sql).toContain('pg_advisory_xact_lock');
+    expect(sealed).toMatchObject({ seq: 8, prevHash: 'a'.repeat(64) });
+    expect(queries[2].params.slice(0, 2)).toEqual([8, '00000000-0000-4000-8000-000000000001']);
+  });
+
+  it('filters the trail in SQL', async () => {
+    const db = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+    const store = new PostgresAuditStore({ db });
+
+    await store.query({ serviceId: 'paystack', action: 'DATA_HANDLING', since: '2024-05-01', limit: 50 });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain(`details->>'serviceId' = $1 AND action = $2 AND occurred_at >= $3`);
+    expect(sql).toContain('LIMIT $4');
+    expect(params).toEqual(['paystack', 'DATA_HANDLING', '2024-05-01T00:00:00.000Z', 50]);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+
+// CommonJS interop
+import ComplianceManagerImport from '../../core/security/compliance-manager.js';
+import AdapterRegistryImport from '../../src/mcp/adapter-registry.js';
+
+const ComplianceManager = ComplianceManagerImport?.default || ComplianceManagerImport;
+const AdapterRegistry = AdapterRegistryImport?.default || AdapterRegistryImport;
+
+const createManager = () => {
+  const appended = [];
+  const manager = new ComplianceManager({
+    auditStore: {
+      append: async (seal) => {
+        const sealed = seal(null);
+        appended.push(sealed);
+        return sealed;
+      }
+    }
+  });
+  manager.appended = appended;
+  return manager;
+};
+
+describe('ComplianceManager tool data audit', () => {
+  it('normalizes the compliance flag spellings used by service definitions', () => {
+    const manager = createManager();
+
+    expect(manager.normalizeComplianceFlags({ pci_dss: 'Level 1', gdpr_compliant: true })).toEqual({
+      pci: true, gdpr: true, psd2: false, sox: false, hipaa: false
+    });
+    expect(manager.getServiceConfig('unknown')).toBeNull();
+  });
+
+  it('audits card and personal data fields at any depth without logging their values', async () => {
+    const manager = createManager();
+    manager.registerServiceConfig('paystack', { compliance: { pci: true, gdpr: true } });
+    const data = {
+      amount: 5000,
+      card: { card_number: '4084 0840 8408 4081', cvv: '408', cvv2: '123' },
+      customers: [{ email: 'ada@example.com', bvn: '22222222222' }]
+    };
+
+    const { regimes, withheldFields } = manager.auditToolData('paystack', data, { direction: 'output', tool: 'charge' });
+
+    expect(regimes).toEqual(['PCI_DSS', 'GDPR']);
+    expect(withheldFields).toEqual([
+      'card.card_number', 'card.cvv', 'card.cvv2', 'customers[0].email', 'customers[0].bvn'
+    ]);
+    expect(data.card.card_number).toBe('4084 0840 8408 4081');
+    await manager.flushAuditLog();
+    const entry = manager.appended.at(-1);
+    expect(entry).toMatchObject({
+      action: 'DATA_HANDLING',
+      details: {
+        serviceId: 'paystack',
+        tool: 'charge',
+        operation: 'output',
+        dataFields: ['amount', 'card', 'customers'],
+        regimes: ['PCI_DSS', 'GDPR']
+      }
+    });
+    expect(JSON.stringify(entry)).not.toMatch(/4084|ada@example\.com|22222222222/);
+  });
+
+  it('leaves data from adapters without compliance flags untouched and unaudited', async () => {
+    const manager = createManager();
+    const input = { email: 'ada@example.com' };
+
+    const result = manager.auditToolData('weather', input, { direction: 'output' });
+
+    expect(result).toEqual({ regimes: [], withheldFields: [] });
+    await manager.flushAuditLog();
+    expect(manager.appended).toHaveLength(0);
+  });
+});
+
+describe('AdapterRegistry compliance enforcement', () => {
+  const buildRegistry = (adapterOverrides = {}) => {
+    const compliance = createManager();
+    const calls = [];
+    const registry = new AdapterRegistry({ compliance });
+    const adapter = {
+      id: 'paystack',
+      tools: [{ name: 'charge' }],
+      callToolVersion: 'v2',
+      callTool: async (toolName, args) => {
+        calls.push(args);
+        return { status: 'success', authorization: { card_number: '4084084084084081' }, customer: { email: 'ada@example.com' } };
+      },
+      ...adapterOverrides
+    };
+    return { registry, adapter, compliance, calls };
+  };
+
+  it('returns real inputs and outputs and audits them', async () => {
+    const { registry, adapter, compliance, calls } = buildRegistry();
+    compliance.registerServiceConfig('paystack', { compliance: { pci: true, gdpr: true } });
+    await registry.register(adapter, { skipInitialize: true });
+
+    const result = await registry.callTool('paystack:charge', { card_number: '4084084084084081' }, {});
+
+    expect(calls[0]).toEqual({ card_number: '4084084084084081' });
+    expect(result.authorization.card_number).toBe('4084084084084081');
+    expect(result.customer.email).toBe('ada@example.com');
+    await compliance.flushAuditLog();
+    expect(compliance.appended.map((entry) => entry.details.operation)).toEqual(['input', 'output']);
+    expect(compliance.appended[0].details.withheldFields).toEqual(['card_number']);
+  });
+
+  it('prefers compliance flags declared on the adapter metadata', async () => {
+    const { registry, adapter, compliance } = buildRegistry({ metadata: { compliance: { gdpr_compliant: true } } });
+    await registry.register(adapter, { skipInitialize: true });
+
+    const result = await registry.callTool('paystack:charge', {});
+
+    expect(result.customer.email).toBe('ada@example.com');
+    await compliance.flushAuditLog();
+    expect(compliance.appended.at(-1).details).toMatchObject({
+      operation: 'output',
+      regimes: ['GDPR'],
+      withheldFields: ['customer.email']
+    });
+  });
+});
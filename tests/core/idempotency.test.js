@@ -0,0 +1,261 @@
+import { describe, it, expect, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import IdempotencyManagerImport from '../../core/idempotency/idempotency-manager.js';
+import IdempotencyStoresImport from '../../core/idempotency/idempotency-stores.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+import GatewayExecuteImport from '../../src/mcp/discovery/tools/execute.js';
+
+const IdempotencyManager = IdempotencyManagerImport?.default || IdempotencyManagerImport;
+const { MemoryIdempotencyStore, PostgresIdempotencyStore } = IdempotencyStoresImport?.default || IdempotencyStoresImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+const GatewayExecute = GatewayExecuteImport?.default || GatewayExecuteImport;
+
+const context = { authorization: 'Bearer token-a', projectScope: 'lanonasis-maas' };
+
+describe('IdempotencyManager', () => {
+  it('runs once and replays the stored response', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const fn = vi.fn().mockResolvedValue({ id: 'tr_1' });
+
+    const first = await manager.execute({ key: 'k1', payload: { amount: 10 }, context }, fn);
+    const second = await manager.execute({ key: 'k1', payload: { amount: 10 }, context }, fn);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(first).toEqual({ replayed: false, response: { id: 'tr_1' } });
+    expect(second).toEqual({ replayed: true, response: { id: 'tr_1' } });
+  });
+
+  it('ignores key order when fingerprinting payloads', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const fn = vi.fn().mockResolvedValue({ ok: true });
+
+    await manager.execute({ key: 'k1', payload: { a: 1, b: 2 }, context }, fn);
+    const replay = await manager.execute({ key: 'k1', payload: { b: 2, a: 1 }, context }, fn);
+
+    expect(replay.replayed).toBe(true);
+  });
+
+  it('rejects reuse of a key with a different payload', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    await manager.execute({ key: 'k1', payload: { amount: 10 }, context }, async () => ({ ok: true }));
+
+    await expect(
+      manager.execute({ key: 'k1', payload: { amount: 20 }, context }, async () => ({ ok: true }))
+    ).rejects.toMatchObject({ status: 422, code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+
+  it('scopes keys to the caller credential', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const fn = vi.fn().mockResolvedValue({ ok: true });
+
+    await manager.execute({ key: 'k1', payload: {}, context }, fn);
+    const other = await manager.execute({ key: 'k1', payload: {}, context: { ...context, authorization: 'Bearer token-b' } }, fn);
+
+    expect(other.replayed).toBe(false);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('keys on the verified principal id so a refreshed token replays', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const fn = vi.fn().mockResolvedValue({ id: 'tr_1' });
+    const verified = { ...context, tenantId: 'lanonasis-maas', principalId: 'user_1' };
+
+    await manager.execute({ key: 'k1', payload: {}, context: verified }, fn);
+    const refreshed = await manager.execute({
+      key: 'k1',
+      payload: {},
+      context: { ...verified, authorization: 'Bearer token-refreshed' }
+    }, fn);
+    const otherUser = await manager.execute({ key: 'k1', payload: {}, context: { ...verified, principalId: 'user_2' } }, fn);
+
+    expect(refreshed.replayed).toBe(true);
+    expect(otherUser.replayed).toBe(false);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('joins concurrent in-flight duplicates instead of executing twice', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    let finish;
+    const fn = vi.fn(() => new Promise((resolve) => { finish = resolve; }));
+
+    const first = manager.execute({ key: 'k1', payload: {}, context }, fn);
+    const duplicate = manager.execute({ key: 'k1', payload: {}, context }, fn);
+    await new Promise((resolve) => setImmediate(resolve));
+    finish({ id: 'tr_1' });
+
+    await expect(first).resolves.toEqual({ replayed: false, response: { id: 'tr_1' } });
+    await expect(duplicate).resolves.toEqual({ replayed: true, response: { id: 'tr_1' } });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 409 when another instance holds the key past the wait timeout', async () => {
+    const store = new MemoryIdempotencyStore();
+    const manager = new IdempotencyManager({ store, waitTimeoutMs: 30, pollIntervalMs: 5 });
+    const storeKey = `${manager.resolvePrincipal(context)}:k1`;
+    await store.reserve(storeKey, manager.fingerprint({}), { ttlMs: 60000, lockTimeoutMs: 60000 });
+
+    await expect(
+      manager.execute({ key: 'k1', payload: {}, context }, async () => ({ ok: true }))
+    ).rejects.toMatchObject({ status: 409, code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' });
+  });
+
+  it('releases the key when the operation fails or is not cacheable', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+
+    await expect(
+      manager.execute({ key: 'k1', payload: {}, context }, async () => { throw new Error('boom'); })
+    ).rejects.toThrow('boom');
+    await manager.execute({ key: 'k1', payload: {}, context }, async () => ({ ok: false }), {
+      cacheable: (response) => response.ok
+    });
+    const retry = await manager.execute({ key: 'k1', payload: {}, context }, async () => ({ ok: true }));
+
+    expect(retry).toEqual({ replayed: false, response: { ok: true } });
+  });
+
+  it('erases stored responses whose subject fields hold the subject without re-running their keys', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const fn = vi.fn().mockResolvedValue({ id: 'tr_1', email: 'ada@example.com' });
+    await manager.execute({ key: 'k1', payload: {}, context }, fn);
+    await manager.execute({ key: 'k2', payload: {}, context }, async () => ({ id: 'tr_2' }));
+    await manager.execute({ key: 'k3', payload: {}, context }, async () => ({ id: 'tr_3', narration: 'refund to ada@example.com' }));
+
+    const hook = manager.getPrivacyHook();
+    expect(hook.export).toBeUndefined();
+    expect(await hook.erase({ type: 'email', id: 'ada@example.com' })).toEqual({ erased: 1 });
+
+    await expect(manager.execute({ key: 'k1', payload: {}, context }, fn))
+      .rejects.toMatchObject({ status: 410, code: 'IDEMPOTENCY_RESPONSE_ERASED' });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(await manager.execute({ key: 'k2', payload: {}, context }, fn))
+      .toEqual({ replayed: true, response: { id: 'tr_2' } });
+    expect(await manager.execute({ key: 'k3', payload: {}, context }, fn))
+      .toMatchObject({ replayed: true, response: { id: 'tr_3' } });
+  });
+
+  it('rejects empty or oversized keys', async () => {
+    const manager = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+
+    await expect(manager.execute({ key: '', payload: {}, context }, vi.fn()))
+      .rejects.toMatchObject({ code: 'INVALID_IDEMPOTENCY_KEY' });
+    await expect(manager.execute({ key: 'x'.repeat(256), payload: {}, context }, vi.fn()))
+      .rejects.toMatchObject({ code: 'INVALID_IDEMPOTENCY_KEY' });
+  });
+});
+
+describe('PostgresIdempotencyStore', () => {
+  it('claims keys with an atomic upsert and reads live records on conflict', async () => {
+    const row = {
+      key: 'scope:k1',
+      fingerprint: 'abc',
+      status: 'completed',
+      response: { ok: true },
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+      expires_at: '2999-01-01T00:00:00Z'
+    };
+    const db = {
+      query: vi.fn()
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [row] })
+    };
+    const store = new PostgresIdempotencyStore({ db });
+
+    const result = await store.reserve('scope:k1', 'abc', { ttlMs: 1000, lockTimeoutMs: 500 });
+
+    expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (key) DO UPDATE');
+    expect(db.query.mock.calls[0][1]).toEqual(['scope:k1', 'abc', 1000, 500]);
+    expect(result).toMatchObject({ created: false, record: { status: 'completed', response: { ok: true } } });
+  });
+});
+
+describe('Idempotency-Key on abstracted REST routes', () => {
+  const buildApp = (callTool) => {
+    const endpoints = new AbstractedAPIEndpoints({ adapterRegistry: { callTool } });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+    return app;
+  };
+
+  const transfer = { fromAccount: 'acc_1', toAccount: 'acc_2', amount: 100 };
+
+  it('replays the original transfer response', async () => {
+    const callTool = vi.fn().mockResolvedValue({ id: 'wise_1' });
+    const app = buildApp(callTool);
+
+    const first = await request(app).post('/api/v1/banking/transfer').set('Idempotency-Key', 'tx-1').send(transfer);
+    const second = await request(app).post('/api/v1/banking/transfer').set('Idempotency-Key', 'tx-1').send(transfer);
+
+    expect(callTool).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe(first.status);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('rejects the same key with a different body', async () => {
+    const app = buildApp(vi.fn().mockResolvedValue({ id: 'wise_1' }));
+
+    await request(app).post('/api/v1/banking/transfer').set('Idempotency-Key', 'tx-1').send(transfer);
+    const res = await request(app)
+      .post('/api/v1/banking/transfer')
+      .set('Idempotency-Key', 'tx-1')
+      .send({ ...transfer, amount: 200 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('does not store vendor outages so the key can be retried', async () => {
+    const outage = Object.assign(new Error('down'), { response: { status: 503 } });
+    const callTool = vi.fn().mockRejectedValueOnce(outage).mockResolvedValue({ id: 'wise_1' });
+    const app = buildApp(callTool);
+
+    const first = await request(app).post('/api/v1/banking/transfer').set('Idempotency-Key', 'tx-1').send(transfer);
+    const retry = await request(app).post('/api/v1/banking/transfer').set('Idempotency-Key', 'tx-1').send(transfer);
+
+    expect(first.status).toBe(503);
+    expect(retry.status).toBe(200);
+    expect(callTool).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('gateway-execute idempotency', () => {
+  const buildExecute = (callTool) => {
+    const idempotency = new IdempotencyManager({ store: new MemoryIdempotencyStore() });
+    const gateway = { adapterRegistry: { callTool }, idempotency };
+    const registry = { getOperation: () => ({ risk_level: 'high' }) };
+    return new GatewayExecute(gateway, registry);
+  };
+
+  const args = {
+    tool_id: 'paystack:initialize-transaction',
+    params: { amount: 5000, email: 'payer@example.com' },
+    options: { idempotency_key: 'pay-1' }
+  };
+
+  it('replays a stored result for a repeated idempotency_key', async () => {
+    const callTool = vi.fn().mockResolvedValue({ reference: 'ref_1' });
+    const execute = buildExecute(callTool);
+
+    const first = await execute.handle(args, context);
+    const second = await execute.handle(args, context);
+
+    expect(callTool).toHaveBeenCalledTimes(1);
+    expect(second.data).toEqual(first.data);
+    expect(second.meta.idempotent_replay).toBe(true);
+  });
+
+  it('reports key reuse with different params as a tool error', async () => {
+    const execute = buildExecute(vi.fn().mockResolvedValue({ reference: 'ref_1' }));
+
+    await execute.handle(args, context);
+    const result = await execute.handle({ ...args, params: { ...args.params, amount: 1 } }, context);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
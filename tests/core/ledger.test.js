@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// CommonJS interop
+import DoubleEntryLedgerImport from '../../core/ledger/double-entry-ledger.js';
+import WalletLedgerImport from '../../core/ledger/wallet-ledger.js';
+
+const DoubleEntryLedger = DoubleEntryLedgerImport?.default || DoubleEntryLedgerImport;
+const WalletLedger = WalletLedgerImport?.default || WalletLedgerImport;
+
+describe('DoubleEntryLedger', () => {
+  let clock;
+  let ledger;
+
+  beforeEach(async () => {
+    clock = Date.UTC(2026, 0, 15, 9, 0, 0);
+    ledger = new DoubleEntryLedger({ now: () => clock });
+    await ledger.openAccount({ id: 'cash', type: 'asset', currency: 'NGN' });
+    await ledger.openAccount({ id: 'customer', type: 'liability', currency: 'NGN' });
+    await ledger.openAccount({ id: 'usd-cash', type: 'asset', currency: 'USD' });
+  });
+
+  it('only posts balanced entries of positive minor-unit amounts', async () => {
+    await expect(ledger.post({
+      reference: 'ref-1',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 1000 },
+        { accountId: 'customer', direction: 'credit', amount: 900 }
+      ]
+    })).rejects.toMatchObject({ status: 400, code: 'UNBALANCED_JOURNAL_ENTRY' });
+
+    // Balanced in total but not per currency
+    await expect(ledger.post({
+      reference: 'ref-1',
+      postings: [
+        { accountId: 'usd-cash', direction: 'debit', amount: 1000 },
+        { accountId: 'customer', direction: 'credit', amount: 1000 }
+      ]
+    })).rejects.toMatchObject({ code: 'UNBALANCED_JOURNAL_ENTRY' });
+
+    await expect(ledger.post({
+      reference: 'ref-1',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 10.5 },
+        { accountId: 'customer', direction: 'credit', amount: 10.5 }
+      ]
+    })).rejects.toMatchObject({ code: 'INVALID_JOURNAL_ENTRY' });
+
+    await expect(ledger.post({
+      reference: 'ref-1',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 1000 },
+        { accountId: 'nowhere', direction: 'credit', amount: 1000 }
+      ]
+    })).rejects.toMatchObject({ status: 404, code: 'LEDGER_ACCOUNT_NOT_FOUND' });
+
+    const entry = await ledger.post({
+      reference: 'ref-1',
+      type: 'credit',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 1000 },
+        { accountId: 'customer', direction: 'credit', amount: 1000 }
+      ]
+    });
+    expect(entry).toMatchObject({ reference: 'ref-1', type: 'credit', duplicate: false });
+    expect(entry.postings.map(({ accountId, direction, amount, currency }) => [accountId, direction, amount, currency]))
+      .toEqual([['cash', 'debit', 1000, 'NGN'], ['customer', 'credit', 1000, 'NGN']]);
+
+    // Same reference again is an idempotent replay
+    const replay = await ledger.post({
+      reference: 'ref-1',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 5 },
+        { accountId: 'customer', direction: 'credit', amount: 5 }
+      ]
+    });
+    expect(replay).toMatchObject({ id: entry.id, duplicate: true });
+    expect(await ledger.getBalance('customer')).toMatchObject({ balance: 1000, credits: 1000, debits: 0 });
+  });
+
+  it('derives balances from postings on the normal side, as of any time', async () => {
+    const t0 = clock;
+    const deposit = [
+      { accountId: 'cash', direction: 'debit', amount: 5000 },
+      { accountId: 'customer', direction: 'credit', amount: 5000 }
+    ];
+    await ledger.post({ reference: 'dep-1', postings: deposit });
+    clock += 60000;
+    await ledger.post({ reference: 'dep-2', postings: deposit });
+    clock += 60000;
+
+    expect(await ledger.getBalance('cash')).toMatchObject({ balance: 10000 });
+    expect(await ledger.getBalance('customer')).toMatchObject({ balance: 10000 });
+    expect(await ledger.getBalance('customer', { at: new Date(t0).toISOString() }))
+      .toMatchObject({ balance: 5000, at: new Date(t0).toISOString() });
+    expect(await ledger.getBalance('customer', { at: t0 - 1 })).toMatchObject({ balance: 0 });
+    await expect(ledger.getBalance('customer', { at: 'yesterday-ish' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('reverses an entry once and refuses to overdraw guarded accounts', async () => {
+    const entry = await ledger.post({
+      reference: 'dep-1',
+      postings: [
+        { accountId: 'cash', direction: 'debit', amount: 3000 },
+        { accountId: 'customer', direction: 'credit', amount: 3000 }
+      ]
+    });
+
+    await expect(ledger.post({
+      reference: 'wd-1',
+      nonNegative: ['customer'],
+      postings: [
+        { accountId: 'customer', direction: 'debit', amount: 3001 },
+        { accountId: 'cash', direction: 'credit', amount: 3001 }
+      ]
+    })).rejects.toMatchObject({ status: 422, code: 'INSUFFICIENT_FUNDS', meta: { accountId: 'customer', balance: -1 } });
+
+    const reversal = await ledger.reverse(entry.id);
+    expect(reversal).toMatchObject({ type: 'reversal', reference: 'dep-1:reversal', reversesEntryId: entry.id });
+    expect(reversal.postings.map(({ accountId, direction }) => [accountId, direction]))
+      .toEqual([['cash', 'credit'], ['customer', 'debit']]);
+    expect(await ledger.getBalance('customer')).toMatchObject({ balance: 0, debits: 3000, credits: 3000 });
+
+    await expect(ledger.reverse(entry.id)).rejects.toMatchObject({ code: 'LEDGER_ENTRY_ALREADY_REVERSED' });
+    await expect(ledger.reverse(reversal.id)).rejects.toMatchObject({ code: 'LEDGER_ENTRY_NOT_REVERSIBLE' });
+    expect(await ledger.listEntries({ accountId: 'customer' })).toHaveLength(2);
+  });
+});
+
+describe('WalletLedger', () => {
+  let wallets;
+
+  beforeEach(() => {
+    wallets = new WalletLedger();
+  });
+
+  it('posts credits, debits, transfers and fees through balanced entries', async () => {
+    await wallets.credit('w1', { amount: 10000, fee: 100, reference: 'fund-1' });
+    await wallets.debit('w1', { amount: 2000, fee: 50, reference: 'wd-1' });
+    await wallets.transfer('w1', 'w2', { amount: 3000, fee: 25, reference: 'xfer-1' });
+    await wallets.chargeFee('w2', { amount: 200, reference: 'fee-1' });
+
+    expect(await wallets.balance('w1')).toMatchObject({ balance: 4825, currency: 'NGN' });
+    expect(await wallets.balance('w2')).toMatchObject({ balance: 2800 });
+    expect(await wallets.ledger.getBalance(WalletLedger.feeAccountId('NGN'))).toMatchObject({ balance: 375 });
+    expect(await wallets.ledger.getBalance(WalletLedger.settlementAccountId('NGN'))).toMatchObject({ balance: 8000 });
+
+    // Everything we owe wallets plus fee revenue equals what sits in settlement
+    const w1 = (await wallets.balance('w1')).balance;
+    const w2 = (await wallets.balance('w2')).balance;
+    expect(w1 + w2 + 375).toBe(8000);
+
+    await expect(wallets.transfer('w2', 'w1', { amount: 2801, reference: 'xfer-2' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    expect((await wallets.entries('w1')).map((entry) => entry.type)).toEqual(['credit', 'debit', 'transfer']);
+  });
+
+  it('reverses by reference unless that would overdraw a wallet', async () => {
+    await wallets.credit('w1', { amount: 5000, reference: 'fund-1' });
+    await wallets.credit('w1', { amount: 1000, reference: 'fund-2' });
+    await wallets.debit('w1', { amount: 5500, reference: 'wd-1' });
+
+    await expect(wallets.reverse('fund-1', { reason: 'chargeback' })).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    const reversal = await wallets.reverse('wd-1', { reason: 'provider failed' });
+    expect(reversal.description).toBe('Reversal of wd-1: provider failed');
+    expect(await wallets.balance('w1')).toMatchObject({ balance: 6000 });
+    await expect(wallets.reverse('missing')).rejects.toMatchObject({ status: 404 });
+  });
+});
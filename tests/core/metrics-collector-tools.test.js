@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// CommonJS interop
+import MetricsCollectorImport from '../../core/monitoring/metrics-collector.js';
+import AdapterRegistryImport from '../../src/mcp/adapter-registry.js';
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+
+const MetricsCollector = MetricsCollectorImport?.default || MetricsCollectorImport;
+const AdapterRegistry = AdapterRegistryImport?.default || AdapterRegistryImport;
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+
+// Skip the flush interval and default process metrics.
+const createCollector = () => {
+  vi.spyOn(MetricsCollector.prototype, 'startMetricsCollection').mockImplementation(() => {});
+  return new MetricsCollector();
+};
+
+const valueOf = async (collector, name, labels) => {
+  const metric = await collector.register.getSingleMetric(name).get();
+  const match = metric.values.find((entry) =>
+    Object.entries(labels).every(([key, value]) => entry.labels[key] === value));
+  return match ? match.value : undefined;
+};
+
+describe('MetricsCollector tool metrics', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('records calls, latency and error class per adapter and tool', async () => {
+    const metrics = createCollector();
+    const registry = new AdapterRegistry({ metrics });
+    const upstream = Object.assign(new Error('Too many requests'), { response: { status: 429 } });
+    let fail = false;
+    await registry.register({
+      id: 'paystack',
+      tools: [{ name: 'list_banks' }],
+      initialize: async () => {},
+      callTool: async () => {
+        if (fail) throw upstream;
+        return { ok: true };
+      }
+    });
+
+    await registry.callTool('paystack:list_banks', {});
+    fail = true;
+    await expect(registry.callTool('paystack:list-banks', {})).rejects.toBe(upstream);
+
+    expect(await valueOf(metrics, 'mcp_tool_calls_total', { adapter: 'paystack', tool: 'list-banks', status: 'success' })).toBe(1);
+    expect(await valueOf(metrics, 'mcp_tool_calls_total', { adapter: 'paystack', tool: 'list-banks', status: 'error' })).toBe(1);
+    expect(await valueOf(metrics, 'mcp_tool_errors_total', { adapter: 'paystack', tool: 'list-banks', error_class: 'rate_limited' })).toBe(1);
+    expect(await valueOf(metrics, 'mcp_tool_call_duration_seconds', { adapter: 'paystack', tool: 'list-banks', le: '+Inf' })).toBe(2);
+  });
+
+  it('labels scope denials with the registry error code', async () => {
+    const metrics = createCollector();
+    const registry = new AdapterRegistry({ metrics });
+    await registry.register({
+      id: 'stripe',
+      tools: [{ name: 'create_refund' }],
+      initialize: async () => {},
+      callTool: async () => ({ ok: true })
+    });
+
+    await expect(registry.callTool('stripe:create_refund', {}, { scopes: ['stripe:read'] }))
+      .rejects.toMatchObject({ code: 'TOOL_FORBIDDEN' });
+
+    expect(await valueOf(metrics, 'mcp_tool_errors_total', { adapter: 'stripe', error_class: 'tool_forbidden' })).toBe(1);
+  });
+
+  it('counts the vendor the abstraction layer served a call with', async () => {
+    const metrics = createCollector();
+    const layer = new VendorAbstractionLayer({
+      metrics,
+      failover: true,
+      adapterRegistry: {
+        callTool: async (toolId) => {
+          if (toolId.startsWith('stripe:')) {
+            throw Object.assign(new Error('down'), { response: { status: 503 } });
+          }
+          return { status: true, data: { reference: 'ref_1', authorization_url: 'https://pay' } };
+        }
+      },
+      routingPolicies: { payment: { strategy: 'priority', vendors: ['stripe', 'paystack'] } }
+    });
+
+    await layer.executeAbstractedCall('payment', 'initializeTransaction', {
+      amount: 1000,
+      currency: 'NGN',
+      email: 'a@example.com'
+    });
+
+    expect(await valueOf(metrics, 'abstraction_vendor_selected_total', {
+      category: 'payment',
+      operation: 'initializeTransaction',
+      vendor: 'paystack'
+    })).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// CommonJS interop
+import PaymentEventsImport from '../../core/webhooks/payment-events.js';
+import PaymentEventStreamImport from '../../core/webhooks/payment-event-stream.js';
+
+const { toPaymentEvents } = PaymentEventsImport?.default || PaymentEventsImport;
+const PaymentEventStream = PaymentEventStreamImport?.default || PaymentEventStreamImport;
+
+const RECEIVED_AT = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+const webhook = (provider, payload, extra = {}) => ({
+  id: `whk_${provider}`,
+  provider,
+  adapterId: `${provider}-adapter`,
+  eventId: `${provider}-evt-1`,
+  eventType: payload.event || payload.type || null,
+  receivedAt: RECEIVED_AT,
+  payload,
+  ...extra
+});
+
+describe('toPaymentEvents', () => {
+  it('paystack charge.success becomes payment.succeeded in minor units', () => {
+    const [event] = toPaymentEvents(webhook('paystack', {
+      event: 'charge.success',
+      data: {
+        reference: 'ref_1',
+        amount: 500000,
+        currency: 'ngn',
+        status: 'success',
+        paid_at: '2026-01-15T11:59:00.000Z',
+        customer: { email: 'ada@example.com', first_name: 'Ada', last_name: 'Obi' }
+      }
+    }));
+
+    expect(event).toMatchObject({
+      type: 'payment.succeeded',
+      category: 'payment',
+      provider: 'paystack',
+      providerEventType: 'charge.success',
+      providerEventId: 'paystack-evt-1',
+      webhookId: 'whk_paystack',
+      occurredAt: '2026-01-15T11:59:00.000Z',
+      receivedAt: '2026-01-15T12:00:00.000Z',
+      data: {
+        reference: 'ref_1',
+        amount: 500000,
+        currency: 'NGN',
+        status: 'succeeded',
+        customer: { email: 'ada@example.com', name: 'Ada Obi', phone: null }
+      }
+    });
+    expect(event.id).toMatch(/^pev_[0-9a-f]{24}$/);
+  });
+
+  it('flutterwave charge.completed converts major units and splits on status', () => {
+    const succeeded = toPaymentEvents(webhook('flutterwave', {
+      event: 'charge.completed',
+      data: { tx_ref: 'tx_1', amount: 1500.5, currency: 'NGN', status: 'successful' }
+    }));
+    const failed = toPaymentEvents(webhook('flutterwave', {
+      event: 'charge.completed',
+      data: { tx_ref: 'tx_2', amount: 10, currency: 'NGN', status: 'failed', processor_response: 'Declined' }
+    }));
+
+    expect(succeeded[0]).toMatchObject({ type: 'payment.succeeded', data: { reference: 'tx_1', amount: 150050 } });
+    expect(failed[0]).toMatchObject({ type: 'payment.failed', data: { status: 'failed', reason: 'Declined' } });
+  });
+
+  it('stripe, providus and xpress map to their canonical types', () => {
+    const [refund] = toPaymentEvents(webhook('stripe', {
+      id: 'evt_1',
+      type: 'charge.refunded',
+      created: 1768478400,
+      data: { object: { id: 'ch_1', payment_intent: 'pi_1', amount_refunded: 700, currency: 'usd' } }
+    }));
+    const [settlement] = toPaymentEvents(webhook('providus', {
+      settlementId: 'set_1',
+      accountNumber: '9900000001',
+      settledAmount: 2500
+    }));
+    const [credit] = toPaymentEvents(webhook('xpress', {
+      event: 'transaction.completed',
+      data: { reference: 'xp_1', amount: 100, type: 'CREDIT', accountNumber: '4400000001' }
+    }));
+
+    expect(refund).toMatchObject({
+      type: 'refund.processed',
+      occurredAt: '2026-01-15T12:00:00.000Z',
+      data: { reference: 'pi_1', amount: 700, currency: 'USD', status: 'reversed' }
+    });
+    expect(settlement).toMatchObject({
+      type: 'wallet.credited',
+      category: 'banking',
+      data: { reference: 'set_1', amount: 250000, currency: 'NGN', accountNumber: '9900000001' }
+    });
+    expect(credit).toMatchObject({ type: 'wallet.credited', data: { reference: 'xp_1', amount: 10000 } });
+  });
+
+  it('ignores provider events without a canonical equivalent', () => {
+    expect(toPaymentEvents(webhook('paystack', { event: 'subscription.create', data: {} }))).toEqual([]);
+    expect(toPaymentEvents(webhook('flutterwave', {
+      event: 'transfer.completed',
+      data: { status: 'FAILED' }
+    }))).toEqual([]);
+    expect(toPaymentEvents(webhook('acme', { event: 'charge.success', data: {} }))).toEqual([]);
+  });
+});
+
+describe('PaymentEventStream', () => {
+  const paystackCharge = (id, event = 'charge.success') => webhook('paystack', {
+    event,
+    data: { reference: `ref_${id}`, amount: 100, currency: 'NGN' }
+  }, { id: `whk_${id}`, eventId: `${event}:${id}` });
+
+  it('delivers canonical events to matching subscribers only', () => {
+    const stream = new PaymentEventStream();
+    const succeeded = vi.fn();
+    const everything = vi.fn();
+    stream.subscribe('payment.succeeded', succeeded);
+    const unsubscribe = stream.subscribe('*', everything);
+
+    stream.ingest(paystackCharge(1));
+    stream.ingest(paystackCharge(2, 'charge.failed'));
+    unsubscribe();
+    stream.ingest(paystackCharge(3));
+
+    expect(succeeded.mock.calls.map(([event]) => event.data.reference)).toEqual(['ref_1', 'ref_3']);
+    expect(everything.mock.calls.map(([event]) => event.type)).toEqual(['payment.succeeded', 'payment.failed']);
+    expect(() => stream.subscribe('charge.success', vi.fn())).toThrow(/Unknown payment event type/);
+  });
+
+  it('publishes a replayed webhook once and lists recent events after a cursor', () => {
+    const stream = new PaymentEventStream({ bufferSize: 2 });
+
+    const [first] = stream.ingest(paystackCharge(1));
+    expect(stream.ingest(paystackCharge(1))).toEqual([]);
+    stream.ingest(paystackCharge(2, 'charge.failed'));
+    stream.ingest(paystackCharge(3));
+
+    expect(stream.list().map((event) => event.data.reference)).toEqual(['ref_2', 'ref_3']);
+    expect(stream.list({ types: ['payment.succeeded'] }).map((event) => event.data.reference)).toEqual(['ref_3']);
+    const [second] = stream.list();
+    expect(stream.list({ after: second.id })).toHaveLength(1);
+    expect(first.id).not.toBe(second.id);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+// CommonJS interop
+import PrivacyRequestManagerImport from '../../core/privacy/privacy-request-manager.js';
+
+const PrivacyRequestManager = PrivacyRequestManagerImport?.default || PrivacyRequestManagerImport;
+
+const adapterWith = (hook) => ({ getPrivacyHook: () => hook });
+
+const buildManager = (adapters, options = {}) => {
+  const audit = [];
+  const manager = new PrivacyRequestManager({
+    getAdapters: () => new Map(Object.entries(adapters)),
+    compliance: { logAuditEntry: (action, details) => audit.push({ action, details }) },
+    signingKey: 'cert-secret',
+    ...options
+  });
+  return { manager, audit };
+};
+
+describe('PrivacyRequestManager', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('collects an export bundle from adapters with a privacy hook and signs the certificate', async () => {
+    const { manager, audit } = buildManager({
+      'memory-service': adapterWith({ export: async (subject) => [{ id: 'm1', owner: subject.id }] }),
+      'verification-service': adapterWith({ export: async () => ({ checks: 2 }), retention: 'AML' }),
+      paystack: { getPrivacyHook: () => null },
+      'mock-adapter': { is_mock: true, getPrivacyHook: () => ({ export: async () => [] }) }
+    });
+
+    const submitted = await manager.submit({ type: 'export', subjectId: 'user-1', requestedBy: 'dpo' });
+    expect(submitted.status).toBe('in_progress');
+    expect(Object.keys(submitted.adapters)).toEqual(['memory-service', 'verification-service']);
+
+    const request = await manager.wait(submitted.id);
+    expect(request).toMatchObject({ status: 'completed', export_available: true, certificate_available: true });
+
+    const bundle = await manager.getBundle(submitted.id);
+    expect(bundle.data).toEqual({
+      'memory-service': [{ id: 'm1', owner: 'user-1' }],
+      'verification-service': { checks: 2 }
+    });
+
+    const certificate = await manager.getCertificate(submitted.id);
+    expect(certificate.adapters.map((a) => [a.adapterId, a.status, a.records])).toEqual([
+      ['memory-service', 'completed', 1],
+      ['verification-service', 'completed', 1]
+    ]);
+    expect(certificate).not.toHaveProperty('subject');
+    expect(manager.verifyCertificate(certificate)).toBe(true);
+    expect(manager.verifyCertificate({ ...certificate, type: 'erasure' })).toBe(false);
+    expect(audit.map((entry) => entry.details.event)).toEqual(['submitted', 'completed']);
+  });
+
+  it('erases where allowed, records retention reasons and forgets the subject identifier', async () => {
+    const erased = [];
+    const { manager } = buildManager({
+      'memory-service': adapterWith({
+        export: async () => [],
+        erase: async (subject) => {
+          erased.push(subject.id);
+          return { erased: 3 };
+        }
+      }),
+      'credit-as-a-service': adapterWith({ export: async () => [], retention: 'Regulatory record-keeping' })
+    });
+
+    const { id } = await manager.submit({ type: 'erasure', subjectId: 'user-1' });
+    const request = await manager.wait(id);
+
+    expect(erased).toEqual(['user-1']);
+    expect(request.status).toBe('completed');
+    expect(request.subject).toEqual({ type: 'user_id', id: null });
+    expect(request.adapters['memory-service']).toMatchObject({ status: 'completed', erased: 3 });
+    expect(request.adapters['credit-as-a-service']).toMatchObject({
+      status: 'retained',
+      reason: 'Regulatory record-keeping'
+    });
+    await expect(manager.getBundle(id)).rejects.toMatchObject({ status: 404, code: 'EXPORT_NOT_AVAILABLE' });
+  });
+
+  it('includes gateway stores but refuses an erasure that no adapter takes part in', async () => {
+    const gatewayErase = async () => ({ erased: 2 });
+    const internal = new Map([['gateway:webhook-events', { erase: gatewayErase }]]);
+    const { manager } = buildManager({}, { getInternalHooks: () => internal });
+
+    await expect(manager.submit({ type: 'erasure', subjectId: 'user-1' }))
+      .rejects.toMatchObject({ status: 422, code: 'NO_ERASURE_TARGETS' });
+
+    const { manager: withAdapter } = buildManager({
+      'memory-service': adapterWith({ erase: async () => ({ erased: 1 }) })
+    }, { getInternalHooks: () => internal });
+    const { id } = await withAdapter.submit({ type: 'erasure', subjectId: 'user-1' });
+    const request = await withAdapter.wait(id);
+
+    expect(request.status).toBe('completed');
+    expect(request.adapters['gateway:webhook-events']).toMatchObject({ status: 'completed', erased: 2 });
+    expect((await withAdapter.getCertificate(id)).adapters.map((a) => a.adapterId))
+      .toEqual(['memory-service', 'gateway:webhook-events']);
+  });
+
+  it('accepts no request without a certificate signing key', async () => {
+    vi.stubEnv('PRIVACY_CERT_HMAC_KEY', '');
+    vi.stubEnv('AUDIT_HMAC_KEY', '');
+    const { manager } = buildManager({
+      'memory-service': adapterWith({ export: async () => [] })
+    }, { signingKey: undefined });
+
+    await expect(manager.submit({ type: 'export', subjectId: 'user-1' }))
+      .rejects.toMatchObject({ status: 503, code: 'PRIVACY_CERT_KEY_MISSING' });
+    expect(await manager.list()).toEqual([]);
+  });
+
+  it('marks the request failed when an adapter fails and retries only that adapter', async () => {
+    const calls = { memory: 0, credit: 0 };
+    const { manager } = buildManager({
+      'memory-service': adapterWith({
+        export: async () => {
+          calls.memory += 1;
+          return [];
+        }
+      }),
+      'credit-as-a-service': adapterWith({
+        export: async () => {
+          calls.credit += 1;
+          if (calls.credit === 1) throw Object.assign(new Error('credit db unavailable'), { code: 'ECONNREFUSED' });
+          return [{ id: 'app-1' }];
+        }
+      })
+    });
+
+    const { id } = await manager.submit({ type: 'access', subjectId: 'user-1' });
+    const failed = await manager.wait(id);
+    expect(failed.status).toBe('failed');
+    expect(failed.adapters['credit-as-a-service'].error).toEqual({ code: 'ECONNREFUSED', message: 'credit db unavailable' });
+    await expect(manager.getCertificate(id)).rejects.toMatchObject({ status: 409, code: 'CERTIFICATE_NOT_READY' });
+
+    await manager.retry(id);
+    const retried = await manager.wait(id);
+    expect(retried.status).toBe('completed');
+    expect(calls).toEqual({ memory: 1, credit: 2 });
+    await expect(manager.retry(id)).rejects.toMatchObject({ status: 409, code: 'PRIVACY_REQUEST_NOT_FAILED' });
+  });
+
+  it('rejects unknown request types, missing subjects and expired bundles', async () => {
+    const { manager } = buildManager({
+      'memory-service': adapterWith({ export: async () => [] })
+    }, { bundleTtlMs: -1 });
+
+    await expect(manager.submit({ type: 'delete', subjectId: 'user-1' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_REQUEST_TYPE' });
+    await expect(manager.submit({ type: 'export', subjectId: ' ' }))
+      .rejects.toMatchObject({ status: 400, code: 'SUBJECT_REQUIRED' });
+
+    const { id } = await manager.submit({ type: 'export', subjectId: 'user-1' });
+    await manager.wait(id);
+    await expect(manager.getBundle(id)).rejects.toMatchObject({ status: 410, code: 'EXPORT_EXPIRED' });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi } from 'vitest';
+import path from 'path';
+
+import QuotaManagerImport from '../../core/quota/quota-manager.js';
+import QuotaStoresImport from '../../core/quota/quota-stores.js';
+
+const QuotaManager = QuotaManagerImport?.default || QuotaManagerImport;
+const { MemoryQuotaStore, RedisQuotaStore } = QuotaStoresImport?.default || QuotaStoresImport;
+
+const policy = {
+  defaultTier: 'free',
+  tiers: {
+    free: { perMinute: 2, monthly: { '*': 3, payments: 1 } },
+    pro: { perMinute: 100, tenantPerMinute: 3 }
+  },
+  tenants: { 'acme': 'pro' }
+};
+
+// 2024-05-31T23:59:30Z
+const NOW = Date.UTC(2024, 4, 31, 23, 59, 30);
+
+const buildManager = (overrides = {}) => new QuotaManager({
+  store: new MemoryQuotaStore(),
+  policy,
+  now: () => NOW,
+  ...overrides
+});
+
+describe('QuotaManager', () => {
+  it('enforces the per-minute limit with RateLimit-* headers', async () => {
+    const manager = buildManager();
+    const subject = { tenant: 't1', principal: 'key_1', tier: 'free' };
+
+    const first = await manager.consume(subject);
+    await manager.consume(subject);
+    const third = await manager.consume(subject);
+
+    expect(first.allowed).toBe(true);
+    expect(first.headers).toMatchObject({
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '30',
+      'RateLimit-Policy': '2;w=60'
+    });
+    expect(third.allowed).toBe(false);
+    expect(third.error).toMatchObject({ status: 429, code: 'RATE_LIMITED' });
+    expect(third.headers['Retry-After']).toBe('30');
+  });
+
+  it('limits each API key separately', async () => {
+    const manager = buildManager();
+
+    await manager.consume({ tenant: 't1', principal: 'key_1', tier: 'free' });
+    await manager.consume({ tenant: 't1', principal: 'key_1', tier: 'free' });
+    const other = await manager.consume({ tenant: 't1', principal: 'key_2', tier: 'free' });
+
+    expect(other.allowed).toBe(true);
+  });
+
+  it('applies the tenant-wide per-minute limit across keys', async () => {
+    const manager = buildManager();
+    const results = [];
+    for (const principal of ['a', 'b', 'c', 'd']) {
+      results.push(await manager.consume({ tenant: 'acme', principal, tier: 'pro' }));
+    }
+
+    expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+    expect(results[3].error.message).toContain('project');
+  });
+
+  it('enforces monthly quotas per category without consuming rejected calls', async () => {
+    const store = new MemoryQuotaStore();
+    let now = Date.UTC(2024, 4, 15, 12, 0, 0);
+    const manager = buildManager({ store, now: () => now });
+    const subject = { tenant: 't1', principal: 'key_1', tier: 'free' };
+
+    const first = await manager.consume(subject, { billable: true, buckets: ['paystack', 'payments'] });
+    now += 60000;
+    const second = await manager.consume(subject, { billable: true, buckets: ['paystack', 'payments'] });
+    const other = await manager.consume(subject, { billable: true, buckets: ['memory'] });
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(second.error).toMatchObject({ code: 'QUOTA_EXCEEDED', meta: { scope: 'monthly:payments', limit: 1 } });
+    expect(other.allowed).toBe(true);
+    expect((await store.get('month:t1:2024-05:*')).count).toBe(2);
+  });
+
+  it('resets monthly quotas at the start of the next UTC month', async () => {
+    let now = NOW;
+    const manager = buildManager({ now: () => now });
+    const subject = { tenant: 't1', principal: 'key_1', tier: 'free' };
+
+    await manager.consume(subject, { billable: true, buckets: ['payments'] });
+    now = Date.UTC(2024, 5, 1, 0, 0, 5);
+    const nextMonth = await manager.consume(subject, { billable: true, buckets: ['payments'] });
+
+    expect(nextMonth.allowed).toBe(true);
+  });
+
+  it('resolves tenant, principal and tier from identity claims and policy', () => {
+    const manager = buildManager();
+
+    expect(manager.resolveSubject({ project_scope: 'acme', api_key_id: 'key_9' }))
+      .toEqual({ tenant: 'acme', principal: 'key_9', tier: 'pro' });
+    // The unverified X-Project-Scope header never picks the tenant
+    expect(manager.resolveSubject({ id: 'user_1', plan: 'pro' }, { projectScope: 'other' }))
+      .toEqual({ tenant: 'default', principal: 'user_1', tier: 'pro' });
+    expect(manager.resolveSubject({ tier: 'unknown' }, { projectScope: 'other', apiKey: 'lano_x' }))
+      .toMatchObject({ tenant: 'default', principal: expect.stringMatching(/^anon-/), tier: 'free' });
+  });
+
+  it('loads the example policy file and rejects invalid policies', () => {
+    const manager = new QuotaManager({
+      store: new MemoryQuotaStore(),
+      policyPath: path.resolve(__dirname, '../../core/quota/quota-policies.example.json')
+    });
+
+    expect(manager.policy.defaultTier).toBe('free');
+    expect(() => manager.setPolicy({ tiers: { free: { perMinute: 0 } } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_QUOTA_POLICY' }));
+    expect(() => manager.setPolicy({ defaultTier: 'gold', tiers: { free: {} } }))
+      .toThrow(/Unknown defaultTier/);
+  });
+});
+
+describe('RedisQuotaStore', () => {
+  it('increments atomically with a Lua script and reports the reset time', async () => {
+    const client = { eval: vi.fn().mockResolvedValue([3, 15000]) };
+    const store = new RedisQuotaStore({ client });
+
+    const before = Date.now();
+    const result = await store.increment('rate:t1:key_1:1', 1, 60000);
+
+    expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('INCRBY'), {
+      keys: ['gateway:quota:rate:t1:key_1:1'],
+      arguments: ['1', '60000']
+    });
+    expect(result.count).toBe(3);
+    expect(result.resetAt).toBeGreaterThanOrEqual(before + 15000);
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// CommonJS interop
+import ReconciliationEngineImport from '../../core/reconciliation/reconciliation-engine.js';
+import ledgerSourcesImport from '../../core/reconciliation/ledger-sources.js';
+import providerSourcesImport from '../../core/reconciliation/provider-sources.js';
+import webhookStoresImport from '../../core/webhooks/webhook-stores.js';
+
+const ReconciliationEngine = ReconciliationEngineImport?.default || ReconciliationEngineImport;
+const { MemoryLedgerSource, WebhookLedgerSource, createLedgerSource } = ledgerSourcesImport?.default || ledgerSourcesImport;
+const { PROVIDER_SOURCES } = providerSourcesImport?.default || providerSourcesImport;
+const { MemoryWebhookEventStore } = webhookStoresImport?.default || webhookStoresImport;
+
+const window = { from: '2026-01-15T00:00:00.000Z', to: '2026-01-16T00:00:00.000Z' };
+
+const paystackPage = (data, page = 1, pageCount = 1) => ({
+  status: true,
+  data,
+  meta: { page, pageCount }
+});
+
+describe('ReconciliationEngine', () => {
+  let ledger;
+  let registry;
+  let engine;
+
+  beforeEach(() => {
+    ledger = new MemoryLedgerSource({
+      entries: [
+        { provider: 'paystack', reference: 'ref_ok', amount: 500000, status: 'completed', occurredAt: '2026-01-15T09:00:00Z' },
+        { provider: 'paystack', reference: 'ref_amount', amount: 100000, status: 'completed', occurredAt: '2026-01-15T10:00:00Z' },
+        { provider: 'paystack', reference: 'ref_drift', amount: 20000, status: 'pending', occurredAt: '2026-01-15T11:00:00Z' },
+        { provider: 'paystack', reference: 'ref_ours', amount: 7000, status: 'completed', occurredAt: '2026-01-15T12:00:00Z' },
+        { provider: 'paystack', reference: 'ref_yesterday', amount: 9900, status: 'completed', occurredAt: '2026-01-14T12:00:00Z' }
+      ]
+    });
+    registry = {
+      callTool: vi.fn(async (toolId, args) => {
+        if (args.page === 1) {
+          return paystackPage([
+            { id: 1, reference: 'ref_ok', amount: 500000, currency: 'NGN', status: 'success', paid_at: '2026-01-15T09:00:05Z' },
+            { id: 2, reference: 'ref_amount', amount: 150000, currency: 'NGN', status: 'success', paid_at: '2026-01-15T10:00:05Z' }
+          ], 1, 2);
+        }
+        return paystackPage([
+          { id: 3, reference: 'ref_drift', amount: 20000, currency: 'NGN', status: 'success', paid_at: '2026-01-15T11:00:05Z' },
+          { id: 4, reference: 'ref_theirs', amount: 3000, currency: 'NGN', status: 'failed', paid_at: '2026-01-15T13:00:00Z' }
+        ], 2, 2);
+      })
+    };
+    engine = new ReconciliationEngine({
+      ledger,
+      sources: { paystack: PROVIDER_SOURCES.paystack },
+      getRegistry: () => registry,
+      now: () => Date.UTC(2026, 0, 16, 1, 0, 0)
+    });
+  });
+
+  it('classifies unmatched, mismatched-amount and status-drift transactions', () => {
+    const { matched, discrepancies } = ReconciliationEngine.reconcile(
+      [
+        { id: '1', reference: 'a', amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: '2', reference: 'b', amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: '3', reference: 'c', amount: 100, currency: 'NGN', status: 'reversed' },
+        { id: '4', reference: null, amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: '5', reference: 'e', amount: 100, currency: 'NGN', status: 'succeeded' }
+      ],
+      [
+        { id: 'l1', reference: 'a', amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: 'l2', reference: 'b', amount: 100, currency: 'USD', status: 'succeeded' },
+        { id: 'l3', reference: 'c', amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: 'l4', reference: 'ours-4', externalId: '4', amount: 100, currency: 'NGN', status: 'succeeded' },
+        { id: 'l6', reference: 'f', amount: 100, currency: 'NGN', status: 'succeeded' }
+      ]
+    );
+
+    expect(matched).toBe(2);
+    expect(discrepancies.map(({ type, transaction, entry }) => [type, transaction?.id || null, entry?.id || null]))
+      .toEqual([
+        ['amount_mismatch', '2', 'l2'],
+        ['status_drift', '3', 'l3'],
+        ['missing_in_ledger', '5', null],
+        ['missing_at_provider', null, 'l6']
+      ]);
+  });
+
+  it('pages through the provider, reports per provider and queues each discrepancy once', async () => {
+    const run = await engine.start(window);
+    expect(run).toMatchObject({ status: 'running', providers: ['paystack'] });
+
+    const completed = await engine.wait(run.id);
+    expect(registry.callTool).toHaveBeenCalledTimes(2);
+    expect(registry.callTool.mock.calls[1]).toEqual([
+      'paystack:list-transactions',
+      { from: window.from, to: window.to, perPage: 100, page: 2 },
+      { source: 'reconciliation' }
+    ]);
+    expect(completed).toMatchObject({
+      status: 'completed',
+      summary: {
+        paystack: {
+          providerCount: 4,
+          ledgerCount: 4,
+          matched: 1,
+          discrepancies: { missing_in_ledger: 1, missing_at_provider: 1, amount_mismatch: 1, status_drift: 1 },
+          queued: 4,
+          providerTotal: 673000,
+          ledgerTotal: 627000
+        }
+      }
+    });
+
+    const report = await engine.getReport(run.id);
+    expect(report.providers.paystack.items.map((item) => [item.type, item.reference])).toEqual([
+      ['amount_mismatch', 'ref_amount'],
+      ['status_drift', 'ref_drift'],
+      ['missing_in_ledger', 'ref_theirs'],
+      ['missing_at_provider', 'ref_ours']
+    ]);
+    expect(report.providers.paystack.items[0]).toMatchObject({ providerAmount: 150000, ledgerAmount: 100000 });
+
+    // A second run over the same window does not queue the open discrepancies again
+    const rerun = await engine.wait((await engine.start(window)).id);
+    expect(rerun.summary.paystack.queued).toBe(0);
+    expect(await engine.listDiscrepancies({ status: 'open' })).toHaveLength(4);
+  });
+
+  it('lets ops resolve or ignore open discrepancies', async () => {
+    await engine.wait((await engine.start(window)).id);
+    const [drift] = await engine.listDiscrepancies({ type: 'status_drift' });
+
+    const resolved = await engine.resolveDiscrepancy(drift.id, { notes: 'ledger updated', resolvedBy: 'ops@example.com' });
+    expect(resolved).toMatchObject({ status: 'resolved', notes: 'ledger updated', resolvedBy: 'ops@example.com' });
+    await expect(engine.resolveDiscrepancy(drift.id, { status: 'ignored' }))
+      .rejects.toMatchObject({ status: 409, code: 'DISCREPANCY_NOT_OPEN' });
+    await expect(engine.resolveDiscrepancy('dsc_missing')).rejects.toMatchObject({ status: 404 });
+
+    const [missing] = await engine.listDiscrepancies({ type: 'missing_in_ledger' });
+    await expect(engine.resolveDiscrepancy(missing.id, { status: 'reopened' }))
+      .rejects.toMatchObject({ code: 'INVALID_RESOLUTION' });
+    expect(await engine.listDiscrepancies({ status: 'open' })).toHaveLength(3);
+  });
+
+  it('marks the run partial when one provider fails and fails runs that would be truncated', async () => {
+    engine.sources = { paystack: PROVIDER_SOURCES.paystack, providus: PROVIDER_SOURCES.providus };
+    registry.callTool.mockImplementation(async (toolId, args) => {
+      if (toolId.startsWith('providus-bank:')) throw new Error('Providus unavailable');
+      return paystackPage([], args.page, 1);
+    });
+
+    const partial = await engine.wait((await engine.start(window)).id);
+    expect(partial.status).toBe('partial');
+    expect(partial.summary.providus).toEqual({ error: 'Providus unavailable', code: null });
+    expect(partial.summary.paystack.discrepancies.missing_at_provider).toBe(4);
+
+    engine.sources = { paystack: PROVIDER_SOURCES.paystack };
+    engine.maxPages = 2;
+    registry.callTool.mockImplementation(async (toolId, args) => paystackPage([{ id: args.page }], args.page, 10));
+    const failed = await engine.wait((await engine.start(window)).id);
+    expect(failed).toMatchObject({ status: 'failed', summary: { paystack: { code: 'RECONCILIATION_PAGE_LIMIT' } } });
+
+    await expect(engine.start({ ...window, providers: ['stripe'] })).rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+    await expect(engine.start({ from: window.to, to: window.from })).rejects.toMatchObject({ code: 'INVALID_WINDOW' });
+  });
+});
+
+describe('WebhookLedgerSource', () => {
+  const webhook = (eventId, event, data, receivedAt) => ({
+    id: `whk_${eventId}`,
+    provider: 'paystack',
+    eventId,
+    eventType: event,
+    adapterId: 'paystack',
+    headers: {},
+    rawBody: JSON.stringify({ event, data }),
+    status: 'processed',
+    receivedAt: Date.parse(receivedAt)
+  });
+
+  it('reads the latest recorded charge webhook per reference in the window', async () => {
+    const store = new MemoryWebhookEventStore();
+    await store.insert(webhook('e1', 'charge.failed', { reference: 'ref_retry', amount: 5000, currency: 'NGN' }, '2026-01-15T08:00:00Z'));
+    await store.insert(webhook('e2', 'charge.success', {
+      reference: 'ref_retry', amount: 5000, currency: 'NGN', status: 'success', paid_at: '2026-01-15T08:05:00Z'
+    }, '2026-01-15T08:05:01Z'));
+    await store.insert(webhook('e3', 'transfer.success', { reference: 'trf_1', amount: 900, currency: 'NGN' }, '2026-01-15T09:00:00Z'));
+    await store.insert(webhook('e4', 'charge.success', {
+      reference: 'ref_late', amount: 700, currency: 'NGN', status: 'success', paid_at: '2026-01-15T23:59:00Z'
+    }, '2026-01-16T00:01:00Z'));
+    await store.insert(webhook('e5', 'charge.success', {
+      reference: 'ref_erased', amount: 100, currency: 'NGN', status: 'success', paid_at: '2026-01-15T10:00:00Z'
+    }, '2026-01-15T10:00:01Z'));
+    await store.redact('whk_e5');
+    await store.insert(webhook('e6', 'charge.success', {
+      reference: 'ref_old', amount: 300, currency: 'NGN', status: 'success', paid_at: '2026-01-14T10:00:00Z'
+    }, '2026-01-14T10:00:01Z'));
+
+    const source = new WebhookLedgerSource({ store });
+    expect(source.providers).toEqual(['paystack', 'flutterwave']);
+    const entries = await source.fetchEntries({ provider: 'paystack', ...window });
+    expect(entries.map((entry) => [entry.reference, entry.amount, entry.status])).toEqual([
+      ['ref_retry', 5000, 'succeeded'],
+      ['ref_late', 700, 'succeeded']
+    ]);
+  });
+
+  it('refuses runs for providers the ledger source does not record', async () => {
+    const engine = new ReconciliationEngine({
+      ledger: new WebhookLedgerSource({ store: new MemoryWebhookEventStore() }),
+      getRegistry: () => ({ callTool: async () => paystackPage([]) })
+    });
+    await expect(engine.start({ ...window, providers: ['providus'] }))
+      .rejects.toMatchObject({ status: 503, code: 'LEDGER_UNAVAILABLE', meta: { uncovered: ['providus'] } });
+    const run = await engine.start(window);
+    expect(run.providers).toEqual(['paystack', 'flutterwave']);
+    await engine.wait(run.id);
+
+    const unwired = new ReconciliationEngine({ ledger: createLedgerSource({ type: 'webhooks' }) });
+    await expect(unwired.start(window)).rejects.toMatchObject({ status: 503, code: 'LEDGER_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+
+// CommonJS interop
+import serviceDiffImport from '../../core/versioning/service-diff.js';
+
+const serviceDiff = serviceDiffImport?.default || serviceDiffImport;
+const { diffServiceDefinitions, formatDiffReport, normalizeServiceDefinition } = serviceDiff;
+
+const committed = {
+  name: 'payments',
+  version: '1.0.0',
+  description: 'Payments API',
+  authentication: { type: 'bearer_token' },
+  service_groups: {
+    payments: {
+      endpoints: [
+        {
+          name: 'create_charge',
+          method: 'POST',
+          path: 'charges',
+          description: 'Create a charge',
+          input_schema: {
+            type: 'object',
+            required: ['amount'],
+            properties: { amount: { type: 'integer' }, currency: { type: 'string' }, note: { type: 'string' } }
+          }
+        },
+        { name: 'refund_charge', method: 'POST', path: 'charges/:id/refund', description: 'Refund' }
+      ]
+    }
+  }
+};
+
+const regenerate = (mutate) => {
+  const definition = JSON.parse(JSON.stringify(committed));
+  mutate(definition, definition.service_groups.payments.endpoints);
+  return definition;
+};
+
+describe('diffServiceDefinitions', () => {
+  it('reports no changes for identical definitions', () => {
+    const report = diffServiceDefinitions(committed, regenerate(() => {}));
+
+    expect(report.compatible).toBe(true);
+    expect(report.summary).toEqual({ breaking: 0, additive: 0, cosmetic: 0, endpoints: { before: 2, after: 2 } });
+  });
+
+  it('classifies breaking, additive and cosmetic changes', () => {
+    const report = diffServiceDefinitions(committed, regenerate((definition, endpoints) => {
+      definition.description = 'Payments API v2';
+      endpoints.pop();
+      endpoints[0].description = 'Create a card charge';
+      endpoints[0].input_schema.required.push('currency');
+      endpoints[0].input_schema.properties.amount.type = 'string';
+      endpoints[0].input_schema.properties.metadata = { type: 'object' };
+      endpoints.push({ name: 'list_charges', method: 'GET', path: '/charges' });
+    }));
+
+    expect(report.compatible).toBe(false);
+    expect(report.changes.breaking.map(change => [change.type, change.endpoint, change.parameter])).toEqual([
+      ['endpoint_removed', 'refund_charge', undefined],
+      ['parameter_became_required', 'create_charge', 'currency'],
+      ['parameter_type_changed', 'create_charge', 'amount']
+    ]);
+    expect(report.changes.additive.map(change => [change.type, change.endpoint])).toEqual([
+      ['optional_parameter_added', 'create_charge'],
+      ['endpoint_added', 'list_charges']
+    ]);
+    expect(report.changes.cosmetic.map(change => change.type)).toEqual([
+      'service_description_changed',
+      'endpoint_description_changed'
+    ]);
+    expect(formatDiffReport(report)).toContain('❌ 3 breaking change(s)');
+  });
+
+  it('flags authentication and base URL changes as breaking', () => {
+    const report = diffServiceDefinitions(
+      { ...committed, baseUrl: 'https://api.example.com' },
+      regenerate((definition) => {
+        definition.baseUrl = 'https://api.example.com/v2';
+        definition.authentication = { type: 'api_key' };
+      })
+    );
+
+    expect(report.changes.breaking.map(change => change.type)).toEqual(['auth_type_changed', 'baseUrl_changed']);
+  });
+
+  it('normalizes extracted, keyed and OpenAPI endpoint layouts', () => {
+    const extracted = normalizeServiceDefinition({
+      endpoints: [{
+        name: 'Get Account',
+        method: 'GET',
+        path: '/accounts/{{id}}',
+        parameters: { path: [{ name: 'id', required: true }], query: [], headers: [{ name: 'X-Key', required: true }] }
+      }]
+    });
+    const keyed = normalizeServiceDefinition({
+      endpoints: { getMemory: { method: 'GET', path: '/memory/{id}', parameters: { id: { type: 'string', required: true } } } }
+    });
+    const openapi = normalizeServiceDefinition({
+      paths: { '/users/{id}': { get: { operationId: 'getUser', parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }] } } }
+    });
+
+    expect(extracted.endpoints[0].parameters.header).toEqual([{ name: 'X-Key', type: undefined, required: true }]);
+    expect(keyed.endpoints[0]).toMatchObject({ id: 'getMemory', parameters: { path: [{ name: 'id', required: true }] } });
+    expect(openapi.endpoints[0]).toMatchObject({ id: 'getUser', method: 'GET', path: '/users/{id}' });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Loaded through require so the tests share the tracer instance the modules use.
+const require = createRequire(import.meta.url);
+const { Tracer, setTracer, parseTraceparent, formatTraceparent } = require('../../core/tracing/tracer');
+const { JsonFileExporter, OtlpHttpExporter } = require('../../core/tracing/exporters');
+const AdapterRegistry = require('../../src/mcp/adapter-registry');
+const PaystackAdapter = require('../../services/paystack-payment-gateway/paystack-adapter');
+const UniversalSupabaseClient = require('../../core/universal-supabase-client');
+
+const INCOMING = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+describe('traceparent', () => {
+  it('parses and formats W3C trace context', () => {
+    expect(parseTraceparent(INCOMING)).toEqual({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      spanId: '00f067aa0ba902b7',
+      sampled: true
+    });
+    expect(formatTraceparent(parseTraceparent(INCOMING))).toBe(INCOMING);
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+  });
+});
+
+describe('tracing across registry, adapter and client', () => {
+  let filePath;
+  let exporter;
+
+  beforeEach(() => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'traces-')), 'traces.jsonl');
+    exporter = new JsonFileExporter({ filePath });
+    setTracer(new Tracer({ exporter }));
+  });
+
+  afterEach(() => {
+    setTracer(null);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  it('continues the caller trace and sends traceparent to the vendor', async () => {
+    const client = new UniversalSupabaseClient({
+      supabaseUrl: 'https://project.supabase.co',
+      supabaseAnonKey: 'anon-key',
+      serviceName: 'paystack',
+      functionName: 'paystack'
+    });
+    const sent = [];
+    client.axios.defaults.adapter = async (config) => {
+      sent.push(config);
+      return { data: { status: true }, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    const registry = new AdapterRegistry();
+    await registry.register(new PaystackAdapter({ client }));
+
+    await registry.callTool('paystack:initialize-transaction', { amount: 5000, email: 'a@example.com' }, {
+      headers: { traceparent: INCOMING }
+    });
+
+    const spans = exporter.read();
+    const byName = Object.fromEntries(spans.map((span) => [span.name.split(' ')[0], span]));
+    expect(Object.keys(byName).sort()).toEqual(['HTTP', 'adapter', 'mcp.tool']);
+    expect(spans.every((span) => span.traceId === '4bf92f3577b34da6a3ce929d0e0e4736')).toBe(true);
+    expect(byName['mcp.tool'].parentSpanId).toBe('00f067aa0ba902b7');
+    expect(byName.adapter.parentSpanId).toBe(byName['mcp.tool'].spanId);
+    expect(byName.HTTP.parentSpanId).toBe(byName.adapter.spanId);
+    expect(byName.HTTP.attributes).toMatchObject({ 'http.method': 'POST', 'peer.service': 'paystack' });
+    expect(sent[0].headers.traceparent).toBe(`00-4bf92f3577b34da6a3ce929d0e0e4736-${byName.HTTP.spanId}-01`);
+  });
+
+  it('forwards the active span as traceparent from the registry and Supabase client', async () => {
+    const tracer = new Tracer({ exporter });
+    setTracer(tracer);
+    const registry = new AdapterRegistry();
+    const client = new UniversalSupabaseClient({ supabaseUrl: 'https://project.supabase.co', supabaseAnonKey: 'anon' });
+
+    expect(registry.buildForwardHeaders({ headers: { traceparent: INCOMING } }).traceparent).toBe(INCOMING);
+    expect(client.buildHeaders({ headers: { traceparent: 'invalid' } }).traceparent).toBeUndefined();
+
+    await tracer.withSpan('parent', {}, async (span) => {
+      expect(registry.buildForwardHeaders({ headers: { traceparent: INCOMING } }).traceparent).toBe(span.traceparent);
+      expect(client.buildHeaders({}).traceparent).toBe(span.traceparent);
+    });
+  });
+
+  it('marks failed spans as errors', async () => {
+    const tracer = new Tracer({ exporter });
+
+    await expect(tracer.withSpan('boom', {}, async () => {
+      throw Object.assign(new Error('vendor down'), { code: 'VENDOR_UNAVAILABLE' });
+    })).rejects.toThrow('vendor down');
+
+    const [span] = exporter.read();
+    expect(span.status).toEqual({ code: 2, message: 'vendor down' });
+    expect(span.events[0].attributes).toEqual({
+      'exception.type': 'VENDOR_UNAVAILABLE',
+      'exception.message': 'vendor down'
+    });
+  });
+
+  it('does not export spans of unsampled traces', async () => {
+    const tracer = new Tracer({ exporter });
+
+    await tracer.withSpan('skipped', { parent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00' }, async () => {});
+
+    expect(exporter.read()).toEqual([]);
+  });
+});
+
+describe('OtlpHttpExporter', () => {
+  it('posts batched spans as OTLP/HTTP JSON', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+    const exporter = new OtlpHttpExporter({
+      url: 'http://collector:4318/v1/traces',
+      headers: { 'x-api-key': 'k' },
+      serviceName: 'gateway-test',
+      fetch
+    });
+    const tracer = new Tracer({ exporter });
+
+    await tracer.withSpan('work', { attributes: { 'mcp.adapter': 'paystack', attempts: 2 } }, async () => {});
+    await exporter.shutdown();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, request] = fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(url).toBe('http://collector:4318/v1/traces');
+    expect(request.headers).toMatchObject({ 'Content-Type': 'application/json', 'x-api-key': 'k' });
+    expect(body.resourceSpans[0].resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'gateway-test' } }
+    ]);
+    expect(body.resourceSpans[0].scopeSpans[0].spans[0]).toMatchObject({
+      name: 'work',
+      kind: 1,
+      status: { code: 1 },
+      attributes: [
+        { key: 'mcp.adapter', value: { stringValue: 'paystack' } },
+        { key: 'attempts', value: { intValue: '2' } }
+      ]
+    });
+  });
+});
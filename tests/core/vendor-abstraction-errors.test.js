@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+import ErrorTaxonomyImport from '../../core/abstraction/error-taxonomy.js';
+
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+const { classifyVendorError } = ErrorTaxonomyImport?.default || ErrorTaxonomyImport;
+
+const vendorError = (status, data) => {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data };
+  return err;
+};
+
+const paymentInput = { amount: 5000, email: 'payer@example.com', reference: 'ref_1' };
+
+const failingCall = (abstraction, vendor = 'paystack', operation = 'initializeTransaction', input = paymentInput) => abstraction
+  .executeAbstractedCall('payment', operation, input, vendor)
+  .then(() => null, (err) => err);
+
+describe('classifyVendorError', () => {
+  it.each([
+    [vendorError(400, { status: false, message: 'Insufficient balance' }), 'insufficient_funds', false],
+    [vendorError(400, { message: 'Duplicate Transaction Reference' }), 'duplicate_reference', false],
+    [vendorError(400, { message: 'Could not resolve account name. Check parameters or try again.' }), 'invalid_account', false],
+    [vendorError(401, { message: 'Invalid key' }), 'auth_failed', false],
+    [vendorError(429, {}), 'rate_limited', true],
+    [vendorError(502, {}), 'vendor_unavailable', true],
+    [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'vendor_unavailable', true],
+    [vendorError(400, { message: 'amount is required' }), 'validation_failed', false]
+  ])('classifies %s', (err, type, retryable) => {
+    expect(classifyVendorError(err)).toMatchObject({ type, retryable });
+  });
+
+  it('prefers vendor rules and reads nested Stripe error codes', () => {
+    const err = vendorError(402, { error: { code: 'card_declined', decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' } });
+    expect(classifyVendorError(err)).toMatchObject({
+      type: 'insufficient_funds',
+      status: 402,
+      vendorCode: 'insufficient_funds',
+      vendorStatus: 402
+    });
+
+    const rules = [{ type: 'duplicate_reference', codes: ['idempotency_key_in_use'] }];
+    expect(classifyVendorError(vendorError(400, { error: { code: 'idempotency_key_in_use' } }), rules).type)
+      .toBe('duplicate_reference');
+  });
+});
+
+describe('VendorAbstractionLayer error taxonomy', () => {
+  it('raises vendor failures with a stable code, type and retryable flag', async () => {
+    const callTool = vi.fn().mockRejectedValue(vendorError(400, { status: false, message: 'Your balance is not enough to fulfil this request' }));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await failingCall(abstraction);
+
+    expect(error).toMatchObject({
+      status: 402,
+      code: 'INSUFFICIENT_FUNDS',
+      type: 'insufficient_funds',
+      retryable: false
+    });
+    expect(error.meta.vendorError).toEqual({
+      vendor: 'paystack',
+      code: null,
+      message: 'Your balance is not enough to fulfil this request',
+      status: 400
+    });
+    expect(callTool).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the definitive answer when a later vendor rejects after an outage', async () => {
+    const callTool = vi.fn()
+      .mockRejectedValueOnce(vendorError(503, {}))
+      .mockRejectedValueOnce(vendorError(400, { message: 'Duplicate transaction reference' }));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await failingCall(abstraction, null, 'verifyTransaction', { reference: 'ref_1' });
+
+    expect(error.code).toBe('DUPLICATE_REFERENCE');
+    expect(error.meta.attempts).toHaveLength(2);
+  });
+
+  it('marks exhausted failover as retryable vendor_unavailable', async () => {
+    const callTool = vi.fn().mockRejectedValue(vendorError(503, {}));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await failingCall(abstraction, null, 'verifyTransaction', { reference: 'ref_1' });
+
+    expect(error).toMatchObject({ code: 'ALL_VENDORS_FAILED', type: 'vendor_unavailable', retryable: true });
+  });
+
+  it('keeps gateway error codes while adding the type', async () => {
+    const callTool = vi.fn().mockRejectedValue(Object.assign(new Error('Tool not found'), { code: 'TOOL_NOT_FOUND' }));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool }, failover: false });
+
+    const error = await failingCall(abstraction, 'paystack', 'verifyTransaction', { reference: 'ref_1' });
+
+    expect(error).toMatchObject({ status: 501, code: 'TOOL_NOT_FOUND', type: 'vendor_unavailable', retryable: false });
+  });
+
+  it('tags input validation failures', async () => {
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool: vi.fn() } });
+
+    const error = await failingCall(abstraction, null, 'initializeTransaction', { amount: 1 });
+
+    expect(error).toMatchObject({ code: 'VALIDATION_FAILED', type: 'validation_failed', retryable: false });
+  });
+});
+
+describe('Abstracted endpoint error responses', () => {
+  afterEach(() => {
+    delete process.env.ABSTRACTION_DEBUG_ERRORS;
+  });
+
+  const buildApp = (callTool) => {
+    const endpoints = new AbstractedAPIEndpoints({ adapterRegistry: { callTool } });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+    return app;
+  };
+
+  const rejectingTool = () => vi.fn().mockRejectedValue(vendorError(400, { status: false, message: 'Invalid account number' }));
+
+  it('returns the type and retryable flag without vendor details by default', async () => {
+    const res = await request(buildApp(rejectingTool()))
+      .post('/api/v1/banking/verify-account')
+      .send({ accountNumber: '0000000000', bankCode: '058' });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ code: 'INVALID_ACCOUNT', type: 'invalid_account', retryable: false });
+    expect(res.body.vendorError).toBeUndefined();
+  });
+
+  it('includes the original vendor error when ABSTRACTION_DEBUG_ERRORS=1', async () => {
+    process.env.ABSTRACTION_DEBUG_ERRORS = '1';
+
+    const res = await request(buildApp(rejectingTool()))
+      .post('/api/v1/banking/verify-account')
+      .send({ accountNumber: '0000000000', bankCode: '058' });
+
+    expect(res.body.vendorError).toMatchObject({ vendor: 'bap', message: 'Invalid account number', status: 400 });
+  });
+});
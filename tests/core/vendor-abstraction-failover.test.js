@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+
+const upstreamError = (status, message = 'upstream failed') => {
+  const err = new Error(message);
+  err.response = { status };
+  return err;
+};
+
+const paymentInput = { amount: 5000, email: 'payer@example.com', reference: 'ref_1' };
+
+describe('VendorAbstractionLayer failover', () => {
+  it('fails over to the next mapped vendor on a retryable error of a read', async () => {
+    const callTool = vi.fn()
+      .mockRejectedValueOnce(upstreamError(503))
+      .mockResolvedValueOnce({ status: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const result = await abstraction.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_1' });
+
+    expect(result.success).toBe(true);
+    expect(callTool.mock.calls.map((call) => call[0])).toEqual([
+      'paystack:verify-transaction',
+      'flutterwave-v3:verify-payment'
+    ]);
+    expect(result.metadata.vendor).toBe('flutterwave');
+    expect(result.metadata.attempts).toEqual([
+      { vendor: 'paystack', status: 'failed', code: 'VENDOR_CALL_FAILED', retryable: true },
+      { vendor: 'flutterwave', status: 'success' }
+    ]);
+  });
+
+  it('does not send a money movement elsewhere when the first vendor may have acted', async () => {
+    for (const failure of [upstreamError(503), Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })]) {
+      const callTool = vi.fn().mockRejectedValueOnce(failure).mockResolvedValueOnce({ status: true });
+      const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+      const error = await abstraction
+        .executeAbstractedCall('payment', 'initializeTransaction', paymentInput)
+        .catch((err) => err);
+
+      expect(error).toMatchObject({ type: 'vendor_unavailable', retryable: true });
+      expect(callTool).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('fails a money movement over only when it never reached the vendor', async () => {
+    const callTool = vi.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('connect refused'), { code: 'ECONNREFUSED' }))
+      .mockResolvedValueOnce({ status: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const result = await abstraction.executeAbstractedCall(
+      'payment',
+      'initializeTransaction',
+      paymentInput,
+      'flutterwave'
+    );
+
+    expect(callTool.mock.calls[0][0]).toBe('flutterwave-v3:initiate-payment');
+    expect(result.metadata.vendor).toBe('paystack');
+  });
+
+  it('fails over when a vendor cannot run the mapped tool, without marking it retryable', async () => {
+    const callTool = vi.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Tool not found'), { code: 'TOOL_NOT_FOUND' }))
+      .mockResolvedValueOnce({ status: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const result = await abstraction.executeAbstractedCall('payment', 'initializeTransaction', paymentInput);
+
+    expect(result.metadata.attempts[0]).toEqual({
+      vendor: 'paystack', status: 'failed', code: 'TOOL_NOT_FOUND', retryable: false
+    });
+    expect(result.metadata.vendor).toBe('flutterwave');
+  });
+
+  it('does not fail over on client errors', async () => {
+    const callTool = vi.fn().mockRejectedValue(upstreamError(400, 'invalid email'));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await abstraction
+      .executeAbstractedCall('payment', 'initializeTransaction', paymentInput)
+      .catch((err) => err);
+
+    expect(error.message).toBe('invalid email');
+    expect(callTool).toHaveBeenCalledTimes(1);
+    expect(error.meta.attempts).toHaveLength(1);
+  });
+
+  it('reports ALL_VENDORS_FAILED with every attempt when each vendor fails', async () => {
+    const callTool = vi.fn().mockRejectedValue(upstreamError(502));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await abstraction
+      .executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_1' })
+      .catch((err) => err);
+
+    expect(error.code).toBe('ALL_VENDORS_FAILED');
+    expect(error.status).toBe(503);
+    expect(error.meta.attempts.map((attempt) => attempt.vendor)).toEqual(['paystack', 'flutterwave']);
+  });
+
+  it('skips vendors whose circuit breaker is open', async () => {
+    const callTool = vi.fn().mockResolvedValue({ status: true });
+    const registry = {
+      callTool,
+      getAdapter: (id) => (id === 'paystack' ? { client: { isCircuitOpen: () => true } } : undefined)
+    };
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: registry });
+
+    const result = await abstraction.executeAbstractedCall('payment', 'initializeTransaction', paymentInput);
+
+    expect(callTool).toHaveBeenCalledTimes(1);
+    expect(callTool.mock.calls[0][0]).toBe('flutterwave-v3:initiate-payment');
+    expect(result.metadata.attempts[0]).toEqual({ vendor: 'paystack', status: 'skipped', reason: 'circuit_open' });
+  });
+
+  it('skips vendors with a recent unhealthy health result', async () => {
+    const callTool = vi.fn().mockResolvedValue({ status: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+    abstraction.recordVendorHealth('paystack', { status: 'unhealthy', error: 'timeout' });
+
+    const result = await abstraction.executeAbstractedCall('payment', 'initializeTransaction', paymentInput);
+
+    expect(result.metadata.vendor).toBe('flutterwave');
+    expect(result.metadata.attempts[0].reason).toBe('unhealthy');
+  });
+
+  it('returns NO_HEALTHY_VENDORS when every vendor is skipped', async () => {
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool: vi.fn() } });
+    abstraction.recordVendorHealth('paystack', { healthy: false });
+    abstraction.recordVendorHealth('flutterwave', { healthy: false });
+
+    await expect(
+      abstraction.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_1' })
+    ).rejects.toMatchObject({ code: 'NO_HEALTHY_VENDORS', status: 503 });
+  });
+
+  it('only considers vendors that map the operation', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    await abstraction.executeAbstractedCall('payment', 'purchaseAirtime', {
+      phone: '08000000000',
+      amount: 100,
+      network: 'mtn'
+    });
+
+    expect(callTool.mock.calls[0][0]).toBe('sayswitch-api-integration:purchase-airtime');
+  });
+
+  it('tries a single vendor when failover is disabled', async () => {
+    const callTool = vi.fn().mockRejectedValue(upstreamError(503));
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool }, failover: false });
+
+    await expect(
+      abstraction.executeAbstractedCall('payment', 'initializeTransaction', paymentInput)
+    ).rejects.toThrow('upstream failed');
+    expect(callTool).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Abstracted endpoint failover metadata', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const verifyAfterOutage = () => {
+    const callTool = vi.fn()
+      .mockRejectedValueOnce(upstreamError(503))
+      .mockResolvedValueOnce({ status: true });
+    const endpoints = new AbstractedAPIEndpoints({ adapterRegistry: { callTool } });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+    return request(app).post('/api/v1/payment/verifyTransaction').send({ reference: 'ref_1' });
+  };
+
+  it('returns the attempts without vendor names by default', async () => {
+    const res = await verifyAfterOutage();
+
+    expect(res.status).toBe(200);
+    expect(res.body.metadata.attempts).toEqual([
+      { status: 'failed', code: 'VENDOR_CALL_FAILED', retryable: true },
+      { status: 'success' }
+    ]);
+    expect(res.body.metadata).not.toHaveProperty('vendor');
+    expect(res.body.metadata).not.toHaveProperty('routing');
+  });
+
+  it('names the vendors when ABSTRACTION_EXPOSE_VENDOR=1', async () => {
+    vi.stubEnv('ABSTRACTION_EXPOSE_VENDOR', '1');
+
+    const res = await verifyAfterOutage();
+
+    expect(res.body.metadata.vendor).toBe('flutterwave');
+    expect(res.body.metadata.attempts[0]).toMatchObject({ vendor: 'paystack', status: 'failed' });
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+import SchemaValidatorImport from '../../core/abstraction/schema-validator.js';
+
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+const SchemaValidator = SchemaValidatorImport?.default || SchemaValidatorImport;
+
+const paystackVerify = {
+  status: true,
+  message: 'Verification successful',
+  data: {
+    id: 4099260516,
+    reference: 'ref_42',
+    status: 'success',
+    amount: 500000,
+    currency: 'NGN',
+    paid_at: '2024-08-22T09:15:02.000Z',
+    customer: { email: 'payer@example.com', first_name: 'Ada', last_name: 'Obi', phone: null }
+  }
+};
+
+const flutterwaveVerify = {
+  status: 'success',
+  data: {
+    id: 288200108,
+    tx_ref: 'ref_42',
+    status: 'successful',
+    amount: 5000,
+    currency: 'NGN',
+    created_at: '2024-08-22T09:15:02.000Z',
+    customer: { email: 'payer@example.com', name: 'Ada Obi', phone_number: '08000000000' }
+  }
+};
+
+const expectCanonical = (abstraction, category, operation, data) => {
+  const validator = new SchemaValidator();
+  const result = validator.validate('test', abstraction.getClientResponseSchema(category, operation), data);
+  expect(result.errors).toEqual([]);
+};
+
+describe('VendorAbstractionLayer response normalization', () => {
+  it('returns the same transaction shape whichever vendor verified it', async () => {
+    const paystack = new VendorAbstractionLayer({
+      adapterRegistry: { callTool: vi.fn().mockResolvedValue(paystackVerify) }
+    });
+    const flutterwave = new VendorAbstractionLayer({
+      adapterRegistry: { callTool: vi.fn().mockResolvedValue(flutterwaveVerify) }
+    });
+
+    const fromPaystack = await paystack.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_42' }, 'paystack');
+    const fromFlutterwave = await flutterwave.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_42' }, 'flutterwave');
+
+    const shared = {
+      reference: 'ref_42',
+      status: 'succeeded',
+      amount: 500000,
+      currency: 'NGN',
+      paidAt: '2024-08-22T09:15:02.000Z'
+    };
+    expect(fromPaystack.data).toMatchObject({ ...shared, id: '4099260516', customer: { email: 'payer@example.com', name: 'Ada Obi' } });
+    expect(fromFlutterwave.data).toMatchObject({ ...shared, id: '288200108', customer: { email: 'payer@example.com', name: 'Ada Obi' } });
+    expectCanonical(paystack, 'payment', 'verifyTransaction', fromPaystack.data);
+    expectCanonical(flutterwave, 'payment', 'verifyTransaction', fromFlutterwave.data);
+  });
+
+  it('maps vendor statuses onto the canonical set', async () => {
+    const callTool = vi.fn().mockResolvedValue({
+      data: { ...flutterwaveVerify.data, status: 'cancelled' }
+    });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const result = await abstraction.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_42' }, 'flutterwave');
+
+    expect(result.data.status).toBe('abandoned');
+    expect(result.data.paidAt).toBeNull();
+  });
+
+  it('normalizes payment sessions, keeping the reference sent to the vendor', async () => {
+    const callTool = vi.fn().mockResolvedValue({
+      id: 'pi_123',
+      client_secret: 'pi_123_secret',
+      amount: 1999,
+      currency: 'usd',
+      status: 'requires_payment_method',
+      metadata: { reference: 'order_7' }
+    });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const result = await abstraction.executeAbstractedCall(
+      'payment',
+      'initializeTransaction',
+      { amount: 19.99, currency: 'USD', email: 'payer@example.com', reference: 'order_7' },
+      'stripe'
+    );
+
+    expect(result.data).toEqual({
+      reference: 'order_7',
+      status: 'pending',
+      checkoutUrl: null,
+      accessCode: null,
+      clientSecret: 'pi_123_secret',
+      amount: 1999,
+      currency: 'USD'
+    });
+    expectCanonical(abstraction, 'payment', 'initializeTransaction', result.data);
+  });
+
+  it('leaves operations without a canonical shape untouched', async () => {
+    const payload = { tunnels: [] };
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool: vi.fn().mockResolvedValue(payload) }
+    });
+
+    const result = await abstraction.executeAbstractedCall('infrastructure', 'listTunnels', {});
+
+    expect(result.data).toBe(payload);
+  });
+
+  it('does not fail over when normalization fails after a successful vendor call', async () => {
+    const callTool = vi.fn().mockResolvedValue({ status: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+    abstraction.vendorMappings.get('payment').vendors.paystack.mappings.verifyTransaction.transformResponse = () => {
+      throw new Error('unexpected payload');
+    };
+
+    const error = await abstraction
+      .executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_42' })
+      .catch((err) => err);
+
+    expect(error.code).toBe('RESPONSE_NORMALIZATION_FAILED');
+    expect(error.status).toBe(502);
+    expect(callTool).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Abstracted response schema endpoints', () => {
+  const buildApp = (callTool = vi.fn()) => {
+    const endpoints = new AbstractedAPIEndpoints({ adapterRegistry: { callTool } });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+    return app;
+  };
+
+  it('documents the canonical result shape next to the input schema', async () => {
+    const res = await request(buildApp()).get('/api/v1/categories/payment/schema/verifyTransaction');
+
+    expect(res.status).toBe(200);
+    expect(res.body.responseSchema.$id).toBe('urn:onasis:abstraction:payment:verifyTransaction:output');
+    expect(res.body.responseSchema.required).toEqual(
+      expect.arrayContaining(['status', 'amount', 'currency', 'reference', 'paidAt', 'customer'])
+    );
+  });
+
+  it('serves the bare response schema with ?part=response', async () => {
+    const res = await request(buildApp())
+      .get('/api/v1/categories/banking/schema/verifyAccount?part=response')
+      .set('Accept', 'application/schema+json');
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text).title).toBe('banking.verifyAccount result');
+  });
+
+  it('returns the canonical transaction from /api/v1/payments/verify', async () => {
+    const res = await request(buildApp(vi.fn().mockResolvedValue(paystackVerify)))
+      .post('/api/v1/payments/verify')
+      .send({ reference: 'ref_42' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification).toMatchObject({ reference: 'ref_42', status: 'succeeded', amount: 500000 });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi } from 'vitest';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+import RoutingPolicyImport from '../../core/abstraction/routing-policy.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+const RoutingPolicyEngine = RoutingPolicyImport?.default || RoutingPolicyImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+
+const examplePolicyPath = path.join(__dirname, '../../core/abstraction/routing-policies.example.json');
+
+const initialize = (abstraction, input, context = {}) => abstraction.executeAbstractedCall(
+  'payment',
+  'initializeTransaction',
+  { email: 'payer@example.com', amount: 5000, ...input },
+  null,
+  context
+);
+
+describe('RoutingPolicyEngine', () => {
+  it('orders vendors by weighted draw and appends zero-weight vendors as fallback', () => {
+    const engine = new RoutingPolicyEngine(
+      { payment: { weights: { paystack: 80, flutterwave: 20, stripe: 0 } } },
+      { random: () => 0.9 }
+    );
+
+    const selection = engine.selectVendors('payment', 'initializeTransaction', ['paystack', 'flutterwave', 'stripe']);
+
+    expect(selection.strategy).toBe('weighted');
+    expect(selection.vendors).toEqual(['flutterwave', 'paystack', 'stripe']);
+  });
+
+  it('rejects malformed policies', () => {
+    expect(() => new RoutingPolicyEngine({ payment: { weights: { paystack: -1 } } }))
+      .toThrow('non-negative number');
+    expect(() => new RoutingPolicyEngine({ payment: { rules: [{ when: { currency: 'USD' } }] } }))
+      .toThrow('must declare vendors or weights');
+  });
+});
+
+describe('VendorAbstractionLayer routing policies', () => {
+  it('routes by currency rule', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool },
+      routingPolicyPath: examplePolicyPath
+    });
+
+    const usd = await initialize(abstraction, { currency: 'USD' });
+    expect(callTool.mock.calls[0][0]).toBe('stripe-api-2024-04-10:create-payment-intent');
+    expect(callTool.mock.calls[0][1].amount).toBe(500000);
+    expect(usd.metadata.routing).toEqual({ strategy: 'rule', rule: 'usd-to-stripe', scope: 'category' });
+
+    await initialize(abstraction, { currency: 'NGN' });
+    expect(callTool.mock.calls[1][0]).toBe('paystack:initialize-transaction');
+  });
+
+  it('does not fail over outside the vendors a rule allows', async () => {
+    const callTool = vi.fn().mockRejectedValue(Object.assign(new Error('down'), { status: 503 }));
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool },
+      routingPolicyPath: examplePolicyPath
+    });
+
+    await expect(initialize(abstraction, { currency: 'USD' })).rejects.toThrow('down');
+    expect(callTool).toHaveBeenCalledTimes(1);
+  });
+
+  it('applies tenant overrides before category rules', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool },
+      routingPolicyPath: examplePolicyPath
+    });
+
+    const result = await initialize(
+      abstraction,
+      { currency: 'NGN', amount: 2000000 },
+      { tenantId: 'lanonasis-maas' }
+    );
+
+    expect(callTool.mock.calls[0][0]).toBe('flutterwave-v3:initiate-payment');
+    expect(result.metadata.routing.scope).toBe('tenant:lanonasis-maas');
+
+    // A client-supplied project scope is not a verified tenant
+    const unverified = await initialize(
+      abstraction,
+      { currency: 'NGN', amount: 2000000 },
+      { projectScope: 'lanonasis-maas' }
+    );
+    expect(unverified.metadata.routing.scope).not.toBe('tenant:lanonasis-maas');
+  });
+
+  it('falls back to operation weights when no rule matches', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool },
+      routingPolicyPath: examplePolicyPath,
+      random: () => 0.95
+    });
+
+    const result = await initialize(abstraction, { currency: 'GHS' });
+
+    expect(callTool.mock.calls[0][0]).toBe('flutterwave-v3:initiate-payment');
+    expect(result.metadata.routing).toEqual({
+      strategy: 'weighted',
+      rule: null,
+      scope: 'operation:initializeTransaction'
+    });
+  });
+
+  it('returns NO_ROUTABLE_VENDOR when a rule names no vendor that maps the operation', async () => {
+    const abstraction = new VendorAbstractionLayer({
+      adapterRegistry: { callTool: vi.fn() },
+      routingPolicies: {
+        payment: { rules: [{ name: 'stripe-only', vendors: ['stripe'] }] }
+      }
+    });
+
+    await expect(
+      abstraction.executeAbstractedCall('payment', 'verifyTransaction', { reference: 'ref_1' })
+    ).rejects.toMatchObject({ code: 'NO_ROUTABLE_VENDOR', status: 422 });
+  });
+
+  it('rejects policies that reference unknown vendors', () => {
+    expect(() => new VendorAbstractionLayer({
+      routingPolicies: { payment: { weights: { paystak: 100 } } }
+    })).toThrow('unknown vendors: paystak');
+  });
+
+  it('exposes the routing policy on the category endpoint but hides routing metadata', async () => {
+    process.env.ABSTRACTION_ROUTING_POLICY_PATH = examplePolicyPath;
+    const endpoints = new AbstractedAPIEndpoints({
+      adapterRegistry: { callTool: vi.fn().mockResolvedValue({ ok: true }) }
+    });
+    delete process.env.ABSTRACTION_ROUTING_POLICY_PATH;
+
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+
+    const info = await request(app).get('/api/v1/categories/payment');
+    expect(info.status).toBe(200);
+    expect(info.body.routingPolicy.rules[0].name).toBe('usd-to-stripe');
+
+    const call = await request(app)
+      .post('/api/v1/payment/initializeTransaction')
+      .send({ email: 'payer@example.com', amount: 10, currency: 'USD' });
+    expect(call.status).toBe(200);
+    expect(call.body.metadata.routing).toBeUndefined();
+    expect(call.body.metadata.vendor).toBeUndefined();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import VendorAbstractionImport from '../../core/abstraction/vendor-abstraction.js';
+import AbstractedEndpointsImport from '../../api/abstracted-endpoints.js';
+
+const VendorAbstractionLayer = VendorAbstractionImport?.default || VendorAbstractionImport;
+const AbstractedAPIEndpoints = AbstractedEndpointsImport?.default || AbstractedEndpointsImport;
+
+const validationError = (abstraction, category, operation, input) => abstraction
+  .executeAbstractedCall(category, operation, input)
+  .then(() => null, (err) => err);
+
+describe('VendorAbstractionLayer JSON Schema validation', () => {
+  it('reports every failing field with a JSON pointer', async () => {
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool: vi.fn() } });
+
+    const error = await validationError(abstraction, 'payment', 'initializeTransaction', {
+      amount: -5,
+      email: 'not-an-email',
+      currency: 'naira'
+    });
+
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('VALIDATION_FAILED');
+    const byPointer = Object.fromEntries(error.meta.errors.map((e) => [e.pointer, e.keyword]));
+    expect(byPointer).toEqual({
+      '/amount': 'exclusiveMinimum',
+      '/currency': 'pattern',
+      '/email': 'format'
+    });
+  });
+
+  it('points into nested arrays and objects', async () => {
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool: vi.fn() } });
+
+    const error = await validationError(abstraction, 'ai', 'chat', {
+      messages: [{ role: 'user', content: 'hi' }, { role: 'robot' }]
+    });
+
+    expect(error.meta.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ pointer: '/messages/1/content', keyword: 'required' }),
+      expect.objectContaining({ pointer: '/messages/1/role', keyword: 'enum' })
+    ]));
+    expect(error.message).toContain('messages[1]');
+  });
+
+  it('enforces enum and numeric bounds and still applies defaults', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+
+    const error = await validationError(abstraction, 'memory', 'list', { limit: 500, type: 'secret' });
+    expect(error.meta.errors.map((e) => e.pointer).sort()).toEqual(['/limit', '/type']);
+
+    await abstraction.executeAbstractedCall('memory', 'list', {});
+    expect(callTool).toHaveBeenCalledWith(
+      'memory-service:list-memories',
+      { limit: 20, offset: 0 },
+      {}
+    );
+  });
+
+  it('converts legacy field-map schemas passed to registerAbstraction', async () => {
+    const callTool = vi.fn().mockResolvedValue({ ok: true });
+    const abstraction = new VendorAbstractionLayer({ adapterRegistry: { callTool } });
+    abstraction.registerAbstraction('custom', {
+      client: {
+        ping: { schema: { target: { type: 'string', required: true }, count: { type: 'integer', default: 1 } } }
+      },
+      vendors: {
+        echo: { adapter: 'echo', mappings: { ping: { tool: 'ping', transform: (input) => input } } }
+      }
+    });
+
+    expect(abstraction.getClientSchema('custom', 'ping')).toEqual({
+      type: 'object',
+      properties: { target: { type: 'string' }, count: { type: 'integer', default: 1 } },
+      required: ['target']
+    });
+    const error = await validationError(abstraction, 'custom', 'ping', {});
+    expect(error.meta.errors[0].pointer).toBe('/target');
+  });
+});
+
+describe('Abstracted schema endpoints', () => {
+  const buildApp = () => {
+    const endpoints = new AbstractedAPIEndpoints({ adapterRegistry: { callTool: vi.fn() } });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.router);
+    return app;
+  };
+
+  it('returns a draft 2020-12 schema document', async () => {
+    const res = await request(buildApp()).get('/api/v1/categories/payment/schema/initializeTransaction');
+
+    expect(res.status).toBe(200);
+    expect(res.body.schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    expect(res.body.schema.required).toEqual(['amount', 'email']);
+    expect(res.body.schema.properties.email.format).toBe('email');
+  });
+
+  it('serves the bare schema for application/schema+json', async () => {
+    const res = await request(buildApp())
+      .get('/api/v1/categories/banking/schema/transferFunds')
+      .set('Accept', 'application/schema+json');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/schema+json');
+    expect(JSON.parse(res.text).$id).toBe('urn:onasis:abstraction:banking:transferFunds:input');
+  });
+
+  it('returns structured validation errors from abstracted calls', async () => {
+    const res = await request(buildApp())
+      .post('/api/v1/payments/initialize')
+      .send({ amount: 100 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors[0]).toMatchObject({ pointer: '/email', keyword: 'required' });
+  });
+});
@@ -408,3 +408,41 @@ describe('VersionManager', () => {
     });
   });
 });
+
+describe('VersionManager version negotiation', () => {
+  let vm;
+
+  beforeEach(() => {
+    vm = new VersionManager();
+    vm.registerVersion('pay', '1.0.0', { baseUrl: 'http://api.example.com/v1' });
+    vm.registerVersion('pay', '1.2.0', { baseUrl: 'http://api.example.com/v1' });
+    vm.registerVersion('pay', '2.0.0', { baseUrl: 'http://api.example.com/v2' });
+  });
+
+  it('resolves partial and prefixed versions to the newest matching release', () => {
+    expect(vm.resolveVersion('pay', '1').version).toBe('1.2.0');
+    expect(vm.resolveVersion('pay', 'v1.0').version).toBe('1.0.0');
+    expect(vm.resolveVersion('pay', '2.0.0').version).toBe('2.0.0');
+    expect(vm.resolveVersion('pay').version).toBe('2.0.0');
+  });
+
+  it('rejects malformed and unknown versions', () => {
+    expect(() => vm.resolveVersion('pay', '>=1')).toThrow('Invalid version format');
+    expect(() => vm.resolveVersion('pay', '3')).toThrow('Version 3 not found for service pay');
+  });
+
+  it('reports deprecation with a sunset at the end of the removal window', () => {
+    expect(vm.getDeprecationInfo('pay', '1.0.0')).toBeNull();
+
+    vm.deprecateVersion('pay', '1.0.0', 'superseded by 2.0.0');
+    const info = vm.getDeprecationInfo('pay', '1.0.0');
+    expect(info.reason).toBe('superseded by 2.0.0');
+    expect(info.sunsetAt.getTime() - info.deprecatedAt.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('tracks registered migration handlers', () => {
+    vm.registerMigrationHandler('pay', '1.0.0', '2.0.0', async (data) => data);
+    expect(vm.hasMigrationHandler('pay', '1.0.0', '2.0.0')).toBe(true);
+    expect(vm.hasMigrationHandler('pay', '2.0.0', '1.0.0')).toBe(false);
+  });
+});
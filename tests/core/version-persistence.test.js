@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+
+// CommonJS interop
+import VersionManagerImport from '../../core/versioning/version-manager.js';
+import versionStoresImport from '../../core/versioning/version-stores.js';
+
+const VersionManager = VersionManagerImport?.default || VersionManagerImport;
+const versionStores = versionStoresImport?.default || versionStoresImport;
+const { MemoryVersionStore, PostgresVersionStore } = versionStores;
+
+const endpoints = [{ id: 'charge', method: 'POST', path: '/charges' }];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildManager = (store) => {
+  const audit = [];
+  const manager = new VersionManager({
+    store,
+    compliance: { logAuditEntry: (action, details) => audit.push({ action, details }) }
+  });
+  return { manager, audit };
+};
+
+describe('VersionManager persistence', () => {
+  it('restores versions, deprecations, compatibility and snapshots after a restart', async () => {
+    const store = new MemoryVersionStore();
+    const { manager: first } = buildManager(store);
+    first.registerVersion('pay', '1.0.0', { endpoints });
+    first.registerVersion('pay', '2.0.0', { endpoints: [] });
+    first.deprecateVersion('pay', '1.0.0', 'superseded');
+    first.createMigrationSnapshot('pay', '1.0.0', '2.0.0', { amount: 10 });
+    await first.flush();
+
+    const { manager: second } = buildManager(store);
+    await second.restore();
+
+    expect(second.listVersions('pay').map(v => [v.version, v.deprecated])).toEqual([
+      ['2.0.0', false],
+      ['1.0.0', true]
+    ]);
+    expect(second.getDeprecationInfo('pay', '1.0.0').deprecatedAt).toBeInstanceOf(Date);
+    expect(second.getCompatibilityMatrix('pay')).toEqual([
+      expect.objectContaining({
+        fromVersion: '1.0.0',
+        toVersion: '2.0.0',
+        compatible: false,
+        breakingChanges: [expect.objectContaining({ type: 'endpoint_removed', endpoint: 'charge' })]
+      })
+    ]);
+    expect(second.getSnapshot('pay', '1.0.0', '2.0.0')).toMatchObject({ data: { amount: 10 } });
+  });
+
+  it('keeps persisted deprecations for versions re-registered from config at startup', async () => {
+    const store = new MemoryVersionStore();
+    const { manager: first } = buildManager(store);
+    first.registerVersion('pay', '1.0.0', { endpoints, baseUrl: 'old' });
+    first.deprecateVersion('pay', '1.0.0', 'superseded');
+    await first.flush();
+
+    // Same order as the gateway: restore is queued, then configs register synchronously
+    const { manager: second } = buildManager(store);
+    const restored = second.restore();
+    second.registerVersion('pay', '1.0.0', { endpoints, baseUrl: 'new' });
+    await restored;
+    await second.flush();
+
+    const config = second.getServiceVersion('pay', '1.0.0');
+    expect(config).toMatchObject({ baseUrl: 'new', deprecated: true, deprecationReason: 'superseded' });
+    expect((await store.load()).versions[0].config).toMatchObject({ baseUrl: 'new', deprecated: true });
+  });
+
+  it('does not bring back removed versions and audits lifecycle changes', async () => {
+    const store = new MemoryVersionStore();
+    const { manager: first, audit } = buildManager(store);
+    first.registerVersion('pay', '1.0.0', { endpoints });
+    first.registerVersion('pay', '2.0.0', { endpoints });
+    first.deprecateVersion('pay', '1.0.0', 'superseded', { actor: 'ops@example.com' });
+    first.supportedVersions.get('pay:1.0.0').deprecatedAt = new Date(Date.now() - 31 * DAY_MS);
+    first.removeVersion('pay', '1.0.0', { actor: 'ops@example.com' });
+    first.clearSnapshots('pay', '1.0.0', '2.0.0', { actor: 'ops@example.com' });
+    await first.flush();
+
+    expect(audit.map(entry => [entry.action, entry.details.event, entry.details.actor])).toEqual([
+      ['SERVICE_VERSION_CHANGE', 'deprecated', 'ops@example.com'],
+      ['SERVICE_VERSION_CHANGE', 'removed', 'ops@example.com'],
+      ['SERVICE_VERSION_CHANGE', 'snapshots_cleared', 'ops@example.com']
+    ]);
+
+    const { manager: second } = buildManager(store);
+    const restored = second.restore();
+    second.registerVersion('pay', '1.0.0', { endpoints });
+    await restored;
+    expect(second.getServiceVersions('pay').map(v => v.version)).toEqual(['2.0.0']);
+  });
+
+  it('reports lifecycle errors with status codes', () => {
+    const { manager } = buildManager(new MemoryVersionStore());
+    manager.registerVersion('pay', '1.0.0', { endpoints });
+
+    expect(() => manager.removeVersion('pay', '1.0.0')).toThrow(expect.objectContaining({
+      status: 409,
+      code: 'VERSION_NOT_DEPRECATED'
+    }));
+    expect(() => manager.deprecateVersion('pay', '9.0.0', 'x')).toThrow(expect.objectContaining({
+      status: 404,
+      code: 'VERSION_NOT_FOUND'
+    }));
+  });
+
+  it('keeps the in-memory state when the store fails', async () => {
+    const store = new MemoryVersionStore();
+    store.saveVersion = async () => {
+      throw new Error('db down');
+    };
+    const { manager } = buildManager(store);
+    const failures = [];
+    manager.on('version:persist_failed', (event) => failures.push(event.error.message));
+
+    manager.registerVersion('pay', '1.0.0', { endpoints });
+    await manager.flush();
+
+    expect(failures).toEqual(['db down']);
+    expect(manager.getLatestVersion('pay').version).toBe('1.0.0');
+  });
+
+  it('upserts versions into Postgres with their lifecycle columns', async () => {
+    const queries = [];
+    const store = new PostgresVersionStore({
+      db: { query: async (text, params) => { queries.push({ text, params }); return { rows: [] }; } }
+    });
+    const deprecatedAt = new Date('2026-01-01T00:00:00Z');
+
+    await store.saveVersion({
+      serviceId: 'pay',
+      version: '1.0.0',
+      config: { registeredAt: deprecatedAt, deprecated: true, deprecatedAt },
+      removedAt: null
+    });
+
+    expect(queries[0].text).toContain('ON CONFLICT (service_id, version) DO UPDATE');
+    expect(queries[0].params.slice(0, 2)).toEqual(['pay', '1.0.0']);
+    expect(queries[0].params.slice(3, 6)).toEqual([true, '2026-01-01T00:00:00.000Z', null]);
+  });
+});
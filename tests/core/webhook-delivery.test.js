@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// CommonJS interop
+import WebhookDeliveryServiceImport from '../../core/webhooks/webhook-delivery.js';
+
+const WebhookDeliveryService = WebhookDeliveryServiceImport?.default || WebhookDeliveryServiceImport;
+
+const event = (id, type = 'payment.succeeded') => ({ id, type, data: { reference: `ref_${id}`, amount: 5000 } });
+
+const respond = (status, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body
+});
+
+describe('WebhookDeliveryService', () => {
+  let clock;
+  let fetch;
+  let lookup;
+  let service;
+
+  beforeEach(() => {
+    clock = Date.UTC(2026, 0, 15, 12, 0, 0);
+    fetch = vi.fn(async () => respond(200, 'ok'));
+    lookup = vi.fn(async () => [{ address: '93.184.216.34', family: 4 }]);
+    service = new WebhookDeliveryService({
+      fetch,
+      lookup,
+      now: () => clock,
+      random: () => 0.5,
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+      eventTypes: ['payment.succeeded', 'refund.processed']
+    });
+  });
+
+  it('signs each delivery with a timestamped HMAC the receiver can verify', async () => {
+    const endpoint = await service.registerEndpoint('tenant-a', { url: 'https://hooks.example.com/pay' });
+    expect(endpoint.secret).toMatch(/^whsec_/);
+    expect(await service.listEndpoints('tenant-a')).toEqual([
+      expect.not.objectContaining({ secret: expect.anything() })
+    ]);
+
+    const [queued] = await service.publish(event('pev_1'), { tenantId: 'tenant-a' });
+    expect(await service.processDue()).toBe(1);
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/pay');
+    expect(request.headers).toMatchObject({ 'X-Onasis-Event': 'payment.succeeded', 'X-Onasis-Delivery': queued.id });
+    expect(JSON.parse(request.body)).toMatchObject({ id: 'pev_1', type: 'payment.succeeded', data: { id: 'pev_1' } });
+
+    const signature = request.headers['X-Onasis-Signature'];
+    expect(signature).toMatch(new RegExp(`^t=${Math.floor(clock / 1000)},v1=[0-9a-f]{64}$`));
+    expect(WebhookDeliveryService.verifySignature(signature, request.body, endpoint.secret, { now: clock })).toBe(true);
+    expect(WebhookDeliveryService.verifySignature(signature, `${request.body} `, endpoint.secret, { now: clock })).toBe(false);
+    expect(WebhookDeliveryService.verifySignature(signature, request.body, endpoint.secret, { now: clock + 301000 }))
+      .toBe(false);
+
+    expect(await service.getDelivery('tenant-a', queued.id)).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+
+  it('only queues for the tenant\'s enabled endpoints subscribed to the event, once per event', async () => {
+    const refunds = await service.registerEndpoint('tenant-a', { url: 'https://a.example.com', events: ['refund.processed'] });
+    const all = await service.registerEndpoint('tenant-a', { url: 'https://b.example.com' });
+    await service.registerEndpoint('tenant-b', { url: 'https://c.example.com' });
+    const disabled = await service.registerEndpoint('tenant-a', { url: 'https://d.example.com' });
+    await service.updateEndpoint('tenant-a', disabled.id, { enabled: false });
+
+    const queued = await service.publish(event('pev_1'), { tenantId: 'tenant-a' });
+    expect(queued.map((delivery) => delivery.endpointId)).toEqual([all.id]);
+    expect(await service.publish(event('pev_1'), { tenantId: 'tenant-a' })).toEqual([]);
+    expect(await service.publish(event('pev_2', 'refund.processed'), { tenantId: 'tenant-a' })).toHaveLength(2);
+
+    await expect(service.getEndpoint('tenant-b', refunds.id)).rejects.toMatchObject({ status: 404 });
+    await expect(service.registerEndpoint('tenant-a', { url: 'ftp://example.com' }))
+      .rejects.toMatchObject({ code: 'INVALID_WEBHOOK_ENDPOINT' });
+    await expect(service.registerEndpoint('tenant-a', { url: 'https://example.com', events: ['charge.success'] }))
+      .rejects.toMatchObject({ code: 'INVALID_WEBHOOK_ENDPOINT' });
+  });
+
+  it('retries with exponential backoff, dead-letters, logs attempts and replays', async () => {
+    await service.registerEndpoint('tenant-a', { url: 'https://hooks.example.com' });
+    fetch
+      .mockResolvedValueOnce(respond(500, 'boom'))
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce(respond(410));
+    const [queued] = await service.publish(event('pev_1'), { tenantId: 'tenant-a' });
+
+    await service.processDue();
+    let delivery = await service.getDelivery('tenant-a', queued.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 500, nextAttemptAt: clock + 1000 });
+
+    // Not due yet
+    expect(await service.processDue()).toBe(0);
+
+    clock += 1000;
+    await service.processDue();
+    delivery = await service.getDelivery('tenant-a', queued.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2, nextAttemptAt: clock + 2000 });
+
+    clock += 2000;
+    await service.processDue();
+    expect(await service.listDeadLetters('tenant-a')).toEqual([
+      expect.objectContaining({ id: queued.id, status: 'dead', attempts: 3, lastError: 'HTTP 410' })
+    ]);
+
+    const attempts = await service.listAttempts('tenant-a', queued.id);
+    expect(attempts.map(({ attempt, statusCode, error }) => ({ attempt, statusCode, error }))).toEqual([
+      { attempt: 1, statusCode: 500, error: 'HTTP 500' },
+      { attempt: 2, statusCode: null, error: 'connect ECONNREFUSED' },
+      { attempt: 3, statusCode: 410, error: 'HTTP 410' }
+    ]);
+    expect(attempts[0].responseBody).toBe('boom');
+
+    await expect(service.replay('tenant-b', queued.id)).rejects.toMatchObject({ status: 404 });
+    await service.replay('tenant-a', queued.id);
+    await service.processDue();
+    expect(await service.getDelivery('tenant-a', queued.id)).toMatchObject({ status: 'delivered', attempts: 1 });
+    await expect(service.replay('tenant-a', queued.id)).rejects.toMatchObject({ code: 'WEBHOOK_DELIVERY_NOT_DEAD' });
+  });
+
+  it('never calls private, loopback or link-local targets and does not follow redirects', async () => {
+    for (const url of ['http://127.0.0.1/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest', 'http://localhost:8080']) {
+      await expect(service.registerEndpoint('tenant-a', { url }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBHOOK_ENDPOINT' });
+    }
+
+    // A public-looking name that resolves inside the network
+    await service.registerEndpoint('tenant-a', { url: 'https://internal.example.com/hook' });
+    lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.12', family: 4 }]);
+    const [rebound] = await service.publish(event('pev_1'), { tenantId: 'tenant-a' });
+    await service.processDue();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(await service.getDelivery('tenant-a', rebound.id)).toMatchObject({
+      status: 'dead',
+      attempts: 1,
+      lastError: 'Endpoint host internal.example.com does not resolve to a public address'
+    });
+    expect(await service.listAttempts('tenant-a', rebound.id))
+      .toEqual([expect.objectContaining({ statusCode: null, responseBody: null })]);
+
+    fetch.mockResolvedValueOnce(respond(302, 'moved'));
+    const [redirected] = await service.publish(event('pev_2'), { tenantId: 'tenant-a' });
+    await service.processDue();
+    expect(fetch.mock.calls[0][1].redirect).toBe('manual');
+    expect(await service.getDelivery('tenant-a', redirected.id)).toMatchObject({
+      status: 'pending',
+      lastError: 'HTTP 302 (redirects are not followed)'
+    });
+  });
+
+  it('reclaims deliveries left in flight once their lease expires', async () => {
+    await service.registerEndpoint('tenant-a', { url: 'https://hooks.example.com' });
+    const [queued] = await service.publish(event('pev_1'), { tenantId: 'tenant-a' });
+
+    // A previous process claimed the delivery and died before recording the attempt
+    await service.store.claimDue(clock, 10, service.timeoutMs * 2);
+    expect(await service.processDue()).toBe(0);
+
+    clock += service.timeoutMs * 2;
+    expect(await service.processDue()).toBe(1);
+    expect(await service.getDelivery('tenant-a', queued.id)).toMatchObject({ status: 'delivered' });
+  });
+});
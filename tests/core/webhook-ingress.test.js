@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+
+// CommonJS interop
+import WebhookIngressImport from '../../core/webhooks/webhook-ingress.js';
+import WebhookProvidersImport from '../../core/webhooks/webhook-providers.js';
+
+const WebhookIngress = WebhookIngressImport?.default || WebhookIngressImport;
+const { PROVIDERS, verifyStripe } = WebhookProvidersImport?.default || WebhookProvidersImport;
+
+const SECRETS = {
+  WEBHOOK_SECRET_PAYSTACK: 'sk_test_paystack',
+  WEBHOOK_SECRET_FLUTTERWAVE: 'flw-secret-hash',
+  WEBHOOK_SECRET_STRIPE: 'whsec_test',
+  PROVIDUS_CLIENT_ID: 'providus-client',
+  PROVIDUS_CLIENT_SECRET: 'providus-secret',
+  WEBHOOK_SECRET_SAYSWITCH: 'say-secret',
+  WEBHOOK_SECRET_XPRESS: 'xpress-secret'
+};
+
+const body = (payload) => Buffer.from(JSON.stringify(payload));
+const hmac = (algorithm, key, payload) => crypto.createHmac(algorithm, key).update(payload).digest('hex');
+
+describe('webhook provider signatures', () => {
+  beforeEach(() => {
+    for (const [name, value] of Object.entries(SECRETS)) vi.stubEnv(name, value);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const verify = (provider, headers, rawBody) =>
+    PROVIDERS[provider].verify({ headers, rawBody }, PROVIDERS[provider].secret());
+
+  it('paystack and sayswitch: HMAC-SHA512 of the raw body', () => {
+    const rawBody = body({ event: 'charge.success', data: { id: 42 } });
+
+    expect(verify('paystack', { 'x-paystack-signature': hmac('sha512', 'sk_test_paystack', rawBody) }, rawBody))
+      .toEqual({ valid: true });
+    expect(verify('sayswitch', { 'x-sayswitch-signature': hmac('sha512', 'say-secret', rawBody) }, rawBody))
+      .toEqual({ valid: true });
+
+    // Re-serialized JSON with different spacing no longer matches
+    const reformatted = Buffer.from(JSON.stringify(JSON.parse(rawBody), null, 2));
+    expect(verify('paystack', { 'x-paystack-signature': hmac('sha512', 'sk_test_paystack', rawBody) }, reformatted).valid)
+      .toBe(false);
+    expect(verify('paystack', {}, rawBody)).toEqual({ valid: false, reason: 'missing x-paystack-signature header' });
+  });
+
+  it('xpress: HMAC-SHA256 of the raw body in x-signature', () => {
+    const rawBody = body({ event: 'transaction.completed', eventId: 'xp_evt_1' });
+
+    expect(verify('xpress', { 'x-signature': hmac('sha256', 'xpress-secret', rawBody) }, rawBody)).toEqual({ valid: true });
+    expect(verify('xpress', { 'x-signature': hmac('sha256', 'other', rawBody) }, rawBody).valid).toBe(false);
+    expect(PROVIDERS.xpress.eventId(JSON.parse(rawBody))).toBe('xp_evt_1');
+  });
+
+  it('flutterwave: verif-hash equals the dashboard secret hash', () => {
+    const rawBody = body({ event: 'charge.completed', data: { id: 7 } });
+
+    expect(verify('flutterwave', { 'verif-hash': 'flw-secret-hash' }, rawBody)).toEqual({ valid: true });
+    expect(verify('flutterwave', { 'verif-hash': 'guess' }, rawBody).valid).toBe(false);
+  });
+
+  it('stripe: signed timestamp within the tolerance', () => {
+    const rawBody = body({ id: 'evt_1', type: 'payment_intent.succeeded' });
+    const now = Date.now();
+    const t = Math.floor(now / 1000);
+    const signature = hmac('sha256', 'whsec_test', `${t}.${rawBody}`);
+
+    expect(verifyStripe({ headers: { 'stripe-signature': `t=${t},v1=bogus,v1=${signature}` }, rawBody }, 'whsec_test', now))
+      .toEqual({ valid: true });
+    expect(verifyStripe({ headers: { 'stripe-signature': `t=${t},v1=${signature}` }, rawBody }, 'whsec_test', now + 301000))
+      .toEqual({ valid: false, reason: 'timestamp outside tolerance' });
+    expect(verifyStripe({ headers: { 'stripe-signature': `t=${t + 1},v1=${signature}` }, rawBody }, 'whsec_test', now))
+      .toEqual({ valid: false, reason: 'signature mismatch' });
+  });
+
+  it('providus: X-Auth-Signature is SHA512 of client id and secret', () => {
+    const rawBody = body({ sessionId: 's1', settlementId: 'set_1' });
+    const signature = crypto.createHash('sha512').update('providus-client:providus-secret').digest('hex');
+
+    expect(verify('providus', { 'x-auth-signature': signature.toUpperCase() }, rawBody)).toEqual({ valid: true });
+    expect(verify('providus', { 'x-auth-signature': 'abc' }, rawBody).valid).toBe(false);
+  });
+});
+
+describe('WebhookIngress', () => {
+  let adapter;
+  let ingress;
+
+  const paystackDelivery = (payload) => {
+    const rawBody = body(payload);
+    return { headers: { 'x-paystack-signature': hmac('sha512', 'sk_test_paystack', rawBody) }, rawBody };
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('WEBHOOK_SECRET_PAYSTACK', 'sk_test_paystack');
+    vi.stubEnv('WEBHOOK_SECRET_STRIPE', '');
+    vi.stubEnv('STRIPE_WEBHOOK_SECRET', '');
+    adapter = { handleWebhook: vi.fn(async () => ({ ok: true })) };
+    ingress = new WebhookIngress({ getAdapters: () => new Map([['paystack', adapter]]) });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('persists the raw body, acknowledges, then hands the event to the adapter', async () => {
+    const delivery = paystackDelivery({ event: 'charge.success', data: { id: 42, amount: 5000 } });
+
+    const { duplicate, event } = await ingress.receive('paystack', delivery);
+
+    expect(duplicate).toBe(false);
+    expect(event).toMatchObject({ eventId: 'charge.success:42', eventType: 'charge.success', status: 'received' });
+    expect(adapter.handleWebhook).not.toHaveBeenCalled();
+
+    const processed = await ingress.wait(event.id);
+    expect(processed).toMatchObject({ status: 'processed', attempts: 1 });
+    expect(adapter.handleWebhook).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'paystack',
+      eventId: 'charge.success:42',
+      payload: { event: 'charge.success', data: { id: 42, amount: 5000 } }
+    }));
+    expect((await ingress.store.get(event.id)).rawBody).toBe(delivery.rawBody.toString());
+  });
+
+  it('acknowledges redeliveries without processing them twice', async () => {
+    const first = await ingress.receive('paystack', paystackDelivery({ event: 'charge.success', data: { id: 42 } }));
+    await ingress.wait(first.event.id);
+
+    const again = await ingress.receive('paystack', paystackDelivery({ event: 'charge.success', data: { id: 42 } }));
+
+    expect(again).toMatchObject({ duplicate: true, event: { id: first.event.id, status: 'processed' } });
+    expect(adapter.handleWebhook).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks failed events and processes them again on retry', async () => {
+    adapter.handleWebhook.mockRejectedValueOnce(new Error('ledger unavailable'));
+    const { event } = await ingress.receive('paystack', paystackDelivery({ event: 'transfer.success', data: { id: 9 } }));
+
+    expect(await ingress.wait(event.id)).toMatchObject({ status: 'failed', lastError: 'ledger unavailable' });
+    await expect(ingress.retry('whk_missing')).rejects.toMatchObject({ status: 404 });
+
+    await ingress.retry(event.id);
+    expect(await ingress.wait(event.id)).toMatchObject({ status: 'processed', attempts: 2, lastError: null });
+    await expect(ingress.retry(event.id)).rejects.toMatchObject({ code: 'WEBHOOK_EVENT_NOT_FAILED' });
+  });
+
+  it('rejects unknown providers, missing secrets and bad signatures before storing anything', async () => {
+    const rawBody = body({ event: 'charge.success', data: { id: 1 } });
+
+    await expect(ingress.receive('acme', { headers: {}, rawBody })).rejects.toMatchObject({ status: 404 });
+    await expect(ingress.receive('stripe', { headers: {}, rawBody })).rejects.toMatchObject({
+      status: 503,
+      code: 'WEBHOOK_NOT_CONFIGURED'
+    });
+    await expect(ingress.receive('paystack', { headers: { 'x-paystack-signature': 'bad' }, rawBody }))
+      .rejects.toMatchObject({ status: 401, code: 'INVALID_WEBHOOK_SIGNATURE', meta: { reason: 'signature mismatch' } });
+
+    expect(await ingress.list()).toEqual([]);
+  });
+
+  it('exports and erases stored payloads whose subject fields hold a data subject', async () => {
+    adapter.handleWebhook.mockRejectedValueOnce(new Error('ledger unavailable'));
+    const { event } = await ingress.receive('paystack', paystackDelivery({
+      event: 'charge.success',
+      data: { id: 7, customer: { email: 'ada@example.com' } }
+    }));
+    await ingress.wait(event.id);
+    await ingress.receive('paystack', paystackDelivery({ event: 'charge.success', data: { id: 8 } }));
+    // Mentions the subject, but not in a field that identifies the customer
+    const { event: other } = await ingress.receive('paystack', paystackDelivery({
+      event: 'charge.success',
+      data: { id: 9, customer: { email: 'bob@example.com' }, metadata: { referrer: 'ada@example.com' } }
+    }));
+
+    const hook = ingress.getPrivacyHook();
+    const subject = { type: 'email', id: 'ada@example.com' };
+    expect(await hook.export(subject)).toEqual([expect.objectContaining({
+      id: event.id,
+      payload: { event: 'charge.success', data: { id: 7, customer: { email: 'ada@example.com' } } }
+    })]);
+
+    expect(await hook.erase(subject)).toEqual({ erased: 1 });
+    expect(await ingress.store.get(event.id)).toMatchObject({ rawBody: '', headers: {} });
+    expect((await ingress.store.get(other.id)).rawBody).toContain('bob@example.com');
+    expect(await hook.export(subject)).toEqual([]);
+    await expect(ingress.retry(event.id)).rejects.toMatchObject({ status: 409, code: 'WEBHOOK_EVENT_ERASED' });
+  });
+});
@@ -5,6 +5,9 @@ import AdapterRegistryImport from '../../src/mcp/adapter-registry.js';
 
 const AdapterRegistry = AdapterRegistryImport?.default || AdapterRegistryImport;
 
+// The registry forwards the active (adapter) span as W3C trace context.
+const TRACEPARENT = expect.stringMatching(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+
 describe('AdapterRegistry', () => {
   let registry;
 
@@ -57,7 +60,8 @@ describe('AdapterRegistry', () => {
       'X-API-Key': 'uai_key',
       'X-Project-Scope': 'scope',
       'X-Request-ID': 'req_1',
-      'X-Session-ID': 'sess_1'
+      'X-Session-ID': 'sess_1',
+      traceparent: TRACEPARENT
     });
   });
 
@@ -86,13 +90,13 @@ describe('AdapterRegistry', () => {
 
     expect(result).toEqual({
       data: { ok: true },
-      headers: { Authorization: 'Bearer user' }
+      headers: { Authorization: 'Bearer user', traceparent: TRACEPARENT }
     });
     expect(captured).toEqual({
       toolName: 'system-health',
       payload: {
         data: { ok: true },
-        headers: { Authorization: 'Bearer user' }
+        headers: { Authorization: 'Bearer user', traceparent: TRACEPARENT }
       }
     });
   });
@@ -144,4 +148,39 @@ describe('AdapterRegistry', () => {
 
     await expect(registry.register(adapter)).rejects.toThrow('Use only one separator style');
   });
+
+  it('register({ replace: true }) swaps an adapter and drops tools it no longer exposes', async () => {
+    const v1 = { id: 'wise', tools: [{ name: 'get_quote' }, { name: 'create_transfer' }], callTool: async () => 'v1' };
+    const v2 = { id: 'wise', tools: [{ name: 'get_quote' }], callTool: async () => 'v2' };
+
+    await registry.register(v1);
+    await registry.register(v2, { replace: true });
+
+    expect(registry.getAdapter('wise')).toBe(v2);
+    expect(registry.resolveTool('wise:create_transfer')).toBeNull();
+    expect(await registry.callTool('wise:get_quote', {})).toBe('v2');
+  });
+
+  it('register({ replace: true }) keeps the previous adapter when the replacement is invalid', async () => {
+    const v1 = { id: 'wise', tools: [{ name: 'get_quote' }], callTool: async () => 'v1' };
+    const broken = { id: 'wise', tools: [{ name: 'get-quote_v2' }], callTool: async () => 'v2' };
+
+    await registry.register(v1);
+    await expect(registry.register(broken, { replace: true })).rejects.toThrow('Use only one separator style');
+
+    expect(registry.getAdapter('wise')).toBe(v1);
+    expect(await registry.callTool('wise:get-quote', {})).toBe('v1');
+  });
+
+  it('unregister() removes the adapter with its tool index and aliases', async () => {
+    await registry.register({ id: 'wise', tools: [{ name: 'get_quote' }], callTool: async () => null });
+    await registry.register({ id: 'wise-eu', tools: [{ name: 'get_quote' }], callTool: async () => null });
+
+    expect(registry.unregister('wise')).not.toBeNull();
+    expect(registry.unregister('wise')).toBeNull();
+
+    expect(registry.getAdapter('wise')).toBeUndefined();
+    expect(registry.resolveTool('wise:get_quote')).toBeNull();
+    expect(registry.resolveTool('wise-eu:get_quote').canonicalId).toBe('wise-eu:get-quote');
+  });
 });
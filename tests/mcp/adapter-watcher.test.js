@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import path from 'path';
+
+// CommonJS interop
+import AdapterWatcherImport from '../../src/mcp/adapter-watcher.js';
+
+const AdapterWatcher = AdapterWatcherImport?.default || AdapterWatcherImport;
+
+const ROOT = '/srv/gateway/services';
+
+const fakeWatch = () => {
+  const handle = new EventEmitter();
+  handle.close = vi.fn();
+  const watch = vi.fn((root, options, listener) => {
+    handle.fire = (filename) => listener('change', filename);
+    return handle;
+  });
+  return { watch, handle };
+};
+
+describe('AdapterWatcher', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('coalesces a burst of writes into one change event with absolute paths', () => {
+    const { watch, handle } = fakeWatch();
+    const watcher = new AdapterWatcher({ root: ROOT, debounceMs: 200, watch }).start();
+    const changes = [];
+    watcher.on('change', (files) => changes.push(files));
+
+    handle.fire('catalog.json');
+    handle.fire('paystack-payment-gateway/paystack-adapter.js');
+    handle.fire('catalog.json');
+    vi.advanceTimersByTime(199);
+    expect(changes).toHaveLength(0);
+
+    vi.advanceTimersByTime(1);
+    expect(watch).toHaveBeenCalledWith(ROOT, { recursive: true, persistent: false }, expect.any(Function));
+    expect(changes).toEqual([[
+      path.join(ROOT, 'catalog.json'),
+      path.join(ROOT, 'paystack-payment-gateway/paystack-adapter.js')
+    ]]);
+  });
+
+  it('ignores editor swap files, dotfiles, node_modules and docs', () => {
+    const { watch, handle } = fakeWatch();
+    const watcher = new AdapterWatcher({ root: ROOT, debounceMs: 10, watch }).start();
+    const changes = [];
+    watcher.on('change', (files) => changes.push(files));
+
+    handle.fire('paystack-payment-gateway/.paystack-adapter.js.swp');
+    handle.fire('.git/index');
+    handle.fire('stripe/node_modules/stripe/index.js');
+    handle.fire('stripe/README.md');
+    vi.advanceTimersByTime(50);
+
+    expect(changes).toHaveLength(0);
+  });
+
+  it('stop() closes the watcher and drops pending changes', () => {
+    const { watch, handle } = fakeWatch();
+    const watcher = new AdapterWatcher({ root: ROOT, debounceMs: 10, watch }).start();
+    const changes = [];
+    watcher.on('change', (files) => changes.push(files));
+
+    handle.fire('catalog.json');
+    watcher.stop();
+    vi.advanceTimersByTime(50);
+
+    expect(handle.close).toHaveBeenCalled();
+    expect(changes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+// CommonJS interop
+import ApprovalQueueImport from '../../core/approvals/approval-queue.js';
+import ApprovalEndpointsImport from '../../api/approval-endpoints.js';
+import GatewayExecuteImport from '../../src/mcp/discovery/tools/execute.js';
+import IdempotencyManagerImport from '../../core/idempotency/idempotency-manager.js';
+import IdempotencyStoresImport from '../../core/idempotency/idempotency-stores.js';
+
+const ApprovalQueue = ApprovalQueueImport?.default || ApprovalQueueImport;
+const ApprovalEndpoints = ApprovalEndpointsImport?.default || ApprovalEndpointsImport;
+const GatewayExecute = GatewayExecuteImport?.default || GatewayExecuteImport;
+const IdempotencyManager = IdempotencyManagerImport?.default || IdempotencyManagerImport;
+const { MemoryIdempotencyStore } = IdempotencyStoresImport?.default || IdempotencyStoresImport;
+
+const agent = {
+  authorization: 'Bearer agent-token',
+  projectScope: 'lanonasis-maas',
+  tenantId: 'lanonasis-maas',
+  principalId: 'agent-1'
+};
+const admin = { id: 'ops-1' };
+
+const transfer = {
+  tool_id: 'paystack:initiate-transfer',
+  params: { amount: 5000, recipient: 'RCP_1' },
+  options: { idempotency_key: 'tx-1', confirmed: true }
+};
+
+describe('gateway-execute approvals', () => {
+  let approvals;
+  let callTool;
+  let execute;
+
+  beforeEach(() => {
+    approvals = new ApprovalQueue({ ttlMs: 60000 });
+    callTool = vi.fn().mockResolvedValue({ transfer_code: 'TRF_1' });
+    const gateway = {
+      adapterRegistry: { callTool },
+      idempotency: new IdempotencyManager({ store: new MemoryIdempotencyStore() }),
+      approvals
+    };
+    execute = new GatewayExecute(gateway, { getOperation: () => ({ risk_level: 'high' }) });
+  });
+
+  it('parks high-risk calls even when the caller sets confirmed', async () => {
+    const result = await execute.handle(transfer, agent);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('APPROVAL_PENDING');
+    expect(result.approval).toMatchObject({ status: 'pending', id: expect.stringMatching(/^apr_/) });
+    expect(callTool).not.toHaveBeenCalled();
+  });
+
+  it('returns the same approval when the call is repeated with its key', async () => {
+    const first = await execute.handle(transfer, agent);
+    const second = await execute.handle(transfer, agent);
+
+    expect(second.approval.id).toBe(first.approval.id);
+    expect(await approvals.list({ status: 'pending' })).toHaveLength(1);
+  });
+
+  it('executes an approved call exactly once as the original caller', async () => {
+    const { approval } = await execute.handle(transfer, agent);
+
+    const decided = await approvals.approve(approval.id, admin);
+    await expect(approvals.approve(approval.id, { id: 'ops-2' }))
+      .rejects.toMatchObject({ status: 409, code: 'APPROVAL_NOT_PENDING' });
+    const polled = await execute.handle(transfer, agent);
+
+    expect(decided.status).toBe('executed');
+    expect(decided.decided_by).toBe('ops-1');
+    expect(callTool).toHaveBeenCalledTimes(1);
+    expect(callTool).toHaveBeenCalledWith('paystack:initiate-transfer', transfer.params, agent);
+    expect(polled.success).toBe(true);
+    expect(polled.data).toEqual({ transfer_code: 'TRF_1' });
+    expect(polled.meta.approval.status).toBe('executed');
+  });
+
+  it('reports rejected approvals without executing', async () => {
+    const { approval } = await execute.handle(transfer, agent);
+    await approvals.reject(approval.id, { ...admin, reason: 'unknown recipient' });
+
+    const result = await execute.handle(transfer, agent);
+
+    expect(result.error.code).toBe('APPROVAL_REJECTED');
+    expect(result.error.message).toContain('unknown recipient');
+    expect(callTool).not.toHaveBeenCalled();
+  });
+
+  it('rejects reuse of the key with different params', async () => {
+    await execute.handle(transfer, agent);
+    const result = await execute.handle({ ...transfer, params: { ...transfer.params, amount: 1 } }, agent);
+
+    expect(result.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('forbids the requester from approving its own call, whatever credential it uses', async () => {
+    const { approval } = await execute.handle(transfer, agent);
+
+    await expect(approvals.approve(approval.id, { id: agent.principalId }))
+      .rejects.toMatchObject({ status: 403, code: 'SELF_APPROVAL_FORBIDDEN' });
+    expect((await approvals.get(approval.id)).status).toBe('pending');
+  });
+
+  it('refuses to approve a call whose requester was not verified', async () => {
+    const { approval } = await execute.handle(transfer, { ...agent, principalId: null });
+
+    await expect(approvals.approve(approval.id, admin))
+      .rejects.toMatchObject({ status: 403, code: 'APPROVAL_REQUESTER_UNVERIFIED' });
+    expect((await approvals.get(approval.id)).status).toBe('pending');
+    expect(callTool).not.toHaveBeenCalled();
+    expect((await approvals.reject(approval.id, admin)).status).toBe('rejected');
+  });
+
+  it('refuses a shared approval store when the gateway runs several instances', () => {
+    const shared = { shared: true };
+
+    expect(() => new ApprovalQueue({ store: shared, instances: 2 }))
+      .toThrow(expect.objectContaining({ code: 'APPROVAL_STORE_UNSUPPORTED' }));
+    expect(new ApprovalQueue({ store: shared, instances: 1 }).store).toBe(shared);
+    expect(new ApprovalQueue({ instances: 4 }).store.shared).toBe(false);
+  });
+
+  it('expires an approval whose requester context did not survive a restart', async () => {
+    const { approval } = await execute.handle(transfer, agent);
+    // A new queue on the same store has the approval but not the caller's credentials
+    const restarted = new ApprovalQueue({ store: approvals.store, ttlMs: 60000 });
+
+    await expect(restarted.approve(approval.id, admin))
+      .rejects.toMatchObject({ status: 410, code: 'APPROVAL_CONTEXT_LOST' });
+    expect((await restarted.get(approval.id)).status).toBe('expired');
+    expect(callTool).not.toHaveBeenCalled();
+
+    const resubmitted = await execute.handle(transfer, agent);
+    expect(resubmitted.approval).toMatchObject({ status: 'pending' });
+    expect(resubmitted.approval.id).not.toBe(approval.id);
+  });
+
+  it('expires pending approvals after the TTL and drops the stored context', async () => {
+    vi.useFakeTimers();
+    try {
+      const { approval } = await execute.handle(transfer, agent);
+      vi.advanceTimersByTime(60001);
+
+      expect((await approvals.get(approval.id)).status).toBe('expired');
+      expect(approvals.pendingCalls.has(approval.id)).toBe(false);
+      await expect(approvals.approve(approval.id, admin)).rejects.toMatchObject({ code: 'APPROVAL_NOT_PENDING' });
+
+      const resubmitted = await execute.handle(transfer, agent);
+      expect(resubmitted.approval.status).toBe('pending');
+      expect(resubmitted.approval.id).not.toBe(approval.id);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('keeps the confirmed flag for destructive operations that are not high-risk', async () => {
+    execute.registry = { getOperation: () => ({ risk_level: 'medium' }) };
+
+    const result = await execute.handle({ tool_id: 'stripe:delete-customer', params: { id: 'cus_1' } }, agent);
+
+    expect(result.error.code).toBe('CONFIRMATION_REQUIRED');
+  });
+});
+
+describe('approval endpoints', () => {
+  const buildApp = (approvals, auth = { ok: true, user: { id: 'ops-1' } }) => {
+    const endpoints = new ApprovalEndpoints({ approvals, authorize: async () => auth });
+    const app = express();
+    app.use(express.json());
+    app.use(endpoints.getRouter());
+    return app;
+  };
+
+  const submit = async (approvals) => (await approvals.submit({
+    source: 'test',
+    principal: 'scope:agent',
+    idempotencyKey: 'tx-1',
+    toolId: 'paystack:initiate-transfer',
+    params: { amount: 5000 },
+    request: { amount: 5000 },
+    context: agent
+  })).approval;
+
+  it('lists, approves and rejects approvals', async () => {
+    const approvals = new ApprovalQueue();
+    const executor = vi.fn().mockResolvedValue({ success: true, data: { ok: true } });
+    approvals.registerExecutor('test', executor);
+    const app = buildApp(approvals);
+    const pending = await submit(approvals);
+
+    const list = await request(app).get('/api/v1/approvals?status=pending');
+    const approved = await request(app)
+      .post(`/api/v1/approvals/${pending.id}/approve`)
+      .send({ reason: 'verified with finance' });
+
+    expect(list.body.data.count).toBe(1);
+    expect(list.body.data.approvals[0]).not.toHaveProperty('context');
+    expect(approved.status).toBe(200);
+    expect(approved.body.data).toMatchObject({
+      status: 'executed',
+      decided_by: 'ops-1',
+      reason: 'verified with finance',
+      result: { success: true, data: { ok: true } }
+    });
+    expect(executor).toHaveBeenCalledWith({ amount: 5000 }, agent);
+
+    const again = await request(app).post(`/api/v1/approvals/${pending.id}/reject`).send({});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('APPROVAL_NOT_PENDING');
+  });
+
+  it('requires admin access', async () => {
+    const approvals = new ApprovalQueue();
+    const app = buildApp(approvals, { ok: false, status: 403, error: 'Admin access required' });
+    const pending = await submit(approvals);
+
+    const res = await request(app).post(`/api/v1/approvals/${pending.id}/approve`).send({});
+
+    expect(res.status).toBe(403);
+    expect((await approvals.get(pending.id)).status).toBe('pending');
+  });
+
+  it('returns 404 for unknown approvals and 400 for unknown status filters', async () => {
+    const app = buildApp(new ApprovalQueue());
+
+    expect((await request(app).get('/api/v1/approvals/apr_missing')).status).toBe(404);
+    expect((await request(app).get('/api/v1/approvals?status=bogus')).status).toBe(400);
+  });
+});
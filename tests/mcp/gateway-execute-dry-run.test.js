@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// CommonJS interop
+import AdapterRegistryImport from '../../src/mcp/adapter-registry.js';
+import GatewayExecuteImport from '../../src/mcp/discovery/tools/execute.js';
+import PaystackAdapterImport from '../../services/paystack-payment-gateway/paystack-adapter.js';
+import UniversalSupabaseClientImport from '../../core/universal-supabase-client.js';
+import BaseClientImport from '../../core/base-client.js';
+
+const AdapterRegistry = AdapterRegistryImport?.default || AdapterRegistryImport;
+const GatewayExecute = GatewayExecuteImport?.default || GatewayExecuteImport;
+const PaystackAdapter = PaystackAdapterImport?.default || PaystackAdapterImport;
+const UniversalSupabaseClient = UniversalSupabaseClientImport?.default || UniversalSupabaseClientImport;
+const BaseClient = BaseClientImport?.default || BaseClientImport;
+
+const context = {
+  authorization: 'Bearer user-token',
+  projectScope: 'lanonasis-maas',
+  requestId: 'req_1'
+};
+
+const dryRunArgs = (params, toolId = 'paystack:initialize-transaction') => ({
+  tool_id: toolId,
+  params,
+  options: { dry_run: true, idempotency_key: 'dry-1' }
+});
+
+describe('gateway-execute dry_run', () => {
+  let registry;
+  let execute;
+  let client;
+
+  beforeEach(async () => {
+    client = new UniversalSupabaseClient({
+      supabaseUrl: 'https://project.supabase.co',
+      supabaseAnonKey: 'anon-key',
+      serviceName: 'paystack',
+      functionName: 'paystack'
+    });
+    vi.spyOn(client.axios, 'request');
+    registry = new AdapterRegistry();
+    await registry.register(new PaystackAdapter({ client }));
+    execute = new GatewayExecute({ adapterRegistry: registry }, { getOperation: () => ({ risk_level: 'high' }) });
+  });
+
+  it('returns the exact outbound request without calling the vendor', async () => {
+    const result = await execute.handle(dryRunArgs({ amount: 5000, email: 'payer@example.com' }), context);
+
+    expect(result.success).toBe(true);
+    expect(result.validation).toBe('passed');
+    expect(result.outbound_request).toEqual({
+      service: 'paystack',
+      method: 'POST',
+      url: 'https://project.supabase.co/functions/v1/paystack?action=initialize',
+      headers: expect.objectContaining({
+        'Content-Type': 'application/json',
+        Authorization: '[REDACTED]',
+        apikey: '[REDACTED]',
+        'X-Project-Scope': 'lanonasis-maas'
+      }),
+      body: { amount: 5000, email: 'payer@example.com' }
+    });
+    expect(client.axios.request).not.toHaveBeenCalled();
+  });
+
+  it('runs the adapter transform for action-dispatch tools', async () => {
+    const result = await execute.handle(
+      dryRunArgs({ email: 'payer@example.com', first_name: 'Ada' }, 'paystack:create_customer'),
+      context
+    );
+
+    expect(result.tool_id).toBe('paystack:create-customer');
+    expect(result.requested_tool_id).toBe('paystack:create_customer');
+    expect(result.outbound_request.body).toEqual({
+      action: 'create_customer',
+      email: 'payer@example.com',
+      first_name: 'Ada'
+    });
+  });
+
+  it('validates params against the tool inputSchema', async () => {
+    const result = await execute.handle(dryRunArgs({ amount: 0, email: 'not-an-email' }), context);
+
+    expect(result.success).toBe(false);
+    expect(result.validation).toBe('failed');
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(result.error.errors.map((e) => e.pointer).sort()).toEqual(['/amount', '/email']);
+  });
+
+  it('rejects tools the registry cannot resolve', async () => {
+    const result = await execute.handle(dryRunArgs({}, 'paystack:does-not-exist'), context);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('TOOL_NOT_FOUND');
+  });
+
+  it('validates only when the adapter cannot be previewed safely', async () => {
+    const callTool = vi.fn();
+    await registry.register({
+      id: 'ledger',
+      tools: [{ name: 'post-entry', inputSchema: { type: 'object', properties: { amount: { type: 'number' } } } }],
+      initialize: async () => {},
+      callTool
+    });
+
+    const result = await execute.handle(dryRunArgs({ amount: 1 }, 'ledger:post-entry'), context);
+
+    expect(result.success).toBe(true);
+    expect(result.outbound_request).toBeNull();
+    expect(callTool).not.toHaveBeenCalled();
+  });
+});
+
+describe('BaseClient.previewRequest', () => {
+  it('applies authentication and redacts credentials in headers and query', () => {
+    const client = new BaseClient({
+      name: 'vendor',
+      baseUrl: 'https://api.vendor.test',
+      authentication: { type: 'apikey', config: { in: 'query', key: 'api_key', value: 'secret' } }
+    });
+
+    const preview = client.previewRequest({
+      url: '/transfers',
+      method: 'post',
+      params: { page: 1 },
+      headers: { 'X-Signature': 'sig' },
+      data: { amount: 100 }
+    });
+
+    expect(preview.method).toBe('POST');
+    expect(preview.url).toBe('https://api.vendor.test/transfers?page=1&api_key=%5BREDACTED%5D');
+    expect(preview.headers['X-Signature']).toBe('[REDACTED]');
+    expect(preview.body).toEqual({ amount: 100 });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// CommonJS interop
+import AdapterRegistryImport from '../../src/mcp/adapter-registry.js';
+import GatewayExecuteImport from '../../src/mcp/discovery/tools/execute.js';
+import GatewayToolsImport from '../../src/mcp/discovery/tools/tools.js';
+import OnasisAuthBridgeImport from '../../middleware/onasis-auth-bridge.js';
+import ToolScopesImport from '../../core/security/tool-scopes.js';
+
+const AdapterRegistry = AdapterRegistryImport?.default || AdapterRegistryImport;
+const GatewayExecute = GatewayExecuteImport?.default || GatewayExecuteImport;
+const GatewayTools = GatewayToolsImport?.default || GatewayToolsImport;
+const OnasisAuthBridge = OnasisAuthBridgeImport?.default || OnasisAuthBridgeImport;
+const { resolveScopes, isToolAllowed } = ToolScopesImport?.default || ToolScopesImport;
+
+const tool = (adapterId, toolName, category) => ({ adapterId, toolName, category });
+
+describe('tool scopes', () => {
+  it('grants by adapter, category, access level, tool name and verb prefix', () => {
+    expect(isToolAllowed(['paystack:read'], tool('paystack', 'verify_transaction'))).toBe(true);
+    expect(isToolAllowed(['paystack:read'], tool('paystack', 'initialize-transaction'))).toBe(false);
+    expect(isToolAllowed(['banking:create-transfer'], tool('wise', 'create_transfer', 'banking'))).toBe(true);
+    expect(isToolAllowed(['banking:create-*'], tool('wise', 'create-recipient', 'banking'))).toBe(true);
+    expect(isToolAllowed(['banking:create-*'], tool('wise', 'cancel-transfer', 'banking'))).toBe(false);
+    // A word of a tool name is not a grant
+    expect(isToolAllowed(['banking:transfer'], tool('wise', 'create-transfer', 'banking'))).toBe(false);
+    expect(isToolAllowed(['banking:transfer'], tool('wise', 'cancel-transfer', 'banking'))).toBe(false);
+    expect(isToolAllowed(['banking:transfer'], tool('wise', 'get-transfer-fee', 'banking'))).toBe(false);
+    expect(isToolAllowed(['memory:*'], tool('memory', 'delete-memory'))).toBe(true);
+    expect(isToolAllowed(['stripe'], tool('stripe', 'create-refund'))).toBe(true);
+    expect(isToolAllowed(['*'], tool('anything', 'at-all'))).toBe(true);
+    expect(isToolAllowed([], tool('paystack', 'list-banks'))).toBe(false);
+  });
+
+  it('does not restrict callers that were not scope-checked', () => {
+    expect(isToolAllowed(undefined, tool('paystack', 'create-transfer'))).toBe(true);
+  });
+
+  it('uses explicit scopes before role defaults', () => {
+    expect(resolveScopes({ role: 'admin', scope: 'paystack:read memory:*' })).toEqual(['paystack:read', 'memory:*']);
+    expect(resolveScopes({ permissions: ['admin', 'banking:transfer'] })).toEqual(['banking:transfer']);
+    expect(resolveScopes({ role: 'read' })).toEqual(['*:read']);
+    expect(resolveScopes({ role: 'admin' })).toEqual(['*', '*:read', '*:write']);
+    expect(resolveScopes({ role: 'authenticated' })).toEqual(['*:read', '*:write']);
+  });
+});
+
+describe('OnasisAuthBridge.hasPermission', () => {
+  const bridge = new OnasisAuthBridge({ authApiUrl: 'https://auth.example.com' });
+
+  it('keeps the admin > user > read role hierarchy', () => {
+    expect(bridge.hasPermission('admin', 'read')).toBe(true);
+    expect(bridge.hasPermission('user', 'admin')).toBe(false);
+    expect(bridge.hasPermission('read', 'read')).toBe(true);
+    expect(bridge.hasPermission('guest', 'guest')).toBe(false);
+  });
+
+  it('checks tool scopes for roles and principals', () => {
+    expect(bridge.hasPermission('read', 'paystack:read')).toBe(true);
+    expect(bridge.hasPermission('read', 'paystack:write')).toBe(false);
+    expect(bridge.hasPermission({ scopes: ['banking:*'] }, 'banking:transfer')).toBe(true);
+    expect(bridge.hasPermission({ scopes: ['banking:write'] }, 'banking:transfer')).toBe(true);
+    expect(bridge.hasPermission({ scopes: ['paystack:read'] }, 'banking:transfer')).toBe(false);
+  });
+
+  it('checkUserPermissions considers the principal scopes', async () => {
+    await expect(bridge.checkUserPermissions({ role: 'user', scopes: ['memory:*'] }, 'memory:write')).resolves.toBe(true);
+    await expect(bridge.checkUserPermissions({ role: 'user', scopes: ['memory:*'] }, 'paystack:read')).resolves.toBe(false);
+  });
+});
+
+describe('AdapterRegistry scope enforcement', () => {
+  let registry;
+  let callTool;
+
+  beforeEach(async () => {
+    registry = new AdapterRegistry();
+    callTool = vi.fn().mockResolvedValue({ ok: true });
+    await registry.register({
+      id: 'paystack',
+      metadata: { category: 'payments' },
+      tools: [{ name: 'verify_transaction' }, { name: 'initiate_transfer' }],
+      initialize: async () => {},
+      callTool: async (...args) => callTool(...args)
+    });
+  });
+
+  it('denies calls outside the caller scopes', async () => {
+    await expect(registry.callTool('paystack:initiate_transfer', {}, { scopes: ['paystack:read'] }))
+      .rejects.toMatchObject({
+        code: 'TOOL_FORBIDDEN',
+        status: 403,
+        meta: { requiredScopes: ['paystack:initiate-transfer', 'paystack:write', 'payments:write'] }
+      });
+    expect(callTool).not.toHaveBeenCalled();
+  });
+
+  it('allows calls inside the caller scopes, including by category', async () => {
+    await registry.callTool('paystack:verify_transaction', {}, { scopes: ['paystack:read'] });
+    await registry.callTool('paystack:initiate_transfer', {}, { scopes: ['payments:initiate-*'] });
+
+    expect(callTool).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports TOOL_FORBIDDEN from gateway-execute before any policy checks', async () => {
+    const execute = new GatewayExecute({ adapterRegistry: registry }, { getOperation: () => ({ risk_level: 'high' }) });
+
+    const result = await execute.handle(
+      { tool_id: 'paystack:initiate_transfer', params: {}, options: {} },
+      { scopes: ['paystack:read'] }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('TOOL_FORBIDDEN');
+    expect(result.error.required_scopes).toContain('paystack:write');
+  });
+});
+
+describe('gateway-tools scope filtering', () => {
+  const operations = [
+    { tool_id: 'paystack:verify-transaction', adapter: 'paystack', tool: 'verify-transaction', name: 'Verify', category: 'payments' },
+    { tool_id: 'paystack:initiate-transfer', adapter: 'paystack', tool: 'initiate-transfer', name: 'Transfer', category: 'transfers' }
+  ];
+  const registry = {
+    getAdapter: () => ({ name: 'Paystack' }),
+    getAllAdapters: () => [],
+    getAdapterOperations: () => operations
+  };
+
+  it('lists only tools the caller may use', async () => {
+    const tools = new GatewayTools(registry);
+
+    const scoped = await tools.handle({ adapter: 'paystack' }, { scopes: ['paystack:read'] });
+    const unscoped = await tools.handle({ adapter: 'paystack' });
+
+    expect(scoped.tools.map((t) => t.tool_id)).toEqual(['paystack:verify-transaction']);
+    expect(scoped.categories).toEqual(['payments']);
+    expect(unscoped.total_tools).toBe(2);
+  });
+});
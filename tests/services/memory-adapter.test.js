@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import MemoryAdapterImport from '../../services/memory-as-a-service/memory-adapter.js';
+
+const MemoryAdapter = MemoryAdapterImport?.default || MemoryAdapterImport;
+
+describe('MemoryAdapter privacy hook', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('exports and erases only the subject\'s memories from a key-scoped list', async () => {
+    vi.stubEnv('SUPABASE_URL', 'https://example.supabase.co');
+    const adapter = new MemoryAdapter();
+    await adapter.initialize();
+    const callTool = vi.spyOn(adapter, 'callTool').mockImplementation(async (toolName) => {
+      if (toolName === 'list-memories') {
+        return {
+          data: [
+            { id: 'm1', user_id: 'user-1', title: 'mine' },
+            { id: 'm2', user_id: 'user-2', title: 'someone else' },
+            { id: 'm3', title: 'no owner' }
+          ]
+        };
+      }
+      return { success: true };
+    });
+    const hook = adapter.getPrivacyHook();
+
+    expect((await hook.export({ id: 'user-1' }, {})).map((memory) => memory.id)).toEqual(['m1']);
+    expect(await hook.erase({ id: 'user-1' }, {})).toEqual({ erased: 1 });
+    expect(callTool).toHaveBeenCalledWith('bulk-delete-memories', { ids: ['m1'] }, {});
+    expect(callTool).not.toHaveBeenCalledWith('bulk-delete-memories', expect.objectContaining({
+      ids: expect.arrayContaining(['m2'])
+    }), expect.anything());
+  });
+});
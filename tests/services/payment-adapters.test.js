@@ -5,11 +5,15 @@ import PaystackAdapterImport from '../../services/paystack-payment-gateway/payst
 import FlutterwaveAdapterImport from '../../services/flutterwave-payment-gateway/flutterwave-adapter.js';
 import StripeAdapterImport from '../../services/---stripe-api--2024-04-10--postman-collection/stripe-adapter.js';
 import SayswitchAdapterImport from '../../services/sayswitch-api-integration-postman-collection/sayswitch-adapter.js';
+import XpressWalletAdapterImport from '../../services/xpress-wallet-waas/xpress-wallet-mcp-adapter.js';
+import XpressWalletServiceImport from '../../services/xpress-wallet-waas/xpress-wallet-service.js';
 
 const PaystackAdapter = PaystackAdapterImport?.default || PaystackAdapterImport;
 const FlutterwaveAdapter = FlutterwaveAdapterImport?.default || FlutterwaveAdapterImport;
 const StripeAdapter = StripeAdapterImport?.default || StripeAdapterImport;
 const SayswitchAdapter = SayswitchAdapterImport?.default || SayswitchAdapterImport;
+const XpressWalletAdapter = XpressWalletAdapterImport?.default || XpressWalletAdapterImport;
+const XpressWalletService = XpressWalletServiceImport?.default || XpressWalletServiceImport;
 
 describe('Phase 1.5 Payment Adapters', () => {
   it('PaystackAdapter uses live query-action contract for initialize-transaction', async () => {
@@ -17,7 +21,7 @@ describe('Phase 1.5 Payment Adapters', () => {
     const adapter = new PaystackAdapter({ client, functionName: 'paystack' });
 
     await adapter.initialize();
-    expect(adapter.tools).toHaveLength(10);
+    expect(adapter.tools).toHaveLength(11);
 
     await adapter.callTool(
       'initialize-transaction',
@@ -41,7 +45,7 @@ describe('Phase 1.5 Payment Adapters', () => {
     const adapter = new FlutterwaveAdapter({ client, functionName: 'flutterwave' });
 
     await adapter.initialize();
-    expect(adapter.tools).toHaveLength(10);
+    expect(adapter.tools).toHaveLength(11);
 
     await adapter.callTool(
       'mobile-money-kenya',
@@ -127,4 +131,119 @@ describe('Phase 1.5 Payment Adapters', () => {
       { authorization: 'Bearer token' }
     );
   });
+
+  it('XpressWalletAdapter refuses money movements unless the ledger is durable', async () => {
+    const adapter = new XpressWalletAdapter();
+    adapter.service = { creditWallet: vi.fn() };
+
+    await expect(adapter.callTool('credit-wallet', { walletId: 'w1', amount: 10, narration: 'top up' }))
+      .rejects.toMatchObject({ status: 503, code: 'LEDGER_NOT_DURABLE' });
+    expect(adapter.service.creditWallet).not.toHaveBeenCalled();
+  });
+
+  it('XpressWalletAdapter keeps ambiguous provider failures pending and reverses definite rejections', async () => {
+    const timeout = Object.assign(new Error('Xpress timeout'), { code: 'ETIMEDOUT' });
+    const declined = Object.assign(new Error('Insufficient provider balance'), { status: 400 });
+    const adapter = new XpressWalletAdapter({ allowVolatileLedger: true });
+    adapter.service = {
+      creditWallet: vi.fn().mockResolvedValue({ success: true, transaction: { status: 'completed' } }),
+      debitWallet: vi.fn()
+        .mockRejectedValueOnce(timeout)
+        .mockResolvedValueOnce({ success: true, transaction: { status: 'completed' } })
+        .mockRejectedValueOnce(declined),
+      getTransactionByReference: vi.fn().mockResolvedValue(null)
+    };
+    expect(adapter.tools).toHaveLength(26);
+
+    const credited = await adapter.callTool('credit-wallet', { walletId: 'w1', amount: 150.5, narration: 'top up' });
+    expect(adapter.service.creditWallet).toHaveBeenCalledWith(
+      expect.objectContaining({ walletId: 'w1', amount: 150.5, reference: credited.ledgerEntry.reference })
+    );
+    expect(credited).toMatchObject({ settlement: 'settled', ledgerEntry: { type: 'credit', metadata: { provider: 'xpress', walletId: 'w1' } } });
+
+    // Xpress may have moved the money: the debit stays held, not reversed
+    const pending = await adapter.callTool('debit-wallet', { walletId: 'w1', amount: 100, reference: 'wd-1', narration: 'cash out' });
+    expect(pending).toMatchObject({ success: false, settlement: 'pending', reference: 'wd-1', error: 'Xpress timeout' });
+    await expect(adapter.callTool('debit-wallet', { walletId: 'w1', amount: 100, narration: 'too much' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+    // A retry with the same reference finishes it once Xpress reports no transaction for it
+    await expect(adapter.callTool('debit-wallet', { walletId: 'w1', amount: 99, reference: 'wd-1', narration: 'cash out' }))
+      .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_REFERENCE' });
+    const settled = await adapter.callTool('debit-wallet', { walletId: 'w1', amount: 100, reference: 'wd-1', narration: 'cash out' });
+    expect(settled).toMatchObject({ success: true, settlement: 'settled', ledgerEntry: { reference: 'wd-1', duplicate: true } });
+    expect(adapter.service.getTransactionByReference).toHaveBeenCalledWith('wd-1');
+
+    await expect(adapter.callTool('debit-wallet', { walletId: 'w1', amount: 20, reference: 'wd-2', narration: 'cash out' }))
+      .rejects.toThrow('Insufficient provider balance');
+    expect(adapter.service.debitWallet).toHaveBeenCalledTimes(3);
+
+    const balance = await adapter.callTool('get-wallet-ledger-balance', { walletId: 'w1' });
+    expect(balance).toMatchObject({ balance: 5050, currency: 'NGN' });
+    expect((await adapter.ledger.entries('w1')).map((entry) => entry.reference))
+      .toEqual([credited.ledgerEntry.reference, 'wd-1', 'wd-2', 'wd-2:reversal']);
+  });
+
+  it('XpressWalletAdapter refunds the source when a wallet-to-wallet credit is rejected and settles pending entries against Xpress', async () => {
+    const adapter = new XpressWalletAdapter({ allowVolatileLedger: true });
+    const statuses = new Map();
+    adapter.service = {
+      creditWallet: vi.fn(async ({ reference }) => {
+        if (reference === 'xfer-1:in') throw Object.assign(new Error('Wallet w2 is frozen'), { status: 422 });
+        if (reference === 'xfer-2:in') throw new Error('socket hang up');
+        return { success: true, transaction: { reference, status: 'completed' } };
+      }),
+      debitWallet: vi.fn(async ({ reference }) => ({ success: true, transaction: { reference, status: 'completed' } })),
+      getTransactionByReference: vi.fn(async (reference) => statuses.get(reference) || null)
+    };
+    await adapter.callTool('credit-wallet', { walletId: 'w1', amount: 100, narration: 'top up' });
+
+    await expect(adapter.callTool('wallet-to-wallet-transfer', {
+      fromWalletId: 'w1', toWalletId: 'w2', amount: 40, reference: 'xfer-1', narration: 'rent'
+    })).rejects.toThrow('Wallet w2 is frozen');
+    expect(adapter.service.creditWallet).toHaveBeenCalledWith(
+      expect.objectContaining({ walletId: 'w1', amount: 40, reference: 'xfer-1:out:refund' })
+    );
+    expect(await adapter.ledger.status('xfer-1')).toMatchObject({ reversal: { reference: 'xfer-1:reversal' } });
+
+    const pending = await adapter.callTool('wallet-to-wallet-transfer', {
+      fromWalletId: 'w1', toWalletId: 'w2', amount: 40, reference: 'xfer-2', narration: 'rent'
+    });
+    expect(pending).toMatchObject({ settlement: 'pending', error: 'socket hang up' });
+
+    statuses.set('xfer-2:out', { reference: 'xfer-2:out', status: 'completed' });
+    statuses.set('xfer-2:in', { reference: 'xfer-2:in', status: 'processing' });
+    expect(await adapter.callTool('settle-wallet-transaction', { reference: 'xfer-2' }))
+      .toMatchObject({ settlement: 'pending', error: 'Xpress transaction xfer-2:in is still processing' });
+    statuses.set('xfer-2:in', { reference: 'xfer-2:in', status: 'completed' });
+    expect(await adapter.callTool('settle-wallet-transaction', { reference: 'xfer-2' })).toMatchObject({
+      settlement: 'settled',
+      debitTransaction: { reference: 'xfer-2:out' },
+      creditTransaction: { reference: 'xfer-2:in' }
+    });
+    expect(adapter.service.debitWallet).toHaveBeenCalledTimes(2);
+
+    expect(await adapter.callTool('get-wallet-ledger-balance', { walletId: 'w1' })).toMatchObject({ balance: 6000 });
+    expect(await adapter.callTool('get-wallet-ledger-balance', { walletId: 'w2' })).toMatchObject({ balance: 4000 });
+  });
+
+  it('XpressWalletAdapter keeps entries pending while the provider cannot look up a reference', async () => {
+    const adapter = new XpressWalletAdapter({ allowVolatileLedger: true });
+    adapter.service = new XpressWalletService();
+    vi.spyOn(adapter.service, 'debitWallet').mockRejectedValueOnce(Object.assign(new Error('Xpress timeout'), { code: 'ETIMEDOUT' }));
+    await adapter.callTool('credit-wallet', { walletId: 'w1', amount: 100, narration: 'top up' });
+
+    const args = { walletId: 'w1', amount: 40, reference: 'wd-1', narration: 'cash out' };
+    expect(await adapter.callTool('debit-wallet', args)).toMatchObject({ settlement: 'pending' });
+
+    // Neither a retry nor settlement may read the missing lookup as "never received"
+    expect(await adapter.callTool('debit-wallet', args)).toMatchObject({ settlement: 'pending', reference: 'wd-1' });
+    expect(await adapter.callTool('settle-wallet-transaction', { reference: 'wd-1' })).toMatchObject({
+      settlement: 'pending',
+      error: 'Transaction lookup by reference is not implemented (wd-1)'
+    });
+    expect(adapter.service.debitWallet).toHaveBeenCalledTimes(1);
+    expect(await adapter.ledger.status('wd-1')).toMatchObject({ reversal: null });
+    expect(await adapter.callTool('get-wallet-ledger-balance', { walletId: 'w1' })).toMatchObject({ balance: 6000 });
+  });
 });
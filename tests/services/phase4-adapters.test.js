@@ -19,7 +19,7 @@ describe('Phase 4 Adapters', () => {
     const adapter = new ProvidusAdapter({ client });
     await adapter.initialize();
 
-    expect(adapter.tools).toHaveLength(5);
+    expect(adapter.tools).toHaveLength(6);
 
     await adapter.callTool('pb-nip-transfer', {
       beneficiaryAccountName: 'Jane Doe',
@@ -37,6 +37,22 @@ describe('Phase 4 Adapters', () => {
     expect(payload.transactionAmount).toBe('1000');
   });
 
+  it('ProvidusAdapter reads transaction history through the account client', async () => {
+    const accountClient = {
+      getTransactionHistory: vi.fn().mockResolvedValue({ transactions: [], pagination: { hasMore: false } }),
+    };
+    const adapter = new ProvidusAdapter({ client: {}, accountClient, accountNumber: '1234567890' });
+    await adapter.initialize();
+
+    await adapter.callTool('pb-get-transaction-history', { startDate: '2026-01-01', endDate: '2026-01-02' });
+
+    expect(accountClient.getTransactionHistory).toHaveBeenCalledWith({
+      startDate: '2026-01-01',
+      endDate: '2026-01-02',
+      accountNumber: '1234567890',
+    });
+  });
+
   it('CreditAsAServiceAdapter maps legacy kebab tools to client methods', async () => {
     const client = {
       submitCreditApplication: vi.fn().mockResolvedValue({ success: true }),
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+const AdapterRegistry = require('../src/mcp/adapter-registry');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const buildGateway = (compliance) => {
+  const gateway = new UnifiedGateway();
+  gateway.verifyRequestIdentity = async () => ({ ok: true, method: 'auth_gateway_api_key', payload: {} });
+  const appended = [];
+  gateway.complianceManager.auditStore = {
+    append: async (seal) => {
+      const sealed = seal(null);
+      appended.push(sealed);
+      return sealed;
+    }
+  };
+  gateway.auditEntries = appended;
+  if (compliance) {
+    gateway.complianceManager.registerServiceConfig('paystack', { compliance });
+  }
+  gateway.mcpToolMode = 'full';
+  gateway.adapterRegistry = new AdapterRegistry({ compliance: gateway.complianceManager });
+  gateway.adapters = new Map([['paystack', {
+    id: 'paystack',
+    tools: [{ name: 'verify-card' }],
+    callTool: async () => ({ card_number: '4084084084084081', customer: { email: 'ada@example.com' } })
+  }]]);
+  return gateway;
+};
+
+const callTool = (gateway) => request(gateway.app).post('/mcp').set('X-API-Key', 'lano_key').send({
+  jsonrpc: '2.0',
+  method: 'tools/call',
+  params: { name: 'verify-card', arguments: { bin: '408408' } },
+  id: 1
+});
+
+describe('UnifiedGateway compliance enforcement', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('returns the real MCP tool output, audits it and advertises no protections', async () => {
+    const gateway = buildGateway({ pci: true, gdpr: true });
+
+    const res = await callTool(gateway);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-compliance-protections']).toBeUndefined();
+    const result = JSON.parse(res.body.result.content[0].text);
+    expect(result.card_number).toBe('4084084084084081');
+    expect(result.customer.email).toBe('ada@example.com');
+    await gateway.complianceManager.flushAuditLog();
+    expect(gateway.auditEntries.map((entry) => entry.details.operation)).toEqual(['input', 'output']);
+    expect(gateway.auditEntries[1].details.withheldFields).toEqual(['card_number', 'customer.email']);
+  });
+
+  it('writes no audit entry when the adapter declares no compliance flags', async () => {
+    const gateway = buildGateway(null);
+
+    const res = await callTool(gateway);
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body.result.content[0].text).card_number).toBe('4084084084084081');
+    await gateway.complianceManager.flushAuditLog();
+    expect(gateway.auditEntries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const UnifiedGateway = require('../unified_gateway');
+
+let catalog;
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return JSON.parse(JSON.stringify(catalog));
+  };
+};
+
+const writeAdapter = (dir, id, toolNames, label = 'v1') => {
+  fs.mkdirSync(path.join(dir, id), { recursive: true });
+  const file = path.join(dir, id, 'adapter.js');
+  fs.writeFileSync(file, `
+module.exports = class Adapter {
+  constructor(config) {
+    this.id = ${JSON.stringify(id)};
+    this.ledger = config.ledger;
+    this.closed = false;
+    this.callToolVersion = 'v2';
+    this.tools = ${JSON.stringify(toolNames.map(name => ({ name, description: `${name} tool` })))};
+  }
+  async listTools() { return this.tools; }
+  async callTool() { return { served_by: ${JSON.stringify(label)} }; }
+  async cleanup() { this.closed = true; }
+};
+`);
+  return file;
+};
+
+const listToolNames = async (gateway) => {
+  const res = await request(gateway.app)
+    .post('/mcp')
+    .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  return res.body.result.tools.map(tool => tool.name);
+};
+
+describe('UnifiedGateway adapter hot-reload', () => {
+  let tmpDir;
+  const previousToolMode = process.env.MCP_TOOL_MODE;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-adapters-'));
+    catalog = {
+      apiServices: [],
+      mcpAdapters: [
+        { id: 'alpha', adapterPath: writeAdapter(tmpDir, 'alpha', ['get_balance']) }
+      ]
+    };
+    stubGatewayForTests();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (previousToolMode === undefined) delete process.env.MCP_TOOL_MODE;
+    else process.env.MCP_TOOL_MODE = previousToolMode;
+  });
+
+  const buildGateway = async (toolMode) => {
+    process.env.MCP_TOOL_MODE = toolMode;
+    const gateway = new UnifiedGateway();
+    gateway.verifyRequestIdentity = async () => ({ ok: true, method: 'auth_gateway_api_key', payload: {} });
+    await gateway.ensureAdaptersReady();
+    return gateway;
+  };
+
+  it('advertises tools.listChanged on initialize', async () => {
+    const gateway = await buildGateway('full');
+
+    const res = await request(gateway.app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+    expect(res.body.result.capabilities.tools).toEqual({ listChanged: true });
+  });
+
+  it('registers, re-registers and unregisters adapters from catalog and module changes', async () => {
+    const gateway = await buildGateway('full');
+    const notifications = [];
+    gateway.mcpStreams.add({ write: (chunk) => notifications.push(chunk) });
+
+    expect(await listToolNames(gateway)).toEqual(['get_balance']);
+
+    catalog.mcpAdapters.push({ id: 'beta', adapterPath: writeAdapter(tmpDir, 'beta', ['list_payouts']) });
+    expect(await gateway.reloadAdapters()).toEqual({ added: ['beta'], reloaded: [], removed: [] });
+    expect(await listToolNames(gateway)).toEqual(['get_balance', 'list_payouts']);
+
+    const alphaFile = writeAdapter(tmpDir, 'alpha', ['get_balance', 'get_statement'], 'v2');
+    expect(await gateway.reloadAdapters([alphaFile])).toEqual({ added: [], reloaded: ['alpha'], removed: [] });
+    expect(await listToolNames(gateway)).toContain('get_statement');
+    expect(await gateway.adapterRegistry.callTool('alpha:get_balance', {})).toEqual({ served_by: 'v2' });
+
+    catalog.mcpAdapters = catalog.mcpAdapters.filter(entry => entry.id !== 'beta');
+    expect(await gateway.reloadAdapters()).toEqual({ added: [], reloaded: [], removed: ['beta'] });
+    expect(await listToolNames(gateway)).not.toContain('list_payouts');
+
+    expect(notifications).toHaveLength(3);
+    expect(notifications[0]).toBe(
+      'event: message\ndata: {"jsonrpc":"2.0","method":"notifications/tools/list_changed"}\n\n'
+    );
+
+    // Nothing changed: no reload and no notification
+    expect(await gateway.reloadAdapters()).toEqual({ added: [], reloaded: [], removed: [] });
+    expect(notifications).toHaveLength(3);
+  });
+
+  it('disposes replaced and removed adapters and hands the new one the same ledger', async () => {
+    const gateway = await buildGateway('full');
+    catalog.mcpAdapters.push({ id: 'beta', adapterPath: writeAdapter(tmpDir, 'beta', ['list_payouts']) });
+    await gateway.reloadAdapters();
+    const alpha = gateway.adapterRegistry.getAdapter('alpha');
+    const beta = gateway.adapterRegistry.getAdapter('beta');
+    expect(alpha.ledger).toBe(gateway.adapterDependencies.ledger);
+
+    const alphaFile = writeAdapter(tmpDir, 'alpha', ['get_balance'], 'v2');
+    await gateway.reloadAdapters([alphaFile]);
+    const reloaded = gateway.adapterRegistry.getAdapter('alpha');
+    expect(reloaded).not.toBe(alpha);
+    expect(reloaded.ledger).toBe(alpha.ledger);
+    expect(alpha.closed).toBe(true);
+    expect(reloaded.closed).toBe(false);
+
+    catalog.mcpAdapters = catalog.mcpAdapters.filter(entry => entry.id !== 'beta');
+    await gateway.reloadAdapters();
+    expect(beta.closed).toBe(true);
+  });
+
+  it('keeps the serving adapter when an edited module fails to load', async () => {
+    const gateway = await buildGateway('full');
+    const alphaFile = catalog.mcpAdapters[0].adapterPath;
+
+    fs.writeFileSync(alphaFile, 'module.exports = ;');
+    expect(await gateway.reloadAdapters([alphaFile])).toEqual({ added: [], reloaded: [], removed: [] });
+
+    const adapter = gateway.adapterRegistry.getAdapter('alpha');
+    expect(adapter.is_mock).toBeUndefined();
+    expect(adapter.closed).toBe(false);
+    expect(await gateway.adapterRegistry.callTool('alpha:get_balance', {})).toEqual({ served_by: 'v1' });
+  });
+
+  it('rebuilds the discovery operation registry in lazy mode', async () => {
+    const gateway = await buildGateway('lazy');
+    await gateway.discoveryLayer.initialize();
+    expect(gateway.discoveryLayer.registry.getAdapter('beta')).toBeUndefined();
+
+    catalog.mcpAdapters.push({ id: 'beta', adapterPath: writeAdapter(tmpDir, 'beta', ['list_payouts']) });
+    await gateway.reloadAdapters();
+
+    const operations = gateway.discoveryLayer.registry.getAdapterOperations('beta');
+    expect(operations.map(operation => operation.tool_id)).toEqual(['beta:list_payouts']);
+  });
+});
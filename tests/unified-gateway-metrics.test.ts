@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+describe('UnifiedGateway /metrics', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('rejects unauthenticated scrapes', async () => {
+    const gateway = new UnifiedGateway();
+
+    const res = await request(gateway.app).get('/metrics');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('serves Prometheus text with circuit-breaker state for clients and adapters', async () => {
+    const gateway = new UnifiedGateway();
+    gateway.metricsToken = 'scrape-token';
+    gateway.clients.set('stripe-api', { circuitBreaker: { state: 'OPEN', failures: 5 } });
+    gateway.adapters.set('paystack', { client: { circuitBreaker: { state: 'HALF_OPEN', failures: 1 } } });
+    gateway.metricsCollector.recordToolCall({ adapter: 'paystack', tool: 'list-banks', duration: 12 });
+
+    const res = await request(gateway.app).get('/metrics').set('Authorization', 'Bearer scrape-token');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/plain');
+    expect(res.text).toContain('circuit_breaker_state{service="stripe-api",endpoint="*"} 1');
+    expect(res.text).toContain('circuit_breaker_state{service="paystack",endpoint="*"} 2');
+    expect(res.text).toContain('mcp_tool_calls_total{adapter="paystack",tool="list-banks",status="success"} 1');
+  });
+
+  it('accepts admin credentials when no scrape token matches', async () => {
+    const gateway = new UnifiedGateway();
+    gateway.vpsMonitorToken = 'monitor-token';
+
+    const res = await request(gateway.app).get('/metrics').set('Authorization', 'Bearer monitor-token');
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('UnifiedGateway /api/v1/alerts', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('lists alerts fired from circuit-breaker state', async () => {
+    const gateway = new UnifiedGateway();
+    gateway.metricsToken = 'scrape-token';
+    gateway.alertEngine.setConfig({ rules: [{ name: 'breaker-open', type: 'circuit_breaker', severity: 'critical' }] });
+    gateway.clients.set('stripe-api', { circuitBreaker: { state: 'OPEN', failures: 5 } });
+    await gateway.alertEngine.evaluate();
+
+    const unauthenticated = await request(gateway.app).get('/api/v1/alerts');
+    const res = await request(gateway.app).get('/api/v1/alerts?state=firing').set('Authorization', 'Bearer scrape-token');
+
+    expect(unauthenticated.status).toBe(401);
+    expect(res.status).toBe(200);
+    expect(res.body.data.alerts).toEqual([
+      expect.objectContaining({ rule: 'breaker-open', service: 'stripe-api', state: 'firing', severity: 'critical' })
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const buildGateway = () => {
+  const gateway = new UnifiedGateway();
+  gateway.vpsMonitorToken = 'monitor-token';
+  gateway.complianceManager.auditStore = { append: async (seal) => seal(null) };
+  gateway.adapters = new Map([['memory-service', {
+    getPrivacyHook: () => ({ export: async (subject) => [{ id: 'm1', user_id: subject.id }] })
+  }]]);
+  return gateway;
+};
+
+describe('UnifiedGateway privacy requests', () => {
+  beforeEach(() => {
+    vi.stubEnv('PRIVACY_CERT_HMAC_KEY', 'cert-secret');
+    stubGatewayForTests();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('requires admin authorization', async () => {
+    const gateway = buildGateway();
+
+    const res = await request(gateway.app)
+      .post('/api/v1/privacy/requests')
+      .send({ type: 'export', subject_id: 'user-1' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('runs an export request and serves the bundle and certificate', async () => {
+    const gateway = buildGateway();
+    const admin = (req) => req.set('Authorization', 'Bearer monitor-token');
+
+    const submitted = await admin(request(gateway.app).post('/api/v1/privacy/requests'))
+      .send({ type: 'export', subject_id: 'user-1' });
+    expect(submitted.status).toBe(202);
+    expect(submitted.body.data).toMatchObject({ type: 'export', requested_by: 'monitor' });
+
+    const { id } = submitted.body.data;
+    await gateway.privacyRequests.wait(id);
+
+    const download = await admin(request(gateway.app).get(`/api/v1/privacy/requests/${id}/export`));
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toBe(`attachment; filename="privacy-export-${id}.json"`);
+    expect(download.body.data).toEqual({
+      'memory-service': [{ id: 'm1', user_id: 'user-1' }],
+      'gateway:webhook-events': []
+    });
+
+    const certificate = await admin(request(gateway.app).get(`/api/v1/privacy/requests/${id}/certificate`));
+    expect(certificate.body.data).toMatchObject({ requestId: id, type: 'export' });
+    expect(gateway.privacyRequests.verifyCertificate(certificate.body.data)).toBe(true);
+
+    const missing = await admin(request(gateway.app).get('/api/v1/privacy/requests/dsr_missing'));
+    expect(missing.status).toBe(404);
+  });
+});
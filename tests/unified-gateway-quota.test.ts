@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+const QuotaManager = require('../core/quota/quota-manager');
+const { MemoryQuotaStore } = require('../core/quota/quota-stores');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const buildGateway = () => {
+  const gateway = new UnifiedGateway();
+  gateway.quotaManager = new QuotaManager({
+    store: new MemoryQuotaStore(),
+    policy: { tiers: { free: { perMinute: 1 } } }
+  });
+  let verifications = 0;
+  gateway.verifyRequestIdentity = async () => {
+    verifications += 1;
+    return { ok: true, method: 'auth_gateway_api_key', payload: { api_key_id: 'key_1', project_scope: 'acme' } };
+  };
+  return { gateway, verifications: () => verifications };
+};
+
+describe('UnifiedGateway quotas', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('returns RateLimit-* headers and 429 once the per-key limit is used up', async () => {
+    const { gateway } = buildGateway();
+
+    const first = await request(gateway.app).get('/api/catalog').set('X-API-Key', 'lano_key');
+    const second = await request(gateway.app).get('/api/catalog').set('X-API-Key', 'lano_key');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('1');
+    expect(first.headers['ratelimit-remaining']).toBe('0');
+    expect(second.status).toBe(429);
+    expect(second.body.code).toBe('RATE_LIMITED');
+    expect(second.headers['retry-after']).toBeDefined();
+  });
+
+  it('answers MCP requests over the limit with a JSON-RPC error', async () => {
+    const { gateway } = buildGateway();
+    gateway.ensureAdaptersReady = async () => {};
+
+    await request(gateway.app).post('/mcp').set('X-API-Key', 'lano_key').send({ jsonrpc: '2.0', method: 'ping', id: 1 });
+    const limited = await request(gateway.app)
+      .post('/mcp')
+      .set('X-API-Key', 'lano_key')
+      .send({ jsonrpc: '2.0', method: 'ping', id: 2 });
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ jsonrpc: '2.0', id: 2, error: { data: { code: 'RATE_LIMITED' } } });
+  });
+
+  it('leaves anonymous requests to the per-client limiter', async () => {
+    const { gateway, verifications } = buildGateway();
+
+    await request(gateway.app).get('/api/catalog');
+    const res = await request(gateway.app).get('/api/catalog');
+
+    expect(res.status).toBe(200);
+    expect(verifications()).toBe(0);
+  });
+
+  it('buckets MCP tool calls by adapter and category', () => {
+    const { gateway } = buildGateway();
+    gateway.adapterRegistry = {
+      describeTool: (toolId) => ({ adapterId: toolId.split(':')[0], category: 'payments' })
+    };
+
+    const usage = gateway.resolveQuotaUsage({
+      baseUrl: '/mcp',
+      path: '/',
+      method: 'POST',
+      body: { method: 'tools/call', params: { name: 'gateway-execute', arguments: { tool_id: 'paystack:list-banks' } } }
+    });
+
+    expect(usage).toEqual({ billable: true, buckets: ['paystack', 'payments'] });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const buildGateway = () => {
+  const gateway = new UnifiedGateway();
+  gateway.vpsMonitorToken = 'monitor-token';
+  gateway.adapterRegistry = {
+    callTool: async (toolId) => {
+      if (toolId === 'flutterwave-v3:list-transactions') {
+        return {
+          status: 'success',
+          data: [{ id: 91, tx_ref: 'flw_ref_1', amount: 2500, currency: 'NGN', status: 'successful', created_at: '2026-01-15T08:00:00Z' }],
+          meta: { page_info: { total: 1, current_page: 1, total_pages: 1 } }
+        };
+      }
+      throw new Error(`unexpected tool ${toolId}`);
+    }
+  };
+  return gateway;
+};
+
+describe('UnifiedGateway reconciliation', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('requires admin authorization', async () => {
+    const gateway = buildGateway();
+
+    const res = await request(gateway.app)
+      .post('/api/v1/reconciliation/runs')
+      .send({ from: '2026-01-15', to: '2026-01-16' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('runs a reconciliation, reports it and resolves the queued discrepancy', async () => {
+    const gateway = buildGateway();
+    const admin = (req) => req.set('Authorization', 'Bearer monitor-token');
+    // The ledger is the verified webhooks the gateway recorded
+    await gateway.webhookIngress.store.insert({
+      id: 'whk_flw_2',
+      provider: 'flutterwave',
+      eventId: 'flw-evt-2',
+      eventType: 'charge.completed',
+      adapterId: 'flutterwave-v3',
+      headers: {},
+      rawBody: JSON.stringify({
+        event: 'charge.completed',
+        data: { tx_ref: 'flw_ref_2', amount: 1000, currency: 'NGN', status: 'successful', created_at: '2026-01-15T09:00:00Z' }
+      }),
+      status: 'processed',
+      receivedAt: Date.parse('2026-01-15T09:00:01Z')
+    });
+
+    const refused = await admin(request(gateway.app).post('/api/v1/reconciliation/runs'))
+      .send({ from: '2026-01-15', to: '2026-01-16', providers: ['providus'] });
+    expect(refused.status).toBe(503);
+    expect(refused.body.code).toBe('LEDGER_UNAVAILABLE');
+
+    const started = await admin(request(gateway.app).post('/api/v1/reconciliation/runs'))
+      .send({ from: '2026-01-15', to: '2026-01-16', providers: ['flutterwave'] });
+    expect(started.status).toBe(202);
+    expect(started.body.data).toMatchObject({ status: 'running', providers: ['flutterwave'] });
+    await gateway.reconciliation.wait(started.body.data.id);
+
+    const report = await admin(request(gateway.app).get(`/api/v1/reconciliation/runs/${started.body.data.id}/report`));
+    expect(report.status).toBe(200);
+    expect(report.body.data.run.status).toBe('completed');
+    expect(report.body.data.providers.flutterwave).toMatchObject({
+      providerCount: 1,
+      providerTotal: 250000,
+      ledgerCount: 1,
+      ledgerTotal: 100000,
+      items: [
+        { type: 'missing_in_ledger', reference: 'flw_ref_1', providerAmount: 250000 },
+        { type: 'missing_at_provider', reference: 'flw_ref_2', ledgerAmount: 100000 }
+      ]
+    });
+
+    const queue = await admin(request(gateway.app).get('/api/v1/reconciliation/discrepancies?status=open&type=missing_in_ledger'));
+    expect(queue.body.data.count).toBe(1);
+
+    const invalid = await admin(request(gateway.app).get('/api/v1/reconciliation/discrepancies?type=lost'));
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('INVALID_TYPE');
+
+    const { id } = queue.body.data.discrepancies[0];
+    const resolved = await admin(request(gateway.app).post(`/api/v1/reconciliation/discrepancies/${id}/resolve`))
+      .send({ status: 'ignored', notes: 'test charge' });
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data).toMatchObject({ status: 'ignored', notes: 'test charge', resolvedBy: 'monitor' });
+
+    const again = await admin(request(gateway.app).post(`/api/v1/reconciliation/discrepancies/${id}/resolve`)).send({});
+    expect(again.status).toBe(409);
+  });
+});
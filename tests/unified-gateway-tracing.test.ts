@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+const { Tracer, setTracer } = require('../core/tracing/tracer');
+
+const INCOMING = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+describe('UnifiedGateway tracing', () => {
+  let spans;
+
+  beforeEach(() => {
+    stubGatewayForTests();
+    spans = [];
+    setTracer(new Tracer({ exporter: { export: (batch) => spans.push(...batch) } }));
+  });
+
+  afterEach(() => {
+    setTracer(null);
+  });
+
+  it('continues an incoming traceparent through the abstracted endpoints', async () => {
+    const gateway = new UnifiedGateway();
+
+    const res = await request(gateway.app).get('/api/v1/categories').set('traceparent', INCOMING);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(res.status).toBe(200);
+    const server = spans.find((span) => span.name === 'HTTP GET');
+    const endpoint = spans.find((span) => span.name === 'endpoint GET /api/v1/categories');
+    expect(server).toMatchObject({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      parentSpanId: '00f067aa0ba902b7',
+      kind: 2,
+      attributes: { 'http.target': '/api/v1/categories', 'http.status_code': 200 }
+    });
+    expect(endpoint.parentSpanId).toBe(server.spanId);
+  });
+
+  it('starts a new trace when traceparent is missing or malformed', async () => {
+    const gateway = new UnifiedGateway();
+
+    await request(gateway.app).get('/health').set('traceparent', 'not-a-trace');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const server = spans.find((span) => span.name === 'HTTP GET');
+    expect(server.parentSpanId).toBeNull();
+    expect(server.traceId).not.toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+  });
+});
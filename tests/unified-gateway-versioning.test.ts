@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+
+const UnifiedGateway = require('../unified_gateway');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const fakeClient = (version, calls) => ({
+  request: async (options) => {
+    calls.push({ version, ...options });
+    return { status: 200, data: { served_by: version, amount_minor: 1000 } };
+  }
+});
+
+const buildGateway = () => {
+  const gateway = new UnifiedGateway();
+  gateway.vpsMonitorToken = 'monitor-token';
+  gateway.complianceManager.auditStore = { append: async (seal) => seal(null) };
+  gateway.verifyRequestIdentity = async () => ({ ok: true, method: 'auth_gateway_api_key', payload: {} });
+  const calls = [];
+  for (const version of ['1.0.0', '2.0.0']) {
+    const config = { name: 'payments', version };
+    gateway.services.set('payments', config);
+    gateway.clients.set('payments', fakeClient(version, calls));
+    gateway.registerServiceVersion('payments', version, config, fakeClient(version, calls));
+  }
+  return { gateway, calls };
+};
+
+describe('UnifiedGateway API version negotiation', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  it('serves the newest version when the client does not pin one', async () => {
+    const { gateway, calls } = buildGateway();
+
+    const res = await request(gateway.app).get('/api/services/payments/charges');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['api-version']).toBe('2.0.0');
+    expect(res.headers.deprecation).toBeUndefined();
+    expect(calls.map(call => call.version)).toEqual(['2.0.0']);
+  });
+
+  it('pins a version from the header or a /v{n}/ prefix', async () => {
+    const { gateway, calls } = buildGateway();
+
+    const byHeader = await request(gateway.app)
+      .get('/api/services/payments/charges')
+      .set('API-Version', '1');
+    const byPrefix = await request(gateway.app).get('/v1/api/services/payments/charges');
+
+    expect(byHeader.headers['api-version']).toBe('1.0.0');
+    expect(byPrefix.headers['api-version']).toBe('1.0.0');
+    expect(calls.map(call => [call.version, call.path])).toEqual([
+      ['1.0.0', '/charges'],
+      ['1.0.0', '/charges']
+    ]);
+  });
+
+  it('rejects versions that are not registered', async () => {
+    const { gateway, calls } = buildGateway();
+
+    const res = await request(gateway.app)
+      .get('/api/services/payments/charges')
+      .set('API-Version', '3');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'UNSUPPORTED_API_VERSION', supported: ['2.0.0', '1.0.0'] });
+    expect(calls).toEqual([]);
+  });
+
+  it('refuses a pinned version this process has no client for instead of serving another one', async () => {
+    const { gateway, calls } = buildGateway();
+    // Known from persisted version state, but not loaded here
+    gateway.versionManager.registerVersion('payments', '3.0.0', { name: 'payments', version: '3.0.0' });
+
+    const pinned = await request(gateway.app)
+      .get('/api/services/payments/charges')
+      .set('API-Version', '3');
+    expect(pinned.status).toBe(410);
+    expect(pinned.body).toMatchObject({ code: 'API_VERSION_UNAVAILABLE', supported: ['2.0.0', '1.0.0'] });
+    expect(calls).toEqual([]);
+
+    const unpinned = await request(gateway.app).get('/api/services/payments/charges');
+    expect(unpinned.status).toBe(200);
+    expect(unpinned.headers['api-version']).toBeUndefined();
+    expect(calls.map(call => call.version)).toEqual(['2.0.0']);
+  });
+
+  it('migrates pinned requests and responses through the newest upstream', async () => {
+    const { gateway, calls } = buildGateway();
+    gateway.versionManager.registerMigrationHandler('payments', '1.0.0', '2.0.0', async (data) => ({
+      amount_minor: Math.round(data.amount * 100)
+    }));
+    gateway.versionManager.registerMigrationHandler('payments', '2.0.0', '1.0.0', async (data) => ({
+      served_by: data.served_by,
+      amount: data.amount_minor / 100
+    }));
+
+    const res = await request(gateway.app)
+      .post('/v1/api/services/payments/charges')
+      .send({ amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['api-version']).toBe('1.0.0');
+    expect(calls).toEqual([expect.objectContaining({ version: '2.0.0', data: { amount_minor: 1000 } })]);
+    expect(res.body).toEqual({ served_by: '2.0.0', amount: 10 });
+  });
+
+  it('adds Deprecation and Sunset headers for deprecated versions', async () => {
+    const { gateway } = buildGateway();
+    gateway.versionManager.deprecateVersion('payments', '1.0.0', 'superseded by 2.0.0');
+    const { deprecatedAt, sunsetAt } = gateway.versionManager.getDeprecationInfo('payments', '1.0.0');
+
+    const res = await request(gateway.app)
+      .get('/api/services/payments')
+      .set('API-Version', '1.0.0');
+
+    expect(res.status).toBe(200);
+    expect(res.headers.deprecation).toBe(`@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+    expect(res.headers.sunset).toBe(sunsetAt.toUTCString());
+    expect(res.body).toMatchObject({ name: 'payments', version: '1.0.0', deprecated: true });
+  });
+});
+
+describe('UnifiedGateway version admin API', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  const admin = (req) => req.set('Authorization', 'Bearer monitor-token');
+
+  it('requires admin authorization', async () => {
+    const { gateway } = buildGateway();
+
+    const res = await request(gateway.app).get('/api/v1/versions');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('lists versions with stats and the compatibility matrix', async () => {
+    const { gateway } = buildGateway();
+
+    const list = await admin(request(gateway.app).get('/api/v1/versions'));
+    expect(list.status).toBe(200);
+    expect(list.body.data.services).toEqual([
+      { serviceId: 'payments', versions: [expect.objectContaining({ version: '2.0.0' }), expect.objectContaining({ version: '1.0.0' })] }
+    ]);
+
+    const detail = await admin(request(gateway.app).get('/api/v1/versions/payments'));
+    expect(detail.body.data.stats).toEqual({ total: 2, deprecated: 0, latest: '2.0.0', oldest: '1.0.0' });
+
+    const matrix = await admin(request(gateway.app).get('/api/v1/versions/payments/compatibility'));
+    expect(matrix.body.data.matrix).toEqual([expect.objectContaining({ fromVersion: '1.0.0', toVersion: '2.0.0' })]);
+
+    const missing = await admin(request(gateway.app).get('/api/v1/versions/unknown'));
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('SERVICE_NOT_FOUND');
+  });
+
+  it('deprecates versions, audits the change and refuses early removal', async () => {
+    const { gateway } = buildGateway();
+    const audited = [];
+    gateway.complianceManager.on('audit:logged', (entry) => audited.push(entry));
+
+    const deprecated = await admin(request(gateway.app).post('/api/v1/versions/payments/1.0.0/deprecate'))
+      .send({ reason: 'superseded by 2.0.0' });
+    expect(deprecated.status).toBe(200);
+    expect(deprecated.body.data).toMatchObject({ version: '1.0.0', deprecated: true, deprecationReason: 'superseded by 2.0.0' });
+    expect(audited).toEqual([expect.objectContaining({
+      action: 'SERVICE_VERSION_CHANGE',
+      details: expect.objectContaining({ event: 'deprecated', serviceId: 'payments', version: '1.0.0', actor: 'monitor' })
+    })]);
+
+    const removed = await admin(request(gateway.app).delete('/api/v1/versions/payments/1.0.0'));
+    expect(removed.status).toBe(409);
+    expect(removed.body).toMatchObject({ code: 'DEPRECATION_WINDOW_ACTIVE', daysRemaining: 30 });
+  });
+
+  it('inspects and clears migration snapshots', async () => {
+    const { gateway } = buildGateway();
+    gateway.versionManager.createMigrationSnapshot('payments', '1.0.0', '2.0.0', { amount: 10 });
+
+    const snapshots = await admin(request(gateway.app).get('/api/v1/versions/payments/snapshots'));
+    expect(snapshots.body.data.snapshots).toEqual([
+      expect.objectContaining({ fromVersion: '1.0.0', toVersion: '2.0.0', data: { amount: 10 } })
+    ]);
+
+    const cleared = await admin(request(gateway.app).delete('/api/v1/versions/payments/snapshots/1.0.0/2.0.0'));
+    expect(cleared.body.data.cleared).toBe(true);
+    expect(gateway.versionManager.getSnapshots('payments')).toEqual([]);
+  });
+});
+
+describe('UnifiedGateway service definition diff', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+  });
+
+  const definition = {
+    name: 'payments',
+    version: '3.0.0',
+    endpoints: [{ id: 'list_charges', method: 'GET', path: '/charges' }]
+  };
+
+  it('requires admin authorization', async () => {
+    const { gateway } = buildGateway();
+
+    const res = await request(gateway.app).post('/api/services/payments/diff').send({ definition });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('reports changes against the loaded or a registered version', async () => {
+    const { gateway } = buildGateway();
+    gateway.services.set('payments', {
+      name: 'payments',
+      version: '2.0.0',
+      endpoints: [
+        { id: 'list_charges', method: 'GET', path: '/charges' },
+        { id: 'create_charge', method: 'POST', path: '/charges' }
+      ]
+    });
+    const admin = (req) => req.set('Authorization', 'Bearer monitor-token');
+
+    const loaded = await admin(request(gateway.app).post('/api/services/payments/diff')).send({ definition });
+    expect(loaded.status).toBe(200);
+    expect(loaded.body).toMatchObject({ compatible: false, summary: { breaking: 1 } });
+    expect(loaded.body.changes.breaking[0]).toMatchObject({ type: 'endpoint_removed', endpoint: 'create_charge' });
+
+    const registered = await admin(request(gateway.app).post('/api/services/payments/diff?format=text'))
+      .send({ definition, against: '1' });
+    expect(registered.headers['content-type']).toContain('text/plain');
+    expect(registered.text).toContain('➕ Additive (1)');
+
+    const invalid = await admin(request(gateway.app).post('/api/services/payments/diff')).send({});
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import crypto from 'crypto';
+
+const UnifiedGateway = require('../unified_gateway');
+const WebhookDeliveryService = require('../core/webhooks/webhook-delivery');
+
+const stubGatewayForTests = () => {
+  UnifiedGateway.prototype.loadMCPAdapters = async function () {
+    return null;
+  };
+  UnifiedGateway.prototype.loadAPIServices = function () {
+    return;
+  };
+  UnifiedGateway.prototype.loadServiceCatalog = function () {
+    return { apiServices: [], mcpAdapters: [] };
+  };
+};
+
+const buildGateway = () => {
+  const gateway = new UnifiedGateway();
+  gateway.vpsMonitorToken = 'monitor-token';
+  const handled = [];
+  gateway.adapters.set('stripe-api-2024-04-10', {
+    handleWebhook: async (event) => {
+      handled.push(event);
+      return { ok: true };
+    }
+  });
+  return { gateway, handled };
+};
+
+const stripeSignature = (rawBody, secret = 'whsec_test') => {
+  const t = Math.floor(Date.now() / 1000);
+  return `t=${t},v1=${crypto.createHmac('sha256', secret).update(`${t}.${rawBody}`).digest('hex')}`;
+};
+
+describe('UnifiedGateway webhook ingress', () => {
+  beforeEach(() => {
+    stubGatewayForTests();
+    vi.stubEnv('WEBHOOK_SECRET_STRIPE', 'whsec_test');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('verifies the signature over the raw body, acknowledges and hands the event to the adapter', async () => {
+    const { gateway, handled } = buildGateway();
+    // Spacing matters: the signature covers these exact bytes
+    const rawBody = '{"id": "evt_1",  "type": "payment_intent.succeeded", "data": {"object": {"amount": 2000}}}';
+
+    const res = await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody))
+      .send(rawBody);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, duplicate: false });
+
+    const event = await gateway.webhookIngress.wait(res.body.id);
+    expect(event).toMatchObject({ provider: 'stripe', eventId: 'evt_1', status: 'processed' });
+    expect(handled).toHaveLength(1);
+    expect(handled[0].payload.data.object.amount).toBe(2000);
+
+    const redelivery = await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody))
+      .send(rawBody);
+    expect(redelivery.body).toEqual({ received: true, duplicate: true, id: res.body.id });
+    expect(handled).toHaveLength(1);
+  });
+
+  it('rejects bad signatures and unknown providers', async () => {
+    const { gateway } = buildGateway();
+    const rawBody = JSON.stringify({ id: 'evt_2', type: 'charge.refunded' });
+
+    const forged = await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody, 'whsec_other'))
+      .send(rawBody);
+    expect(forged.status).toBe(401);
+    expect(forged.body.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+
+    const unknown = await request(gateway.app)
+      .post('/webhooks/acme')
+      .set('Content-Type', 'application/json')
+      .send(rawBody);
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('UNKNOWN_WEBHOOK_PROVIDER');
+  });
+
+  it('lists received events for operators only', async () => {
+    const { gateway } = buildGateway();
+    const rawBody = JSON.stringify({ id: 'evt_3', type: 'charge.succeeded' });
+    const delivery = await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody))
+      .send(rawBody);
+    await gateway.webhookIngress.wait(delivery.body.id);
+
+    const anonymous = await request(gateway.app).get('/api/v1/webhooks/events');
+    expect(anonymous.status).toBe(401);
+
+    const res = await request(gateway.app)
+      .get('/api/v1/webhooks/events?provider=stripe')
+      .set('Authorization', 'Bearer monitor-token');
+    expect(res.status).toBe(200);
+    expect(res.body.data.events).toEqual([
+      expect.objectContaining({ id: delivery.body.id, eventType: 'charge.succeeded', status: 'processed' })
+    ]);
+    expect(res.body.data.events[0].rawBody).toBeUndefined();
+  });
+
+  it('publishes canonical payment events to apps, filtered by scope', async () => {
+    const { gateway } = buildGateway();
+    let payload = { role: 'read' };
+    gateway.verifyRequestIdentity = async () => ({ ok: true, method: 'auth_gateway_api_key', payload });
+    const rawBody = JSON.stringify({
+      id: 'evt_4',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_4', amount_received: 2500, currency: 'usd' } }
+    });
+    await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody))
+      .send(rawBody);
+
+    const res = await request(gateway.app).get('/api/v1/payment-events?types=payment.succeeded');
+    expect(res.status).toBe(200);
+    expect(res.body.data.events).toEqual([
+      expect.objectContaining({
+        type: 'payment.succeeded',
+        provider: 'stripe',
+        providerEventType: 'payment_intent.succeeded',
+        data: expect.objectContaining({ reference: 'pi_4', amount: 2500, currency: 'USD' })
+      })
+    ]);
+
+    payload = { scopes: ['banking:read'] };
+    const banking = await request(gateway.app).get('/api/v1/payment-events');
+    expect(banking.body.data.events).toEqual([]);
+
+    // Another tenant's caller sees none of this project's events, only its own
+    const acmeBody = JSON.stringify({
+      id: 'evt_4b',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_4b', amount_received: 700, currency: 'usd', metadata: { project_scope: 'acme' } } }
+    });
+    await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(acmeBody))
+      .send(acmeBody);
+    payload = { role: 'read', project_scope: 'acme' };
+    const acme = await request(gateway.app).get('/api/v1/payment-events');
+    expect(acme.body.data.events.map(event => event.data.reference)).toEqual(['pi_4b']);
+    payload = { role: 'read' };
+    const own = await request(gateway.app).get('/api/v1/payment-events');
+    expect(own.body.data.events.map(event => event.data.reference)).toEqual(['pi_4']);
+
+    const invalid = await request(gateway.app).get('/api/v1/payment-events?types=charge.success');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('INVALID_EVENT_TYPE');
+  });
+
+  it('delivers payment events to the tenant\'s registered endpoints, signed', async () => {
+    const { gateway } = buildGateway();
+    gateway.verifyRequestIdentity = async () => ({
+      ok: true,
+      method: 'auth_gateway_api_key',
+      payload: { project_scope: 'acme' }
+    });
+    const sent = [];
+    gateway.webhookDelivery.lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+    gateway.webhookDelivery.fetch = async (url, request) => {
+      sent.push({ url, request });
+      return { ok: true, status: 200, text: async () => '' };
+    };
+
+    const registered = await request(gateway.app)
+      .post('/api/v1/webhooks/endpoints')
+      .send({ url: 'https://acme.example.com/hooks', events: ['payment.succeeded'] });
+    expect(registered.status).toBe(201);
+    const { id: endpointId, secret } = registered.body.data;
+
+    const rawBody = JSON.stringify({
+      id: 'evt_5',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_5', amount_received: 900, currency: 'usd', metadata: { project_scope: 'acme' } } }
+    });
+    await request(gateway.app)
+      .post('/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeSignature(rawBody))
+      .send(rawBody);
+    await vi.waitFor(async () => {
+      expect(await gateway.webhookDelivery.listDeliveries('acme')).toHaveLength(1);
+    });
+    await gateway.webhookDelivery.processDue();
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].url).toBe('https://acme.example.com/hooks');
+    expect(JSON.parse(sent[0].request.body).data).toMatchObject({ type: 'payment.succeeded', tenantId: 'acme' });
+    expect(WebhookDeliveryService.verifySignature(
+      sent[0].request.headers['X-Onasis-Signature'],
+      sent[0].request.body,
+      secret
+    )).toBe(true);
+
+    const deliveries = await request(gateway.app).get(`/api/v1/webhooks/deliveries?endpointId=${endpointId}`);
+    expect(deliveries.body.data.deliveries).toEqual([expect.objectContaining({ status: 'delivered' })]);
+    const attempts = await request(gateway.app)
+      .get(`/api/v1/webhooks/deliveries/${deliveries.body.data.deliveries[0].id}/attempts`);
+    expect(attempts.body.data.attempts).toEqual([expect.objectContaining({ attempt: 1, statusCode: 200 })]);
+
+    gateway.verifyRequestIdentity = async () => ({ ok: true, method: 'auth_gateway_api_key', payload: { project_scope: 'other' } });
+    const foreign = await request(gateway.app).get(`/api/v1/webhooks/endpoints/${endpointId}`);
+    expect(foreign.status).toBe(404);
+  });
+});
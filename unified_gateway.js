@@ -72,6 +72,7 @@ const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const semver = require('semver');
 const vpsMonitor = require('./vps/monitor');
 
 const fetch = globalThis.fetch
@@ -188,9 +189,28 @@ const buildDefaultMcpCatalog = () => ([
 // Import components from both servers
 const BaseClient = require('./core/base-client');
 const VersionManager = require('./core/versioning/version-manager');
+const { diffServiceDefinitions, formatDiffReport } = require('./core/versioning/service-diff');
 const ComplianceManager = require('./core/security/compliance-manager');
 const MetricsCollector = require('./core/monitoring/metrics-collector');
+const IdempotencyManager = require('./core/idempotency/idempotency-manager');
+const WalletLedger = require('./core/ledger/wallet-ledger');
+const ApprovalQueue = require('./core/approvals/approval-queue');
+const PrivacyRequestManager = require('./core/privacy/privacy-request-manager');
+const WebhookIngress = require('./core/webhooks/webhook-ingress');
+const PaymentEventStream = require('./core/webhooks/payment-event-stream');
+const WebhookDeliveryService = require('./core/webhooks/webhook-delivery');
+const ReconciliationEngine = require('./core/reconciliation/reconciliation-engine');
+const QuotaManager = require('./core/quota/quota-manager');
+const AlertEngine = require('./core/monitoring/alert-engine');
+const { getTracer, SPAN_KIND, SPAN_STATUS } = require('./core/tracing/tracer');
 const AbstractedAPIEndpoints = require('./api/abstracted-endpoints');
+const ApprovalEndpoints = require('./api/approval-endpoints');
+const PrivacyEndpoints = require('./api/privacy-endpoints');
+const VersionEndpoints = require('./api/version-endpoints');
+const WebhookEndpoints = require('./api/webhook-endpoints');
+const PaymentEventEndpoints = require('./api/payment-event-endpoints');
+const WebhookDeliveryEndpoints = require('./api/webhook-delivery-endpoints');
+const ReconciliationEndpoints = require('./api/reconciliation-endpoints');
 const OnasisAuthBridge = require('./middleware/onasis-auth-bridge');
 const MCPDiscoveryLayer = require('./src/mcp/discovery');
 
@@ -205,9 +225,38 @@ class UnifiedGateway {
         // API Gateway components
         this.services = new Map();
         this.clients = new Map();
-        this.versionManager = new VersionManager();
+        // Per-version clients ("<service>:<version>") for API-Version negotiation
+        this.versionClients = new Map();
         this.complianceManager = new ComplianceManager();
+        // Version lifecycle state persists across restarts (VERSION_STORE=memory|postgres).
+        // Restore is queued before services register so persisted deprecations win.
+        this.versionManager = new VersionManager({ compliance: this.complianceManager });
+        this.versionStateReady = this.versionManager.restore().catch((error) => {
+            console.error('Failed to restore version state:', error.message);
+        });
+        this.versionManager.on('version:persist_failed', ({ error }) => {
+            console.error('Failed to persist version state:', error.message);
+        });
         this.metricsCollector = new MetricsCollector();
+        this.complianceManager.on('compliance:validated', (results) => {
+            for (const [regulation, result] of Object.entries(results.regulations)) {
+                if (!result.compliant) {
+                    this.metricsCollector.recordCompliance(results.serviceId, regulation, 'validation_failed');
+                }
+            }
+        });
+        // Declarative alert rules over the collected metrics (ALERT_RULES_PATH, JSON or YAML)
+        this.alertEngine = new AlertEngine({
+            metrics: this.metricsCollector,
+            beforeEvaluate: () => this.collectCircuitBreakerMetrics()
+        });
+        // W3C trace context; spans are exported per TRACING_EXPORTER (none|otlp|file)
+        this.tracer = getTracer();
+        // Per-tenant / per-API-key limits (QUOTA_POLICY_PATH, QUOTA_STORE=memory|redis)
+        // Callers whose verified claims name no project belong to this gateway's project
+        this.quotaManager = new QuotaManager({
+            defaultTenant: process.env.ONASIS_PROJECT_SCOPE || 'lanonasis-maas'
+        });
         this.routePolicyMode = (process.env.GATEWAY_ROUTE_POLICY_MODE || 'warn').toLowerCase();
         this.centralGatewayBaseUrl = process.env.GATEWAY_PUBLIC_BASE_URL
             || process.env.CENTRAL_GATEWAY_URL
@@ -216,8 +265,108 @@ class UnifiedGateway {
         // MCP Server components
         this.adapters = new Map();
         this.adapterRegistry = null;
+        // Stateful dependencies handed to adapter constructors. They live here rather than
+        // in the adapter so a hot-reloaded adapter keeps them (LEDGER_STORE=memory|postgres).
+        this.adapterDependencies = {
+            ledger: new WalletLedger()
+        };
+        // Shared by the abstracted REST routes and gateway-execute (IDEMPOTENCY_STORE=memory|postgres)
+        this.idempotency = new IdempotencyManager();
         this.abstractedAPI = new AbstractedAPIEndpoints({
-            getAdapterRegistry: () => this.adapterRegistry
+            getAdapterRegistry: () => this.adapterRegistry,
+            resolveCaller: (req) => this.resolveCallerIdentity(req),
+            idempotency: this.idempotency,
+            metrics: this.metricsCollector
+        });
+        // High-risk gateway-execute calls are parked here until an admin approves them
+        // (APPROVAL_STORE=memory|postgres)
+        this.approvals = new ApprovalQueue();
+        this.approvalAPI = new ApprovalEndpoints({
+            approvals: this.approvals,
+            authorize: async (req) => {
+                const auth = await this.verifyVpsAuth(req, true);
+                if (!auth.ok) return auth;
+                return { ...auth, principalId: this.quotaManager.resolvePrincipalId(auth.user) };
+            }
+        });
+        // GDPR data-subject requests, fanned out to adapters with a privacy hook and to the
+        // gateway's own copies of request data (PRIVACY_STORE=memory|postgres)
+        this.privacyRequests = new PrivacyRequestManager({
+            getAdapters: () => this.adapters,
+            getInternalHooks: () => new Map([
+                ['gateway:webhook-events', this.webhookIngress.getPrivacyHook()],
+                ['gateway:idempotency-cache', this.idempotency.getPrivacyHook()]
+            ]),
+            compliance: this.complianceManager
+        });
+        this.privacyAPI = new PrivacyEndpoints({
+            privacy: this.privacyRequests,
+            authorize: (req) => this.verifyVpsAuth(req, true),
+            ready: () => this.ensureAdaptersReady()
+        });
+        this.versionAPI = new VersionEndpoints({
+            versions: this.versionManager,
+            authorize: (req) => this.verifyVpsAuth(req, true),
+            ready: () => this.versionStateReady
+        });
+        // Provider webhooks: signature-verified, deduplicated, then handed to the adapter (WEBHOOK_STORE=memory|postgres)
+        this.webhookIngress = new WebhookIngress({
+            getAdapters: () => this.adapters
+        });
+        this.webhookAPI = new WebhookEndpoints({
+            ingress: this.webhookIngress,
+            authorize: (req) => this.verifyVpsAuth(req, true)
+        });
+        // Canonical payment events (payment.succeeded, wallet.credited, ...) derived from received webhooks
+        this.paymentEvents = new PaymentEventStream();
+        this.webhookIngress.on('webhook:received', (webhook) => {
+            try {
+                this.paymentEvents.ingest(webhook);
+            } catch (error) {
+                console.warn(`⚠️  Payment event translation failed for ${webhook.provider} ${webhook.eventId}: ${error.message}`);
+            }
+        });
+        this.paymentEventAPI = new PaymentEventEndpoints({
+            events: this.paymentEvents,
+            defaultTenant: this.quotaManager.defaultTenant,
+            authorize: async (req) => {
+                const auth = await this.verifyRequestIdentity(req);
+                if (!auth.ok) return auth;
+                req.authContext = auth;
+                const caller = this.resolveCallerIdentity(req);
+                return { ok: true, scopes: this.resolveCallerScopes(req), tenantId: caller && caller.tenantId };
+            }
+        });
+        // Outbound webhooks: payment events are signed and delivered to tenant endpoints with retries
+        // (WEBHOOK_DELIVERY_STORE=memory|postgres). Events without a tenant in their metadata belong to this gateway's project.
+        this.webhookDelivery = new WebhookDeliveryService({
+            eventTypes: PaymentEventStream.TYPES
+        });
+        this.paymentEvents.subscribe('*', (event) => {
+            this.webhookDelivery.publish(event, { tenantId: event.tenantId || this.projectScope })
+                .catch((error) => console.warn(`⚠️  Failed to queue webhook deliveries for ${event.id}: ${error.message}`));
+        });
+        this.webhookDeliveryAPI = new WebhookDeliveryEndpoints({
+            delivery: this.webhookDelivery,
+            authorize: async (req) => {
+                const auth = await this.verifyRequestIdentity(req);
+                if (!auth.ok) return auth;
+                req.authContext = auth;
+                const caller = this.resolveCallerIdentity(req);
+                return { ok: true, tenantId: caller ? caller.tenantId : this.quotaManager.defaultTenant };
+            }
+        });
+        // Settlement reconciliation: provider transaction lists vs. our ledger, with a discrepancy queue
+        // (RECONCILIATION_STORE=memory|postgres, RECONCILIATION_LEDGER=webhooks|postgres). The default
+        // ledger is the verified webhooks this gateway recorded.
+        this.reconciliation = new ReconciliationEngine({
+            getRegistry: () => this.adapterRegistry,
+            ledgerOptions: { webhookStore: this.webhookIngress.store }
+        });
+        this.reconciliationAPI = new ReconciliationEndpoints({
+            reconciliation: this.reconciliation,
+            authorize: (req) => this.verifyVpsAuth(req, true),
+            ready: () => this.ensureAdaptersReady()
         });
         this.authBridge = new OnasisAuthBridge({
             authApiUrl: process.env.AUTH_GATEWAY_URL
@@ -232,6 +381,8 @@ class UnifiedGateway {
             || 'https://auth.lanonasis.com';
         this.projectScope = process.env.ONASIS_PROJECT_SCOPE || 'lanonasis-maas';
         this.vpsMonitorToken = process.env.VPS_MONITOR_TOKEN || null;
+        // Scrape-only bearer token for /metrics; admin credentials are accepted too
+        this.metricsToken = process.env.METRICS_TOKEN || null;
         this.aiRouterUrl = process.env.AI_ROUTER_URL || '';
         this.aiRouterTimeoutMs = parseInt(process.env.AI_ROUTER_TIMEOUT_MS || '12000', 10);
         this.authGatewayTimeoutMs = parseInt(process.env.AUTH_GATEWAY_TIMEOUT_MS || '8000', 10);
@@ -253,6 +404,14 @@ class UnifiedGateway {
         this.mcpToolMode = process.env.MCP_TOOL_MODE || 'lazy';
         this.discoveryLayer = null;
 
+        // Adapter hot-reload: watch services/ (adapter modules + catalog.json) and swap adapters in place
+        this.adapterHotReload = (process.env.MCP_ADAPTER_HOT_RELOAD || 'false') === 'true';
+        this.adapterReloadDebounceMs = parseInt(process.env.MCP_ADAPTER_RELOAD_DEBOUNCE_MS || '300', 10);
+        this.adapterWatcher = null;
+        this.adapterReloadQueue = Promise.resolve();
+        this.adapterCatalogFingerprints = new Map(); // adapterId -> JSON of the catalog entry last loaded
+        this.mcpStreams = new Set();                 // open GET /mcp SSE responses
+
         console.log('🚀 Initializing Unified Gateway (API + MCP)...');
         console.log(`📋 MCP Tool Mode: ${this.mcpToolMode}`);
 
@@ -289,7 +448,13 @@ class UnifiedGateway {
         this.app.use(compression());
 
         // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        this.app.use(express.json({
+            limit: '10mb',
+            // Webhook signatures are computed over the exact bytes received
+            verify: (req, res, buf) => {
+                if (req.url.startsWith('/webhooks/')) req.rawBody = buf;
+            }
+        }));
         this.app.use(express.urlencoded({ extended: true }));
 
         // Block dotfile probing early
@@ -300,6 +465,17 @@ class UnifiedGateway {
             next();
         });
 
+        // API version prefix: /v2/api/services/... pins the version like an API-Version header.
+        // Rewritten before the limiters so routing, rate limits and quotas see /api/services/...
+        this.app.use((req, res, next) => {
+            const match = /^\/v(\d+)(\/api\/services\/.*)$/.exec(req.url);
+            if (match) {
+                req.apiVersionPin = match[1];
+                req.url = match[2];
+            }
+            next();
+        });
+
         // Request ID middleware
         this.app.use((req, res, next) => {
             req.id = crypto.randomUUID();
@@ -307,6 +483,25 @@ class UnifiedGateway {
             next();
         });
 
+        // Tracing: continue the caller's trace (traceparent header) or start a new one
+        this.app.use((req, res, next) => {
+            const span = this.tracer.startSpan(`HTTP ${req.method}`, {
+                kind: SPAN_KIND.SERVER,
+                parent: req.headers.traceparent || null,
+                attributes: {
+                    'http.method': req.method,
+                    'http.target': req.path,
+                    'http.request_id': req.id
+                }
+            });
+            res.once('close', () => {
+                span.setAttribute('http.status_code', res.statusCode);
+                if (res.statusCode >= 500) span.setStatus(SPAN_STATUS.ERROR);
+                span.end();
+            });
+            this.tracer.runInSpan(span, next);
+        });
+
         // Rate limiting - different limits for API vs MCP
         const apiLimiter = rateLimit({
             windowMs: 15 * 60 * 1000,
@@ -331,6 +526,11 @@ class UnifiedGateway {
         this.app.use('/api/', apiLimiter);
         this.app.use('/mcp', mcpLimiter);
 
+        // Per-tenant and per-API-key quotas; the limiters above stay as a per-client backstop
+        const quotaMiddleware = (req, res, next) => this.enforceQuota(req, res, next);
+        this.app.use('/api/', quotaMiddleware);
+        this.app.use('/mcp', quotaMiddleware);
+
         // Request logging
         this.app.use((req, res, next) => {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -390,6 +590,7 @@ class UnifiedGateway {
                 service: serviceName
             });
             this.clients.set(serviceName, client);
+            this.registerServiceVersion(serviceName, serviceVersion, config, client);
             loadedCount++;
             console.log(`✅ Loaded API service: ${serviceName}`);
             return;
@@ -445,13 +646,108 @@ class UnifiedGateway {
         console.log(`📦 Loaded ${loadedCount} API services`);
     }
 
+    /**
+     * Register a loaded service config with the VersionManager so clients can pin it.
+     * Versions that are not semver-like ('1', 'v2.1') are coerced; others stay unversioned.
+     */
+    registerServiceVersion(serviceName, serviceVersion, config, client) {
+        const version = semver.valid(semver.coerce(String(serviceVersion)));
+        if (!version) return null;
+
+        this.versionManager.registerVersion(serviceName, version, config);
+        this.versionClients.set(`${serviceName}:${version}`, client);
+        return version;
+    }
+
+    /**
+     * Resolve the version a service request is pinned to (/v{n}/ prefix or API-Version
+     * header, newest release otherwise) and describe it in the response headers.
+     * Services without registered versions are served unversioned.
+     * @returns {{ version: string, config: object } | null}
+     */
+    negotiateServiceVersion(req, res, serviceName) {
+        const requested = req.apiVersionPin || req.get('API-Version') || null;
+        const available = this.versionManager.getServiceVersions(serviceName).map(v => v.version);
+
+        let resolved = null;
+        if (available.length > 0) {
+            try {
+                resolved = this.versionManager.resolveVersion(serviceName, requested || 'latest');
+            } catch {
+                resolved = null;
+            }
+        }
+        if (!resolved) {
+            if (!requested) return null;
+            const error = new Error(`API version ${requested} is not available for ${serviceName}`);
+            error.status = 400;
+            error.code = 'UNSUPPORTED_API_VERSION';
+            error.meta = { supported: available.sort(semver.rcompare) };
+            throw error;
+        }
+
+        res.vary('API-Version');
+        res.setHeader('API-Version', resolved.version);
+        const deprecation = this.versionManager.getDeprecationInfo(serviceName, resolved.version);
+        if (deprecation) {
+            // RFC 9745 (Deprecation) and RFC 8594 (Sunset)
+            res.setHeader('Deprecation', `@${Math.floor(deprecation.deprecatedAt.getTime() / 1000)}`);
+            res.setHeader('Sunset', deprecation.sunsetAt.toUTCString());
+        }
+        return resolved;
+    }
+
+    sendVersionError(res, req, serviceName, error) {
+        return res.status(error.status).json({
+            error: 'Unsupported API version',
+            message: error.message,
+            code: error.code,
+            service: serviceName,
+            supported: error.meta.supported,
+            requestId: req.id
+        });
+    }
+
     /**
      * Load MCP adapters (mock for now)
      */
     async loadMCPAdapters() {
         const AdapterRegistry = require('./src/mcp/adapter-registry');
-        this.adapterRegistry = new AdapterRegistry();
+        this.adapterRegistry = new AdapterRegistry({
+            metrics: this.metricsCollector,
+            compliance: this.complianceManager
+        });
+        this.adapterFactories = this.buildAdapterFactories();
+
+        for (const adapterEntry of this.resolveCatalogAdapters()) {
+            this.adapterCatalogFingerprints.set(adapterEntry.id, JSON.stringify(adapterEntry));
+            await this.loadAdapterEntry(adapterEntry);
+        }
+
+        // Backwards-compat: keep gateway.adapters as the live map of adapters
+        this.adapters = this.adapterRegistry.toAdaptersMap();
+
+        const totalTools = this.getTotalTools();
+        const stats = this.adapterRegistry.getStats();
+        console.log(`⚡ Loaded ${stats.totalAdapters} MCP adapters (${stats.realAdapters} real, ${stats.mockAdapters} mock, ${totalTools} tools)`);
 
+        // Initialize MCP Discovery Layer
+        if (this.mcpToolMode === 'lazy') {
+            try {
+                this.discoveryLayer = new MCPDiscoveryLayer(this, this.adapters);
+                console.log(`🔍 MCP Discovery Layer initialized (5 meta-tools active)`);
+            } catch (error) {
+                console.warn(`⚠️ Failed to initialize Discovery Layer: ${error.message}`);
+                console.log(`⚠️ Falling back to full mode (${totalTools} tools)`);
+                this.mcpToolMode = 'full';
+            }
+        }
+    }
+
+    /**
+     * Enabled, de-duplicated MCP adapter entries from the service catalog
+     */
+    resolveCatalogAdapters() {
         const catalogAdapters = Array.isArray(this.serviceCatalog?.mcpAdapters) && this.serviceCatalog.mcpAdapters.length > 0
             ? this.serviceCatalog.mcpAdapters.filter(adapter => adapter.enabled !== false)
             : buildDefaultMcpCatalog();
@@ -475,8 +771,15 @@ class UnifiedGateway {
             );
         }
 
+        return uniqueCatalogAdapters;
+    }
+
+    /**
+     * Adapters that need custom setup instead of a catalog adapterPath
+     */
+    buildAdapterFactories() {
         const adapterFactories = {
-            'supabase-edge-functions': async ({ gateway }) => {
+            'supabase-edge-functions': async ({ gateway, replace }) => {
                 const SupabaseAdapter = require('./src/adapters/supabase-edge-functions-adapter.js');
                 const supabaseAdapter = new SupabaseAdapter();
 
@@ -521,7 +824,8 @@ class UnifiedGateway {
 
                 await gateway.adapterRegistry.register(supabaseAdapter, {
                     adapterId: 'supabase-edge-functions',
-                    skipInitialize: true
+                    skipInitialize: true,
+                    replace
                 });
 
                 const catalogEntry = gateway.serviceCatalog?.mcpAdapters?.find(
@@ -537,90 +841,253 @@ class UnifiedGateway {
             supabase: async (context) => adapterFactories['supabase-edge-functions'](context)
         };
 
-        for (const adapterEntry of uniqueCatalogAdapters) {
-            if (!adapterEntry || !adapterEntry.id) continue;
+        return adapterFactories;
+    }
 
-            const factory =
-                adapterFactories[adapterEntry.id] ||
-                (adapterEntry.type && adapterFactories[adapterEntry.type]);
+    /**
+     * Load one catalog entry into the adapter registry.
+     *
+     * At boot a broken adapterPath falls back to a mock placeholder. With
+     * options.reload the entry replaces the registered adapter atomically and a
+     * failed load keeps the adapter that is already serving.
+     *
+     * @returns {Promise<boolean>} Whether an adapter was (re)registered
+     */
+    async loadAdapterEntry(adapterEntry, options = {}) {
+        const replace = Boolean(options.reload);
 
-            if (factory) {
-                try {
-                    await factory({ gateway: this, adapterEntry });
-                } catch (error) {
-                    console.warn(`⚠️ ${adapterEntry.id} adapter failed to load:`, error.message);
-                }
-                continue;
+        // Catalog compliance flags drive the PCI/GDPR audit of this adapter's tool data
+        if (adapterEntry.compliance) {
+            this.complianceManager.registerServiceConfig(adapterEntry.id, adapterEntry);
+        }
+
+        const factory =
+            this.adapterFactories[adapterEntry.id] ||
+            (adapterEntry.type && this.adapterFactories[adapterEntry.type]);
+
+        if (factory) {
+            try {
+                await factory({ gateway: this, adapterEntry, replace });
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ ${adapterEntry.id} adapter failed to load:`, error.message);
+                return false;
             }
+        }
 
-            // Real adapter loaded from catalog adapterPath (CommonJS .js module)
-            if (adapterEntry.adapterPath) {
-                try {
-                    const resolvedPath = path.isAbsolute(adapterEntry.adapterPath)
-                        ? adapterEntry.adapterPath
-                        : path.join(__dirname, adapterEntry.adapterPath);
-
-                    // eslint-disable-next-line import/no-dynamic-require, global-require
-                    const mod = require(resolvedPath);
-
-                    let AdapterClass = null;
-                    if (adapterEntry.functionName && mod && typeof mod === 'object' && mod[adapterEntry.functionName]) {
-                        AdapterClass = mod[adapterEntry.functionName];
-                    } else if (typeof mod === 'function') {
-                        AdapterClass = mod;
-                    } else if (mod && typeof mod === 'object' && typeof mod.default === 'function') {
-                        AdapterClass = mod.default;
-                    } else if (mod && typeof mod === 'object') {
-                        const candidates = Object.values(mod).filter((v) => typeof v === 'function');
-                        if (candidates.length === 1) {
-                            AdapterClass = candidates[0];
-                        }
-                    }
+        // Real adapter loaded from catalog adapterPath (CommonJS .js module)
+        if (adapterEntry.adapterPath) {
+            try {
+                const resolvedPath = this.resolveAdapterPath(adapterEntry);
+                if (replace) {
+                    this.clearAdapterModuleCache(resolvedPath);
+                }
 
-                    if (!AdapterClass) {
-                        throw new Error(`Adapter module did not export a constructor (${adapterEntry.adapterPath})`);
+                // eslint-disable-next-line import/no-dynamic-require, global-require
+                const mod = require(resolvedPath);
+
+                let AdapterClass = null;
+                if (adapterEntry.functionName && mod && typeof mod === 'object' && mod[adapterEntry.functionName]) {
+                    AdapterClass = mod[adapterEntry.functionName];
+                } else if (typeof mod === 'function') {
+                    AdapterClass = mod;
+                } else if (mod && typeof mod === 'object' && typeof mod.default === 'function') {
+                    AdapterClass = mod.default;
+                } else if (mod && typeof mod === 'object') {
+                    const candidates = Object.values(mod).filter((v) => typeof v === 'function');
+                    if (candidates.length === 1) {
+                        AdapterClass = candidates[0];
                     }
+                }
 
-                    const adapter = new AdapterClass(adapterEntry);
-                    if (typeof adapter.initialize === 'function') {
-                        await adapter.initialize(adapterEntry);
-                        if (!adapter._initialized) {
-                            adapter._initialized = true;
-                        }
+                if (!AdapterClass) {
+                    throw new Error(`Adapter module did not export a constructor (${adapterEntry.adapterPath})`);
+                }
+
+                const adapter = new AdapterClass({ ...adapterEntry, ...this.adapterDependencies });
+                if (typeof adapter.initialize === 'function') {
+                    await adapter.initialize(adapterEntry);
+                    if (!adapter._initialized) {
+                        adapter._initialized = true;
                     }
-                    await this.adapterRegistry.register(adapter, { skipInitialize: true });
-                    console.log(`✅ Loaded adapter ${adapterEntry.id} (${Array.isArray(adapter.tools) ? adapter.tools.length : 0} tools)`);
-                } catch (error) {
-                    console.warn(`⚠️ ${adapterEntry.id} adapter failed to load from adapterPath:`, error.message);
+                }
+                await this.adapterRegistry.register(adapter, { skipInitialize: true, replace });
+                console.log(`${replace ? '🔄 Reloaded' : '✅ Loaded'} adapter ${adapterEntry.id} (${Array.isArray(adapter.tools) ? adapter.tools.length : 0} tools)`);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ ${adapterEntry.id} adapter failed to load from adapterPath:`, error.message);
+                if (!replace || !this.adapterRegistry.getAdapter(adapterEntry.id)) {
                     this.adapterRegistry.registerMock(adapterEntry);
                 }
-                continue;
+                return false;
             }
+        }
 
-            // Mock adapter placeholder (discoverable but not executable)
-            if (adapterEntry.type === 'mock' || adapterEntry.source === 'mock') {
-                this.adapterRegistry.registerMock(adapterEntry);
+        // Mock adapter placeholder (discoverable but not executable)
+        if (adapterEntry.type === 'mock' || adapterEntry.source === 'mock') {
+            if (replace) {
+                this.adapterRegistry.unregister(adapterEntry.id);
             }
+            this.adapterRegistry.registerMock(adapterEntry);
+            return true;
         }
 
-        // Backwards-compat: keep gateway.adapters as the live map of adapters
-        this.adapters = this.adapterRegistry.toAdaptersMap();
+        if (replace) {
+            // The entry no longer describes a loadable adapter
+            this.adapterRegistry.unregister(adapterEntry.id);
+        }
+        return false;
+    }
 
-        const totalTools = this.getTotalTools();
-        const stats = this.adapterRegistry.getStats();
-        console.log(`⚡ Loaded ${stats.totalAdapters} MCP adapters (${stats.realAdapters} real, ${stats.mockAdapters} mock, ${totalTools} tools)`);
+    resolveAdapterPath(adapterEntry) {
+        return path.isAbsolute(adapterEntry.adapterPath)
+            ? adapterEntry.adapterPath
+            : path.join(__dirname, adapterEntry.adapterPath);
+    }
 
-        // Initialize MCP Discovery Layer
-        if (this.mcpToolMode === 'lazy') {
+    /**
+     * Drop cached modules of an adapter's directory so a reload picks up edited helpers too
+     */
+    clearAdapterModuleCache(resolvedPath) {
+        const adapterDir = path.dirname(resolvedPath) + path.sep;
+        for (const cachedPath of Object.keys(require.cache)) {
+            if (cachedPath.startsWith(adapterDir)) {
+                delete require.cache[cachedPath];
+            }
+        }
+    }
+
+    /**
+     * Watch services/ and hot-reload adapters when modules or catalog.json change
+     */
+    startAdapterWatcher() {
+        if (!this.adapterHotReload || this.adapterWatcher) return;
+        const AdapterWatcher = require('./src/mcp/adapter-watcher');
+        try {
+            this.adapterWatcher = new AdapterWatcher({
+                root: path.join(__dirname, 'services'),
+                debounceMs: this.adapterReloadDebounceMs
+            }).start();
+        } catch (error) {
+            console.warn(`⚠️ Adapter hot-reload disabled: ${error.message}`);
+            this.adapterWatcher = null;
+            return;
+        }
+        this.adapterWatcher.on('change', (files) => this.reloadAdapters(files));
+        this.adapterWatcher.on('error', (error) => console.warn(`⚠️ Adapter watcher error: ${error.message}`));
+        console.log('👀 Watching services/ for adapter changes');
+    }
+
+    stopAdapterWatcher() {
+        if (this.adapterWatcher) this.adapterWatcher.stop();
+        this.adapterWatcher = null;
+    }
+
+    /**
+     * Release what a replaced or removed adapter holds (database pools, timers) through
+     * its cleanup(). Failures are logged; the adapter is already out of the registry.
+     */
+    async disposeAdapter(adapterId, adapter) {
+        if (!adapter || adapter.is_mock || typeof adapter.cleanup !== 'function') return;
+        try {
+            await adapter.cleanup();
+        } catch (error) {
+            console.warn(`⚠️ ${adapterId} adapter cleanup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-read the catalog and register, replace or unregister adapters that changed.
+     * Reloads are serialized; in-flight MCP sessions and tool calls are not interrupted.
+     * Adapters that were replaced or removed are disposed once the registry no longer
+     * routes to them.
+     *
+     * @param {string[]} [changedFiles] Absolute paths reported by the watcher
+     * @returns {Promise<{added: string[], reloaded: string[], removed: string[]}|null>}
+     */
+    reloadAdapters(changedFiles = []) {
+        const run = this.adapterReloadQueue.then(() => this.applyAdapterChanges(changedFiles));
+        this.adapterReloadQueue = run.catch((error) => {
+            console.warn(`⚠️ Adapter reload failed: ${error.message}`);
+        });
+        return run;
+    }
+
+    async applyAdapterChanges(changedFiles) {
+        await this.ensureAdaptersReady();
+
+        const catalogPath = path.join(__dirname, 'services', 'catalog.json');
+        if (fs.existsSync(catalogPath)) {
             try {
-                this.discoveryLayer = new MCPDiscoveryLayer(this, this.adapters);
-                console.log(`🔍 MCP Discovery Layer initialized (5 meta-tools active)`);
+                JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
             } catch (error) {
-                console.warn(`⚠️ Failed to initialize Discovery Layer: ${error.message}`);
-                console.log(`⚠️ Falling back to full mode (${totalTools} tools)`);
-                this.mcpToolMode = 'full';
+                // Usually a half-saved file; the next write triggers another reload
+                console.warn(`⚠️ Skipping adapter reload, catalog.json is invalid: ${error.message}`);
+                return null;
+            }
+        }
+        this.serviceCatalog = this.loadServiceCatalog();
+
+        const entries = this.resolveCatalogAdapters();
+        const nextIds = new Set(entries.map(entry => entry.id));
+        const changes = { added: [], reloaded: [], removed: [] };
+
+        for (const adapterId of [...this.adapterCatalogFingerprints.keys()]) {
+            if (nextIds.has(adapterId)) continue;
+            this.adapterCatalogFingerprints.delete(adapterId);
+            const removed = this.adapterRegistry.unregister(adapterId);
+            if (removed) {
+                changes.removed.push(adapterId);
+                console.log(`🗑️  Unregistered adapter ${adapterId}`);
+                await this.disposeAdapter(adapterId, removed);
             }
         }
+
+        for (const adapterEntry of entries) {
+            const fingerprint = JSON.stringify(adapterEntry);
+            const previous = this.adapterCatalogFingerprints.get(adapterEntry.id);
+            const adapterDir = adapterEntry.adapterPath
+                ? path.dirname(this.resolveAdapterPath(adapterEntry)) + path.sep
+                : null;
+            const moduleChanged = Boolean(adapterDir) && changedFiles.some(file => file.startsWith(adapterDir));
+            if (previous === fingerprint && !moduleChanged) continue;
+
+            this.adapterCatalogFingerprints.set(adapterEntry.id, fingerprint);
+            const existed = this.adapterRegistry.getAdapter(adapterEntry.id);
+            const loaded = await this.loadAdapterEntry(adapterEntry, { reload: true });
+            if (existed && this.adapterRegistry.getAdapter(adapterEntry.id) !== existed) {
+                await this.disposeAdapter(adapterEntry.id, existed);
+            }
+            if (loaded) {
+                (existed ? changes.reloaded : changes.added).push(adapterEntry.id);
+            } else if (existed && !this.adapterRegistry.getAdapter(adapterEntry.id)) {
+                changes.removed.push(adapterEntry.id);
+            }
+        }
+
+        if (changes.added.length + changes.reloaded.length + changes.removed.length === 0) {
+            return changes;
+        }
+
+        this.adapters = this.adapterRegistry.toAdaptersMap();
+        if (this.discoveryLayer) {
+            await this.discoveryLayer.refresh();
+        }
+        this.notifyToolListChanged();
+
+        const stats = this.adapterRegistry.getStats();
+        console.log(`🔄 Adapters reloaded (+${changes.added.length} ~${changes.reloaded.length} -${changes.removed.length}); ${stats.totalAdapters} adapters, ${this.getTotalTools()} tools`);
+        return changes;
+    }
+
+    /**
+     * Tell connected MCP clients to re-fetch tools/list
+     */
+    notifyToolListChanged() {
+        const message = JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+        for (const stream of this.mcpStreams) {
+            stream.write(`event: message\ndata: ${message}\n\n`);
+        }
     }
 
     buildMcpRequestContext(req) {
@@ -649,7 +1116,39 @@ class UnifiedGateway {
             projectScope,
             requestId,
             sessionId,
-            headers
+            headers,
+            ...this.resolveCallerIdentity(req),
+            scopes: this.resolveCallerScopes(req)
+        };
+    }
+
+    /**
+     * Tool scopes of the verified caller (see core/security/tool-scopes.js).
+     * undefined when identity was not verified (disabled or bypassed), which
+     * leaves tool access unrestricted as before.
+     */
+    resolveCallerScopes(req) {
+        const auth = req.authContext;
+        const principal = auth && (auth.payload || auth.user);
+        if (!principal || typeof principal !== 'object') {
+            return undefined;
+        }
+        return this.authBridge.getScopes(principal);
+    }
+
+    /**
+     * Tenant and principal id of the verified caller, from token claims only
+     * (never the X-Project-Scope header). null when identity was not verified.
+     */
+    resolveCallerIdentity(req) {
+        const auth = req.authContext;
+        const principal = auth && auth.ok && (auth.payload || auth.user);
+        if (!principal || typeof principal !== 'object') {
+            return null;
+        }
+        return {
+            tenantId: this.quotaManager.resolveSubject(principal).tenant,
+            principalId: this.quotaManager.resolvePrincipalId(principal)
         };
     }
 
@@ -907,7 +1406,10 @@ class UnifiedGateway {
 
     async enforceIdentity(req, res, options = {}) {
         const { asJsonRpc = false, rpcId = null } = options;
-        const auth = await this.verifyRequestIdentity(req);
+        // Reuse the identity already verified by the quota middleware for this request.
+        const auth = (req.authContext && req.authContext.ok)
+            ? req.authContext
+            : await this.verifyRequestIdentity(req);
         if (auth.ok) {
             req.authContext = auth;
             if (auth.method === 'insecure_bypass') {
@@ -932,6 +1434,89 @@ class UnifiedGateway {
         return false;
     }
 
+    /**
+     * Quota middleware for /api/ and /mcp. Credentialed requests are counted against
+     * the verified caller's tier (core/quota/quota-manager.js); anonymous requests and
+     * requests that fail verification are left to the route (and the IP limiter).
+     * Store failures fail open.
+     */
+    async enforceQuota(req, res, next) {
+        if (!this.quotaManager.enabled) {
+            return next();
+        }
+
+        const context = this.buildMcpRequestContext(req);
+        if (!context.authorization && !context.apiKey && !context.headers.apikey) {
+            return next();
+        }
+
+        let result;
+        try {
+            const auth = await this.verifyRequestIdentity(req);
+            if (!auth.ok) {
+                return next();
+            }
+            req.authContext = auth;
+            const subject = this.quotaManager.resolveSubject(auth.payload || auth.user, context);
+            result = await this.quotaManager.consume(subject, this.resolveQuotaUsage(req));
+        } catch (error) {
+            console.warn('Quota check failed; allowing request:', error.message);
+            return next();
+        }
+
+        res.set(result.headers);
+        if (result.allowed) {
+            return next();
+        }
+
+        const { error } = result;
+        if (`${req.baseUrl || ''}${req.path || ''}`.startsWith('/mcp')) {
+            return res.status(429).json({
+                jsonrpc: '2.0',
+                error: { code: -32029, message: error.message, data: { code: error.code, ...error.meta } },
+                id: (req.body && req.body.id) || null
+            });
+        }
+        return res.status(429).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...error.meta,
+            requestId: req.id
+        });
+    }
+
+    /**
+     * Whether a request counts against monthly quotas, and the adapter/category
+     * buckets it belongs to. MCP tool calls and mutating /api/ calls are billable.
+     */
+    resolveQuotaUsage(req) {
+        const path = `${req.baseUrl || ''}${req.path || ''}`;
+
+        if (path.startsWith('/mcp')) {
+            const body = req.body || {};
+            if (body.method !== 'tools/call') {
+                return { billable: false, buckets: [] };
+            }
+            const { name, arguments: args } = body.params || {};
+            const toolId = name === 'gateway-execute' ? args && args.tool_id : name;
+            const tool = typeof toolId === 'string' && toolId.includes(':') && this.adapterRegistry
+                ? this.adapterRegistry.describeTool(toolId)
+                : null;
+            return { billable: true, buckets: tool ? [tool.adapterId, tool.category] : [] };
+        }
+
+        if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+            return { billable: false, buckets: [] };
+        }
+        const service = path.match(/^\/api\/services\/([^/]+)/);
+        if (service) {
+            return { billable: true, buckets: [service[1]] };
+        }
+        const category = path.match(/^\/api\/v1\/([^/]+)/);
+        return { billable: true, buckets: category ? [category[1]] : [] };
+    }
+
     async proxySupabaseFunction(req, res) {
         await this.ensureAdaptersReady();
 
@@ -1006,6 +1591,32 @@ class UnifiedGateway {
         }
     }
 
+    async verifyMetricsAuth(req) {
+        const authHeader = req.headers.authorization || '';
+        if (this.metricsToken && authHeader === `Bearer ${this.metricsToken}`) {
+            return { ok: true, method: 'metrics_token' };
+        }
+        return this.verifyVpsAuth(req, true);
+    }
+
+    /**
+     * Snapshot BaseClient circuit-breaker state for API services and adapters.
+     */
+    collectCircuitBreakerMetrics() {
+        const clients = [...this.clients.entries()];
+        for (const [adapterId, adapter] of this.adapters) {
+            if (adapter && adapter.client) {
+                clients.push([adapterId, adapter.client]);
+            }
+        }
+
+        for (const [service, client] of clients) {
+            const breaker = client && client.circuitBreaker;
+            if (!breaker || !breaker.state) continue;
+            this.metricsCollector.recordCircuitBreaker(service, '*', breaker.state);
+        }
+    }
+
     async verifyVpsAuth(req, requireAdmin = true) {
         const authHeader = req.headers.authorization || req.headers.Authorization;
 
@@ -1132,6 +1743,44 @@ class UnifiedGateway {
             });
         });
 
+        // Prometheus scrape endpoint (METRICS_TOKEN or admin credentials)
+        this.app.get('/metrics', async (req, res) => {
+            const auth = await this.verifyMetricsAuth(req);
+            if (!auth.ok) {
+                return res.status(auth.status).json({ error: auth.error });
+            }
+
+            this.collectCircuitBreakerMetrics();
+            res.set('Content-Type', this.metricsCollector.register.contentType);
+            res.send(await this.metricsCollector.getMetrics());
+        });
+
+        // Firing, pending and recently resolved alerts (same auth as /metrics)
+        this.app.get('/api/v1/alerts', async (req, res) => {
+            const auth = await this.verifyMetricsAuth(req);
+            if (!auth.ok) {
+                return res.status(auth.status).json({ success: false, error: auth.error });
+            }
+
+            const { state } = req.query;
+            if (state && !AlertEngine.STATES.includes(state)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `state must be one of: ${AlertEngine.STATES.join(', ')}`,
+                    code: 'INVALID_STATE'
+                });
+            }
+            const alerts = this.alertEngine.list({ state });
+            res.json({
+                success: true,
+                data: {
+                    alerts,
+                    count: alerts.length,
+                    rules: this.alertEngine.rules.map((rule) => ({ name: rule.name, type: rule.type, severity: rule.severity }))
+                }
+            });
+        });
+
         // ==================== CENTRAL ROUTE POLICY ====================
         this.app.get('/api/v1/gateway/route-policy', async (req, res) => {
             await this.ensureAdaptersReady();
@@ -1191,7 +1840,9 @@ class UnifiedGateway {
             }
 
             if (requireIdentity) {
-                const auth = await this.verifyRequestIdentity(req);
+                const auth = (req.authContext && req.authContext.ok)
+                    ? req.authContext
+                    : await this.verifyRequestIdentity(req);
                 if (auth.ok) {
                     req.authContext = auth;
                     if (auth.method === 'insecure_bypass') {
@@ -1513,8 +2164,9 @@ class UnifiedGateway {
         });
 
         // Get specific service details
-        this.app.get('/api/services/:serviceName', (req, res) => {
+        this.app.get('/api/services/:serviceName', async (req, res) => {
             const { serviceName } = req.params;
+            await this.versionStateReady;
             const service = this.services.get(serviceName);
 
             if (!service) {
@@ -1524,7 +2176,61 @@ class UnifiedGateway {
                 });
             }
 
-            res.json(service);
+            let negotiated;
+            try {
+                negotiated = this.negotiateServiceVersion(req, res, serviceName);
+            } catch (error) {
+                return this.sendVersionError(res, req, serviceName, error);
+            }
+
+            res.json(negotiated ? negotiated.config : service);
+        });
+
+        // Breaking-change report for a candidate definition (admin only).
+        // Body: { definition, against? } where against is a registered version; defaults to the loaded config.
+        // ?format=text returns the human-readable report.
+        this.app.post('/api/services/:serviceName/diff', async (req, res) => {
+            const { serviceName } = req.params;
+            const auth = await this.verifyVpsAuth(req, true);
+            if (!auth.ok) {
+                return res.status(auth.status).json({ error: auth.error, requestId: req.id });
+            }
+
+            const service = this.services.get(serviceName);
+            if (!service) {
+                return res.status(404).json({
+                    error: 'Service not found',
+                    service: serviceName
+                });
+            }
+
+            const { definition, against } = req.body || {};
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                return res.status(400).json({
+                    error: 'definition must be a service definition object',
+                    service: serviceName
+                });
+            }
+
+            let baseline = service;
+            if (against) {
+                await this.versionStateReady;
+                try {
+                    baseline = this.versionManager.resolveVersion(serviceName, against).config;
+                } catch (error) {
+                    return res.status(error.status || 400).json({
+                        error: error.message,
+                        code: error.code,
+                        service: serviceName
+                    });
+                }
+            }
+
+            const report = diffServiceDefinitions(baseline, definition);
+            if (req.query.format === 'text') {
+                return res.type('text/plain').send(formatDiffReport(report));
+            }
+            return res.json(report);
         });
 
         // Proxy requests to services
@@ -1545,7 +2251,49 @@ class UnifiedGateway {
                     });
                 }
 
-                const client = this.clients.get(serviceName);
+                await this.versionStateReady;
+                let negotiated;
+                try {
+                    negotiated = this.negotiateServiceVersion(req, res, serviceName);
+                } catch (error) {
+                    return this.sendVersionError(res, req, serviceName, error);
+                }
+
+                // A pinned version with a migration path to the newest one is served by the
+                // newest upstream: the request is migrated up and the response back down.
+                let pinnedVersion = negotiated && negotiated.version;
+                let upstreamVersion = pinnedVersion;
+                if (negotiated) {
+                    const latest = this.versionManager.getLatestVersion(serviceName).version;
+                    if (latest !== pinnedVersion
+                        && this.versionClients.has(`${serviceName}:${latest}`)
+                        && this.versionManager.hasMigrationHandler(serviceName, pinnedVersion, latest)) {
+                        upstreamVersion = latest;
+                    }
+                }
+
+                let client = upstreamVersion
+                    ? this.versionClients.get(`${serviceName}:${upstreamVersion}`)
+                    : this.clients.get(serviceName);
+                if (upstreamVersion && !client) {
+                    // Registered (e.g. restored from VERSION_STORE) but not loaded by this process
+                    if (req.apiVersionPin || req.get('API-Version')) {
+                        const error = new Error(`API version ${pinnedVersion} of ${serviceName} is no longer served`);
+                        error.status = 410;
+                        error.code = 'API_VERSION_UNAVAILABLE';
+                        error.meta = {
+                            supported: this.versionManager.getServiceVersions(serviceName)
+                                .map(v => v.version)
+                                .filter(version => this.versionClients.has(`${serviceName}:${version}`))
+                                .sort(semver.rcompare)
+                        };
+                        return this.sendVersionError(res, req, serviceName, error);
+                    }
+                    // Unpinned: serve the loaded config without claiming a version it may not be
+                    client = this.clients.get(serviceName);
+                    upstreamVersion = pinnedVersion = null;
+                    ['API-Version', 'Deprecation', 'Sunset'].forEach(header => res.removeHeader(header));
+                }
                 if (!client) {
                     return res.status(503).json({
                         error: 'Service client not initialized',
@@ -1553,7 +2301,12 @@ class UnifiedGateway {
                     });
                 }
 
-                const requestData = req.method === 'GET' ? null : req.body;
+                let requestData = req.method === 'GET' ? null : req.body;
+                if (upstreamVersion !== pinnedVersion && requestData != null) {
+                    requestData = await this.versionManager.executeMigration(
+                        serviceName, pinnedVersion, upstreamVersion, requestData
+                    );
+                }
 
                 const response = await client.request({
                     method: req.method,
@@ -1562,7 +2315,15 @@ class UnifiedGateway {
                     params: req.query
                 });
 
-                res.status(response.status || 200).json(response.data);
+                let responseData = response.data;
+                if (upstreamVersion !== pinnedVersion && responseData != null
+                    && this.versionManager.hasMigrationHandler(serviceName, upstreamVersion, pinnedVersion)) {
+                    responseData = await this.versionManager.executeMigration(
+                        serviceName, upstreamVersion, pinnedVersion, responseData
+                    );
+                }
+
+                res.status(response.status || 200).json(responseData);
 
             } catch (error) {
                 console.error(`API Gateway error for ${serviceName}/${endpoint}:`, error.message);
@@ -1587,6 +2348,27 @@ class UnifiedGateway {
             });
         });
 
+        // Approval queue for high-risk MCP tool calls (admin only)
+        this.app.use('/', this.approvalAPI.getRouter());
+
+        // GDPR data-subject requests: access, export and erasure (admin only)
+        this.app.use('/', this.privacyAPI.getRouter());
+
+        // Service version lifecycle: deprecations, removals and migration snapshots (admin only)
+        this.app.use('/', this.versionAPI.getRouter());
+
+        // Provider webhook ingress (signature-verified) and the received-events admin API
+        this.app.use('/', this.webhookAPI.getRouter());
+
+        // Canonical payment events for apps, filtered by the caller's tool scopes
+        this.app.use('/', this.paymentEventAPI.getRouter());
+
+        // Outbound webhook endpoints, deliveries, attempt log and dead letters (caller's tenant only)
+        this.app.use('/', this.webhookDeliveryAPI.getRouter());
+
+        // Settlement reconciliation runs, reports and the discrepancy queue (admin only)
+        this.app.use('/', this.reconciliationAPI.getRouter());
+
         // Add abstracted API routes (from existing MCP server).
         // /api/v1/ai/chat also exists in this router, but acts as fallback only
         // because the direct route above was mounted earlier in this file.
@@ -1618,6 +2400,7 @@ class UnifiedGateway {
             // Send initial connection event
             const sessionId = crypto.randomUUID();
             res.write(`event: open\ndata: {"sessionId":"${sessionId}"}\n\n`);
+            this.mcpStreams.add(res);
 
             // Keep connection alive
             const keepAlive = setInterval(() => {
@@ -1626,6 +2409,7 @@ class UnifiedGateway {
 
             req.on('close', () => {
                 clearInterval(keepAlive);
+                this.mcpStreams.delete(res);
             });
         });
 
@@ -1641,7 +2425,7 @@ class UnifiedGateway {
                     result: {
                         protocolVersion: '2024-11-05',
                         capabilities: {
-                            tools: { listChanged: false }
+                            tools: { listChanged: true }
                         },
                         serverInfo: {
                             name: 'onasis-gateway',
@@ -1731,6 +2515,17 @@ class UnifiedGateway {
 
             // ============ FULL MODE: All 1600+ Tools ============
             if (method === 'tools/list') {
+                // The listing is filtered to the caller's tool scopes, so identity is required.
+                const allowed = await this.enforceIdentity(req, res, {
+                    asJsonRpc: true,
+                    rpcId: req.body.id
+                });
+                if (!allowed) {
+                    return;
+                }
+                const context = this.buildMcpRequestContext(req);
+                const isAllowed = (adapterName, tool) => !this.adapterRegistry
+                    || this.adapterRegistry.isToolAllowed(`${adapterName}:${tool.name}`, context);
                 const tools = [];
 
                 // Collect tools from all adapters
@@ -1738,11 +2533,12 @@ class UnifiedGateway {
                     try {
                         if (adapter.listTools && typeof adapter.listTools === 'function') {
                             const adapterTools = await adapter.listTools();
-                            tools.push(...adapterTools);
+                            tools.push(...adapterTools.filter((tool) => isAllowed(name, tool)));
                         } else {
                             // Fallback for mock adapters
                             const count = this.getAdapterToolCount(adapter);
                             for (let i = 0; i < count; i++) {
+                                if (!isAllowed(name, { name: `${name}_tool_${i + 1}` })) continue;
                                 tools.push({
                                     name: `${name}_tool_${i + 1}`,
                                     description: `Tool ${i + 1} from ${name}`,
@@ -1778,6 +2574,8 @@ class UnifiedGateway {
                     });
                 }
 
+                const context = this.buildMcpRequestContext(req);
+
                 // Find the adapter that has this tool
                 for (const [adapterName, adapter] of this.adapters.entries()) {
                     try {
@@ -1789,7 +2587,21 @@ class UnifiedGateway {
                                 : false;
 
                             if (hasTool || adapterName === 'supabase-edge-functions') {
+                                if (this.adapterRegistry
+                                    && !this.adapterRegistry.isToolAllowed(`${adapterName}:${toolName}`, context)) {
+                                    return res.status(403).json({
+                                        jsonrpc: '2.0',
+                                        error: { code: -32003, message: `Caller is not allowed to use tool: ${adapterName}:${toolName}` },
+                                        id: req.body.id
+                                    });
+                                }
+                                const audit = this.adapterRegistry
+                                    ? (direction, data) => this.adapterRegistry.auditCompliance(
+                                        adapter, { adapterId: adapterName, tool: { name: toolName } }, direction, data)
+                                    : () => {};
+                                audit('input', toolArgs || {});
                                 const result = await adapter.callTool(toolName, toolArgs || {});
+                                audit('output', result);
                                 return res.json({
                                     jsonrpc: '2.0',
                                     result: { content: [{ type: 'text', text: JSON.stringify(result) }] },
@@ -1865,6 +2677,9 @@ class UnifiedGateway {
      * Start the unified server
      */
     start() {
+        this.alertEngine.start();
+        this.webhookDelivery.start();
+        this.startAdapterWatcher();
         this.app.listen(this.port, () => {
             console.log('\n' + '='.repeat(60));
             console.log('🚀 Unified Gateway Started');